@@ -0,0 +1,27 @@
+-- Migration: Add Normalized Category Columns
+-- Purpose: Store the age group and weight class parsed from the free-text age_category /
+-- weight_class (division on entries) next to the original text:
+--   age_group             - "Open", "Junior", "Youth", "13 Under Age Group", "Masters (35-39)", ...
+--   weight_class_limit_kg - class limit in kg (109 for "+109kg")
+--   weight_class_is_plus  - super-heavy class
+--   weight_class_era      - weight-class era ('1998', '2018', '2025', see scripts/shared/division-rules.js)
+-- Values are parsed in JS (scripts/shared/categories.js) by the importers;
+-- existing rows are filled by scripts/maintenance/backfill-categories.js.
+-- Verify with scripts/verify_categories.sql.
+BEGIN;
+ALTER TABLE usaw_meet_results
+ADD COLUMN IF NOT EXISTS age_group TEXT,
+    ADD COLUMN IF NOT EXISTS weight_class_limit_kg NUMERIC,
+    ADD COLUMN IF NOT EXISTS weight_class_is_plus BOOLEAN,
+    ADD COLUMN IF NOT EXISTS weight_class_era TEXT;
+ALTER TABLE iwf_meet_results
+ADD COLUMN IF NOT EXISTS age_group TEXT,
+    ADD COLUMN IF NOT EXISTS weight_class_limit_kg NUMERIC,
+    ADD COLUMN IF NOT EXISTS weight_class_is_plus BOOLEAN,
+    ADD COLUMN IF NOT EXISTS weight_class_era TEXT;
+ALTER TABLE usaw_meet_entries
+ADD COLUMN IF NOT EXISTS age_group TEXT,
+    ADD COLUMN IF NOT EXISTS weight_class_limit_kg NUMERIC,
+    ADD COLUMN IF NOT EXISTS weight_class_is_plus BOOLEAN,
+    ADD COLUMN IF NOT EXISTS weight_class_era TEXT;
+COMMIT;
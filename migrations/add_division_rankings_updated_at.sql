@@ -0,0 +1,44 @@
+-- Migration: Change tracking for incremental athlete re-seeds
+-- seed.js --incremental selects athletes whose results, rankings, aliases or lifter rows
+-- changed since the last run. usaw_division_rankings only had created_at, so it gets an
+-- updated_at column maintained by the shared update_updated_at_column() trigger.
+-- usaw_meet_results has an updated_at column but nothing bumped it on UPDATE, so edits to existing
+-- results were invisible to the scan; it gets the same trigger.
+BEGIN;
+
+ALTER TABLE public.usaw_division_rankings
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+-- Existing rows inherit their creation time so the first incremental run is not a full sweep
+UPDATE public.usaw_division_rankings
+SET updated_at = created_at
+WHERE created_at IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_usaw_division_rankings_updated_at ON public.usaw_division_rankings;
+CREATE TRIGGER update_usaw_division_rankings_updated_at
+BEFORE UPDATE ON public.usaw_division_rankings
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Results must bump updated_at on every change for the incremental scan to see edits, not just inserts
+DROP TRIGGER IF EXISTS update_usaw_meet_results_updated_at ON public.usaw_meet_results;
+CREATE TRIGGER update_usaw_meet_results_updated_at
+BEFORE UPDATE ON public.usaw_meet_results
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Indexes for the high-water mark scans
+CREATE INDEX IF NOT EXISTS idx_usaw_meet_results_updated_at ON public.usaw_meet_results(updated_at);
+CREATE INDEX IF NOT EXISTS idx_iwf_meet_results_updated_at ON public.iwf_meet_results(updated_at);
+CREATE INDEX IF NOT EXISTS idx_usaw_division_rankings_updated_at ON public.usaw_division_rankings(updated_at);
+CREATE INDEX IF NOT EXISTS idx_athlete_aliases_updated_at ON public.athlete_aliases(updated_at);
+CREATE INDEX IF NOT EXISTS idx_usaw_lifters_updated_at ON public.usaw_lifters(updated_at);
+CREATE INDEX IF NOT EXISTS idx_iwf_lifters_updated_at ON public.iwf_lifters(updated_at);
+
+COMMIT;
+
+-- Verification:
+-- SELECT column_name, data_type FROM information_schema.columns
+-- WHERE table_name = 'usaw_division_rankings' AND column_name = 'updated_at';
+-- SELECT event_object_table, trigger_name FROM information_schema.triggers
+-- WHERE trigger_name IN ('update_usaw_division_rankings_updated_at', 'update_usaw_meet_results_updated_at');
@@ -0,0 +1,14 @@
+-- Migration: Add Sinclair Columns
+-- Purpose: Store Sinclair totals (coefficient set in force on the result date) and
+-- Sinclair-Meltzer-Faber (SMF, masters) on meet results.
+-- Values are computed in JS (scripts/shared/scoring/sinclair.js) by the importers;
+-- existing rows are filled by scripts/maintenance/backfill-sinclair.js.
+-- Verify with scripts/verify_sinclair.sql.
+BEGIN;
+ALTER TABLE usaw_meet_results
+ADD COLUMN IF NOT EXISTS sinclair NUMERIC,
+    ADD COLUMN IF NOT EXISTS sinclair_masters NUMERIC;
+ALTER TABLE iwf_meet_results
+ADD COLUMN IF NOT EXISTS sinclair NUMERIC,
+    ADD COLUMN IF NOT EXISTS sinclair_masters NUMERIC;
+COMMIT;
@@ -0,0 +1,196 @@
+-- Migration: Attempt-level results
+-- One row per attempt taken, for USAW and IWF results, parsed once from the six text attempt columns
+-- (snatch_lift_1..3, cj_lift_1..3: positive = made, negative = missed; NULL, '', '---' and 0 = not taken):
+--   lift            'snatch' or 'cj'
+--   attempt_number  1-3
+--   weight          kg on the bar (always positive)
+--   made            true if the lift was good
+--   jump            kg added since the lifter's previous attempt in the same lift (NULL on the
+--                   first attempt or when the previous one was not taken; 0 for a repeated weight)
+-- Rows are kept in sync by triggers whenever the attempt columns are inserted or updated, and deleted
+-- with their result. Existing results are filled by scripts/maintenance/backfill-attempts.js.
+-- The *_lifter_attempt_stats views answer make rates, bounce-backs, clutch lifts and attempt jumps
+-- per lifter as plain queries. Verify with scripts/verify_attempts.sql.
+BEGIN;
+
+-- ============================================================================
+-- PARSING
+-- ============================================================================
+
+-- Signed weight of an attempt cell, NULL if the attempt was not taken or is unreadable
+CREATE OR REPLACE FUNCTION public.parse_attempt_weight(value TEXT)
+RETURNS NUMERIC AS $$
+    SELECT CASE
+        WHEN btrim(value) ~ '^-?[0-9]+(\.[0-9]+)?$' THEN NULLIF(btrim(value)::NUMERIC, 0)
+    END;
+$$ LANGUAGE sql IMMUTABLE
+SET search_path = '';
+
+-- Attempt rows of one result
+CREATE OR REPLACE FUNCTION public.meet_attempt_rows(
+    snatch_1 TEXT, snatch_2 TEXT, snatch_3 TEXT,
+    cj_1 TEXT, cj_2 TEXT, cj_3 TEXT
+)
+RETURNS TABLE (lift TEXT, attempt_number SMALLINT, weight NUMERIC, made BOOLEAN, jump NUMERIC) AS $$
+    SELECT a.lift, a.attempt_number, ABS(a.value), a.value > 0, ABS(a.value) - ABS(a.previous)
+    FROM (
+        SELECT v.lift, v.attempt_number, v.value,
+            LAG(v.value) OVER (PARTITION BY v.lift ORDER BY v.attempt_number) AS previous
+        FROM (VALUES
+            ('snatch', 1::SMALLINT, public.parse_attempt_weight(snatch_1)),
+            ('snatch', 2::SMALLINT, public.parse_attempt_weight(snatch_2)),
+            ('snatch', 3::SMALLINT, public.parse_attempt_weight(snatch_3)),
+            ('cj', 1::SMALLINT, public.parse_attempt_weight(cj_1)),
+            ('cj', 2::SMALLINT, public.parse_attempt_weight(cj_2)),
+            ('cj', 3::SMALLINT, public.parse_attempt_weight(cj_3))
+        ) AS v(lift, attempt_number, value)
+    ) a
+    WHERE a.value IS NOT NULL;
+$$ LANGUAGE sql IMMUTABLE
+SET search_path = '';
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.usaw_meet_attempts (
+    result_id BIGINT NOT NULL REFERENCES public.usaw_meet_results(result_id) ON DELETE CASCADE,
+    lift TEXT NOT NULL CHECK (lift IN ('snatch', 'cj')),
+    attempt_number SMALLINT NOT NULL CHECK (attempt_number BETWEEN 1 AND 3),
+    weight NUMERIC NOT NULL,
+    made BOOLEAN NOT NULL,
+    jump NUMERIC,
+    PRIMARY KEY (result_id, lift, attempt_number)
+);
+
+CREATE TABLE IF NOT EXISTS public.iwf_meet_attempts (
+    db_result_id BIGINT NOT NULL REFERENCES public.iwf_meet_results(db_result_id) ON DELETE CASCADE,
+    lift TEXT NOT NULL CHECK (lift IN ('snatch', 'cj')),
+    attempt_number SMALLINT NOT NULL CHECK (attempt_number BETWEEN 1 AND 3),
+    weight NUMERIC NOT NULL,
+    made BOOLEAN NOT NULL,
+    jump NUMERIC,
+    PRIMARY KEY (db_result_id, lift, attempt_number)
+);
+
+-- Public read access, writes by the triggers and the service role only
+ALTER TABLE public.usaw_meet_attempts ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access" ON public.usaw_meet_attempts;
+CREATE POLICY "Public read access" ON public.usaw_meet_attempts FOR SELECT USING (true);
+
+ALTER TABLE public.iwf_meet_attempts ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access" ON public.iwf_meet_attempts;
+CREATE POLICY "Public read access" ON public.iwf_meet_attempts FOR SELECT USING (true);
+
+-- ============================================================================
+-- SYNC TRIGGERS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.sync_usaw_meet_attempts()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM public.usaw_meet_attempts WHERE result_id = NEW.result_id;
+    INSERT INTO public.usaw_meet_attempts (result_id, lift, attempt_number, weight, made, jump)
+    SELECT NEW.result_id, a.*
+    FROM public.meet_attempt_rows(NEW.snatch_lift_1, NEW.snatch_lift_2, NEW.snatch_lift_3,
+        NEW.cj_lift_1, NEW.cj_lift_2, NEW.cj_lift_3) a;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql
+SET search_path = '';
+
+CREATE OR REPLACE FUNCTION public.sync_iwf_meet_attempts()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM public.iwf_meet_attempts WHERE db_result_id = NEW.db_result_id;
+    INSERT INTO public.iwf_meet_attempts (db_result_id, lift, attempt_number, weight, made, jump)
+    SELECT NEW.db_result_id, a.*
+    FROM public.meet_attempt_rows(NEW.snatch_lift_1, NEW.snatch_lift_2, NEW.snatch_lift_3,
+        NEW.cj_lift_1, NEW.cj_lift_2, NEW.cj_lift_3) a;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql
+SET search_path = '';
+
+DROP TRIGGER IF EXISTS usaw_meet_results_attempts_sync ON public.usaw_meet_results;
+CREATE TRIGGER usaw_meet_results_attempts_sync
+AFTER INSERT OR UPDATE OF snatch_lift_1, snatch_lift_2, snatch_lift_3, cj_lift_1, cj_lift_2, cj_lift_3
+ON public.usaw_meet_results
+FOR EACH ROW
+EXECUTE FUNCTION public.sync_usaw_meet_attempts();
+
+DROP TRIGGER IF EXISTS iwf_meet_results_attempts_sync ON public.iwf_meet_results;
+CREATE TRIGGER iwf_meet_results_attempts_sync
+AFTER INSERT OR UPDATE OF snatch_lift_1, snatch_lift_2, snatch_lift_3, cj_lift_1, cj_lift_2, cj_lift_3
+ON public.iwf_meet_results
+FOR EACH ROW
+EXECUTE FUNCTION public.sync_iwf_meet_attempts();
+
+-- ============================================================================
+-- ANALYTICS VIEWS
+-- ============================================================================
+-- Per lifter, with the definitions scripts/production/generate-population-stats.js benchmarks:
+--   make rates       made / taken, overall and per lift
+--   bounce-backs     2nd attempts taken after a missed opener, and how many were made, per lift
+--   clutch           3rd attempts taken after two misses in the same lift, and how many were made
+--   jumps            average kg added into the 2nd and 3rd attempts
+-- A view over a lifter's whole history: pre-insert analytics (iwf-analytics.js), dated snapshots
+-- (generate-historical-benchmarks.js) and cross-source matching (link_iwf_usaw_athletes.js)
+-- still read the attempt columns of the rows they are handling.
+-- Dropped and recreated so a re-run can change their columns, which CREATE OR REPLACE VIEW cannot.
+DROP VIEW IF EXISTS public.usaw_lifter_attempt_stats;
+DROP VIEW IF EXISTS public.iwf_lifter_attempt_stats;
+
+CREATE OR REPLACE VIEW public.usaw_lifter_attempt_stats AS
+SELECT r.lifter_id,
+    COUNT(*) AS attempts,
+    COUNT(*) FILTER (WHERE a.made) AS made,
+    COUNT(*) FILTER (WHERE a.lift = 'snatch') AS snatch_attempts,
+    COUNT(*) FILTER (WHERE a.lift = 'snatch' AND a.made) AS snatch_made,
+    COUNT(*) FILTER (WHERE a.lift = 'cj') AS cj_attempts,
+    COUNT(*) FILTER (WHERE a.lift = 'cj' AND a.made) AS cj_made,
+    COUNT(*) FILTER (WHERE a.lift = 'snatch' AND a.attempt_number = 2 AND NOT p.made) AS snatch_bounce_back_chances,
+    COUNT(*) FILTER (WHERE a.lift = 'snatch' AND a.attempt_number = 2 AND NOT p.made AND a.made) AS snatch_bounce_backs,
+    COUNT(*) FILTER (WHERE a.lift = 'cj' AND a.attempt_number = 2 AND NOT p.made) AS cj_bounce_back_chances,
+    COUNT(*) FILTER (WHERE a.lift = 'cj' AND a.attempt_number = 2 AND NOT p.made AND a.made) AS cj_bounce_backs,
+    COUNT(*) FILTER (WHERE a.attempt_number = 3 AND NOT p.made AND NOT pp.made) AS clutch_chances,
+    COUNT(*) FILTER (WHERE a.attempt_number = 3 AND NOT p.made AND NOT pp.made AND a.made) AS clutch_made,
+    AVG(a.jump) FILTER (WHERE a.attempt_number = 2) AS avg_jump_2,
+    AVG(a.jump) FILTER (WHERE a.attempt_number = 3) AS avg_jump_3
+FROM public.usaw_meet_attempts a
+    JOIN public.usaw_meet_results r ON r.result_id = a.result_id
+    LEFT JOIN public.usaw_meet_attempts p ON p.result_id = a.result_id
+    AND p.lift = a.lift
+    AND p.attempt_number = a.attempt_number - 1
+    LEFT JOIN public.usaw_meet_attempts pp ON pp.result_id = a.result_id
+    AND pp.lift = a.lift
+    AND pp.attempt_number = a.attempt_number - 2
+GROUP BY r.lifter_id;
+
+CREATE OR REPLACE VIEW public.iwf_lifter_attempt_stats AS
+SELECT r.db_lifter_id,
+    COUNT(*) AS attempts,
+    COUNT(*) FILTER (WHERE a.made) AS made,
+    COUNT(*) FILTER (WHERE a.lift = 'snatch') AS snatch_attempts,
+    COUNT(*) FILTER (WHERE a.lift = 'snatch' AND a.made) AS snatch_made,
+    COUNT(*) FILTER (WHERE a.lift = 'cj') AS cj_attempts,
+    COUNT(*) FILTER (WHERE a.lift = 'cj' AND a.made) AS cj_made,
+    COUNT(*) FILTER (WHERE a.lift = 'snatch' AND a.attempt_number = 2 AND NOT p.made) AS snatch_bounce_back_chances,
+    COUNT(*) FILTER (WHERE a.lift = 'snatch' AND a.attempt_number = 2 AND NOT p.made AND a.made) AS snatch_bounce_backs,
+    COUNT(*) FILTER (WHERE a.lift = 'cj' AND a.attempt_number = 2 AND NOT p.made) AS cj_bounce_back_chances,
+    COUNT(*) FILTER (WHERE a.lift = 'cj' AND a.attempt_number = 2 AND NOT p.made AND a.made) AS cj_bounce_backs,
+    COUNT(*) FILTER (WHERE a.attempt_number = 3 AND NOT p.made AND NOT pp.made) AS clutch_chances,
+    COUNT(*) FILTER (WHERE a.attempt_number = 3 AND NOT p.made AND NOT pp.made AND a.made) AS clutch_made,
+    AVG(a.jump) FILTER (WHERE a.attempt_number = 2) AS avg_jump_2,
+    AVG(a.jump) FILTER (WHERE a.attempt_number = 3) AS avg_jump_3
+FROM public.iwf_meet_attempts a
+    JOIN public.iwf_meet_results r ON r.db_result_id = a.db_result_id
+    LEFT JOIN public.iwf_meet_attempts p ON p.db_result_id = a.db_result_id
+    AND p.lift = a.lift
+    AND p.attempt_number = a.attempt_number - 1
+    LEFT JOIN public.iwf_meet_attempts pp ON pp.db_result_id = a.db_result_id
+    AND pp.lift = a.lift
+    AND pp.attempt_number = a.attempt_number - 2
+GROUP BY r.db_lifter_id;
+
+COMMIT;
@@ -0,0 +1,58 @@
+-- Migration: Team standings and best-lifter awards per meet
+-- scripts/production/ranking-engine.js computes both from the division placings of each meet it
+-- ranks (scripts/shared/meet-awards.js) and replaces the meet's rows on every run:
+--   usaw_meet_team_scores   team standings by club_name and by wso, per gender, with the
+--                           28/25/23/22... points of each lifter's total placing
+--   usaw_meet_best_lifters  best-lifter places per gender and age group for a formula
+--                           (qpoints, gamx or sinclair; --best-lifter / BEST_LIFTER_FORMULA)
+-- Verify with scripts/verify_meet_awards.sql.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.usaw_meet_team_scores (
+    team_score_id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    meet_id BIGINT NOT NULL REFERENCES public.usaw_meets(meet_id) ON DELETE CASCADE,
+    scope TEXT NOT NULL CHECK (scope IN ('club', 'wso')),
+    team TEXT NOT NULL,
+    gender TEXT NOT NULL CHECK (gender IN ('M', 'F')),
+    place INTEGER NOT NULL,
+    points INTEGER NOT NULL,
+    lifters INTEGER NOT NULL,
+    first_places INTEGER NOT NULL DEFAULT 0,
+    second_places INTEGER NOT NULL DEFAULT 0,
+    third_places INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (meet_id, scope, gender, team)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usaw_meet_team_scores_team ON public.usaw_meet_team_scores(scope, team);
+
+CREATE TABLE IF NOT EXISTS public.usaw_meet_best_lifters (
+    best_lifter_id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    meet_id BIGINT NOT NULL REFERENCES public.usaw_meets(meet_id) ON DELETE CASCADE,
+    formula TEXT NOT NULL CHECK (formula IN ('qpoints', 'gamx', 'sinclair')),
+    gender TEXT NOT NULL CHECK (gender IN ('M', 'F')),
+    age_group TEXT NOT NULL,
+    place INTEGER NOT NULL,
+    score NUMERIC NOT NULL,
+    result_id BIGINT NOT NULL REFERENCES public.usaw_meet_results(result_id) ON DELETE CASCADE,
+    lifter_id BIGINT,
+    lifter_name TEXT,
+    weight_class TEXT,
+    body_weight_kg TEXT,
+    total TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (meet_id, formula, gender, age_group, result_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usaw_meet_best_lifters_lifter ON public.usaw_meet_best_lifters(lifter_id);
+
+-- Public read access, writes by the service role only
+ALTER TABLE public.usaw_meet_team_scores ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access" ON public.usaw_meet_team_scores;
+CREATE POLICY "Public read access" ON public.usaw_meet_team_scores FOR SELECT USING (true);
+
+ALTER TABLE public.usaw_meet_best_lifters ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access" ON public.usaw_meet_best_lifters;
+CREATE POLICY "Public read access" ON public.usaw_meet_best_lifters FOR SELECT USING (true);
+
+COMMIT;
@@ -0,0 +1,44 @@
+-- Migration: Qualifying totals for national events
+-- One row per event, gender, age group and weight class. scripts/production/qualification-engine.js
+-- evaluates every athlete's usaw_meet_results against these (scripts/shared/qualification.js) and
+-- writes qualified / near-miss lists per event; assembler.js adds each athlete's status to their shard.
+--   age_group      - division-logic names: 'Open', 'Junior', '16-17 Age Group', 'Masters (35-39)', ...
+--   weight_class   - canonical label in force on event_date: '71kg', '+87kg'
+--   window_start / window_end - results from these meet dates (inclusive) count
+--   min_meet_level - lowest Sport80 meet level a qualifying total may come from (Local, National, International)
+--   near_miss_kg   - totals this far below the standard are listed as near misses
+-- Load a season's standards with scripts/maintenance/import-qualifying-standards.js.
+-- Verify with scripts/verify_qualifying_standards.sql.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.usaw_qualifying_standards (
+    standard_id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    event TEXT NOT NULL,
+    event_date DATE NOT NULL,
+    gender TEXT NOT NULL CHECK (gender IN ('M', 'F')),
+    age_group TEXT NOT NULL,
+    weight_class TEXT NOT NULL,
+    qualifying_total NUMERIC NOT NULL CHECK (qualifying_total > 0),
+    window_start DATE NOT NULL,
+    window_end DATE NOT NULL,
+    min_meet_level TEXT NOT NULL DEFAULT 'Local' CHECK (min_meet_level IN ('Local', 'National', 'International')),
+    near_miss_kg NUMERIC NOT NULL DEFAULT 5 CHECK (near_miss_kg >= 0),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CHECK (window_start <= window_end),
+    UNIQUE (event, gender, age_group, weight_class)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usaw_qualifying_standards_event_date ON public.usaw_qualifying_standards(event_date);
+
+-- Public read access, writes by the service role only
+ALTER TABLE public.usaw_qualifying_standards ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access" ON public.usaw_qualifying_standards;
+CREATE POLICY "Public read access" ON public.usaw_qualifying_standards FOR SELECT USING (true);
+
+DROP TRIGGER IF EXISTS update_usaw_qualifying_standards_updated_at ON public.usaw_qualifying_standards;
+CREATE TRIGGER update_usaw_qualifying_standards_updated_at
+BEFORE UPDATE ON public.usaw_qualifying_standards
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
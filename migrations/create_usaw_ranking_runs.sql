@@ -0,0 +1,32 @@
+-- Migration: Ranking engine run state
+-- ranking-engine.js --incremental re-ranks only the meets whose results were inserted or changed
+-- since the last completed run. Every run (full or incremental) is recorded here; the started_at of
+-- the latest 'completed' run is the high-water mark for the next incremental run.
+-- Runs with failed meets, --limit runs and runs without a previous mark are stored as 'partial'
+-- and never move the mark, so the next incremental run retries their meets.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.usaw_ranking_runs (
+    run_id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    mode TEXT NOT NULL CHECK (mode IN ('full', 'incremental')),
+    triggered_by TEXT NOT NULL DEFAULT 'cli',
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'partial', 'failed')),
+    since TIMESTAMPTZ,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    finished_at TIMESTAMPTZ,
+    meets_processed INTEGER NOT NULL DEFAULT 0,
+    meets_failed INTEGER NOT NULL DEFAULT 0,
+    rankings_saved INTEGER NOT NULL DEFAULT 0,
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_usaw_ranking_runs_status_started
+ON public.usaw_ranking_runs(status, started_at DESC);
+
+-- Internal state: service role only (bypasses RLS), no public policies
+ALTER TABLE public.usaw_ranking_runs ENABLE ROW LEVEL SECURITY;
+
+-- The changed-results scan relies on update_usaw_meet_results_updated_at and
+-- idx_usaw_meet_results_updated_at from add_division_rankings_updated_at.sql; apply that first.
+
+COMMIT;
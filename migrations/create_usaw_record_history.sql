@@ -0,0 +1,55 @@
+-- Migration: Derived American and WSO records
+-- scripts/production/records-engine.js derives the record history from usaw_meet_results
+-- (scripts/shared/records.js) and keeps this table in sync after each import: one row per lift
+-- that set a record, per scope (national / wso), gender, age group, weight class, weight-class era
+-- and lift. The standing record is the heaviest row of each record; usaw_records lists every holder
+-- with the date the record was broken (held_until, null for the current holder).
+-- Rows are written only by the engine, which updates previous_value and the result details in place;
+-- detected_at is when a row first appeared, so rows detected after an import are that import's
+-- newly set record lifts.
+-- Verify with scripts/verify_records.sql.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.usaw_record_history (
+    record_history_id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    scope TEXT NOT NULL CHECK (scope IN ('national', 'wso')),
+    wso TEXT NOT NULL DEFAULT '',
+    gender TEXT NOT NULL CHECK (gender IN ('M', 'F')),
+    age_group TEXT NOT NULL,
+    weight_class TEXT NOT NULL,
+    weight_class_era TEXT NOT NULL,
+    lift TEXT NOT NULL CHECK (lift IN ('snatch', 'cj', 'total')),
+    division_name TEXT NOT NULL,
+    value NUMERIC NOT NULL,
+    previous_value NUMERIC,
+    result_id BIGINT NOT NULL REFERENCES public.usaw_meet_results(result_id) ON DELETE CASCADE,
+    lifter_id BIGINT,
+    lifter_name TEXT,
+    meet_id BIGINT,
+    meet_name TEXT,
+    date TEXT NOT NULL,
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (scope, wso, gender, age_group, weight_class, weight_class_era, lift, result_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usaw_record_history_wso ON public.usaw_record_history(scope, wso);
+CREATE INDEX IF NOT EXISTS idx_usaw_record_history_lifter ON public.usaw_record_history(lifter_id);
+CREATE INDEX IF NOT EXISTS idx_usaw_record_history_detected ON public.usaw_record_history(detected_at DESC);
+
+-- Public read access, writes by the service role only
+ALTER TABLE public.usaw_record_history ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access" ON public.usaw_record_history;
+CREATE POLICY "Public read access" ON public.usaw_record_history FOR SELECT USING (true);
+
+-- Every holder of every record; is_current marks the standing record
+CREATE OR REPLACE VIEW public.usaw_records AS
+SELECT h.*,
+    LEAD(h.date) OVER w AS held_until,
+    LEAD(h.date) OVER w IS NULL AS is_current
+FROM public.usaw_record_history h
+WINDOW w AS (
+    PARTITION BY h.scope, h.wso, h.gender, h.age_group, h.weight_class, h.weight_class_era, h.lift
+    ORDER BY h.value
+);
+
+COMMIT;
@@ -0,0 +1,61 @@
+-- Migration: HMAC-signed athlete refresh webhook
+-- Purpose: The listener no longer accepts a plaintext `secret` in the body. Each request now carries
+--          X-Webhook-Timestamp, X-Webhook-Nonce (a fresh UUID per call) and
+--          X-Webhook-Signature = sha256=hex(HMAC-SHA256("<timestamp>.<nonce>.<path>.<body>")).
+--          The nonce keeps the identical per-row calls of a multi-row update apart; without it the
+--          listener's replay check rejects every call after the first within the same second.
+--          pg_net sends the jsonb body as body::text, which is exactly what is signed here.
+-- Requires: pgcrypto (extensions schema) and app.webhook_secret set to the listener's WEBHOOK_SECRET.
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE OR REPLACE FUNCTION public.refresh_athlete_json_trigger()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_usaw_id BIGINT;
+  v_iwf_id BIGINT;
+  v_body JSONB;
+  v_timestamp TEXT;
+  v_nonce TEXT;
+  v_signature TEXT;
+BEGIN
+  -- TABLE AWARENESS: Distinguish between USAW (lifter_id) and IWF (db_lifter_id)
+  IF TG_TABLE_NAME = 'usaw_meet_results' OR TG_TABLE_NAME = 'usaw_lifters' THEN
+    v_usaw_id := NEW.lifter_id;
+  ELSIF TG_TABLE_NAME = 'iwf_meet_results' OR TG_TABLE_NAME = 'iwf_lifters' THEN
+    v_iwf_id := NEW.db_lifter_id;
+  END IF;
+
+  -- Only attempt refresh if we have a valid ID
+  IF v_usaw_id IS NOT NULL OR v_iwf_id IS NOT NULL THEN
+      v_body := jsonb_build_object('usaw_id', v_usaw_id, 'iwf_id', v_iwf_id);
+      v_timestamp := floor(extract(epoch FROM clock_timestamp()))::BIGINT::TEXT;
+      v_nonce := gen_random_uuid()::TEXT;
+      v_signature := encode(
+        extensions.hmac(v_timestamp || '.' || v_nonce || './refresh-athlete.' || v_body::TEXT, current_setting('app.webhook_secret'), 'sha256'),
+        'hex'
+      );
+
+      PERFORM net.http_post(
+        url := 'http://46.62.223.85:8889/refresh-athlete',
+        body := v_body,
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'X-Webhook-Timestamp', v_timestamp,
+          'X-Webhook-Nonce', v_nonce,
+          'X-Webhook-Signature', 'sha256=' || v_signature
+        )
+      );
+  END IF;
+
+  RETURN NEW;
+END;
+$function$;
+
+COMMIT;
+
+-- Verification (signature for a fixed timestamp and nonce; compare with signPayload() in listener.js):
+-- SELECT encode(extensions.hmac('1700000000.00000000-0000-0000-0000-000000000000./refresh-athlete.' || '{"iwf_id": null, "usaw_id": 1}', current_setting('app.webhook_secret'), 'sha256'), 'hex');
@@ -0,0 +1,104 @@
+const { Client } = require('pg');
+require('dotenv').config();
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 5432,
+};
+
+/**
+ * Attempts Backfill
+ *
+ * Fills usaw_meet_attempts / iwf_meet_attempts for results imported before
+ * migrations/create_meet_attempts.sql, whose triggers keep new and edited results in sync.
+ * Parsing is done by the migration's meet_attempt_rows() so the backfill and the triggers agree;
+ * check the outcome with scripts/verify_attempts.sql.
+ *
+ * Dry run by default: counts the attempt rows each batch of results would write.
+ *
+ * Usage:
+ *   node scripts/maintenance/backfill-attempts.js [--source usaw|iwf|all] [--apply] [--batch 5000]
+ *
+ * Options:
+ *   --source     : Table(s) to backfill (default: all)
+ *   --apply      : Write the attempt rows (otherwise dry run)
+ *   --batch N    : Results per batch
+ */
+
+const SOURCES = {
+    usaw: { results: 'usaw_meet_results', attempts: 'usaw_meet_attempts', idCol: 'result_id' },
+    iwf: { results: 'iwf_meet_results', attempts: 'iwf_meet_attempts', idCol: 'db_result_id' }
+};
+
+async function backfillSource(client, source, { apply, batchSize }) {
+    const { results, attempts, idCol } = SOURCES[source];
+    const stats = { scanned: 0, attempts: 0 };
+    let lastId = 0;
+
+    while (true) {
+        const bounds = await client.query(`
+            SELECT COUNT(*)::INT AS scanned, MAX(${idCol}) AS last_id
+            FROM (SELECT ${idCol} FROM public.${results} WHERE ${idCol} > $1 ORDER BY ${idCol} LIMIT $2) batch`,
+            [lastId, batchSize]);
+        const { scanned, last_id: batchEnd } = bounds.rows[0];
+        if (scanned === 0) break;
+
+        const rows = `
+            SELECT r.${idCol}, a.*
+            FROM public.${results} r
+            CROSS JOIN LATERAL public.meet_attempt_rows(r.snatch_lift_1, r.snatch_lift_2, r.snatch_lift_3,
+                r.cj_lift_1, r.cj_lift_2, r.cj_lift_3) a
+            WHERE r.${idCol} > $1 AND r.${idCol} <= $2`;
+        const res = apply
+            ? await client.query(`
+                INSERT INTO public.${attempts} (${idCol}, lift, attempt_number, weight, made, jump)
+                ${rows}
+                ON CONFLICT (${idCol}, lift, attempt_number) DO UPDATE SET
+                    weight = EXCLUDED.weight,
+                    made = EXCLUDED.made,
+                    jump = EXCLUDED.jump`, [lastId, batchEnd])
+            : await client.query(`SELECT COUNT(*)::INT AS count FROM (${rows}) a`, [lastId, batchEnd]);
+
+        stats.scanned += scanned;
+        stats.attempts += apply ? res.rowCount : res.rows[0].count;
+        lastId = batchEnd;
+        console.log(`[ATTEMPTS] ${source}: ${stats.scanned} results scanned, ${stats.attempts} attempts ${apply ? 'written' : 'to write'} (through ${idCol} ${lastId})`);
+    }
+
+    return stats;
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { string: ['source'], boolean: ['apply'] });
+    const sources = !args.source || args.source === 'all' ? Object.keys(SOURCES) : [args.source];
+    if (sources.some(s => !SOURCES[s])) {
+        console.error(`❌ Unknown --source "${args.source}" (expected usaw, iwf or all)`);
+        process.exit(1);
+    }
+    if (!process.env.DB_HOST) {
+        console.error('❌ Error: DB_HOST not found in environment.');
+        process.exit(1);
+    }
+
+    const options = { apply: args.apply, batchSize: parseInt(args.batch) || 5000 };
+    if (!options.apply) console.log('🔍 DRY RUN - pass --apply to write attempts.');
+
+    const client = new Client(clientConfig);
+    try {
+        await client.connect();
+        for (const source of sources) {
+            const stats = await backfillSource(client, source, options);
+            console.log(`✅ ${source}: ${stats.attempts} attempts ${options.apply ? 'written' : 'would be written'} for ${stats.scanned} results`);
+        }
+    } catch (err) {
+        console.error('❌ Backfill failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+run();
@@ -0,0 +1,122 @@
+const { Client } = require('pg');
+require('dotenv').config();
+
+const { normalizeCategory } = require('../shared/categories');
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 5432,
+};
+
+/**
+ * Category Backfill
+ *
+ * Fills age_group / weight_class_limit_kg / weight_class_is_plus / weight_class_era on
+ * usaw_meet_results, iwf_meet_results and usaw_meet_entries with the shared category parser
+ * (scripts/shared/categories.js). Requires migrations/add_category_columns.sql; check the
+ * outcome with scripts/verify_categories.sql.
+ *
+ * Dry run by default: reads every candidate row and reports what would change.
+ *
+ * Usage:
+ *   node scripts/maintenance/backfill-categories.js [--source usaw|iwf|entries|all] [--recompute] [--apply] [--batch 1000]
+ *
+ * Options:
+ *   --source     : Table(s) to backfill (default: all)
+ *   --recompute  : Re-parse rows that already have a category (e.g. after a parser or era change)
+ *   --apply      : Write the updates (otherwise dry run)
+ *   --batch N    : Rows per read/update batch
+ */
+
+const SOURCES = {
+    usaw: { table: 'usaw_meet_results', idCol: 'result_id', categoryCol: 'age_category', dateCol: 'date' },
+    iwf: { table: 'iwf_meet_results', idCol: 'db_result_id', categoryCol: 'age_category', dateCol: 'date' },
+    entries: { table: 'usaw_meet_entries', idCol: 'id', categoryCol: 'division', dateCol: 'event_date' }
+};
+
+const FIELDS = ['age_group', 'weight_class_limit_kg', 'weight_class_is_plus', 'weight_class_era'];
+
+async function backfillSource(client, source, { recompute, apply, batchSize }) {
+    const { table, idCol, categoryCol, dateCol } = SOURCES[source];
+    const stats = { scanned: 0, changed: 0, unparsed: 0 };
+    let lastId = 0;
+
+    while (true) {
+        const res = await client.query(`
+            SELECT ${idCol} AS id, ${categoryCol} AS age_category, weight_class, gender, ${dateCol} AS date,
+                ${FIELDS.join(', ')}
+            FROM public.${table}
+            WHERE ${idCol} > $1 ${recompute ? '' : 'AND age_group IS NULL AND weight_class_limit_kg IS NULL'}
+            ORDER BY ${idCol}
+            LIMIT $2`, [lastId, batchSize]);
+        if (res.rows.length === 0) break;
+        lastId = res.rows[res.rows.length - 1].id;
+        stats.scanned += res.rows.length;
+
+        const updates = [];
+        res.rows.forEach(r => {
+            const category = normalizeCategory(r);
+            if (category.age_group === null && category.weight_class_limit_kg === null) stats.unparsed++;
+            const same = (field) => (category[field] === null
+                ? r[field] === null
+                : r[field] !== null && String(r[field]) === String(category[field]));
+            if (FIELDS.every(same)) return;
+            updates.push({ id: r.id, ...category });
+        });
+        stats.changed += updates.length;
+
+        if (apply && updates.length > 0) {
+            await client.query(`
+                UPDATE public.${table} t
+                SET age_group = v.age_group,
+                    weight_class_limit_kg = v.weight_class_limit_kg,
+                    weight_class_is_plus = v.weight_class_is_plus,
+                    weight_class_era = v.weight_class_era
+                FROM (
+                    SELECT unnest($1::bigint[]) AS id, unnest($2::text[]) AS age_group,
+                        unnest($3::numeric[]) AS weight_class_limit_kg, unnest($4::boolean[]) AS weight_class_is_plus,
+                        unnest($5::text[]) AS weight_class_era
+                ) v
+                WHERE t.${idCol} = v.id`,
+                [updates.map(u => u.id), ...FIELDS.map(f => updates.map(u => u[f]))]);
+        }
+        console.log(`[CATEGORIES] ${source}: ${stats.scanned} scanned, ${stats.changed} ${apply ? 'updated' : 'to update'} (through ${idCol} ${lastId})`);
+    }
+
+    return stats;
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { string: ['source'], boolean: ['apply', 'recompute'] });
+    const sources = !args.source || args.source === 'all' ? Object.keys(SOURCES) : [args.source];
+    if (sources.some(s => !SOURCES[s])) {
+        console.error(`❌ Unknown --source "${args.source}" (expected usaw, iwf, entries or all)`);
+        process.exit(1);
+    }
+    if (!process.env.DB_HOST) {
+        console.error('❌ Error: DB_HOST not found in environment.');
+        process.exit(1);
+    }
+
+    const options = { recompute: args.recompute, apply: args.apply, batchSize: parseInt(args.batch) || 1000 };
+    if (!options.apply) console.log('🔍 DRY RUN - pass --apply to write updates.');
+
+    const client = new Client(clientConfig);
+    try {
+        await client.connect();
+        for (const source of sources) {
+            const stats = await backfillSource(client, source, options);
+            console.log(`✅ ${source}: ${stats.changed} rows ${options.apply ? 'updated' : 'would be updated'}, ${stats.unparsed} with neither an age group nor a weight class`);
+        }
+    } catch (err) {
+        console.error('❌ Backfill failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+run();
@@ -0,0 +1,111 @@
+const { Client } = require('pg');
+require('dotenv').config();
+
+const { scoreSinclair } = require('../shared/scoring/sinclair');
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 5432,
+};
+
+/**
+ * Sinclair Backfill
+ *
+ * Fills sinclair / sinclair_masters on usaw_meet_results and iwf_meet_results with the
+ * shared scoring module (scripts/shared/scoring/sinclair.js). Requires
+ * migrations/add_sinclair_columns.sql; check the outcome with scripts/verify_sinclair.sql.
+ *
+ * Dry run by default: reads every candidate row and reports what would change.
+ *
+ * Usage:
+ *   node scripts/maintenance/backfill-sinclair.js [--source usaw|iwf|all] [--recompute] [--apply] [--batch 1000]
+ *
+ * Options:
+ *   --source     : Table(s) to backfill (default: all)
+ *   --recompute  : Rescore rows that already have a Sinclair (e.g. after adding a coefficient set;
+ *                  clears it on results dated before the first set)
+ *   --apply      : Write the updates (otherwise dry run)
+ *   --batch N    : Rows per read/update batch
+ */
+
+const SOURCES = {
+    usaw: { table: 'usaw_meet_results', idCol: 'result_id' },
+    iwf: { table: 'iwf_meet_results', idCol: 'db_result_id' }
+};
+
+async function backfillSource(client, source, { recompute, apply, batchSize }) {
+    const { table, idCol } = SOURCES[source];
+    const stats = { scanned: 0, changed: 0, unscoreable: 0 };
+    let lastId = 0;
+
+    while (true) {
+        const res = await client.query(`
+            SELECT ${idCol} AS id, date, total, body_weight_kg, gender, competition_age, sinclair, sinclair_masters
+            FROM public.${table}
+            WHERE ${idCol} > $1 ${recompute ? '' : 'AND sinclair IS NULL'}
+            ORDER BY ${idCol}
+            LIMIT $2`, [lastId, batchSize]);
+        if (res.rows.length === 0) break;
+        lastId = res.rows[res.rows.length - 1].id;
+        stats.scanned += res.rows.length;
+
+        const updates = [];
+        res.rows.forEach(r => {
+            const scores = scoreSinclair(r);
+            if (scores.sinclair === null) stats.unscoreable++;
+            const same = (a, b) => (a === null ? b === null : b !== null && Number(b) === a);
+            if (same(scores.sinclair, r.sinclair) && same(scores.sinclair_masters, r.sinclair_masters)) return;
+            updates.push({ id: r.id, ...scores });
+        });
+        stats.changed += updates.length;
+
+        if (apply && updates.length > 0) {
+            await client.query(`
+                UPDATE public.${table} t
+                SET sinclair = v.sinclair, sinclair_masters = v.sinclair_masters
+                FROM (
+                    SELECT unnest($1::bigint[]) AS id, unnest($2::numeric[]) AS sinclair, unnest($3::numeric[]) AS sinclair_masters
+                ) v
+                WHERE t.${idCol} = v.id`,
+                [updates.map(u => u.id), updates.map(u => u.sinclair), updates.map(u => u.sinclair_masters)]);
+        }
+        console.log(`[SINCLAIR] ${source}: ${stats.scanned} scanned, ${stats.changed} ${apply ? 'updated' : 'to update'} (through ${idCol} ${lastId})`);
+    }
+
+    return stats;
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { string: ['source'], boolean: ['apply', 'recompute'] });
+    const sources = !args.source || args.source === 'all' ? Object.keys(SOURCES) : [args.source];
+    if (sources.some(s => !SOURCES[s])) {
+        console.error(`❌ Unknown --source "${args.source}" (expected usaw, iwf or all)`);
+        process.exit(1);
+    }
+    if (!process.env.DB_HOST) {
+        console.error('❌ Error: DB_HOST not found in environment.');
+        process.exit(1);
+    }
+
+    const options = { recompute: args.recompute, apply: args.apply, batchSize: parseInt(args.batch) || 1000 };
+    if (!options.apply) console.log('🔍 DRY RUN - pass --apply to write updates.');
+
+    const client = new Client(clientConfig);
+    try {
+        await client.connect();
+        for (const source of sources) {
+            const stats = await backfillSource(client, source, options);
+            console.log(`✅ ${source}: ${stats.changed} rows ${options.apply ? 'updated' : 'would be updated'}, ${stats.unscoreable} without a scoreable total/bodyweight/gender/date or dated before the first coefficient set`);
+        }
+    } catch (err) {
+        console.error('❌ Backfill failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+run();
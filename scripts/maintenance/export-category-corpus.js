@@ -0,0 +1,72 @@
+const { Client } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 5432,
+};
+
+/**
+ * Category Corpus Export
+ *
+ * Refreshes tests/fixtures/category-corpus.json, the corpus tests/categories.test.js runs the
+ * category parser (scripts/shared/categories.js) against, with the distinct weight_class,
+ * age_category and division values in the DB. Read-only; values already in the fixture are kept
+ * so the corpus only grows.
+ *
+ * Usage:
+ *   node scripts/maintenance/export-category-corpus.js [--replace]
+ *
+ * Options:
+ *   --replace : Drop values no longer found in the DB
+ */
+
+const CORPUS_PATH = path.join(__dirname, '../../tests/fixtures/category-corpus.json');
+
+const QUERIES = {
+    weight_class: `
+        SELECT weight_class AS value FROM public.usaw_meet_results
+        UNION SELECT weight_class FROM public.iwf_meet_results
+        UNION SELECT weight_class FROM public.usaw_meet_entries`,
+    age_category: `
+        SELECT age_category AS value FROM public.usaw_meet_results
+        UNION SELECT age_category FROM public.iwf_meet_results`,
+    division: `
+        SELECT division AS value FROM public.usaw_meet_entries`
+};
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { boolean: ['replace'] });
+    if (!process.env.DB_HOST) {
+        console.error('❌ Error: DB_HOST not found in environment.');
+        process.exit(1);
+    }
+
+    const corpus = fs.existsSync(CORPUS_PATH) ? JSON.parse(fs.readFileSync(CORPUS_PATH, 'utf8')) : {};
+    const client = new Client(clientConfig);
+    try {
+        await client.connect();
+        for (const [column, sql] of Object.entries(QUERIES)) {
+            const res = await client.query(sql);
+            const values = new Set(args.replace ? [] : corpus[column] || []);
+            const before = values.size;
+            res.rows.forEach(r => { if (r.value !== null) values.add(r.value); });
+            corpus[column] = [...values].sort();
+            console.log(`[CORPUS] ${column}: ${res.rows.length} distinct in DB, ${corpus[column].length - before} new`);
+        }
+        fs.writeFileSync(CORPUS_PATH, JSON.stringify(corpus, null, 2) + '\n');
+        console.log(`✅ Wrote ${CORPUS_PATH}`);
+    } catch (err) {
+        console.error('❌ Export failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+run();
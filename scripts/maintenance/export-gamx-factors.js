@@ -0,0 +1,87 @@
+const { Client } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { loadGamxFactors } = require('../shared/scoring/gamx');
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 5432,
+};
+
+/**
+ * Exports the GAMX factor tables to scripts/shared/scoring/gamx-factors.json, the default
+ * factor source of the JS GAMX calculator (scripts/shared/scoring/gamx.js).
+ *
+ *   node scripts/maintenance/export-gamx-factors.js                 read the gamx_*_factors tables (SELECT only)
+ *   node scripts/maintenance/export-gamx-factors.js --from-xlsx [p]  read the "GAMX files v2.0" workbooks instead
+ *
+ * Exporting from the database gives exactly the factors the update_gamx_scores() trigger uses.
+ */
+
+const OUTPUT_FILE = path.join(__dirname, '../shared/scoring/gamx-factors.json');
+
+const TABLES = {
+    u: 'gamx_u_factors',
+    a: 'gamx_a_factors',
+    masters: 'gamx_masters_factors',
+    total: 'gamx_points_factors',
+    s: 'gamx_s_factors',
+    j: 'gamx_j_factors'
+};
+const AGE_TYPES = ['u', 'a', 'masters'];
+
+const num = (v) => (v === null ? null : Number(v));
+
+async function exportFromDatabase() {
+    if (!process.env.DB_HOST) {
+        console.error('❌ Error: DB_HOST not found in environment.');
+        process.exit(1);
+    }
+
+    const client = new Client(clientConfig);
+    const factors = { source: 'database: ' + Object.values(TABLES).join(', ') };
+    try {
+        await client.connect();
+        for (const [type, table] of Object.entries(TABLES)) {
+            const isAgeTable = AGE_TYPES.includes(type);
+            const res = await client.query(
+                `SELECT gender, ${isAgeTable ? 'age, ' : ''}bodyweight, mu, sigma, nu FROM public.${table} ORDER BY gender, ${isAgeTable ? 'age, ' : ''}bodyweight`);
+
+            factors[type] = { m: null, f: null };
+            res.rows.forEach(r => {
+                const row = [num(r.bodyweight), num(r.mu), num(r.sigma), num(r.nu)];
+                if (isAgeTable) {
+                    const byAge = factors[type][r.gender] ??= {};
+                    (byAge[r.age] ??= []).push(row);
+                } else {
+                    (factors[type][r.gender] ??= []).push(row);
+                }
+            });
+            console.log(`[GAMX EXPORT] ${table}: ${res.rows.length} rows`);
+        }
+    } finally {
+        await client.end();
+    }
+    return factors;
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2));
+
+    const factors = args['from-xlsx']
+        ? await loadGamxFactors(typeof args['from-xlsx'] === 'string' ? args['from-xlsx'] : path.join(__dirname, '../../GAMX files v2.0'))
+        : await exportFromDatabase();
+
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(factors) + '\n');
+    console.log(`✅ GAMX factors written to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+run().catch(err => {
+    console.error('❌ Export failed:', err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,155 @@
+const { Client } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { buildYouthFactorTable } = require('../shared/scoring');
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 5432,
+};
+
+/**
+ * Exports the scoring factor tables and SQL parity fixtures from the database.
+ * Read-only: every statement is a SELECT.
+ *
+ *   scripts/shared/scoring/youth-factors.json   public.youth_factors
+ *   scripts/shared/scoring/age-factors.json     public.get_age_factor() for ages 30-110
+ *   tests/fixtures/scoring-sql-parity.json      outputs of the SQL scoring functions on a fixed input grid
+ *
+ * Re-run after any change to the scoring functions or factor tables and commit the output.
+ * A database without youth_factors rows (e.g. a local Postgres with only the function definitions
+ * of migrations/secure_functions_v2.sql) exports everything except the youth table and its fixtures.
+ */
+
+const SCORING_DIR = path.join(__dirname, '../shared/scoring');
+const FIXTURE_FILE = path.join(__dirname, '../../tests/fixtures/scoring-sql-parity.json');
+
+// Inputs cover the clamps (bodyweight < 30 / > 115), fractional bodyweights, both gender spellings and every age bracket edge
+const GRID = {
+    totals: [1, 57, 123, 187, 250, 301, 412],
+    bodyweights: [25.3, 30, 36.45, 44.7, 55, 64.15, 71, 81.9, 96.2, 109.95, 115, 121.4, 168.3],
+    genders: ['M', 'F', 'Male', 'Female', 'female'],
+    youthAges: [7, 8, 9, 10, 12, 13, 15, 17, 18, 20, 21],
+    ages: [...Array(101).keys()]
+};
+
+const num = (v) => (v === null ? null : Number(v));
+
+// public.youth_factors rows, or none when the table is missing or empty
+async function readYouthFactors(client) {
+    const exists = await client.query("SELECT to_regclass('public.youth_factors') IS NOT NULL AS exists");
+    if (!exists.rows[0].exists) return [];
+    const res = await client.query('SELECT gender, age, bodyweight_kg, factor FROM public.youth_factors ORDER BY gender, age, bodyweight_kg');
+    return res.rows;
+}
+
+async function exportYouthFactors(rows) {
+    if (rows.length === 0) {
+        console.warn('[SCORING EXPORT] ⚠️ public.youth_factors is missing or empty: youth-factors.json not written.');
+        return;
+    }
+    fs.writeFileSync(path.join(SCORING_DIR, 'youth-factors.json'), JSON.stringify(buildYouthFactorTable(rows)) + '\n');
+    console.log(`[SCORING EXPORT] youth-factors.json: ${rows.length} rows`);
+}
+
+async function exportAgeFactors(client) {
+    const table = { source: 'public.get_age_factor(age, gender)', min_age: 30 };
+    for (const g of ['F', 'M']) {
+        const res = await client.query(
+            'SELECT a.age, public.get_age_factor(a.age, $1) AS factor FROM generate_series(30, 110) a(age) ORDER BY a.age', [g]);
+        const rows = res.rows.map(r => ({ age: r.age, factor: num(r.factor) }));
+
+        // Every age from cap_age on returns the same factor
+        const last = rows[rows.length - 1].factor;
+        let capIndex = rows.length - 1;
+        while (capIndex > 0 && rows[capIndex - 1].factor === last) capIndex--;
+
+        table[g] = {
+            factors: Object.fromEntries(rows.slice(0, capIndex).map(r => [r.age, r.factor])),
+            cap_age: rows[capIndex].age,
+            cap_factor: last
+        };
+    }
+    fs.writeFileSync(path.join(SCORING_DIR, 'age-factors.json'), JSON.stringify(table, null, 2) + '\n');
+    console.log('[SCORING EXPORT] age-factors.json written');
+}
+
+// youth_factors rows get_youth_age_factor_interpolated() reads for the grid: the whole kilograms
+// on either side of each (clamped) bodyweight, at each grid age
+function gridYouthRows(rows) {
+    const weights = new Set(GRID.bodyweights.flatMap(bw => {
+        const clamped = Math.min(115, Math.max(30, bw));
+        return [Math.floor(clamped), Math.ceil(clamped)];
+    }));
+    return rows.filter(r => GRID.youthAges.includes(Number(r.age)) && weights.has(Number(r.bodyweight_kg)));
+}
+
+async function exportFixtures(client, { youthRows }) {
+    const youth = youthRows.length > 0;
+    const qpoints = await client.query(`
+        SELECT t.total, b.bw AS body_weight, g.gender,
+               public.calculate_qpoints_from_row(t.total, b.bw, g.gender) AS expected
+        FROM unnest($1::numeric[]) t(total)
+        CROSS JOIN unnest($2::numeric[]) b(bw)
+        CROSS JOIN unnest($3::text[]) g(gender)`,
+        [GRID.totals, GRID.bodyweights, GRID.genders]);
+
+    const ageFactors = await client.query(`
+        SELECT a.age, g.gender, public.get_age_factor(a.age, g.gender) AS expected
+        FROM unnest($1::int[]) a(age)
+        CROSS JOIN unnest($2::text[]) g(gender)`,
+        [GRID.ages, GRID.genders]);
+
+    const youthFactors = youth ? await client.query(`
+        SELECT a.age, b.bw AS body_weight, g.gender,
+               public.get_youth_age_factor_interpolated(a.age, b.bw, g.gender) AS expected
+        FROM unnest($1::int[]) a(age)
+        CROSS JOIN unnest($2::numeric[]) b(bw)
+        CROSS JOIN unnest($3::text[]) g(gender)`,
+        [GRID.youthAges, GRID.bodyweights, GRID.genders]) : null;
+
+    const fixtures = {
+        exported_at: new Date().toISOString(),
+        calculate_qpoints_from_row: qpoints.rows.map(r => [num(r.total), num(r.body_weight), r.gender, num(r.expected)]),
+        get_age_factor: ageFactors.rows.map(r => [r.age, r.gender, num(r.expected)]),
+        // Without youth_factors rows the SQL returns 1.000 everywhere, which would prove nothing
+        // The youth rows go with their cases so the test does not depend on youth-factors.json
+        ...(youthFactors && {
+            youth_factors: gridYouthRows(youthRows).map(r => [r.gender, Number(r.age), Number(r.bodyweight_kg), num(r.factor)]),
+            get_youth_age_factor_interpolated: youthFactors.rows.map(r => [r.age, num(r.body_weight), r.gender, num(r.expected)])
+        })
+    };
+
+    fs.mkdirSync(path.dirname(FIXTURE_FILE), { recursive: true });
+    fs.writeFileSync(FIXTURE_FILE, JSON.stringify(fixtures) + '\n');
+    console.log(`[SCORING EXPORT] scoring-sql-parity.json: ${qpoints.rows.length + ageFactors.rows.length + (youthFactors ? youthFactors.rows.length : 0)} cases`);
+}
+
+async function run() {
+    if (!process.env.DB_HOST) {
+        console.error('❌ Error: DB_HOST not found in environment.');
+        process.exit(1);
+    }
+
+    const client = new Client(clientConfig);
+    try {
+        await client.connect();
+        const youthRows = await readYouthFactors(client);
+        await exportYouthFactors(youthRows);
+        await exportAgeFactors(client);
+        await exportFixtures(client, { youthRows });
+        console.log('✅ Scoring factors and fixtures exported. Run npx jest tests/scoring-parity.test.js and commit the files.');
+    } catch (err) {
+        console.error('❌ Export failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+run();
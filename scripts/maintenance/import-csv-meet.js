@@ -9,6 +9,8 @@ require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
 const Papa = require('papaparse');
+const { normalizeCategory } = require('../shared/categories');
+const { withOptionalColumns } = require('../shared/optional-columns');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -152,13 +154,18 @@ async function importCSVMeet() {
                 cj_lift_2: result['C&J Lift 2'] || null,
                 cj_lift_3: result['C&J Lift 3'] || null,
                 best_cj: result['Best C&J'] || null,
-                total: result.Total || null
+                total: result.Total || null,
+                ...normalizeCategory({
+                    age_category: ageCategory,
+                    weight_class: weightClass,
+                    date: result.Date
+                })
             };
 
             // Insert meet result
-            const { error: insertError } = await supabase
+            const { error: insertError } = await withOptionalColumns('usaw_meet_results', [meetResultData], rows => supabase
                 .from('usaw_meet_results')
-                .insert([meetResultData]);
+                .insert(rows));
 
             if (insertError) {
                 console.log(`❌ Error inserting result for ${result.Lifter}:`, insertError.message);
@@ -0,0 +1,130 @@
+const { Client } = require('pg');
+const fs = require('fs');
+const Papa = require('papaparse');
+require('dotenv').config();
+
+const { parseCategory, parseGender } = require('../shared/categories');
+const { AGE_GROUPS, isoDate, getWeightClassEra } = require('../shared/division-rules');
+const { MEET_LEVELS } = require('../shared/qualification');
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 5432,
+};
+
+/**
+ * Qualifying Standards Import
+ *
+ * Loads a season's qualifying totals into usaw_qualifying_standards from a CSV with the columns
+ *   event, event_date, gender, age_group, weight_class, qualifying_total, window_start, window_end,
+ *   min_meet_level (optional, default Local), near_miss_kg (optional, default 5)
+ * Rows are upserted on (event, gender, age_group, weight_class). Weight classes are stored as the
+ * canonical label of the event date's era ("+87kg", "86+kg" from 2025) and must exist under the
+ * rules in force then. Super-heavy rows of a 2025 event imported earlier as "+86kg" are not
+ * overwritten by a re-import; delete them first.
+ * Requires migrations/create_usaw_qualifying_standards.sql.
+ *
+ * Dry run by default: validates every row and reports what would be written.
+ *
+ * Usage:
+ *   node scripts/maintenance/import-qualifying-standards.js <standards.csv> [--apply]
+ */
+
+const COLUMNS = ['event', 'event_date', 'gender', 'age_group', 'weight_class', 'qualifying_total', 'window_start', 'window_end', 'min_meet_level', 'near_miss_kg'];
+const MIN_LEVELS = MEET_LEVELS.map(names => names[0]);
+
+/**
+ * Validates and normalizes one CSV row.
+ * @returns {{standard: Object|null, error: string|null}}
+ */
+function parseStandardRow(row) {
+    const gender = parseGender(row.gender);
+    const eventDate = isoDate(row.event_date);
+    const wc = parseCategory(row.weight_class, { gender, date: eventDate });
+    const standard = {
+        event: row.event?.trim(),
+        event_date: eventDate,
+        gender,
+        age_group: row.age_group?.trim(),
+        weight_class: wc.weight_class,
+        qualifying_total: parseFloat(row.qualifying_total),
+        window_start: isoDate(row.window_start),
+        window_end: isoDate(row.window_end),
+        min_meet_level: MIN_LEVELS.find(l => l.toLowerCase() === (row.min_meet_level || 'Local').trim().toLowerCase()),
+        near_miss_kg: row.near_miss_kg ? parseFloat(row.near_miss_kg) : 5
+    };
+
+    const missing = COLUMNS.filter(c => standard[c] === null || standard[c] === undefined || standard[c] === '' || Number.isNaN(standard[c]));
+    if (missing.length > 0) return { standard: null, error: `missing or unreadable ${missing.join(', ')}` };
+    if (standard.window_start > standard.window_end) return { standard: null, error: 'window_start after window_end' };
+    if (!AGE_GROUPS.some(g => g.name === standard.age_group) && !/^Masters \(\d+(-\d+|\+)\)$/.test(standard.age_group)) {
+        return { standard: null, error: `unknown age group "${standard.age_group}"` };
+    }
+    const { era, sets } = getWeightClassEra(eventDate);
+    const inForce = Object.values(sets).some(set => {
+        const limits = set[gender];
+        return wc.is_plus ? limits[limits.length - 1] === wc.limit_kg : limits.includes(wc.limit_kg);
+    });
+    if (!inForce) return { standard: null, error: `${standard.weight_class} is not a weight class of the ${era} era` };
+    return { standard, error: null };
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { boolean: ['apply'] });
+    const file = args._[0];
+    if (!file || !fs.existsSync(file)) {
+        console.error('❌ Usage: node scripts/maintenance/import-qualifying-standards.js <standards.csv> [--apply]');
+        process.exit(1);
+    }
+
+    const { data: rows } = Papa.parse(fs.readFileSync(file, 'utf8'), { header: true, skipEmptyLines: true, transformHeader: h => h.trim().toLowerCase() });
+    const standards = [];
+    rows.forEach((row, i) => {
+        const { standard, error } = parseStandardRow(row);
+        if (error) console.warn(`⚠️ Row ${i + 2} skipped: ${error}`);
+        else standards.push(standard);
+    });
+    console.log(`[STANDARDS] ${standards.length}/${rows.length} rows valid (${new Set(standards.map(s => s.event)).size} events)`);
+
+    if (!args.apply) {
+        console.log('🔍 DRY RUN - pass --apply to write the standards.');
+        return;
+    }
+    if (!process.env.DB_HOST) {
+        console.error('❌ Error: DB_HOST not found in environment.');
+        process.exit(1);
+    }
+
+    const client = new Client(clientConfig);
+    try {
+        await client.connect();
+        for (const s of standards) {
+            await client.query(`
+                INSERT INTO public.usaw_qualifying_standards (${COLUMNS.join(', ')})
+                VALUES (${COLUMNS.map((_, i) => `$${i + 1}`).join(', ')})
+                ON CONFLICT (event, gender, age_group, weight_class) DO UPDATE SET
+                    event_date = EXCLUDED.event_date,
+                    qualifying_total = EXCLUDED.qualifying_total,
+                    window_start = EXCLUDED.window_start,
+                    window_end = EXCLUDED.window_end,
+                    min_meet_level = EXCLUDED.min_meet_level,
+                    near_miss_kg = EXCLUDED.near_miss_kg`,
+                COLUMNS.map(c => s[c]));
+        }
+        console.log(`✅ ${standards.length} standards written`);
+    } catch (err) {
+        console.error('❌ Import failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = { parseStandardRow };
@@ -64,7 +64,7 @@ class MeetReImportCLI {
         const args = minimist(argv.slice(2), {
             string: ['meet-ids', 'start-date', 'end-date', 'athlete-name', 'log-level'],
             number: ['batch-size', 'delay', 'limit', 'timeout', 'date-window'],
-            boolean: ['dry-run', 'force', 'help', 'version', 'analyze-only'],
+            boolean: ['dry-run', 'force', 'help', 'version', 'analyze-only', 'skip-rankings'],
             alias: {
                 'h': 'help',
                 'v': 'version',
@@ -113,6 +113,7 @@ Options:
   --log-level <level>     Log level: error, warn, info, debug (default: info)
   --dry-run, -d           Show what would be done without actually doing it
   --force, -f             Force re-import even for complete meets
+  --skip-rankings         Don't run the incremental ranking engine after the re-import
   --help, -h              Show this help message
   --version, -v           Show version information
 
@@ -183,6 +184,7 @@ Examples:
             dryRun: args['dry-run'],
             forceReImport: args.force,
             analyzeOnly: args['analyze-only'], // Add analyze-only flag
+            runRankings: !args['skip-rankings'],
             dateWindow: args['date-window'] || parseInt(process.env.DATE_WINDOW_DAYS) || 5
         });
     }
@@ -256,6 +258,10 @@ Examples:
                 }
             }
 
+            if (config.runRankings) {
+                await this._updateRankings(this.session.meetResults);
+            }
+
             // Generate final report
             this.session.complete('Re-import process completed');
             const summary = await this.progressReporter.generateSummaryReport(this.session.meetResults);
@@ -314,6 +320,29 @@ Examples:
         }
     }
 
+    /**
+     * Run the incremental ranking engine over the meets that gained results (plus any other changed meets)
+     * @private
+     */
+    async _updateRankings(meetResults) {
+        const meetIds = meetResults.filter(r => r.resultsAdded > 0).map(r => r.meetId);
+        if (meetIds.length === 0) {
+            this.logger.info('No results added - skipping ranking update');
+            return;
+        }
+
+        try {
+            // Loaded lazily: the ranking engine creates its own Supabase client on require
+            const { runIncrementalRankings } = require('../production/ranking-engine');
+            this.logger.info(`Updating division rankings (${meetIds.length} re-imported meets)...`);
+            const stats = await runIncrementalRankings({ triggeredBy: 're-import', meetIds });
+            this.logger.info(`Division rankings updated: ${stats.processed} meets, ${stats.saved} ranking entries, ${stats.failed} failed`);
+        } catch (error) {
+            // Rankings are derived data: the next incremental run retries, the re-import itself succeeded
+            this.logger.warn(`Ranking update failed: ${error.message}`);
+        }
+    }
+
     /**
      * Create batches from array of meets
      * @private
@@ -282,6 +282,9 @@ class ReImportConfiguration {
         
         // Date window for base64 URL lookups (in days, default: 5)
         this.dateWindow = options.dateWindow || parseInt(process.env.DATE_WINDOW_DAYS) || 5;
+        
+        // Run the incremental ranking engine after the re-import
+        this.runRankings = options.runRankings !== false;
     }
 
     /**
@@ -1,7 +1,6 @@
 const { Client } = require('pg');
-const fs = require('fs');
-const path = require('path');
 const zlib = require('zlib');
+const turf = require('@turf/turf');
 require('dotenv').config();
 
 const clientConfig = {
@@ -12,9 +11,18 @@ const clientConfig = {
     port: process.env.DB_PORT,
 };
 
-const OUTPUT_DIR = process.env.OUTPUT_DIR || '/var/www/athlete-data';
-const SHARDS_DIR = path.join(OUTPUT_DIR, 'shards');
 const { calculateCompetitionAge, getEligibleDivisions } = require('../shared/division-logic');
+const { withWeightBuckets, getBucketLabel, getBucketDimension } = require('../shared/population-buckets');
+const { shardKey, slugCollisions, namedShardId, namedShardKey, hashPayload, isUnchanged, recordShard } = require('./shard-manifest');
+const { getStorage } = require('./shard-storage');
+const { IDENTITY_CTES, resolvePublicIds } = require('./athlete-identity');
+const { getRivals } = require('./head-to-head');
+const { loadStandards } = require('./qualification-engine');
+const { groupStandards, evaluateAthlete } = require('../shared/qualification');
+const {
+    SCHEMA_VERSION, MEET_SCHEMA_VERSION, CLUB_SCHEMA_VERSION, WSO_SCHEMA_VERSION,
+    validateAthleteShard, validateMeetShard, validateClubShard, validateWsoShard
+} = require('./shard-schema');
 
 // ── Achievement Aggregator ──────────────────────────────────────────────────
 function aggregateAchievements(rankings) {
@@ -82,42 +90,68 @@ function aggregateAchievements(rankings) {
 }
 
 // ── Population Stats Loader ──────────────────────────────────────────────────
+// Reference files are read once per process from the configured storage backend.
 let _populationStats = null;
-function getPopulationStats() {
-    if (_populationStats) return _populationStats;
-    const p = path.join(OUTPUT_DIR, 'population_stats.json');
-    if (fs.existsSync(p)) {
-        try { 
-            _populationStats = JSON.parse(fs.readFileSync(p, 'utf8')); 
-            console.log(`[ASSEMBLER] Population stats loaded successfully from ${p}`);
-        } catch (e) { 
-            console.error(`[ASSEMBLER] Failed to parse population stats at ${p}:`, e);
-            _populationStats = {}; 
+let _historicalBenchmarks = null;
+
+async function loadReferenceFile(name, label) {
+    const storage = getStorage();
+    try {
+        const raw = await storage.read(name);
+        if (!raw) {
+            console.warn(`[ASSEMBLER] WARNING: ${name} missing in ${storage.describe()}. ${label} will be empty.`);
+            return {};
         }
-    } else {
-        console.warn(`[ASSEMBLER] WARNING: population_stats.json missing at ${p}. Analytics will be empty.`);
-        _populationStats = {};
+        const parsed = JSON.parse(raw.toString('utf8'));
+        console.log(`[ASSEMBLER] ${name} loaded successfully from ${storage.describe()}`);
+        return parsed;
+    } catch (e) {
+        console.error(`[ASSEMBLER] Failed to load ${name} from ${storage.describe()}:`, e);
+        return {};
     }
-    return _populationStats;
 }
 
-let _historicalBenchmarks = null;
-function getHistoricalBenchmarks() {
-    if (_historicalBenchmarks) return _historicalBenchmarks;
-    const p = path.join(OUTPUT_DIR, 'historical_benchmarks.json');
-    if (fs.existsSync(p)) {
-        try { 
-            _historicalBenchmarks = JSON.parse(fs.readFileSync(p, 'utf8')); 
-            console.log(`[ASSEMBLER] Historical benchmarks loaded successfully from ${p}`);
-        } catch (e) { 
-            console.error(`[ASSEMBLER] Failed to parse historical benchmarks at ${p}:`, e);
-            _historicalBenchmarks = {}; 
-        }
-    } else {
-        console.warn(`[ASSEMBLER] WARNING: historical_benchmarks.json missing at ${p}. Historical stats will be empty.`);
-        _historicalBenchmarks = {};
+let _referenceLoad = null;
+function loadReferenceData() {
+    if (!_referenceLoad) {
+        _referenceLoad = Promise.all([
+            loadReferenceFile('population_stats.json', 'Analytics'),
+            loadReferenceFile('historical_benchmarks.json', 'Historical stats')
+        ]).then(([stats, hist]) => {
+            _populationStats = stats;
+            _historicalBenchmarks = hist;
+        });
+    }
+    return _referenceLoad;
+}
+
+// Qualifying totals of upcoming events, re-read after QUALIFYING_TTL_MS so long-running
+// workers (listener, refresh queue) pick up new standards and events that close
+const QUALIFYING_TTL_MS = 60 * 60 * 1000;
+let _qualifyingLoad = null;
+let _qualifyingLoadedAt = 0;
+function loadQualifyingEvents(client) {
+    if (!_qualifyingLoad || Date.now() - _qualifyingLoadedAt > QUALIFYING_TTL_MS) {
+        const load = loadStandards(client)
+            .then(groupStandards)
+            .catch(e => {
+                // Not cached: the next athlete retries
+                if (_qualifyingLoad === load) _qualifyingLoad = null;
+                console.warn(`[ASSEMBLER] WARNING: qualifying standards unavailable (${e.message}). Qualification will be empty.`);
+                return [];
+            });
+        _qualifyingLoad = load;
+        _qualifyingLoadedAt = Date.now();
     }
-    return _historicalBenchmarks;
+    return _qualifyingLoad;
+}
+
+function getPopulationStats() {
+    return _populationStats || {};
+}
+
+function getHistoricalBenchmarks() {
+    return _historicalBenchmarks || {};
 }
 
 // ── Metric Calculation Logic ──────────────────────────────────────────────────
@@ -270,14 +304,6 @@ function getQualifyingBuckets(source, gender, age) {
     return buckets;
 }
 
-function getBucketLabel(key) {
-    const parts = key.split('_');
-    const source = parts[0].toUpperCase();
-    const gender = parts[1] === 'F' ? 'Female' : 'Male';
-    const category = parts[2];
-    return `${source} ${gender} ${category}`;
-}
-
 function getAthletePercentiles(results, gender, source, birthYear) {
     if (!results || results.length === 0) return null;
     const stats = getPopulationStats();
@@ -289,7 +315,9 @@ function getAthletePercentiles(results, gender, source, birthYear) {
     const compYear = new Date(latestRes.date).getFullYear();
     const age = birthYear ? compYear - birthYear : null;
 
-    const buckets = getQualifyingBuckets(source, gender, age);
+    // Weight-class and bodyweight comparisons are against the athlete's current class
+    const bodyWeight = results.find(r => parseFloat(r.body_weight_kg) > 0)?.body_weight_kg;
+    const buckets = withWeightBuckets(getQualifyingBuckets(source, gender, age), latestRes.weight_class, bodyWeight);
     const out = {};
 
     buckets.forEach(bKey => {
@@ -297,6 +325,7 @@ function getAthletePercentiles(results, gender, source, birthYear) {
         if (bStats) {
             out[bKey] = {
                 bucket: getBucketLabel(bKey),
+                dimension: getBucketDimension(bKey),
                 sampleSize: bStats.successRate?.sampleSize || 0,
                 career: {},
                 recent: {}
@@ -378,6 +407,123 @@ function getYearlySnapshots(results, gender, source, birthYear) {
     return Object.keys(snapshots).length > 0 ? snapshots : null;
 }
 
+// ── PR Progression ────────────────────────────────────────────────────────────
+const PR_LIFTS = [
+    { key: 'snatch', best: 'best_snatch', ytd: 'best_snatch_ytd' },
+    { key: 'cj', best: 'best_cj', ytd: 'best_cj_ytd' },
+    { key: 'total', best: 'total', ytd: 'best_total_ytd' }
+];
+
+const liftValue = (v) => { const n = parseAttempt(v); return n !== null && n > 0 ? n : null; };
+
+/**
+ * Builds the PR timeline for one source's results.
+ * overall / by_weight_class: every result that beat the previous best, oldest first.
+ * competitions: each result's lifts against the YTD best stored on the row (best_*_ytd
+ * includes the row itself, so value === ytd_best means the meet set or tied the year's best).
+ * @param {Object[]} results - Results as aggregated by generateAthlete (any order)
+ * @returns {Object|null} Progression, or null when there are no results
+ */
+function getPrProgression(results) {
+    if (!results || results.length === 0) return null;
+
+    const chronological = results
+        .filter(r => r.date)
+        .sort((a, b) => (new Date(a.date) - new Date(b.date)) || (a.id - b.id));
+
+    const emptyTimeline = () => ({ snatch: [], cj: [], total: [] });
+    const overall = emptyTimeline();
+    const byWeightClass = {};
+    const bests = { overall: {}, byWeightClass: {} };
+    const competitions = [];
+
+    const recordIfPr = (timeline, best, lift, r, value) => {
+        const previous = best[lift.key] ?? null;
+        if (previous !== null && value <= previous) return false;
+        best[lift.key] = value;
+        timeline[lift.key].push({
+            result_id: r.id,
+            date: r.date,
+            meet_id: r.meet_id,
+            meet_name: r.meet_name,
+            weight_class: r.weight_class || null,
+            value,
+            previous,
+            improvement: previous === null ? null : value - previous
+        });
+        return true;
+    };
+
+    chronological.forEach(r => {
+        const wc = r.weight_class || null;
+        if (wc && !byWeightClass[wc]) {
+            byWeightClass[wc] = emptyTimeline();
+            bests.byWeightClass[wc] = {};
+        }
+
+        const lifts = {};
+        PR_LIFTS.forEach(lift => {
+            const value = liftValue(r[lift.best]);
+            const ytdBest = liftValue(r[lift.ytd]);
+            let pr = false;
+            if (value !== null) {
+                pr = recordIfPr(overall, bests.overall, lift, r, value);
+                if (wc) recordIfPr(byWeightClass[wc], bests.byWeightClass[wc], lift, r, value);
+            }
+            lifts[lift.key] = {
+                value,
+                ytd_best: ytdBest,
+                ytd_best_set: value !== null && ytdBest !== null && value >= ytdBest,
+                pr
+            };
+        });
+
+        competitions.push({ result_id: r.id, date: r.date, meet_name: r.meet_name, weight_class: wc, ...lifts });
+    });
+
+    const lastPr = {};
+    PR_LIFTS.forEach(({ key }) => {
+        const timeline = overall[key];
+        lastPr[key] = timeline.length > 0 ? timeline[timeline.length - 1] : null;
+    });
+
+    return {
+        last_pr: lastPr,
+        overall,
+        by_weight_class: byWeightClass,
+        competitions: competitions.reverse() // newest first, like the results arrays
+    };
+}
+
+// ── Shard Writer ──────────────────────────────────────────────────────────────
+// USAW lifters without a membership number only have an internal/ shard
+function usawAthleteShard(membershipNumber, lifterId) {
+    return membershipNumber ? shardKey('usaw', membershipNumber) : shardKey('internal', lifterId);
+}
+
+function createPayload(data) {
+    const jsonStr = JSON.stringify(data);
+    return { jsonStr, hash: hashPayload(jsonStr), compressed: null };
+}
+
+/**
+ * Writes one shard unless the stored copy already holds the same payload.
+ * Content hashing keeps identical payloads in their existing file (and mtime).
+ * @returns {Promise<boolean>} true when the shard was written
+ */
+async function writeShard(key, payload) {
+    const slash = key.lastIndexOf('/');
+    const dir = key.slice(0, slash);
+    const idStr = key.slice(slash + 1, -'.json.gz'.length);
+
+    if (await isUnchanged(dir, idStr, payload.hash)) return false;
+
+    if (!payload.compressed) payload.compressed = zlib.gzipSync(payload.jsonStr);
+    await getStorage().write(key, payload.compressed);
+    await recordShard(dir, idStr, payload.hash, payload.compressed.length);
+    return true;
+}
+
 /**
  * THE ASSEMBLER - Phase 4.5 (UNIFIED SINGLE-QUERY)
  * Finalized logic to solve the 'relation not found' issue.
@@ -389,92 +535,15 @@ async function generateAthlete(params, externalClient = null) {
     if (!externalClient) await client.connect();
 
     try {
-        // Phase 1: Identity Resolution (Public Identifier -> Internal Join Key)
-        let resolvedUsawId = null;
-        if (usaw_id) {
-            const idStr = usaw_id.toString();
-            const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(idStr);
-            const isNumeric = /^\d+$/.test(idStr);
-
-            let filter;
-            if (isUuid) {
-                filter = 'lifter_id = $1::uuid';
-            } else if (isNumeric) {
-                // Check both membership and numeric lifter_id using text casting for safety
-                filter = 'membership_number::text = $1 OR lifter_id::text = $1';
-            } else {
-                filter = 'membership_number::text = $1';
-            }
-
-            const lookup = await client.query(`SELECT lifter_id FROM usaw_lifters WHERE ${filter} LIMIT 1`, [idStr]);
-            resolvedUsawId = lookup.rows[0]?.lifter_id || null;
-            
-            if (usaw_id && !resolvedUsawId) {
-                console.warn(`[ASSEMBLER] Warning: Failed to resolve USAW ID ${usaw_id} to an internal lifter_id`);
-            }
-        }
+        await loadReferenceData();
 
-        let resolvedIwfId = null;
-        if (iwf_id) {
-            const idStr = iwf_id.toString();
-            const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(idStr);
-            const isNumeric = /^\d+$/.test(idStr);
-
-            let filter;
-            if (isUuid) {
-                filter = 'db_lifter_id = $1::uuid';
-            } else if (isNumeric) {
-                filter = 'iwf_lifter_id::text = $1 OR db_lifter_id::text = $1';
-            } else {
-                filter = 'iwf_lifter_id::text = $1';
-            }
-
-            const lookup = await client.query(`SELECT db_lifter_id FROM iwf_lifters WHERE ${filter} LIMIT 1`, [idStr]);
-            resolvedIwfId = lookup.rows[0]?.db_lifter_id || null;
-
-            if (iwf_id && !resolvedIwfId) {
-                console.warn(`[ASSEMBLER] Warning: Failed to resolve IWF ID ${iwf_id} to an internal db_lifter_id`);
-            }
-        }
+        // Phase 1: Identity Resolution (Public Identifier -> Internal Join Key)
+        const { resolvedUsawId, resolvedIwfId } = await resolvePublicIds(client, { usaw_id, iwf_id });
+        // Deleted or merged away since the id was queued: nothing to write, and not an error
+        if (!resolvedUsawId && !resolvedIwfId) return { success: false, not_found: true, message: 'Lifter not found' };
 
         const query = `
-            WITH RECURSIVE athlete_identity AS (
-                -- Anchor row
-                SELECT usaw_lifter_id, iwf_db_lifter_id, iwf_db_lifter_id_2
-                FROM athlete_aliases
-                WHERE (usaw_lifter_id = $1 AND $1 IS NOT NULL)
-                   OR (iwf_db_lifter_id = $2 AND $2 IS NOT NULL)
-                   OR (iwf_db_lifter_id_2 = $2 AND $2 IS NOT NULL)
-                
-                UNION
-                
-                -- Follow the alias chains
-                SELECT aa.usaw_lifter_id, aa.iwf_db_lifter_id, aa.iwf_db_lifter_id_2
-                FROM athlete_aliases aa
-                JOIN athlete_identity ai ON (
-                    aa.iwf_db_lifter_id = ai.iwf_db_lifter_id OR
-                    aa.iwf_db_lifter_id = ai.iwf_db_lifter_id_2 OR
-                    aa.iwf_db_lifter_id_2 = ai.iwf_db_lifter_id OR
-                    aa.iwf_db_lifter_id_2 = ai.iwf_db_lifter_id_2 OR
-                    (aa.usaw_lifter_id = ai.usaw_lifter_id AND aa.usaw_lifter_id IS NOT NULL)
-                )
-            ),
-            all_iwf_db_ids AS (
-                SELECT DISTINCT id FROM (
-                    SELECT iwf_db_lifter_id as id FROM athlete_identity WHERE iwf_db_lifter_id IS NOT NULL
-                    UNION
-                    SELECT iwf_db_lifter_id_2 as id FROM athlete_identity WHERE iwf_db_lifter_id_2 IS NOT NULL
-                    UNION
-                    SELECT $2 as id WHERE $2 IS NOT NULL
-                ) ids
-            ),
-            all_usaw_internal_ids AS (
-                SELECT DISTINCT id FROM (
-                    SELECT usaw_lifter_id as id FROM athlete_identity WHERE usaw_lifter_id IS NOT NULL
-                    UNION
-                    SELECT $1 as id WHERE $1 IS NOT NULL
-                ) ids
-            ),
+            WITH RECURSIVE ${IDENTITY_CTES},
             usaw_results_agg AS (
                 SELECT 
                     jsonb_agg(
@@ -497,6 +566,9 @@ async function generateAthlete(params, externalClient = null) {
                             'cj_lift_3', r.cj_lift_3,
                             'best_cj', r.best_cj,
                             'total', r.total,
+                            'best_snatch_ytd', r.best_snatch_ytd,
+                            'best_cj_ytd', r.best_cj_ytd,
+                            'best_total_ytd', r.best_total_ytd,
                             'q_youth', r.q_youth,
                             'qpoints', r.qpoints,
                             'q_masters', r.q_masters,
@@ -506,11 +578,13 @@ async function generateAthlete(params, externalClient = null) {
                             'gamx_u', r.gamx_u,
                             'gamx_a', r.gamx_a,
                             'gamx_masters', r.gamx_masters,
+                            'sinclair', r.sinclair,
+                            'sinclair_masters', r.sinclair_masters,
                             'wso', r.wso,
                             'club_name', r.club_name,
                             'gender', r.gender,
                             'birth_year', r.birth_year
-                        ) ORDER BY r.date::DATE DESC
+                        ) ORDER BY NULLIF(r.date, '')::DATE DESC NULLS LAST
                     ) as results
                 FROM usaw_meet_results r
                 LEFT JOIN usaw_meets m ON r.meet_id = m.meet_id
@@ -539,6 +613,9 @@ async function generateAthlete(params, externalClient = null) {
                             'cj_lift_3', r.cj_lift_3,
                             'best_cj', r.best_cj,
                             'total', r.total,
+                            'best_snatch_ytd', r.best_snatch_ytd,
+                            'best_cj_ytd', r.best_cj_ytd,
+                            'best_total_ytd', r.best_total_ytd,
                             'qpoints', r.qpoints,
                             'q_youth', r.q_youth,
                             'q_masters', r.q_masters,
@@ -548,9 +625,11 @@ async function generateAthlete(params, externalClient = null) {
                             'gamx_u', r.gamx_u,
                             'gamx_a', r.gamx_a,
                             'gamx_masters', r.gamx_masters,
+                            'sinclair', r.sinclair,
+                            'sinclair_masters', r.sinclair_masters,
                             'gender', r.gender,
                             'birth_year', r.birth_year
-                        ) ORDER BY r.date::DATE DESC
+                        ) ORDER BY NULLIF(r.date, '')::DATE DESC NULLS LAST
                     ) as results
                 FROM iwf_meet_results r
                 LEFT JOIN iwf_meets m ON r.db_meet_id = m.db_meet_id
@@ -591,7 +670,8 @@ async function generateAthlete(params, externalClient = null) {
                 SELECT jsonb_build_object(
                     'usaw_ids', (SELECT jsonb_agg(DISTINCT membership_number) FROM usaw_lifters WHERE lifter_id IN (SELECT id FROM all_usaw_internal_ids) AND membership_number IS NOT NULL),
                     'iwf_ids', (SELECT jsonb_agg(DISTINCT iwf_lifter_id) FROM iwf_lifters WHERE db_lifter_id IN (SELECT id FROM all_iwf_db_ids) AND iwf_lifter_id IS NOT NULL),
-                    'internal_ids', (SELECT jsonb_agg(DISTINCT id) FROM all_usaw_internal_ids)
+                    'internal_ids', (SELECT jsonb_agg(DISTINCT id) FROM all_usaw_internal_ids),
+                    'iwf_db_ids', (SELECT jsonb_agg(DISTINCT id) FROM all_iwf_db_ids)
                 ) as ids
             )
             SELECT 
@@ -621,7 +701,7 @@ async function generateAthlete(params, externalClient = null) {
         `;
 
         const res = await client.query(query, [resolvedUsawId || null, resolvedIwfId || null]);
-        if (res.rows.length === 0) return { success: false, message: 'Lifter not found' };
+        if (res.rows.length === 0) return { success: false, not_found: true, message: 'Lifter not found' };
 
         const row = res.rows[0];
         const usawRes = row.usaw_results || [];
@@ -634,6 +714,13 @@ async function generateAthlete(params, externalClient = null) {
         const gender = usawRes.find(r => r.gender)?.gender 
             || iwfRes.find(r => r.gender)?.gender;
 
+        const qualifyingEvents = await loadQualifyingEvents(client);
+
+        const rivals = await getRivals(client, {
+            usawLifterIds: row.shard_ids?.internal_ids || [],
+            iwfDbLifterIds: row.shard_ids?.iwf_db_ids || []
+        });
+
         const latestUsaw = usawRes.find(r => r.date);
         const latestIwf = iwfRes.find(r => r.date);
 
@@ -643,6 +730,7 @@ async function generateAthlete(params, externalClient = null) {
         ].filter(Boolean);
 
         const data = {
+            schema_version: SCHEMA_VERSION,
             id: usaw_id || iwf_id,
             internal_id: row.internal_id,
             linked_usaw_id: row.membership_number,
@@ -665,30 +753,38 @@ async function generateAthlete(params, externalClient = null) {
             historical_stats: {
                 usaw: getYearlySnapshots(row.usaw_results, gender, 'usaw', birthYear),
                 iwf: getYearlySnapshots(row.iwf_results, gender, 'iwf', birthYear)
-            }
+            },
+            pr_progression: {
+                usaw: getPrProgression(row.usaw_results),
+                iwf: getPrProgression(row.iwf_results)
+            },
+            rivals,
+            qualification: evaluateAthlete(row.usaw_results, qualifyingEvents, { gender, birthYear })
         };
 
-        const jsonStr = JSON.stringify(data);
-        const compressed = zlib.gzipSync(jsonStr);
+        // Never publish a shard the frontend cannot read; the previous version stays in place
+        const validation = validateAthleteShard(data);
+        if (!validation.valid) {
+            console.error(`[ASSEMBLER] Schema validation failed for USAW:${usaw_id}, IWF:${iwf_id}: ${validation.errors}`);
+            return { success: false, error: `Schema validation failed: ${validation.errors}` };
+        }
 
-        const writeFile = (type, id) => {
+        const payload = createPayload(data);
+        let written = 0, skipped = 0;
+
+        const writeFile = async (type, id) => {
             if (!id) return;
-            const idStr = id.toString();
-            const shard = idStr.slice(-2).padStart(2, '0');
-            const dir = path.join(OUTPUT_DIR, type, shard);
-            const file = path.join(dir, `${idStr}.json.gz`);
-            if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-            fs.writeFileSync(file, compressed);
-            fs.chmodSync(file, 0o644);
+            if (await writeShard(shardKey(type, id), payload)) written++;
+            else skipped++;
         };
 
         // Triple-Writer Shard generation using IDs collected in the same query
         const shardIds = row.shard_ids || {};
-        if (shardIds.usaw_ids) shardIds.usaw_ids.forEach(id => writeFile('usaw', id));
-        if (shardIds.iwf_ids) shardIds.iwf_ids.forEach(id => writeFile('iwf', id));
-        if (shardIds.internal_ids) shardIds.internal_ids.forEach(id => writeFile('internal', id));
+        for (const id of shardIds.usaw_ids || []) await writeFile('usaw', id);
+        for (const id of shardIds.iwf_ids || []) await writeFile('iwf', id);
+        for (const id of shardIds.internal_ids || []) await writeFile('internal', id);
 
-        return { success: true, shards_written: (shardIds.usaw_ids?.length || 0) + (shardIds.iwf_ids?.length || 0) + (shardIds.internal_ids?.length || 0) };
+        return { success: true, shards_written: written, shards_skipped: skipped, hash: payload.hash };
 
     } catch (err) {
         console.error(`[ASSEMBLER] Universal Fatal Error for USAW:${usaw_id}, IWF:${iwf_id}:`, err);
@@ -698,4 +794,525 @@ async function generateAthlete(params, externalClient = null) {
     }
 }
 
-module.exports = { generateAthlete };
+// ── Meet Shards ───────────────────────────────────────────────────────────────
+const USAW_MEET_QUERY = `
+    SELECT
+        m.meet_id AS id,
+        m."Meet" AS name,
+        m."Level" AS level,
+        m."Date"::text AS date,
+        m.date_range,
+        m."URL" AS url,
+        m.meet_internal_id,
+        m.wso_geography,
+        to_jsonb(loc) AS location,
+        COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'result_id', r.result_id,
+                'lifter_id', r.lifter_id,
+                'membership_number', l.membership_number,
+                'athlete_name', COALESCE(l.athlete_name, r.lifter_name),
+                'gender', r.gender,
+                'age_category', r.age_category,
+                'weight_class', r.weight_class,
+                'body_weight_kg', r.body_weight_kg,
+                'competition_age', r.competition_age,
+                'snatch_lift_1', r.snatch_lift_1,
+                'snatch_lift_2', r.snatch_lift_2,
+                'snatch_lift_3', r.snatch_lift_3,
+                'best_snatch', r.best_snatch,
+                'cj_lift_1', r.cj_lift_1,
+                'cj_lift_2', r.cj_lift_2,
+                'cj_lift_3', r.cj_lift_3,
+                'best_cj', r.best_cj,
+                'total', r.total,
+                'qpoints', r.qpoints,
+                'q_youth', r.q_youth,
+                'q_masters', r.q_masters,
+                'gamx_total', r.gamx_total,
+                'sinclair', r.sinclair,
+                'sinclair_masters', r.sinclair_masters,
+                'wso', r.wso,
+                'club_name', r.club_name
+            ))
+            FROM usaw_meet_results r
+            LEFT JOIN usaw_lifters l ON l.lifter_id = r.lifter_id
+            WHERE r.meet_id = m.meet_id
+        ), '[]'::jsonb) AS results,
+        COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'result_id', dr.result_id,
+                'division', dr.division_name,
+                'snatch_rank', dr.snatch_rank,
+                'cj_rank', dr.cj_rank,
+                'total_rank', dr.total_rank
+            ) ORDER BY dr.division_name, dr.total_rank NULLS LAST)
+            FROM usaw_division_rankings dr
+            JOIN usaw_meet_results r ON dr.result_id = r.result_id
+            WHERE r.meet_id = m.meet_id
+              AND (dr.total_rank <= 3 OR dr.snatch_rank <= 3 OR dr.cj_rank <= 3)
+        ), '[]'::jsonb) AS podium
+    FROM usaw_meets m
+    LEFT JOIN LATERAL (
+        SELECT raw_address, street_address, city, state, zip_code, country,
+               latitude, longitude, elevation_meters, elevation_source,
+               geocode_display_name, location_text
+        FROM usaw_meet_locations ml
+        WHERE ml.meet_id = m.meet_id
+        ORDER BY ml.id DESC
+        LIMIT 1
+    ) loc ON true
+    WHERE m.meet_id = $1`;
+
+const IWF_MEET_QUERY = `
+    SELECT
+        m.db_meet_id AS id,
+        m.iwf_meet_id,
+        m.meet AS name,
+        m.level,
+        m.date,
+        m.url,
+        to_jsonb(loc) AS location,
+        COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'result_id', r.db_result_id,
+                'db_lifter_id', r.db_lifter_id,
+                'iwf_lifter_id', il.iwf_lifter_id,
+                'athlete_name', COALESCE(il.athlete_name, r.lifter_name),
+                'gender', r.gender,
+                'age_category', r.age_category,
+                'weight_class', r.weight_class,
+                'body_weight_kg', r.body_weight_kg,
+                'competition_age', r.competition_age,
+                'snatch_lift_1', r.snatch_lift_1,
+                'snatch_lift_2', r.snatch_lift_2,
+                'snatch_lift_3', r.snatch_lift_3,
+                'best_snatch', r.best_snatch,
+                'cj_lift_1', r.cj_lift_1,
+                'cj_lift_2', r.cj_lift_2,
+                'cj_lift_3', r.cj_lift_3,
+                'best_cj', r.best_cj,
+                'total', r.total,
+                'rank', r.rank,
+                'qpoints', r.qpoints,
+                'q_youth', r.q_youth,
+                'q_masters', r.q_masters,
+                'gamx_total', r.gamx_total,
+                'sinclair', r.sinclair,
+                'sinclair_masters', r.sinclair_masters,
+                'country_code', r.country_code
+            ))
+            FROM iwf_meet_results r
+            LEFT JOIN iwf_lifters il ON il.db_lifter_id = r.db_lifter_id
+            WHERE r.db_meet_id = m.db_meet_id
+        ), '[]'::jsonb) AS results
+    FROM iwf_meets m
+    LEFT JOIN LATERAL (
+        SELECT address, venue_name, city, country, latitude, longitude, location_text
+        FROM iwf_meet_locations ml
+        WHERE ml.iwf_meet_id = m.iwf_meet_id
+        LIMIT 1
+    ) loc ON true
+    WHERE m.db_meet_id = $1`;
+
+// "+109kg" sorts after "109kg"; unparseable classes go last
+function weightClassOrder(weightClass) {
+    const n = parseInt((weightClass || '').replace(/[^\d]/g, ''));
+    if (isNaN(n)) return Infinity;
+    return n + (weightClass.includes('+') ? 0.5 : 0);
+}
+
+function compareByTotal(a, b) {
+    const ta = parseAttempt(a.total) || 0, tb = parseAttempt(b.total) || 0;
+    if (ta !== tb) return tb - ta;
+    return (parseFloat(a.body_weight_kg) || Infinity) - (parseFloat(b.body_weight_kg) || Infinity);
+}
+
+function groupByWeightClass(results) {
+    const groups = new Map();
+    results.forEach(r => {
+        const key = `${r.gender || ''}|${r.weight_class || ''}`;
+        if (!groups.has(key)) groups.set(key, { gender: r.gender || null, weight_class: r.weight_class || null, results: [] });
+        groups.get(key).results.push(r);
+    });
+
+    return [...groups.values()]
+        .sort((a, b) => (a.gender || '').localeCompare(b.gender || '') || weightClassOrder(a.weight_class) - weightClassOrder(b.weight_class))
+        .map(g => ({ ...g, results: g.results.sort(compareByTotal) }));
+}
+
+/**
+ * Builds and writes one meet shard at meets/usaw/<shard>/<meet_id>.json.gz or
+ * meets/iwf/<shard>/<db_meet_id>.json.gz. Each result links to the athlete
+ * shard the frontend should open for that lifter.
+ * @param {{usaw_meet_id?: number|string, iwf_meet_id?: number|string}} params - iwf_meet_id is iwf_meets.db_meet_id
+ */
+async function generateMeet(params, externalClient = null) {
+    const { usaw_meet_id, iwf_meet_id } = params;
+    const source = usaw_meet_id ? 'usaw' : 'iwf';
+    const meetId = usaw_meet_id || iwf_meet_id;
+
+    const client = externalClient || new Client(clientConfig);
+    if (!externalClient) await client.connect();
+
+    try {
+        const res = await client.query(source === 'usaw' ? USAW_MEET_QUERY : IWF_MEET_QUERY, [meetId.toString()]);
+        if (res.rows.length === 0) return { success: false, not_found: true, message: 'Meet not found' };
+        const row = res.rows[0];
+
+        const results = row.results.map(r => {
+            const { lifter_id, membership_number, db_lifter_id, iwf_lifter_id, ...rest } = r;
+            let athleteShard = null;
+            if (source === 'usaw') athleteShard = usawAthleteShard(membership_number, lifter_id);
+            else if (iwf_lifter_id) athleteShard = shardKey('iwf', iwf_lifter_id);
+            return { ...rest, athlete_id: source === 'usaw' ? lifter_id : db_lifter_id, athlete_shard: athleteShard };
+        });
+
+        let podium;
+        if (source === 'usaw') {
+            const byResult = new Map(results.map(r => [r.result_id, r]));
+            podium = row.podium.map(p => ({
+                ...p,
+                athlete_name: byResult.get(p.result_id)?.athlete_name || null,
+                athlete_shard: byResult.get(p.result_id)?.athlete_shard || null
+            }));
+        } else {
+            // IWF has no division rankings; the official per-category rank is the podium
+            podium = results
+                .filter(r => r.rank >= 1 && r.rank <= 3)
+                .map(r => ({ result_id: r.result_id, division: `${r.gender || ''} ${r.weight_class || ''}`.trim(), snatch_rank: null, cj_rank: null, total_rank: r.rank, athlete_name: r.athlete_name, athlete_shard: r.athlete_shard }))
+                .sort((a, b) => a.division.localeCompare(b.division) || a.total_rank - b.total_rank);
+        }
+
+        const data = {
+            schema_version: MEET_SCHEMA_VERSION,
+            source,
+            id: row.id,
+            name: row.name,
+            level: row.level,
+            date: row.date,
+            date_range: row.date_range || null,
+            url: row.url,
+            ...(source === 'usaw'
+                ? { meet_internal_id: row.meet_internal_id, wso_geography: row.wso_geography }
+                : { iwf_meet_id: row.iwf_meet_id }),
+            location: row.location,
+            athlete_count: new Set(results.map(r => r.athlete_id)).size,
+            result_count: results.length,
+            weight_classes: groupByWeightClass(results),
+            podium
+        };
+
+        const validation = validateMeetShard(data);
+        if (!validation.valid) {
+            console.error(`[ASSEMBLER] Schema validation failed for ${source.toUpperCase()} meet ${meetId}: ${validation.errors}`);
+            return { success: false, error: `Schema validation failed: ${validation.errors}` };
+        }
+
+        const payload = createPayload(data);
+        const written = await writeShard(shardKey(`meets/${source}`, row.id), payload);
+        return { success: true, shards_written: written ? 1 : 0, shards_skipped: written ? 0 : 1, hash: payload.hash };
+
+    } catch (err) {
+        console.error(`[ASSEMBLER] Meet Fatal Error for ${source.toUpperCase()} meet ${meetId}:`, err);
+        return { success: false, error: err.message };
+    } finally {
+        if (!externalClient) await client.end();
+    }
+}
+
+// ── Club & WSO Shards ─────────────────────────────────────────────────────────
+const CLUB_ROSTER_MONTHS = 12;
+const CLUB_RECENT_RESULTS = 50;
+const CLUB_RECENT_MEDALS = 25;
+const TERRITORY_TOLERANCE = 0.005; // degrees, roughly 500m
+const TERRITORY_PRECISION = 4;
+
+// Slugs shared by several club (or WSO) names, which give those names suffixed shard ids;
+// re-read after NAME_COLLISIONS_TTL_MS like the qualifying events so new clubs are picked up
+const NAME_COLLISIONS_TTL_MS = 60 * 60 * 1000;
+const NAME_QUERIES = {
+    clubs: 'SELECT club_name AS name FROM usaw_clubs',
+    wsos: 'SELECT name FROM usaw_wso_information'
+};
+const _nameCollisions = new Map(); // type -> { load, loadedAt }
+function loadNameCollisions(client, type) {
+    const cached = _nameCollisions.get(type);
+    if (!cached || Date.now() - cached.loadedAt > NAME_COLLISIONS_TTL_MS) {
+        const load = client.query(NAME_QUERIES[type])
+            .then(res => {
+                const collisions = slugCollisions(res.rows.map(r => r.name).filter(Boolean));
+                if (collisions.size > 0) {
+                    console.warn(`[ASSEMBLER] ⚠️ ${type} sharing a slug get a suffixed shard id: ${[...collisions].join(', ')}`);
+                }
+                return collisions;
+            })
+            .catch(e => {
+                // Not cached: the next shard retries
+                if (_nameCollisions.get(type)?.load === load) _nameCollisions.delete(type);
+                throw e;
+            });
+        _nameCollisions.set(type, { load, loadedAt: Date.now() });
+    }
+    return _nameCollisions.get(type).load;
+}
+
+const CLUB_QUERY = `
+    SELECT
+        c.club_name AS name,
+        c.wso_geography AS wso,
+        c.state,
+        c.address,
+        c.phone,
+        c.email,
+        jsonb_build_object(
+            'latitude', c.latitude,
+            'longitude', c.longitude,
+            'elevation_meters', c.elevation_meters,
+            'elevation_source', c.elevation_source,
+            'geocode_display_name', c.geocode_display_name,
+            'geocode_precision_score', c.geocode_precision_score,
+            'geocode_success', c.geocode_success
+        ) AS geocode,
+        jsonb_build_object(
+            'recent_meets_count', c.recent_meets_count,
+            'active_lifters_count', c.active_lifters_count,
+            'total_participations', c.total_participations,
+            'activity_factor', c.activity_factor,
+            'analytics_updated_at', c.analytics_updated_at
+        ) AS analytics,
+        COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'snapshot_month', m.snapshot_month,
+                'active_members_12mo', m.active_members_12mo,
+                'total_competitions_12mo', m.total_competitions_12mo,
+                'unique_lifters_12mo', m.unique_lifters_12mo,
+                'activity_factor', m.activity_factor
+            ) ORDER BY m.snapshot_month)
+            FROM usaw_club_rolling_metrics m
+            WHERE m.club_name = c.club_name
+        ), '[]'::jsonb) AS rolling_metrics,
+        COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'lifter_id', x.lifter_id,
+                'membership_number', x.membership_number,
+                'athlete_name', x.athlete_name,
+                'gender', x.gender,
+                'last_competed', x.last_competed,
+                'results_count', x.results_count,
+                'best_total', x.best_total
+            ) ORDER BY x.last_competed DESC, x.athlete_name)
+            FROM (
+                SELECT r.lifter_id, l.membership_number,
+                       COALESCE(l.athlete_name, MAX(r.lifter_name)) AS athlete_name,
+                       MAX(r.gender) AS gender,
+                       MAX(NULLIF(r.date, '')::DATE) AS last_competed,
+                       COUNT(*)::int AS results_count,
+                       MAX(CASE WHEN r.total ~ '^[0-9]+$' THEN r.total::int END) AS best_total
+                FROM usaw_meet_results r
+                LEFT JOIN usaw_lifters l ON l.lifter_id = r.lifter_id
+                WHERE r.club_name = c.club_name
+                  AND NULLIF(r.date, '')::DATE >= CURRENT_DATE - make_interval(months => ${CLUB_ROSTER_MONTHS})
+                GROUP BY r.lifter_id, l.membership_number, l.athlete_name
+            ) x
+        ), '[]'::jsonb) AS roster,
+        COALESCE((
+            SELECT jsonb_agg(y ORDER BY y.date DESC NULLS LAST, y.result_id)
+            FROM (
+                SELECT r.result_id, r.meet_id, r.meet_name, NULLIF(r.date, '')::DATE AS date,
+                       r.lifter_id, l.membership_number,
+                       COALESCE(l.athlete_name, r.lifter_name) AS athlete_name,
+                       r.age_category, r.weight_class, r.best_snatch, r.best_cj, r.total
+                FROM usaw_meet_results r
+                LEFT JOIN usaw_lifters l ON l.lifter_id = r.lifter_id
+                WHERE r.club_name = c.club_name
+                ORDER BY NULLIF(r.date, '')::DATE DESC NULLS LAST, r.result_id
+                LIMIT ${CLUB_RECENT_RESULTS}
+            ) y
+        ), '[]'::jsonb) AS recent_results,
+        COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'result_id', dr.result_id,
+                'division', dr.division_name,
+                'snatch_rank', dr.snatch_rank,
+                'cj_rank', dr.cj_rank,
+                'total_rank', dr.total_rank,
+                'meet_name', m."Meet",
+                'date', m."Date",
+                'level', m."Level"
+            ))
+            FROM usaw_division_rankings dr
+            JOIN usaw_meet_results r ON dr.result_id = r.result_id
+            JOIN usaw_meets m ON r.meet_id = m.meet_id
+            WHERE r.club_name = c.club_name
+        ), '[]'::jsonb) AS rankings
+    FROM usaw_clubs c
+    WHERE c.club_name = $1`;
+
+const WSO_QUERY = `
+    SELECT
+        w.wso_id,
+        w.name,
+        w.official_url,
+        w.contact_email,
+        w.geographic_type,
+        w.states,
+        w.counties,
+        w.active_status,
+        w.territory_geojson,
+        jsonb_build_object('lat', w.geographic_center_lat, 'lng', w.geographic_center_lng) AS center,
+        jsonb_build_object(
+            'barbell_clubs_count', w.barbell_clubs_count,
+            'recent_meets_count', w.recent_meets_count,
+            'active_lifters_count', w.active_lifters_count,
+            'estimated_population', w.estimated_population,
+            'total_participations', w.total_participations,
+            'activity_factor', w.activity_factor,
+            'analytics_updated_at', w.analytics_updated_at
+        ) AS analytics,
+        COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'name', c.club_name,
+                'state', c.state,
+                'latitude', c.latitude,
+                'longitude', c.longitude,
+                'active_lifters_count', c.active_lifters_count,
+                'recent_meets_count', c.recent_meets_count,
+                'activity_factor', c.activity_factor
+            ) ORDER BY c.active_lifters_count DESC NULLS LAST, c.club_name)
+            FROM usaw_clubs c
+            WHERE c.wso_geography = w.name
+        ), '[]'::jsonb) AS clubs
+    FROM usaw_wso_information w
+    WHERE w.name = $1`;
+
+/**
+ * Territories are stored at full survey resolution; the shard only needs enough
+ * detail to draw the WSO outline on a map.
+ */
+function simplifyTerritory(geojson, wsoName) {
+    if (!geojson) return null;
+    try {
+        const simplified = turf.simplify(geojson, { tolerance: TERRITORY_TOLERANCE, highQuality: false });
+        return turf.truncate(simplified, { precision: TERRITORY_PRECISION, coordinates: 2 });
+    } catch (e) {
+        console.warn(`[ASSEMBLER] Could not simplify territory for WSO ${wsoName}: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Builds and writes one club shard at clubs/<slug>.json.gz (see namedShardId).
+ * @param {{club_name: string}} params
+ */
+async function generateClub(params, externalClient = null) {
+    const { club_name } = params;
+
+    const client = externalClient || new Client(clientConfig);
+    if (!externalClient) await client.connect();
+
+    try {
+        const res = await client.query(CLUB_QUERY, [club_name]);
+        if (res.rows.length === 0) return { success: false, not_found: true, message: 'Club not found' };
+        const row = res.rows[0];
+        const clubCollisions = await loadNameCollisions(client, 'clubs');
+
+        const { medals, ...medalCounts } = aggregateAchievements(row.rankings);
+
+        const data = {
+            schema_version: CLUB_SCHEMA_VERSION,
+            name: row.name,
+            slug: namedShardId(row.name, clubCollisions),
+            wso: row.wso,
+            wso_shard: row.wso ? namedShardKey('wsos', row.wso, await loadNameCollisions(client, 'wsos')) : null,
+            state: row.state,
+            contact: { address: row.address, phone: row.phone, email: row.email },
+            geocode: row.geocode,
+            analytics: row.analytics,
+            rolling_metrics: row.rolling_metrics,
+            roster_window_months: CLUB_ROSTER_MONTHS,
+            roster: row.roster.map(({ lifter_id, membership_number, ...r }) => ({
+                ...r,
+                athlete_id: lifter_id,
+                athlete_shard: usawAthleteShard(membership_number, lifter_id)
+            })),
+            recent_results: row.recent_results.map(({ lifter_id, membership_number, ...r }) => ({
+                ...r,
+                athlete_id: lifter_id,
+                athlete_shard: usawAthleteShard(membership_number, lifter_id),
+                meet_shard: shardKey('meets/usaw', r.meet_id)
+            })),
+            achievements: { ...medalCounts, recent_medals: medals.slice(0, CLUB_RECENT_MEDALS) }
+        };
+
+        const validation = validateClubShard(data);
+        if (!validation.valid) {
+            console.error(`[ASSEMBLER] Schema validation failed for club ${club_name}: ${validation.errors}`);
+            return { success: false, error: `Schema validation failed: ${validation.errors}` };
+        }
+
+        const payload = createPayload(data);
+        const written = await writeShard(namedShardKey('clubs', row.name, clubCollisions), payload);
+        return { success: true, shards_written: written ? 1 : 0, shards_skipped: written ? 0 : 1, hash: payload.hash };
+
+    } catch (err) {
+        console.error(`[ASSEMBLER] Club Fatal Error for ${club_name}:`, err);
+        return { success: false, error: err.message };
+    } finally {
+        if (!externalClient) await client.end();
+    }
+}
+
+/**
+ * Builds and writes one WSO shard at wsos/<slug>.json.gz (see namedShardId).
+ * @param {{wso_name: string}} params
+ */
+async function generateWso(params, externalClient = null) {
+    const { wso_name } = params;
+
+    const client = externalClient || new Client(clientConfig);
+    if (!externalClient) await client.connect();
+
+    try {
+        const res = await client.query(WSO_QUERY, [wso_name]);
+        if (res.rows.length === 0) return { success: false, not_found: true, message: 'WSO not found' };
+        const row = res.rows[0];
+        const wsoCollisions = await loadNameCollisions(client, 'wsos');
+        const clubCollisions = await loadNameCollisions(client, 'clubs');
+
+        const data = {
+            schema_version: WSO_SCHEMA_VERSION,
+            wso_id: row.wso_id,
+            name: row.name,
+            slug: namedShardId(row.name, wsoCollisions),
+            official_url: row.official_url,
+            contact_email: row.contact_email,
+            geographic_type: row.geographic_type,
+            states: row.states || [],
+            counties: row.counties || [],
+            active_status: row.active_status,
+            center: row.center,
+            analytics: row.analytics,
+            clubs: row.clubs.map(c => ({ ...c, club_shard: namedShardKey('clubs', c.name, clubCollisions) })),
+            territory: simplifyTerritory(row.territory_geojson, row.name)
+        };
+
+        const validation = validateWsoShard(data);
+        if (!validation.valid) {
+            console.error(`[ASSEMBLER] Schema validation failed for WSO ${wso_name}: ${validation.errors}`);
+            return { success: false, error: `Schema validation failed: ${validation.errors}` };
+        }
+
+        const payload = createPayload(data);
+        const written = await writeShard(namedShardKey('wsos', row.name, wsoCollisions), payload);
+        return { success: true, shards_written: written ? 1 : 0, shards_skipped: written ? 0 : 1, hash: payload.hash };
+
+    } catch (err) {
+        console.error(`[ASSEMBLER] WSO Fatal Error for ${wso_name}:`, err);
+        return { success: false, error: err.message };
+    } finally {
+        if (!externalClient) await client.end();
+    }
+}
+
+module.exports = { generateAthlete, generateMeet, generateClub, generateWso };
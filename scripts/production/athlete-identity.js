@@ -0,0 +1,128 @@
+/**
+ * ATHLETE IDENTITY
+ *
+ * Resolves a public USAW or IWF identifier to every internal lifter row that
+ * belongs to the same person, following the athlete_aliases chains. Used by the
+ * assembler (one shard per person) and by head-to-head (both sides of a rivalry).
+ */
+
+/**
+ * Recursive CTEs over athlete_aliases. Expects $1 = usaw_lifters.lifter_id and
+ * $2 = iwf_lifters.db_lifter_id (either may be NULL) and defines all_usaw_internal_ids
+ * and all_iwf_db_ids. Use after WITH RECURSIVE.
+ */
+const IDENTITY_CTES = `
+    athlete_identity AS (
+        -- Anchor row
+        SELECT usaw_lifter_id, iwf_db_lifter_id, iwf_db_lifter_id_2
+        FROM athlete_aliases
+        WHERE (usaw_lifter_id = $1 AND $1 IS NOT NULL)
+           OR (iwf_db_lifter_id = $2 AND $2 IS NOT NULL)
+           OR (iwf_db_lifter_id_2 = $2 AND $2 IS NOT NULL)
+        
+        UNION
+        
+        -- Follow the alias chains
+        SELECT aa.usaw_lifter_id, aa.iwf_db_lifter_id, aa.iwf_db_lifter_id_2
+        FROM athlete_aliases aa
+        JOIN athlete_identity ai ON (
+            aa.iwf_db_lifter_id = ai.iwf_db_lifter_id OR
+            aa.iwf_db_lifter_id = ai.iwf_db_lifter_id_2 OR
+            aa.iwf_db_lifter_id_2 = ai.iwf_db_lifter_id OR
+            aa.iwf_db_lifter_id_2 = ai.iwf_db_lifter_id_2 OR
+            (aa.usaw_lifter_id = ai.usaw_lifter_id AND aa.usaw_lifter_id IS NOT NULL)
+        )
+    ),
+    all_iwf_db_ids AS (
+        SELECT DISTINCT id FROM (
+            SELECT iwf_db_lifter_id as id FROM athlete_identity WHERE iwf_db_lifter_id IS NOT NULL
+            UNION
+            SELECT iwf_db_lifter_id_2 as id FROM athlete_identity WHERE iwf_db_lifter_id_2 IS NOT NULL
+            UNION
+            SELECT $2 as id WHERE $2 IS NOT NULL
+        ) ids
+    ),
+    all_usaw_internal_ids AS (
+        SELECT DISTINCT id FROM (
+            SELECT usaw_lifter_id as id FROM athlete_identity WHERE usaw_lifter_id IS NOT NULL
+            UNION
+            SELECT $1 as id WHERE $1 IS NOT NULL
+        ) ids
+    )`;
+
+/**
+ * Public identifier (membership number, IWF lifter id, internal id or uuid) -> internal join keys.
+ * @param {Client} client - Connected pg client
+ * @param {{usaw_id?: string|number, iwf_id?: string|number}} params
+ * @returns {Promise<{resolvedUsawId: *, resolvedIwfId: *}>}
+ */
+async function resolvePublicIds(client, { usaw_id, iwf_id }) {
+    let resolvedUsawId = null;
+    if (usaw_id) {
+        const idStr = usaw_id.toString();
+        const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(idStr);
+        const isNumeric = /^\d+$/.test(idStr);
+
+        let filter;
+        if (isUuid) {
+            filter = 'lifter_id = $1::uuid';
+        } else if (isNumeric) {
+            // Check both membership and numeric lifter_id using text casting for safety
+            filter = 'membership_number::text = $1 OR lifter_id::text = $1';
+        } else {
+            filter = 'membership_number::text = $1';
+        }
+
+        const lookup = await client.query(`SELECT lifter_id FROM usaw_lifters WHERE ${filter} LIMIT 1`, [idStr]);
+        resolvedUsawId = lookup.rows[0]?.lifter_id || null;
+        
+        if (usaw_id && !resolvedUsawId) {
+            console.warn(`[IDENTITY] Warning: Failed to resolve USAW ID ${usaw_id} to an internal lifter_id`);
+        }
+    }
+
+    let resolvedIwfId = null;
+    if (iwf_id) {
+        const idStr = iwf_id.toString();
+        const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(idStr);
+        const isNumeric = /^\d+$/.test(idStr);
+
+        let filter;
+        if (isUuid) {
+            filter = 'db_lifter_id = $1::uuid';
+        } else if (isNumeric) {
+            filter = 'iwf_lifter_id::text = $1 OR db_lifter_id::text = $1';
+        } else {
+            filter = 'iwf_lifter_id::text = $1';
+        }
+
+        const lookup = await client.query(`SELECT db_lifter_id FROM iwf_lifters WHERE ${filter} LIMIT 1`, [idStr]);
+        resolvedIwfId = lookup.rows[0]?.db_lifter_id || null;
+
+        if (iwf_id && !resolvedIwfId) {
+            console.warn(`[IDENTITY] Warning: Failed to resolve IWF ID ${iwf_id} to an internal db_lifter_id`);
+        }
+    }
+
+    return { resolvedUsawId, resolvedIwfId };
+}
+
+/**
+ * Every internal lifter id of the person behind a public identifier.
+ * @returns {Promise<{usawLifterIds: Array, iwfDbLifterIds: Array}>} empty arrays when nothing resolves
+ */
+async function resolveIdentity(client, params) {
+    const { resolvedUsawId, resolvedIwfId } = await resolvePublicIds(client, params);
+    if (!resolvedUsawId && !resolvedIwfId) return { usawLifterIds: [], iwfDbLifterIds: [] };
+
+    const res = await client.query(`
+        WITH RECURSIVE ${IDENTITY_CTES}
+        SELECT
+            (SELECT COALESCE(array_agg(id), '{}') FROM all_usaw_internal_ids) AS usaw_ids,
+            (SELECT COALESCE(array_agg(id), '{}') FROM all_iwf_db_ids) AS iwf_ids`,
+        [resolvedUsawId, resolvedIwfId]);
+
+    return { usawLifterIds: res.rows[0].usaw_ids, iwfDbLifterIds: res.rows[0].iwf_ids };
+}
+
+module.exports = { IDENTITY_CTES, resolvePublicIds, resolveIdentity };
@@ -20,6 +20,10 @@ const { handleTotalAthleteString, getAmountMeetsOnPage } = require('../../utils/
 // Import Sport80 search function for Tier 2 verification
 const { searchSport80ForLifter } = require('./searchSport80ForLifter.js');
 
+// Import shared category parser (normalized age group / weight class columns)
+const { normalizeCategory } = require('../shared/categories');
+const { withOptionalColumns } = require('../shared/optional-columns');
+
 // Load division codes for Base64 URL lookup
 const DIVISION_CODES_PATH = path.join(__dirname, '../../division_base64_codes.json');
 let divisionCodes = {};
@@ -3280,14 +3284,17 @@ async function processMeetCsvFile(csvFilePath, meetId, meetName) {
                 }
                 // --------------------------------------------------------------------------------
 
+                // Age group and weight class parsed from the free-text columns
+                Object.assign(resultData, normalizeCategory(resultData));
+
                 // Upsert to database (insert new, update existing)
                 // Use new constraint that includes weight_class to allow multiple results per athlete
-                const { error: insertError } = await supabase
+                const { error: insertError } = await withOptionalColumns('usaw_meet_results', resultData, row => supabase
                     .from('usaw_meet_results')
-                    .upsert(resultData, {
+                    .upsert(row, {
                         onConflict: 'meet_id, lifter_id, weight_class, best_snatch, best_cj, total',
                         ignoreDuplicates: false
-                    });
+                    }));
 
                 if (insertError) {
                     if (insertError.code === '23505') {
@@ -18,12 +18,23 @@ const supabase = createClient(
 // Import scraper function - adjust path as needed for GitHub
 const { scrapeOneMeet } = require('./scrapeOneMeet.js');
 
-// Import ranking engine for automated podium calculation
-const { generateDivisionRankings } = require('./ranking-engine.js');
+// Import ranking engine: incremental run over changed meets after the import (all placings with --full or FULL_RANKINGS=true)
+const { runIncrementalRankings } = require('./ranking-engine.js');
+
+// Import records engine: reports American / WSO records broken by the imported results
+const { updateRecords } = require('./records-engine.js');
 
 // Import Sport80 search function for enhanced matching
 const { searchSport80ForLifter } = require('./searchSport80ForLifter.js');
 
+// Import shared scoring (Q-scores mirror the SQL scoring functions; Sinclair by Olympic cycle)
+const { scoreResult, ensureYouthFactors } = require('../shared/scoring');
+const { scoreSinclair } = require('../shared/scoring/sinclair');
+
+// Import shared category parser (normalized age group / weight class columns)
+const { normalizeCategory } = require('../shared/categories');
+const { withOptionalColumns } = require('../shared/optional-columns');
+
 // Extract meet internal_id from Sport80 URL
 function extractMeetInternalId(url) {
     if (!url || typeof url !== 'string') {
@@ -202,7 +213,7 @@ async function upsertMeetsToDatabase(meetings) {
 async function scrapeAndImportMeetResults(newMeetIds, meetings) {
     if (newMeetIds.length === 0) {
         console.log('📊 No new meets to process for results');
-        return { processed: 0, errors: 0 };
+        return { processed: 0, errors: 0, importedMeetIds: [] };
     }
 
     console.log(`🏋️ Processing individual results for ${newMeetIds.length} meets...`);
@@ -229,6 +240,7 @@ async function scrapeAndImportMeetResults(newMeetIds, meetings) {
     let processedResults = 0;
     let errorCount = 0;
     const tempFiles = [];
+    const importedMeetIds = [];
 
     try {
         // Step 1: Create temporary CSV files for each new meet
@@ -291,15 +303,9 @@ async function scrapeAndImportMeetResults(newMeetIds, meetings) {
                 processedResults += result.processed;
                 errorCount += result.errors;
 
-                // ROUTINE INTEGRATION: Generate rankings for this meet immediately after import
+                // Ranked together with any other changed meets by the incremental run at the end of main()
                 if (result.processed > 0) {
-                    console.log(`\n[PIPELINE] 🏆 Results imported for "${meetInfo.Meet}". Calculating rankings...`);
-                    try {
-                        await generateDivisionRankings(meetId);
-                        console.log(`[PIPELINE] ✅ Rankings successfully persisted for Meet ID: ${meetId}`);
-                    } catch (rankErr) {
-                        console.error(`[PIPELINE] ⚠️ Ranking engine failed for meet ${meetId}:`, rankErr.message);
-                    }
+                    importedMeetIds.push(meetId);
                 }
 
             } catch (error) {
@@ -323,7 +329,7 @@ async function scrapeAndImportMeetResults(newMeetIds, meetings) {
         }
     }
 
-    return { processed: processedResults, errors: errorCount };
+    return { processed: processedResults, errors: errorCount, importedMeetIds };
 }
 
 // REAL Sport80 member page verification using puppeteer
@@ -628,21 +634,42 @@ async function createMeetResult(resultData) {
     const competition_age = resultData.date && lifter_birth_year ?
         new Date(resultData.date).getFullYear() - lifter_birth_year : null;
 
-    // Calculate age-appropriate Q-scores
-    const qScores = calculateAgeAppropriateQScore(
-        resultData.total,
-        resultData.body_weight_kg,
-        lifter_gender,
+    // Calculate age-appropriate Q-scores (same brackets and factors as the results trigger)
+    await ensureYouthFactors(supabase);
+    const qScores = scoreResult({
+        total: resultData.total,
+        body_weight_kg: resultData.body_weight_kg,
+        gender: lifter_gender,
         competition_age
-    );
+    });
+
+    // Sinclair with the coefficient set of the meet date, SMF for masters
+    const sinclairScores = scoreSinclair({
+        total: resultData.total,
+        body_weight_kg: resultData.body_weight_kg,
+        gender: lifter_gender,
+        competition_age,
+        date: resultData.date
+    });
+
+    // Age group and weight class parsed from the free-text columns
+    const category = normalizeCategory({
+        age_category: resultData.age_category,
+        weight_class: resultData.weight_class,
+        gender: lifter_gender,
+        date: resultData.date
+    });
 
     // Include all calculated values in meet_results
     const enhancedResultData = {
         ...dbResultData,
+        ...category,
         competition_age,
         qpoints: qScores.qpoints,
         q_youth: qScores.q_youth,
         q_masters: qScores.q_masters,
+        sinclair: sinclairScores.sinclair,
+        sinclair_masters: sinclairScores.sinclair_masters,
         gender: lifter_gender || null,
         birth_year: lifter_birth_year || null
     };
@@ -652,11 +679,11 @@ async function createMeetResult(resultData) {
         return { result_id: 'DRY_RUN_RESULT_ID' };
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await withOptionalColumns('usaw_meet_results', enhancedResultData, row => supabase
         .from('usaw_meet_results')
-        .insert(enhancedResultData)  // Insert without the temporary lifter fields
+        .insert(row)  // Insert without the temporary lifter fields
         .select()
-        .single();
+        .single());
 
     if (error) {
         // Check if it's a duplicate constraint violation
@@ -804,61 +831,6 @@ async function getExistingMeetCount() {
     }
 }
 
-function calculateAgeAppropriateQScore(total, bodyWeight, gender, age) {
-    // Initialize all scores as null
-    const qScores = {
-        qpoints: null,
-        q_youth: null,
-        q_masters: null
-    };
-
-    // Validate input data
-    if (!total || !bodyWeight || !gender || total <= 0 || bodyWeight <= 0 || !age) {
-        return qScores;
-    }
-
-    const totalNum = parseFloat(total);
-    const bwNum = parseFloat(bodyWeight);
-    const B = bwNum / 100;
-
-    // Age-based scoring according to Huebner's brackets:
-    // Ages ≤9: No Q-scoring
-    if (age <= 9) {
-        return qScores;
-    }
-
-    // Ages 10-20: Q-youth only
-    if (age >= 10 && age <= 20) {
-        qScores.q_youth = calculateQScore(totalNum, B, gender);
-        return qScores;
-    }
-
-    // Ages 21-30: Q-points only
-    if (age >= 21 && age <= 30) {
-        qScores.qpoints = calculateQScore(totalNum, B, gender);
-        return qScores;
-    }
-
-    // Ages 31+: Q-masters only (gender-aware bounds)
-    if ((gender === 'M' && age >= 31 && age <= 75) || (gender === 'F' && age >= 31 && age <= 90)) {
-        qScores.q_masters = calculateQScore(totalNum, B, gender);
-        return qScores;
-    }
-
-    return qScores;
-}
-
-function calculateQScore(totalNum, B, gender) {
-    if (gender === 'M') {
-        const denominator = 416.7 - 47.87 * Math.pow(B, -2) + 18.93 * Math.pow(B, 2);
-        return Math.round((totalNum * 463.26 / denominator) * 1000) / 1000;
-    } else if (gender === 'F') {
-        const denominator = 266.5 - 19.44 * Math.pow(B, -2) + 18.61 * Math.pow(B, 2);
-        return Math.round((totalNum * 306.54 / denominator) * 1000) / 1000;
-    }
-    return null;
-}
-
 async function main() {
     console.log('\n🗄️ Enhanced Database Import Started');
     if (DRY_RUN) {
@@ -999,6 +971,26 @@ async function main() {
         console.log('\n📥 Step 2: Importing individual meet results...');
         const resultsImport = await scrapeAndImportMeetResults(meetsWithoutResults.map(m => m.meet_id), meetings);
 
+        // Step 3: Division rankings for every meet changed since the last ranking run
+        if (!DRY_RUN && !args['skip-rankings']) {
+            console.log('\n[PIPELINE] 🏆 Step 3: Updating division rankings...');
+            try {
+                await runIncrementalRankings({ triggeredBy: 'database-importer', meetIds: resultsImport.importedMeetIds });
+            } catch (rankErr) {
+                console.error('[PIPELINE] ⚠️ Ranking engine failed (the next incremental run will retry):', rankErr.message);
+            }
+        }
+
+        // Step 4: American and WSO records, reporting the ones broken by this import
+        if (!DRY_RUN && !args['skip-records']) {
+            console.log('\n[PIPELINE] 🥇 Step 4: Updating records...');
+            try {
+                await updateRecords({ meetIds: resultsImport.importedMeetIds });
+            } catch (recordErr) {
+                console.error('[PIPELINE] ⚠️ Records engine failed (run records-engine.js to re-derive every record):', recordErr.message);
+            }
+        }
+
         const afterCount = await getExistingMeetCount();
 
         // Report results
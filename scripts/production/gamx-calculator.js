@@ -0,0 +1,51 @@
+const { loadGamxFactors, scoreGamx } = require('../shared/scoring/gamx');
+
+/**
+ * GAMX Calculator
+ *
+ * Scores a hypothetical result with every GAMX variant, offline.
+ *
+ * Usage:
+ *   node scripts/production/gamx-calculator.js --gender m --bw 85.23 --age 28 --total 350 [--snatch 150 --cj 200]
+ *       [--factors <gamx-factors.json | workbook.xlsx | dir>] [--exact] [--json]
+ *
+ * --exact looks factors up the way the database trigger does (bodyweight rounded to 0.1kg,
+ * whole-year age, no interpolation), for checking stored gamx_* values.
+ */
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { string: ['gender', 'factors'], boolean: ['exact', 'json'] });
+    if (!args.gender || !args.bw || !(args.total || args.snatch || args.cj)) {
+        console.log('Usage: node gamx-calculator.js --gender m|f --bw <kg> [--age <years>] --total <kg> [--snatch <kg>] [--cj <kg>] [--factors <path>] [--exact] [--json]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const factors = await loadGamxFactors(args.factors);
+    const row = {
+        gender: args.gender,
+        body_weight_kg: args.bw,
+        competition_age: args.age ?? null,
+        total: args.total ?? null,
+        best_snatch: args.snatch ?? null,
+        best_cj: args.cj ?? null
+    };
+    const scores = scoreGamx(factors, row, { exact: args.exact });
+
+    if (args.json) {
+        console.log(JSON.stringify({ input: row, factors_source: factors.source, scores }, null, 2));
+        return;
+    }
+
+    console.log(`[GAMX] ${args.gender} ${args.bw}kg${args.age !== undefined ? `, age ${args.age}` : ''} (${factors.source})`);
+    Object.entries(scores).forEach(([column, score]) => {
+        console.log(`    ${column.padEnd(13)} ${score === null ? '—' : score.toFixed(2)}`);
+    });
+}
+
+if (require.main === module) {
+    run().catch(err => {
+        console.error('[GAMX] FATAL ERROR:', err);
+        process.exit(1);
+    });
+}
@@ -1,6 +1,5 @@
 const { Client } = require('pg');
-const fs = require('fs');
-const path = require('path');
+const { getStorage } = require('./shard-storage');
 require('dotenv').config();
 
 const clientConfig = {
@@ -11,7 +10,6 @@ const clientConfig = {
     port: process.env.DB_PORT,
 };
 
-const OUTPUT_DIR = process.env.OUTPUT_DIR || '/var/www/athlete-data';
 const START_YEAR = 1990;
 const END_YEAR = 2026;
 
@@ -24,53 +22,67 @@ const parseAttempt = (s) => {
 const isSuccess = (v) => { const n = parseAttempt(v); return n !== null && n > 0; };
 const isMiss = (v) => { const n = parseAttempt(v); return n !== null && n < 0; };
 
-function calculateLifterMetrics(results) {
+/**
+ * Running per-athlete counters. Results are streamed in date order and folded in
+ * one at a time, so a yearly snapshot never has to revisit earlier results.
+ */
+function createAthleteState(r) {
+    return {
+        birthYear: r.b_year, gender: r.gender, resultCount: 0, datedCount: 0,
+        totalAtt: 0, totalSucc: 0, snAtt: 0, snSucc: 0, cjAtt: 0, cjSucc: 0,
+        clutchSit: 0, clutchSucc: 0, sbbSit: 0, sbbSucc: 0, cbbSit: 0, cbbSucc: 0,
+        bestQ: null, firstDate: null, lastDate: null
+    };
+}
+
+function addResult(s, r) {
+    s.resultCount++;
+    if (!s.birthYear && r.b_year) s.birthYear = r.b_year;
+    if (!s.gender && r.gender) s.gender = r.gender;
+
+    const d = r.date ? new Date(r.date).getTime() : NaN;
+    if (!isNaN(d)) {
+        s.datedCount++;
+        if (s.firstDate === null || d < s.firstDate) s.firstDate = d;
+        if (s.lastDate === null || d > s.lastDate) s.lastDate = d;
+    }
+
+    const sn = [r.snatch_lift_1, r.snatch_lift_2, r.snatch_lift_3];
+    const cj = [r.cj_lift_1, r.cj_lift_2, r.cj_lift_3];
+    sn.forEach(v => { const n = parseAttempt(v); if (n !== null) { s.totalAtt++; s.snAtt++; if (n > 0) { s.totalSucc++; s.snSucc++; } } });
+    cj.forEach(v => { const n = parseAttempt(v); if (n !== null) { s.totalAtt++; s.cjAtt++; if (n > 0) { s.totalSucc++; s.cjSucc++; } } });
+    if (isMiss(sn[0]) && isMiss(sn[1]) && parseAttempt(sn[2]) !== null) { s.clutchSit++; if (isSuccess(sn[2])) s.clutchSucc++; }
+    if (isMiss(cj[0]) && isMiss(cj[1]) && parseAttempt(cj[2]) !== null) { s.clutchSit++; if (isSuccess(cj[2])) s.clutchSucc++; }
+    if (isMiss(sn[0]) && parseAttempt(sn[1]) !== null) { s.sbbSit++; if (isSuccess(sn[1])) s.sbbSucc++; }
+    if (isMiss(cj[0]) && parseAttempt(cj[1]) !== null) { s.cbbSit++; if (isSuccess(cj[1])) s.cbbSucc++; }
+    const qs = [parseAttempt(r.qpoints), parseAttempt(r.q_youth), parseAttempt(r.q_masters)].filter(v => v !== null);
+    if (qs.length > 0) s.bestQ = Math.max(s.bestQ ?? -Infinity, ...qs);
+}
+
+// Same metrics calculateLifterMetrics() produced from the full result list
+function metricsFromState(s) {
     const metrics = {
         successRate: null, snatchSuccessRate: null, cleanJerkSuccessRate: null,
         clutchPerformance: null, bounceBackRate: null,
         snatchBounceBackRate: null, cleanJerkBounceBackRate: null,
         competitionFrequency: null, qScorePerformance: null
     };
-    if (!results || results.length === 0) return metrics;
-
-    let totalAtt = 0, totalSucc = 0, snAtt = 0, snSucc = 0, cjAtt = 0, cjSucc = 0;
-    let clutchSit = 0, clutchSucc = 0, sbbSit = 0, sbbSucc = 0, cbbSit = 0, cbbSucc = 0;
-    const qScores = [];
-
-    results.forEach(r => {
-        const sn = [r.snatch_lift_1, r.snatch_lift_2, r.snatch_lift_3];
-        const cj = [r.cj_lift_1, r.cj_lift_2, r.cj_lift_3];
-        sn.forEach(v => { const n = parseAttempt(v); if (n !== null) { totalAtt++; snAtt++; if (n > 0) { totalSucc++; snSucc++; } } });
-        cj.forEach(v => { const n = parseAttempt(v); if (n !== null) { totalAtt++; cjAtt++; if (n > 0) { totalSucc++; cjSucc++; } } });
-        if (isMiss(sn[0]) && isMiss(sn[1]) && parseAttempt(sn[2]) !== null) { clutchSit++; if (isSuccess(sn[2])) clutchSucc++; }
-        if (isMiss(cj[0]) && isMiss(cj[1]) && parseAttempt(cj[2]) !== null) { clutchSit++; if (isSuccess(cj[2])) clutchSucc++; }
-        if (isMiss(sn[0]) && parseAttempt(sn[1]) !== null) { sbbSit++; if (isSuccess(sn[1])) sbbSucc++; }
-        if (isMiss(cj[0]) && parseAttempt(cj[1]) !== null) { cbbSit++; if (isSuccess(cj[1])) cbbSucc++; }
-        const qs = [parseAttempt(r.qpoints), parseAttempt(r.q_youth), parseAttempt(r.q_masters)].filter(v => v !== null);
-        if (qs.length > 0) qScores.push(Math.max(...qs));
-    });
 
-    if (totalAtt >= 12) {
-        metrics.successRate = (totalSucc / totalAtt) * 100;
-        metrics.snatchSuccessRate = snAtt > 0 ? (snSucc / snAtt) * 100 : null;
-        metrics.cleanJerkSuccessRate = cjAtt > 0 ? (cjSucc / cjAtt) * 100 : null;
+    if (s.totalAtt >= 12) {
+        metrics.successRate = (s.totalSucc / s.totalAtt) * 100;
+        metrics.snatchSuccessRate = s.snAtt > 0 ? (s.snSucc / s.snAtt) * 100 : null;
+        metrics.cleanJerkSuccessRate = s.cjAtt > 0 ? (s.cjSucc / s.cjAtt) * 100 : null;
     }
-    if (clutchSit > 0) metrics.clutchPerformance = (clutchSucc / clutchSit) * 100;
-    if (sbbSit > 0) metrics.snatchBounceBackRate = (sbbSucc / sbbSit) * 100;
-    if (cbbSit > 0) metrics.cleanJerkBounceBackRate = (cbbSucc / cbbSit) * 100;
-    if (sbbSit + cbbSit > 0) metrics.bounceBackRate = ((sbbSucc + cbbSucc) / (sbbSit + cbbSit)) * 100;
-    
-    if (results.length >= 2) {
-        const sortedDates = results
-            .map(r => r.date ? new Date(r.date) : null)
-            .filter(d => d && !isNaN(d.getTime()))
-            .sort((a, b) => a - b);
-        if (sortedDates.length >= 2) {
-            const diffDays = Math.max(90, (sortedDates[sortedDates.length - 1] - sortedDates[0]) / (1000 * 60 * 60 * 24));
-            metrics.competitionFrequency = ((results.length - 1) / diffDays) * 365.25;
-        }
+    if (s.clutchSit > 0) metrics.clutchPerformance = (s.clutchSucc / s.clutchSit) * 100;
+    if (s.sbbSit > 0) metrics.snatchBounceBackRate = (s.sbbSucc / s.sbbSit) * 100;
+    if (s.cbbSit > 0) metrics.cleanJerkBounceBackRate = (s.cbbSucc / s.cbbSit) * 100;
+    if (s.sbbSit + s.cbbSit > 0) metrics.bounceBackRate = ((s.sbbSucc + s.cbbSucc) / (s.sbbSit + s.cbbSit)) * 100;
+
+    if (s.resultCount >= 2 && s.datedCount >= 2) {
+        const diffDays = Math.max(90, (s.lastDate - s.firstDate) / (1000 * 60 * 60 * 24));
+        metrics.competitionFrequency = ((s.resultCount - 1) / diffDays) * 365.25;
     }
-    if (qScores.length > 0) metrics.qScorePerformance = Math.max(...qScores);
+    if (s.bestQ !== null) metrics.qScorePerformance = s.bestQ;
     return metrics;
 }
 
@@ -97,72 +109,95 @@ function getBucketLabel(key) {
     return `${source} ${gender} ${category}`;
 }
 
+// Only the columns the running state needs; rows arrive FETCH_SIZE at a time
+const RESULT_COLUMNS = `
+    date, gender, snatch_lift_1, snatch_lift_2, snatch_lift_3, cj_lift_1, cj_lift_2, cj_lift_3,
+    qpoints, q_youth, q_masters, (CASE WHEN birth_year > 0 THEN birth_year ELSE NULL END) AS b_year`;
+const FETCH_SIZE = 5000;
+
+/**
+ * Streams a results table through a server-side cursor, in date order.
+ * @param {Client} client - Connected pg client
+ * @param {string} sql - Query to declare the cursor for
+ * @param {function(Object): void} onRow - Called once per row
+ */
+async function streamRows(client, sql, onRow) {
+    await client.query('BEGIN');
+    try {
+        await client.query(`DECLARE benchmark_rows NO SCROLL CURSOR FOR ${sql}`);
+        while (true) {
+            const { rows } = await client.query(`FETCH FORWARD ${FETCH_SIZE} FROM benchmark_rows`);
+            if (rows.length === 0) break;
+            rows.forEach(onRow);
+        }
+        await client.query('CLOSE benchmark_rows');
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+}
+
 async function run() {
     const client = new Client(clientConfig);
     await client.connect();
     console.log('[HISTORICAL BENCHMARKS] Generating inclusive age-group maps with FULL METRICS (1990-2026)...');
 
     const sources = [
-        { name: 'usaw', table: 'usaw_meet_results' },
-        { name: 'iwf', table: 'iwf_meet_results' }
+        { name: 'usaw', table: 'usaw_meet_results', idCol: 'lifter_id' },
+        { name: 'iwf', table: 'iwf_meet_results', idCol: 'db_lifter_id' }
     ];
 
     const historicalMaps = {};
-    const athleteStates = { usaw: {}, iwf: {} };
-
-    for (const source of sources) {
-        console.log(`[HISTORICAL BENCHMARKS] Processing ${source.name.toUpperCase()}...`);
-        const query = `SELECT *, (CASE WHEN birth_year > 0 THEN birth_year ELSE NULL END) as b_year FROM ${source.table} ORDER BY date ASC`;
-        const res = await client.query(query);
-
-        let currentYear = START_YEAR;
-        
-        for (const r of res.rows) {
-            const rowYear = new Date(r.date).getFullYear();
-            while (currentYear < rowYear && currentYear <= END_YEAR) {
-                if (currentYear >= START_YEAR) captureYearlyMap(historicalMaps, currentYear, athleteStates, source.name);
-                currentYear++;
-            }
 
-            const id = r.lifter_id || r.db_lifter_id;
-            if (!id) continue;
-            if (!athleteStates[source.name][id]) {
-                athleteStates[source.name][id] = { results: [], birthYear: r.b_year, gender: r.gender };
+    try {
+        for (const source of sources) {
+            console.log(`[HISTORICAL BENCHMARKS] Processing ${source.name.toUpperCase()}...`);
+            const athleteStates = new Map();
+            let currentYear = START_YEAR;
+            let rowCount = 0;
+
+            const query = `SELECT ${source.idCol} AS athlete_id, ${RESULT_COLUMNS} FROM ${source.table} ORDER BY date ASC`;
+            await streamRows(client, query, r => {
+                rowCount++;
+                const rowYear = new Date(r.date).getFullYear();
+                while (currentYear < rowYear && currentYear <= END_YEAR) {
+                    captureYearlyMap(historicalMaps, currentYear, athleteStates, source.name);
+                    currentYear++;
+                }
+
+                if (!r.athlete_id) return;
+                if (!athleteStates.has(r.athlete_id)) athleteStates.set(r.athlete_id, createAthleteState(r));
+                addResult(athleteStates.get(r.athlete_id), r);
+            });
+
+            while (currentYear <= END_YEAR) {
+                captureYearlyMap(historicalMaps, currentYear, athleteStates, source.name);
+                currentYear++;
             }
-            const s = athleteStates[source.name][id];
-            if (!s.birthYear && r.b_year) s.birthYear = r.b_year;
-            if (!s.gender && r.gender) s.gender = r.gender;
-            s.results.push(r);
+            console.log(`[HISTORICAL BENCHMARKS] ${source.name.toUpperCase()}: ${rowCount} results, ${athleteStates.size} athletes.`);
         }
 
-        while (currentYear <= END_YEAR) {
-            captureYearlyMap(historicalMaps, currentYear, athleteStates, source.name);
-            currentYear++;
-        }
+        const storage = getStorage();
+        await storage.write('historical_benchmarks.json', JSON.stringify(historicalMaps));
+        console.log(`[HISTORICAL BENCHMARKS] SUCCESS. Saved with all metrics to ${storage.describe()}.`);
+    } catch (err) {
+        console.error('[HISTORICAL BENCHMARKS] ERROR:', err);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
     }
-
-    if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-    fs.writeFileSync(path.join(OUTPUT_DIR, 'historical_benchmarks.json'), JSON.stringify(historicalMaps));
-    console.log('[HISTORICAL BENCHMARKS] SUCCESS. Saved with all metrics.');
-    await client.end();
 }
 
 function captureYearlyMap(historicalMaps, year, athleteStates, sourceName) {
     if (!historicalMaps[year]) historicalMaps[year] = {};
     const buckets = {};
 
-    Object.values(athleteStates[sourceName]).forEach(s => {
-        // Inclusion: Check total attempts at this point in time
-        let totalAtt = 0;
-        s.results.forEach(r => {
-            [r.snatch_lift_1, r.snatch_lift_2, r.snatch_lift_3, r.cj_lift_1, r.cj_lift_2, r.cj_lift_3].forEach(v => {
-                if (parseAttempt(v) !== null) totalAtt++;
-            });
-        });
-
-        if (totalAtt >= 12 && s.gender) {
+    athleteStates.forEach(s => {
+        // Inclusion: total attempts at this point in time
+        if (s.totalAtt >= 12 && s.gender) {
             const age = (s.birthYear && year) ? year - s.birthYear : null;
-            const metrics = calculateLifterMetrics(s.results);
+            const metrics = metricsFromState(s);
             const keys = getDemographicBucketKeys(sourceName, s.gender, age);
             keys.forEach(k => {
                 if (!buckets[k]) buckets[k] = { label: getBucketLabel(k), values: {} };
@@ -1,6 +1,6 @@
 const { Client } = require('pg');
-const fs = require('fs');
-const path = require('path');
+const { getStorage } = require('./shard-storage');
+const { withWeightBuckets, getBucketDimension, MIN_REFINED_BUCKET_SIZE } = require('../shared/population-buckets');
 require('dotenv').config();
 
 const clientConfig = {
@@ -11,8 +11,6 @@ const clientConfig = {
     port: process.env.DB_PORT,
 };
 
-const OUTPUT_DIR = process.env.OUTPUT_DIR || '/var/www/athlete-data';
-
 // --- Metric Helpers ---
 const parseAttempt = (s) => {
     if (s === null || s === undefined || s === '' || s === '0' || s === '---') return null;
@@ -20,10 +18,14 @@ const parseAttempt = (s) => {
     const n = parseInt(s);
     return isNaN(n) ? null : n;
 };
-const isSuccess = (v) => { const n = parseAttempt(v); return n !== null && n > 0; };
-const isMiss = (v) => { const n = parseAttempt(v); return n !== null && n < 0; };
 
-function calculateLifterMetrics(results) {
+/**
+ * One athlete's benchmark metrics. Attempt metrics come from their *_lifter_attempt_stats row
+ * (migrations/create_meet_attempts.sql); consistency, frequency and Q-scores from their results.
+ * @param {Array<Object>} results - The athlete's results, newest first
+ * @param {Object} [attempts] - Their *_lifter_attempt_stats row, if any attempt was recorded
+ */
+function calculateLifterMetrics(results, attempts) {
     const metrics = {
         successRate: null, snatchSuccessRate: null, cleanJerkSuccessRate: null,
         consistencyScore: null, clutchPerformance: null, bounceBackRate: null,
@@ -32,8 +34,13 @@ function calculateLifterMetrics(results) {
     };
     if (!results || results.length === 0) return metrics;
 
-    let totalAtt = 0, totalSucc = 0, snAtt = 0, snSucc = 0, cjAtt = 0, cjSucc = 0;
-    let clutchSit = 0, clutchSucc = 0, sbbSit = 0, sbbSucc = 0, cbbSit = 0, cbbSucc = 0;
+    const count = (column) => Number(attempts?.[column] || 0);
+    const totalAtt = count('attempts'), totalSucc = count('made');
+    const snAtt = count('snatch_attempts'), snSucc = count('snatch_made');
+    const cjAtt = count('cj_attempts'), cjSucc = count('cj_made');
+    const clutchSit = count('clutch_chances'), clutchSucc = count('clutch_made');
+    const sbbSit = count('snatch_bounce_back_chances'), sbbSucc = count('snatch_bounce_backs');
+    const cbbSit = count('cj_bounce_back_chances'), cbbSucc = count('cj_bounce_backs');
     const totals = [], years = new Set(), qScores = [];
 
     results.forEach(r => {
@@ -43,14 +50,6 @@ function calculateLifterMetrics(results) {
             if (year >= 1980 && year <= 2030) years.add(year);
         }
 
-        const sn = [r.snatch_lift_1, r.snatch_lift_2, r.snatch_lift_3];
-        const cj = [r.cj_lift_1, r.cj_lift_2, r.cj_lift_3];
-        sn.forEach(v => { const n = parseAttempt(v); if (n !== null) { totalAtt++; snAtt++; if (n > 0) { totalSucc++; snSucc++; } } });
-        cj.forEach(v => { const n = parseAttempt(v); if (n !== null) { totalAtt++; cjAtt++; if (n > 0) { totalSucc++; cjSucc++; } } });
-        if (isMiss(sn[0]) && isMiss(sn[1]) && parseAttempt(sn[2]) !== null) { clutchSit++; if (isSuccess(sn[2])) clutchSucc++; }
-        if (isMiss(cj[0]) && isMiss(cj[1]) && parseAttempt(cj[2]) !== null) { clutchSit++; if (isSuccess(cj[2])) clutchSucc++; }
-        if (isMiss(sn[0]) && parseAttempt(sn[1]) !== null) { sbbSit++; if (isSuccess(sn[1])) sbbSucc++; }
-        if (isMiss(cj[0]) && parseAttempt(cj[1]) !== null) { cbbSit++; if (isSuccess(cj[1])) cbbSucc++; }
         const t = parseAttempt(r.total); if (t && t > 0) totals.push(t);
         const qs = [parseAttempt(r.qpoints), parseAttempt(r.q_youth), parseAttempt(r.q_masters)].filter(v => v !== null);
         if (qs.length > 0) qScores.push(Math.max(...qs));
@@ -124,8 +123,8 @@ async function run() {
         console.log('[POPULATION STATS] Building inclusive benchmarks (Everyone included)...');
 
         const sources = [
-            { name: 'usaw', table: 'usaw_meet_results', idCol: 'lifter_id' },
-            { name: 'iwf', table: 'iwf_meet_results', idCol: 'db_lifter_id' }
+            { name: 'usaw', table: 'usaw_meet_results', attemptStats: 'usaw_lifter_attempt_stats', idCol: 'lifter_id' },
+            { name: 'iwf', table: 'iwf_meet_results', attemptStats: 'iwf_lifter_attempt_stats', idCol: 'db_lifter_id' }
         ];
 
         const buckets = {};
@@ -134,6 +133,9 @@ async function run() {
         for (const source of sources) {
             console.log(`[POPULATION STATS] Processing ${source.name}...`);
             const res = await client.query(`SELECT * FROM ${source.table} ORDER BY date DESC`);
+            const attemptStats = new Map();
+            (await client.query(`SELECT * FROM ${source.attemptStats}`)).rows
+                .forEach(row => attemptStats.set(String(row[source.idCol]), row));
             const athletes = {};
 
             res.rows.forEach(r => {
@@ -142,13 +144,19 @@ async function run() {
                 athletes[id].push(r);
             });
 
-            Object.values(athletes).forEach(results => {
-                const metrics = calculateLifterMetrics(results);
+            Object.entries(athletes).forEach(([id, results]) => {
+                const metrics = calculateLifterMetrics(results, attemptStats.get(id));
                 const latest = results[0];
                 const birthYear = results.find(r => r.birth_year)?.birth_year;
                 const age = birthYear ? currentYear - birthYear : null;
                 
-                const bucketKeys = getQualifyingBuckets(source.name, latest.gender, age);
+                // Athletes count toward their current weight class and bodyweight band only
+                const bodyWeight = results.find(r => parseFloat(r.body_weight_kg) > 0)?.body_weight_kg;
+                const bucketKeys = withWeightBuckets(
+                    getQualifyingBuckets(source.name, latest.gender, age),
+                    latest.weight_class,
+                    bodyWeight
+                );
 
                 bucketKeys.forEach(k => {
                     if (!buckets[k]) buckets[k] = createEmptyBucket();
@@ -163,13 +171,23 @@ async function run() {
         }
 
         console.log('[POPULATION STATS] Finalizing distributions...');
+        let pruned = 0;
+        Object.keys(buckets).forEach(k => {
+            const isRefined = getBucketDimension(k) !== 'age';
+            if (isRefined && buckets[k].successRate.sampleSize < MIN_REFINED_BUCKET_SIZE) {
+                delete buckets[k];
+                pruned++;
+            }
+        });
+        console.log(`[POPULATION STATS] Dropped ${pruned} weight-class/bodyweight buckets under ${MIN_REFINED_BUCKET_SIZE} athletes.`);
+
         Object.values(buckets).forEach(b => {
             Object.keys(b).forEach(m => b[m].distribution.sort((a, b) => a - b));
         });
 
-        if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-        fs.writeFileSync(path.join(OUTPUT_DIR, 'population_stats.json'), JSON.stringify(buckets));
-        console.log('[POPULATION STATS] SUCCESS. Universal benchmarks built.');
+        const storage = getStorage();
+        await storage.write('population_stats.json', JSON.stringify(buckets));
+        console.log(`[POPULATION STATS] SUCCESS. Universal benchmarks built in ${storage.describe()}.`);
 
     } catch (err) {
         console.error('[POPULATION STATS] ERROR:', err);
@@ -0,0 +1,228 @@
+const { Client } = require('pg');
+const zlib = require('zlib');
+const { getStorage } = require('./shard-storage');
+require('dotenv').config();
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+};
+
+/**
+ * STATIC ATHLETE SEARCH INDEX
+ *
+ * Writes search/<prefix>.json.gz next to the athlete shards, one file per
+ * two-character prefix of a folded search key, plus search/meta.json.
+ *
+ * Each prefix file:
+ *   {
+ *     "entries": [{ "n": "Jane Doe", "s": "usaw/123442", "g": "F", "c": "USA", "y": 2025, "r": 14, "a": ["DOE Jane"] }],
+ *     "keys":    [["doe jane", 0], ["jane doe", 0]]     // sorted, [key, entry index]
+ *   }
+ *   n = display name, s = shard id (<type>/<id>), g = gender, c = country code,
+ *   y = last year competed, r = result count (for ranking), a = other names (IWF aliases)
+ *
+ * Every name is indexed under each rotation of its tokens, so "doe j", "jane d"
+ * and "DOE Jane" all hit the same athlete. The frontend folds its query with the
+ * same rule as foldName(), loads the file for the first two characters and scans
+ * keys with startsWith.
+ */
+
+const INDEX_DIR = 'search';
+const INDEX_VERSION = 1;
+const PREFIX_LENGTH = 2;
+
+// Letters NFKD does not decompose into a base letter + accent
+const LETTER_FOLDS = { 'ß': 'ss', 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'đ': 'd', 'ð': 'd', 'ł': 'l', 'ı': 'i', 'þ': 'th' };
+
+/**
+ * Lowercase, strip diacritics and punctuation: "José  Núñez-Smith" -> "jose nunez smith", "Ødegård" -> "odegard"
+ */
+function foldName(name) {
+    return (name || '').toString()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[ßøæœđðłıþ]/g, c => LETTER_FOLDS[c])
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Search keys for one name: every rotation of its tokens that starts on a token
+ * long enough to fill a prefix. "jane mary doe" -> jane mary doe, mary doe jane, doe jane mary
+ */
+function searchKeys(name) {
+    const tokens = foldName(name).split(' ').filter(Boolean);
+    const keys = new Set();
+    tokens.forEach((token, i) => {
+        if (token.length < PREFIX_LENGTH) return;
+        keys.add([...tokens.slice(i), ...tokens.slice(0, i)].join(' '));
+    });
+    return [...keys];
+}
+
+function tokenSignature(name) {
+    return foldName(name).split(' ').sort().join(' ');
+}
+
+const USAW_QUERY = `
+    SELECT
+        l.lifter_id,
+        l.membership_number,
+        l.athlete_name,
+        MAX(r.gender) AS gender,
+        COUNT(r.result_id)::int AS result_count,
+        MAX(EXTRACT(YEAR FROM NULLIF(r.date, '')::DATE))::int AS last_year
+    FROM usaw_lifters l
+    LEFT JOIN usaw_meet_results r ON r.lifter_id = l.lifter_id
+    GROUP BY l.lifter_id, l.membership_number, l.athlete_name`;
+
+// IWF names linked to a USAW lifter become aliases of the USAW entry
+const ALIAS_QUERY = `
+    SELECT DISTINCT aa.usaw_lifter_id, il.athlete_name
+    FROM athlete_aliases aa
+    JOIN iwf_lifters il ON il.db_lifter_id IN (aa.iwf_db_lifter_id, aa.iwf_db_lifter_id_2)
+    WHERE aa.usaw_lifter_id IS NOT NULL`;
+
+// IWF-only lifters with a public id (the ones that get an iwf/ shard of their own)
+const IWF_ONLY_QUERY = `
+    SELECT
+        il.iwf_lifter_id,
+        il.athlete_name,
+        il.gender,
+        il.country_code,
+        COUNT(r.db_result_id)::int AS result_count,
+        MAX(EXTRACT(YEAR FROM NULLIF(r.date, '')::DATE))::int AS last_year
+    FROM iwf_lifters il
+    LEFT JOIN iwf_meet_results r ON r.db_lifter_id = il.db_lifter_id
+    WHERE il.iwf_lifter_id IS NOT NULL
+      AND NOT EXISTS (
+          SELECT 1 FROM athlete_aliases aa
+          WHERE aa.usaw_lifter_id IS NOT NULL
+            AND (aa.iwf_db_lifter_id = il.db_lifter_id OR aa.iwf_db_lifter_id_2 = il.db_lifter_id)
+      )
+    GROUP BY il.db_lifter_id, il.iwf_lifter_id, il.athlete_name, il.gender, il.country_code`;
+
+function genderCode(gender) {
+    if (!gender) return null;
+    const g = gender.toString().toLowerCase();
+    return g.startsWith('f') || g.startsWith('w') ? 'F' : 'M';
+}
+
+async function loadEntries(client) {
+    const entries = [];
+
+    const aliases = new Map();
+    (await client.query(ALIAS_QUERY)).rows.forEach(r => {
+        const key = r.usaw_lifter_id.toString();
+        if (!aliases.has(key)) aliases.set(key, []);
+        aliases.get(key).push(r.athlete_name);
+    });
+
+    const usaw = await client.query(USAW_QUERY);
+    usaw.rows.forEach(r => {
+        const entry = {
+            n: r.athlete_name,
+            s: r.membership_number ? `usaw/${r.membership_number}` : `internal/${r.lifter_id}`,
+            g: genderCode(r.gender),
+            c: 'USA',
+            y: r.last_year,
+            r: r.result_count
+        };
+        // "DOE Jane" is already covered by the rotations of "Jane Doe"
+        const sameName = tokenSignature(r.athlete_name);
+        const other = (aliases.get(r.lifter_id.toString()) || []).filter(a => tokenSignature(a) !== sameName);
+        if (other.length > 0) entry.a = other;
+        entries.push(entry);
+    });
+    console.log(`[SEARCH INDEX] Loaded ${usaw.rows.length} USAW lifters (${aliases.size} with IWF aliases).`);
+
+    const iwf = await client.query(IWF_ONLY_QUERY);
+    iwf.rows.forEach(r => {
+        entries.push({
+            n: r.athlete_name,
+            s: `iwf/${r.iwf_lifter_id}`,
+            g: genderCode(r.gender),
+            c: r.country_code || null,
+            y: r.last_year,
+            r: r.result_count
+        });
+    });
+    console.log(`[SEARCH INDEX] Loaded ${iwf.rows.length} IWF-only lifters.`);
+
+    return entries;
+}
+
+/**
+ * Groups entries into prefix files.
+ * @returns {Map<string, {entries: Object[], keys: Array<[string, number]>}>}
+ */
+function buildPrefixFiles(entries) {
+    const files = new Map();
+
+    entries.forEach(entry => {
+        const keys = new Set([entry.n, ...(entry.a || [])].flatMap(searchKeys));
+        const localIndex = new Map(); // prefix -> index of the entry inside that file
+
+        keys.forEach(key => {
+            const prefix = key.slice(0, PREFIX_LENGTH);
+            if (!files.has(prefix)) files.set(prefix, { entries: [], keys: [] });
+            const file = files.get(prefix);
+            if (!localIndex.has(prefix)) {
+                localIndex.set(prefix, file.entries.length);
+                file.entries.push(entry);
+            }
+            file.keys.push([key, localIndex.get(prefix)]);
+        });
+    });
+
+    files.forEach(file => file.keys.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] - b[1])));
+    return files;
+}
+
+async function run() {
+    const client = new Client(clientConfig);
+    try {
+        await client.connect();
+        console.log('[SEARCH INDEX] Building static athlete search index...');
+
+        const entries = await loadEntries(client);
+        const files = buildPrefixFiles(entries);
+        const storage = getStorage();
+
+        for (const [prefix, file] of files) {
+            await storage.write(`${INDEX_DIR}/${prefix}.json.gz`, zlib.gzipSync(JSON.stringify(file)));
+        }
+
+        // Prefixes that no longer have any athlete would otherwise keep serving stale hits
+        const live = new Set([...files.keys()].map(p => `${INDEX_DIR}/${p}.json.gz`));
+        const stale = (await storage.list(`${INDEX_DIR}/`)).filter(k => k.endsWith('.json.gz') && !live.has(k));
+        for (const key of stale) await storage.delete(key);
+
+        await storage.write(`${INDEX_DIR}/meta.json`, JSON.stringify({
+            version: INDEX_VERSION,
+            prefix_length: PREFIX_LENGTH,
+            entry_count: entries.length,
+            prefixes: [...files.keys()].sort(),
+            generated_at: new Date().toISOString()
+        }));
+
+        console.log(`[SEARCH INDEX] SUCCESS. ${entries.length} athletes in ${files.size} prefix files (${stale.length} stale removed) at ${storage.describe()}/${INDEX_DIR}.`);
+
+    } catch (err) {
+        console.error('[SEARCH INDEX] ERROR:', err);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = { foldName, searchKeys, buildPrefixFiles };
@@ -0,0 +1,280 @@
+const { Client } = require('pg');
+const { resolveIdentity } = require('./athlete-identity');
+const { shardKey } = require('./shard-manifest');
+require('dotenv').config();
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+};
+
+/**
+ * HEAD-TO-HEAD
+ *
+ * Two athletes "met" when both have a result in the same meet, weight class and
+ * gender. Athletes are resolved through athlete_aliases (athlete-identity.js), so a
+ * USAW lifter and their IWF profile count as one person on either side.
+ *
+ * Outcome of a meeting, from athlete A's side:
+ *   1. total rank in a shared USAW division (usaw_division_rankings) or iwf_meet_results.rank
+ *   2. otherwise the higher total; a bomb-out loses to any total
+ *
+ * Usage: node head-to-head.js --a usaw:123442 --b iwf:16112 [--json]
+ *        (ids without a source prefix are USAW)
+ */
+
+const RIVALS_LIMIT = 10;
+
+// Shared-division total ranks for a pair of USAW results a / b
+const USAW_PAIR_RANKS = `
+    LEFT JOIN LATERAL (
+        SELECT da.total_rank AS a_rank, db.total_rank AS b_rank
+        FROM usaw_division_rankings da
+        JOIN usaw_division_rankings db ON db.division_name = da.division_name AND db.result_id = b.result_id
+        WHERE da.result_id = a.result_id AND da.total_rank IS NOT NULL AND db.total_rank IS NOT NULL
+        ORDER BY da.division_name
+        LIMIT 1
+    ) pr ON true`;
+
+const USAW_MEETINGS_QUERY = `
+    SELECT
+        a.meet_id, a.meet_name, a.date, a.weight_class, a.gender,
+        a.result_id AS a_result_id, a.best_snatch AS a_snatch, a.best_cj AS a_cj, a.total AS a_total, a.body_weight_kg AS a_body_weight,
+        b.result_id AS b_result_id, b.best_snatch AS b_snatch, b.best_cj AS b_cj, b.total AS b_total, b.body_weight_kg AS b_body_weight,
+        pr.a_rank, pr.b_rank,
+        COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'division', da.division_name,
+                'a', jsonb_build_object('snatch_rank', da.snatch_rank, 'cj_rank', da.cj_rank, 'total_rank', da.total_rank),
+                'b', jsonb_build_object('snatch_rank', db.snatch_rank, 'cj_rank', db.cj_rank, 'total_rank', db.total_rank)
+            ) ORDER BY da.division_name)
+            FROM usaw_division_rankings da
+            JOIN usaw_division_rankings db ON db.division_name = da.division_name AND db.result_id = b.result_id
+            WHERE da.result_id = a.result_id
+        ), '[]'::jsonb) AS placings
+    FROM usaw_meet_results a
+    JOIN usaw_meet_results b
+      ON b.meet_id = a.meet_id AND b.weight_class = a.weight_class AND b.gender IS NOT DISTINCT FROM a.gender
+    ${USAW_PAIR_RANKS}
+    WHERE a.lifter_id = ANY($1) AND b.lifter_id = ANY($2)
+    ORDER BY NULLIF(a.date, '')::DATE DESC NULLS LAST, a.meet_id`;
+
+const IWF_MEETINGS_QUERY = `
+    SELECT
+        a.db_meet_id AS meet_id, a.meet_name, a.date, a.weight_class, a.gender,
+        a.db_result_id AS a_result_id, a.best_snatch AS a_snatch, a.best_cj AS a_cj, a.total AS a_total, a.body_weight_kg AS a_body_weight,
+        b.db_result_id AS b_result_id, b.best_snatch AS b_snatch, b.best_cj AS b_cj, b.total AS b_total, b.body_weight_kg AS b_body_weight,
+        a.rank AS a_rank, b.rank AS b_rank
+    FROM iwf_meet_results a
+    JOIN iwf_meet_results b
+      ON b.db_meet_id = a.db_meet_id AND b.weight_class = a.weight_class AND b.gender IS NOT DISTINCT FROM a.gender
+    WHERE a.db_lifter_id = ANY($1) AND b.db_lifter_id = ANY($2)
+    ORDER BY NULLIF(a.date, '')::DATE DESC NULLS LAST, a.db_meet_id`;
+
+// Everyone who shared a meet and weight class with the athlete ($1), one row per meeting
+const USAW_RIVALS_QUERY = `
+    SELECT
+        b.lifter_id AS rival_id, l.athlete_name, l.membership_number,
+        a.date, a.total AS a_total, b.total AS b_total, pr.a_rank, pr.b_rank
+    FROM usaw_meet_results a
+    JOIN usaw_meet_results b
+      ON b.meet_id = a.meet_id AND b.weight_class = a.weight_class AND b.gender IS NOT DISTINCT FROM a.gender
+    JOIN usaw_lifters l ON l.lifter_id = b.lifter_id
+    ${USAW_PAIR_RANKS}
+    WHERE a.lifter_id = ANY($1) AND b.lifter_id <> ALL($1)`;
+
+const IWF_RIVALS_QUERY = `
+    SELECT
+        b.db_lifter_id AS rival_id, l.athlete_name, l.iwf_lifter_id, l.country_code,
+        a.date, a.total AS a_total, b.total AS b_total, a.rank AS a_rank, b.rank AS b_rank
+    FROM iwf_meet_results a
+    JOIN iwf_meet_results b
+      ON b.db_meet_id = a.db_meet_id AND b.weight_class = a.weight_class AND b.gender IS NOT DISTINCT FROM a.gender
+    JOIN iwf_lifters l ON l.db_lifter_id = b.db_lifter_id
+    WHERE a.db_lifter_id = ANY($1) AND b.db_lifter_id <> ALL($1)`;
+
+// Made lifts only: "---", "0" and misses (negative) count as no lift
+function liftValue(v) {
+    if (v === null || v === undefined) return null;
+    const n = parseFloat(v);
+    return !isNaN(n) && n > 0 ? n : null;
+}
+
+/**
+ * @param {{a_rank, b_rank, a_total, b_total}} m - One meeting
+ * @returns {'win'|'loss'|'draw'} From athlete A's side
+ */
+function decideMeeting(m) {
+    const aRank = parseInt(m.a_rank), bRank = parseInt(m.b_rank);
+    if (aRank > 0 && bRank > 0 && aRank !== bRank) return aRank < bRank ? 'win' : 'loss';
+
+    const aTotal = liftValue(m.a_total), bTotal = liftValue(m.b_total);
+    if (aTotal === bTotal) return 'draw';
+    if (bTotal === null) return 'win';
+    if (aTotal === null) return 'loss';
+    return aTotal > bTotal ? 'win' : 'loss';
+}
+
+function margin(a, b) {
+    const av = liftValue(a), bv = liftValue(b);
+    return av === null || bv === null ? null : av - bv;
+}
+
+function formatMeeting(source, row) {
+    const side = (prefix) => ({
+        result_id: row[`${prefix}_result_id`],
+        snatch: row[`${prefix}_snatch`],
+        cj: row[`${prefix}_cj`],
+        total: row[`${prefix}_total`],
+        body_weight_kg: row[`${prefix}_body_weight`],
+        rank: row[`${prefix}_rank`] ?? null
+    });
+    return {
+        source,
+        meet_id: row.meet_id,
+        meet_name: row.meet_name,
+        date: row.date,
+        weight_class: row.weight_class,
+        gender: row.gender,
+        a: side('a'),
+        b: side('b'),
+        placings: row.placings || [],
+        margins: {
+            snatch: margin(row.a_snatch, row.b_snatch),
+            cj: margin(row.a_cj, row.b_cj),
+            total: margin(row.a_total, row.b_total)
+        },
+        outcome: decideMeeting(row)
+    };
+}
+
+/**
+ * Every meeting between two athletes, newest first, with the win/loss record.
+ * @param {Client} client - Connected pg client
+ * @param {{usaw_id?, iwf_id?}} athleteA - Public identifier of athlete A
+ * @param {{usaw_id?, iwf_id?}} athleteB - Public identifier of athlete B
+ */
+async function getHeadToHead(client, athleteA, athleteB) {
+    const [a, b] = await Promise.all([resolveIdentity(client, athleteA), resolveIdentity(client, athleteB)]);
+
+    const meetings = [];
+    if (a.usawLifterIds.length > 0 && b.usawLifterIds.length > 0) {
+        const res = await client.query(USAW_MEETINGS_QUERY, [a.usawLifterIds, b.usawLifterIds]);
+        meetings.push(...res.rows.map(r => formatMeeting('usaw', r)));
+    }
+    if (a.iwfDbLifterIds.length > 0 && b.iwfDbLifterIds.length > 0) {
+        const res = await client.query(IWF_MEETINGS_QUERY, [a.iwfDbLifterIds, b.iwfDbLifterIds]);
+        meetings.push(...res.rows.map(r => formatMeeting('iwf', r)));
+    }
+    meetings.sort((x, y) => new Date(y.date) - new Date(x.date));
+
+    const record = { wins: 0, losses: 0, draws: 0 };
+    meetings.forEach(m => {
+        if (m.outcome === 'win') record.wins++;
+        else if (m.outcome === 'loss') record.losses++;
+        else record.draws++;
+    });
+
+    return { a, b, meetings, record };
+}
+
+function tallyRivals(rows, toRival, limit) {
+    const rivals = new Map();
+    rows.forEach(r => {
+        const key = r.rival_id.toString();
+        if (!rivals.has(key)) rivals.set(key, { ...toRival(r), meetings: 0, wins: 0, losses: 0, draws: 0, last_met: null });
+        const rival = rivals.get(key);
+        rival.meetings++;
+        const outcome = decideMeeting(r);
+        if (outcome === 'win') rival.wins++;
+        else if (outcome === 'loss') rival.losses++;
+        else rival.draws++;
+        if (r.date && (!rival.last_met || new Date(r.date) > new Date(rival.last_met))) rival.last_met = r.date;
+    });
+
+    return [...rivals.values()]
+        .sort((x, y) => (y.meetings - x.meetings) || (new Date(y.last_met) - new Date(x.last_met)))
+        .slice(0, limit);
+}
+
+/**
+ * The athletes someone has met most often, per source. Wins/losses are from the
+ * athlete's side.
+ * @param {Client} client - Connected pg client
+ * @param {{usawLifterIds: Array, iwfDbLifterIds: Array}} identity - All internal ids of the athlete
+ */
+async function getRivals(client, { usawLifterIds, iwfDbLifterIds }, limit = RIVALS_LIMIT) {
+    const rivals = { usaw: [], iwf: [] };
+
+    if (usawLifterIds.length > 0) {
+        const res = await client.query(USAW_RIVALS_QUERY, [usawLifterIds]);
+        rivals.usaw = tallyRivals(res.rows, r => ({
+            athlete_id: r.rival_id,
+            athlete_name: r.athlete_name,
+            athlete_shard: r.membership_number ? shardKey('usaw', r.membership_number) : shardKey('internal', r.rival_id)
+        }), limit);
+    }
+    if (iwfDbLifterIds.length > 0) {
+        const res = await client.query(IWF_RIVALS_QUERY, [iwfDbLifterIds]);
+        rivals.iwf = tallyRivals(res.rows, r => ({
+            athlete_id: r.rival_id,
+            athlete_name: r.athlete_name,
+            country_code: r.country_code || null,
+            athlete_shard: r.iwf_lifter_id ? shardKey('iwf', r.iwf_lifter_id) : null
+        }), limit);
+    }
+
+    return rivals;
+}
+
+// "usaw:123442" / "iwf:16112" / "123442" -> { usaw_id } / { iwf_id }
+function parseAthleteArg(value) {
+    const str = (value ?? '').toString();
+    const [source, id] = str.includes(':') ? str.split(':', 2) : ['usaw', str];
+    if (!id || !['usaw', 'iwf'].includes(source)) throw new Error(`Invalid athlete "${str}" (expected usaw:<id> or iwf:<id>)`);
+    return { [`${source}_id`]: id };
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { string: ['a', 'b'] });
+    if (!args.a || !args.b) {
+        console.log('Usage: node head-to-head.js --a usaw:<id>|iwf:<id> --b usaw:<id>|iwf:<id> [--json]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const client = new Client(clientConfig);
+    try {
+        await client.connect();
+        const result = await getHeadToHead(client, parseAthleteArg(args.a), parseAthleteArg(args.b));
+
+        if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+            return;
+        }
+
+        console.log(`[H2H] ${args.a} vs ${args.b}: ${result.meetings.length} meetings, ${result.record.wins}W-${result.record.losses}L-${result.record.draws}D`);
+        result.meetings.forEach(m => {
+            const fmt = (v) => (v === null ? '—' : (v > 0 ? `+${v}` : `${v}`));
+            const ranks = m.a.rank && m.b.rank ? ` (#${m.a.rank} vs #${m.b.rank})` : '';
+            console.log(`    ${m.date} ${m.source.toUpperCase()} ${m.meet_name} ${m.weight_class}: ${m.outcome.toUpperCase()}${ranks} | sn ${fmt(m.margins.snatch)} cj ${fmt(m.margins.cj)} tot ${fmt(m.margins.total)}`);
+            m.placings.forEach(p => {
+                console.log(`        ${p.division}: ${p.a.total_rank ?? '—'} vs ${p.b.total_rank ?? '—'}`);
+            });
+        });
+    } finally {
+        await client.end();
+    }
+}
+
+if (require.main === module) {
+    run().catch(err => {
+        console.error('[H2H] FATAL ERROR:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = { getHeadToHead, getRivals, decideMeeting };
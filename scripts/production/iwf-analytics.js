@@ -10,8 +10,9 @@
  * - **Bounce-Back Metrics**: Recovery performance after missed attempts
  * - **Q-Scores (Huebner Formula)**: Normalized performance scores across bodyweights
  *   - Q-points: Ages 21-30 (standard scoring)
- *   - Q-youth: Ages 10-20 (with age-specific multipliers from youth_factors table)
- *   - Q-masters: Ages 31+ (masters scoring)
+ *   - Q-youth: Ages 10-20 (youth_factors coefficients, via scripts/shared/scoring)
+ *   - Q-masters: Ages 31+ (masters age factors, via scripts/shared/scoring)
+ * - **Sinclair**: Coefficient set in force on the meet date, plus Sinclair-Meltzer-Faber from age 30
  * - **Age and Gender**: Parsed from birth date and weight class
  * - **Competition Age**: Calculated from birth year and competition date
  *
@@ -29,6 +30,9 @@
  * // Returns athlete with added fields: snatch_successful_attempts, qpoints, etc.
  */
 
+const scoring = require('../shared/scoring');
+const { scoreSinclair } = require('../shared/scoring/sinclair');
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -269,48 +273,22 @@ function calculateBounceBack(athlete) {
  * @param {number} totalNum - Competition total (kg)
  * @param {number} B - Bodyweight factor (bodyweight / 100)
  * @param {string} gender - 'M' for men, 'F' for women
- * @returns {number|null} - Q-score (rounded to 3 decimal places) or null if invalid
+ * @returns {number|null} - Q-score (rounded to 2 decimal places, as in calculate_qpoints_from_row) or null if invalid
  */
 function calculateQScore(totalNum, B, gender) {
-    if (gender === 'M') {
-        const denominator = 416.7 - 47.87 * Math.pow(B, -2) + 18.93 * Math.pow(B, 2);
-        return Math.round((totalNum * 463.26 / denominator) * 1000) / 1000;
-    } else if (gender === 'F') {
-        const denominator = 266.5 - 19.44 * Math.pow(B, -2) + 18.61 * Math.pow(B, 2);
-        return Math.round((totalNum * 306.54 / denominator) * 1000) / 1000;
-    }
-
-    return null;
-}
-
-/**
- * Returns true if the given (gender, age) meets the masters definition
- * Men: 31-75 inclusive
- * Women: 31-90 inclusive
- * Excludes ages > 90 for women, > 75 for men
- */
-function isMasterAge(gender, age) {
-    if (!age || isNaN(age)) return false;
-    if (!gender || typeof gender !== 'string') return false;
-    const g = gender.toUpperCase();
-    if (g === 'M') return age >= 31 && age <= 75;
-    if (g === 'F') return age >= 31 && age <= 90;
-    return false;
+    if (!scoring.genderCode(gender)) return null;
+    return scoring.calculateQpoints(totalNum, B * 100, gender);
 }
 
 /**
  * Calculates age-appropriate Q-scores based on athlete's competition age
- * Uses Huebner's age brackets:
+ * Delegates to the shared scoring module so IWF results are scored exactly as the
+ * USAW results trigger scores them (iwf_meet_results has no scoring trigger):
  * - Ages ≤9: No scoring
- * - Ages 10-20: Q-youth only
+ * - Ages 10-20: Q-youth (total × youth_factors coefficient; plain Q-points if the
+ *   youth_factors table cannot be read)
  * - Ages 21-30: Q-points only
- * - Ages 31+: Q-masters only
- *
- * Uses Huebner's age brackets with youth_factors multipliers:
- * - Ages ≤9: No scoring
- * - Ages 10-20: Q-youth with age-specific multiplier from youth_factors
- * - Ages 21-30: Q-points only
- * - Ages 31+: Q-masters only
+ * - Ages 31+: Q-masters (Q-points × masters age factor)
  *
  * @param {string|number} total - Competition total (kg)
  * @param {string|number} bodyWeight - Competition bodyweight (kg)
@@ -319,72 +297,20 @@ function isMasterAge(gender, age) {
  * @returns {Promise<Object>} - { qpoints, q_youth, q_masters }
  */
 async function calculateAgeAppropriateQScore(total, bodyWeight, gender, age) {
-    // Initialize all scores as null
-    const qScores = {
-        qpoints: null,
-        q_youth: null,
-        q_masters: null
-    };
-
-    // Validate input data
-    if (!total || !bodyWeight || !gender || !age) {
-        return qScores;
-    }
-
-    const totalNum = parseFloat(total);
-    const bwNum = parseFloat(bodyWeight);
-
-    if (isNaN(totalNum) || isNaN(bwNum) || totalNum <= 0 || bwNum <= 0) {
-        return qScores;
-    }
-
-    const B = bwNum / 100;
-
-    // Age-based scoring according to Huebner's brackets
-    // Ages ≤9: No Q-scoring
-    if (age <= 9) {
-        return qScores;
-    }
-
-    // Ages 10-20: Q-youth with age-specific multiplier from youth_factors
-    if (age >= 10 && age <= 20) {
-        const baseScore = calculateQScore(totalNum, B, gender);
-        
-        // Try to fetch youth multiplier from youth_factors table
-        try {
-            const config = require('./iwf-config');
-            const { data, error } = await config.supabaseIWF
-                .from('youth_factors')
-                .select('multiplier')
-                .eq('age', age)
-                .eq('gender', gender)
-                .maybeSingle();
-
-            if (!error && data && data.multiplier) {
-                qScores.q_youth = Math.round((baseScore * data.multiplier) * 1000) / 1000;
-            } else {
-                // Fallback to base Huebner if no multiplier found
-                qScores.q_youth = baseScore;
-            }
-        } catch (err) {
-            // Fallback to base Huebner if database query fails
-            console.warn(`Warning: Could not fetch youth multiplier for age ${age}: ${err.message}`);
-            qScores.q_youth = baseScore;
-        }
-        
-        return qScores;
-    }
-
-    // Ages 21-30: Q-points only
-    if (age >= 21 && age <= 30) {
-        qScores.qpoints = calculateQScore(totalNum, B, gender);
-        return qScores;
-    }
-
-    // Ages 31+: Q-masters only (use isMasterAge predicate)
-    if (isMasterAge(gender, age)) {
-        qScores.q_masters = calculateQScore(totalNum, B, gender);
-        return qScores;
+    const config = require('./iwf-config');
+    await scoring.ensureYouthFactors(config.supabaseIWF);
+
+    const qScores = scoring.scoreResult({
+        total,
+        body_weight_kg: bodyWeight,
+        gender,
+        competition_age: age
+    });
+
+    // No youth table available: fall back to base Huebner, as before the shared module
+    if (qScores.q_youth === null && age >= 10 && age <= 20) {
+        const baseScore = calculateQScore(parseFloat(total), parseFloat(bodyWeight) / 100, gender);
+        if (baseScore > 0) qScores.q_youth = baseScore;
     }
 
     return qScores;
@@ -419,7 +345,7 @@ async function enrichAthleteWithAnalytics(athlete, meetInfo = {}) {
         // Calculate bounce-back metrics
         const bounceBack = calculateBounceBack(athlete);
 
-        // Calculate Q-scores (now async with youth_factors lookup)
+        // Calculate Q-scores
         const qScores = await calculateAgeAppropriateQScore(
             athlete.total,
             athlete.body_weight,
@@ -427,6 +353,15 @@ async function enrichAthleteWithAnalytics(athlete, meetInfo = {}) {
             competitionAge
         );
 
+        // Calculate Sinclair / SMF
+        const sinclair = scoreSinclair({
+            total: athlete.total,
+            body_weight_kg: athlete.body_weight,
+            gender,
+            competition_age: competitionAge,
+            date: meetInfo.date
+        });
+
         // Return enhanced athlete object with all analytics
         return {
             ...athlete,
@@ -447,6 +382,9 @@ async function enrichAthleteWithAnalytics(athlete, meetInfo = {}) {
             qpoints: qScores.qpoints,
             q_youth: qScores.q_youth,
             q_masters: qScores.q_masters,
+            // Sinclair
+            sinclair: sinclair.sinclair,
+            sinclair_masters: sinclair.sinclair_masters,
             // YTD bests (to be calculated during database import)
             best_snatch_ytd: null,
             best_cj_ytd: null,
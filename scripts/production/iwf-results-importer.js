@@ -16,6 +16,8 @@
 const config = require('./iwf-config');
 const lifterManager = require('./iwf-lifter-manager');
 const analytics = require('./iwf-analytics');
+const { normalizeCategory } = require('../shared/categories');
+const { withOptionalColumns } = require('../shared/optional-columns');
 
 // ============================================================================
 // YTD CALCULATION (DEPRECATED - Use Database Trigger Instead)
@@ -139,6 +141,14 @@ function mapAthleteToResultRecord(athlete, meetId, lifter, meetInfo) {
         lifter_name: lifter.athlete_name || null,
         body_weight_kg: athlete.body_weight || null,
 
+        // Normalized age group and weight class (age_group, weight_class_limit_kg, weight_class_is_plus, weight_class_era)
+        ...normalizeCategory({
+            age_category: athlete.age_category || 'Senior',
+            weight_class: athlete.weight_class,
+            gender: athlete.gender || lifter.gender,
+            date: meetInfo.Date
+        }),
+
         // Athlete data with fallbacks from lifter record
         gender: athlete.gender || lifter.gender || null,
         birth_year: athlete.birth_year || lifter.birth_year || null,
@@ -182,6 +192,10 @@ function mapAthleteToResultRecord(athlete, meetId, lifter, meetInfo) {
         q_masters: athlete.q_masters || null,
         q_youth: athlete.q_youth || null,
 
+        // Sinclair (coefficient set of the meet date) and Sinclair-Meltzer-Faber
+        sinclair: athlete.sinclair || null,
+        sinclair_masters: athlete.sinclair_masters || null,
+
         // System fields
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
@@ -234,22 +248,22 @@ async function insertResultRecord(resultData) {
 
         if (existing) {
             // Record exists - UPDATE with new values (fixes corrupted decimals)
-            const { data: updated, error: updateError } = await config.supabaseIWF
+            const { data: updated, error: updateError } = await withOptionalColumns('iwf_meet_results', resultData, row => config.supabaseIWF
                 .from('iwf_meet_results')
-                .update(resultData)
+                .update(row)
                 .eq('db_result_id', existing.db_result_id)
                 .select('*')
-                .single();
+                .single());
 
             data = updated;
             error = updateError;
         } else {
             // Record doesn't exist - INSERT
-            const { data: inserted, error: insertError } = await config.supabaseIWF
+            const { data: inserted, error: insertError } = await withOptionalColumns('iwf_meet_results', resultData, row => config.supabaseIWF
                 .from('iwf_meet_results')
-                .insert(resultData)
+                .insert(row)
                 .select('*')
-                .single();
+                .single());
 
             data = inserted;
             error = insertError;
@@ -302,7 +316,7 @@ async function importAthleteResult(athlete, meetId, meetInfo) {
         );
 
         // Step 2: Enrich athlete data with analytics calculations
-        // This calculates: qpoints, q_youth, q_masters, competition_age, successful attempts, bounce-back metrics
+        // This calculates: qpoints, q_youth, q_masters, sinclair, competition_age, successful attempts, bounce-back metrics
         const enrichedAthlete = await analytics.enrichAthleteWithAnalytics(athlete, meetInfo);
 
         // Step 3: Map enriched athlete data to result record
@@ -0,0 +1,95 @@
+/**
+ * LISTENER CLIENT
+ *
+ * Signs and sends requests to the Data Factory listener, e.g. after a meet
+ * re-import through the unified scraper:
+ *   node scripts/production/listener-client.js --meet 2357 --wait
+ *   node scripts/production/listener-client.js --usaw 123442,98231
+ */
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+const LISTENER_URL = process.env.LISTENER_URL || 'http://localhost:8889';
+const POLL_INTERVAL_MS = 5000;
+
+async function signedPost(route, body = {}) {
+    const rawBody = JSON.stringify(body);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomUUID();
+    const signature = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET)
+        .update(`${timestamp}.${nonce}.${route}.${rawBody}`)
+        .digest('hex');
+
+    const res = await fetch(`${LISTENER_URL}${route}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Nonce': nonce,
+            'X-Webhook-Signature': `sha256=${signature}`
+        },
+        body: rawBody
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(`Listener returned ${res.status}: ${data.error || JSON.stringify(data)}`);
+    return data;
+}
+
+async function getJob(jobId) {
+    const res = await fetch(`${LISTENER_URL}/jobs/${jobId}`);
+    if (!res.ok) throw new Error(`Listener returned ${res.status} for job ${jobId}`);
+    return res.json();
+}
+
+async function refreshMeet(meetId, source = 'usaw') {
+    return signedPost(`/refresh-meet/${meetId}?source=${source}`);
+}
+
+async function refreshBatch({ usaw_ids = [], iwf_ids = [] }) {
+    return signedPost('/refresh-batch', { usaw_ids, iwf_ids });
+}
+
+async function waitForJob(jobId) {
+    while (true) {
+        const job = await getJob(jobId);
+        if (job.status === 'done' || job.status === 'failed') return job;
+        if (job.counts) console.log(`[LISTENER CLIENT] ${jobId}: ${job.counts.done + job.counts.failed}/${job.total} finished`);
+        await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
+    }
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { string: ['usaw', 'iwf', 'meet'] });
+    const splitIds = v => (v ? v.split(',').map(s => s.trim()).filter(Boolean) : []);
+
+    if (!process.env.WEBHOOK_SECRET) throw new Error('WEBHOOK_SECRET is not set');
+
+    let queued;
+    if (args.meet) {
+        queued = await refreshMeet(args.meet, args.source || 'usaw');
+    } else if (args.usaw || args.iwf) {
+        queued = await refreshBatch({ usaw_ids: splitIds(args.usaw), iwf_ids: splitIds(args.iwf) });
+    } else {
+        console.log('Usage: node listener-client.js --meet <id> [--source iwf] | --usaw <ids> --iwf <ids> [--wait]');
+        return;
+    }
+
+    console.log(`[LISTENER CLIENT] Queued job ${queued.job_id} (${queued.jobs} athletes)`);
+
+    if (args.wait) {
+        const job = await waitForJob(queued.job_id);
+        console.log(`[LISTENER CLIENT] Job ${job.id} ${job.status.toUpperCase()}`, job.counts || '');
+        (job.failures || []).forEach(f => console.log(`    • ${f.key}: ${f.error}`));
+        if (job.status === 'failed') process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    run().catch(err => {
+        console.error('[LISTENER CLIENT] ERROR:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { signedPost, getJob, refreshMeet, refreshBatch, waitForJob };
@@ -1,45 +1,200 @@
 const express = require('express');
-const { generateAthlete } = require('./assembler');
+const crypto = require('crypto');
+const { RefreshQueue } = require('./refresh-queue');
+const { generateMeet } = require('./assembler');
+const { getStorage } = require('./shard-storage');
 require('dotenv').config();
 
 const app = express();
-app.use(express.json());
+
+// Keep the exact request bytes: the HMAC is computed over the raw body, not the parsed object
+app.use(express.json({
+    verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); }
+}));
 
 const PORT = 8889;
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'changeme_12345';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+const MAX_BATCH_SIZE = 5000;
+const STARTED_AT = new Date().toISOString();
 
-/**
- * WEBHOOK LISTENER - Phase 3.2
- * Receives lifter_id from Postgres and triggers an individual JSON update.
- */
-app.post('/refresh-athlete', async (req, res) => {
-    const { usaw_id, iwf_id, secret } = req.body;
+if (!WEBHOOK_SECRET) {
+    console.error('[LISTENER] WEBHOOK_SECRET is not set. Refusing to start without a signing secret.');
+    process.exit(1);
+}
+
+const dbConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+};
+
+const queue = new RefreshQueue(dbConfig, {
+    concurrency: parseInt(process.env.LISTENER_CONCURRENCY || '2', 10),
+    debounceMs: parseInt(process.env.LISTENER_DEBOUNCE_MS || '5000', 10)
+});
+
+// ── Request Signing ──────────────────────────────────────────────────────────
+// Callers send:
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Nonce: <unique per request, e.g. a UUID>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<path>.<raw body>">
+// The path (including any query string) is signed so a captured request cannot be replayed to another route.
+// The nonce keeps identical calls in the same second (per-row triggers of a multi-row update) distinct,
+// so they merge into the queue instead of being rejected as replays.
+const _seenSignatures = new Map(); // signature -> expiry (ms), rejects replays inside the tolerance window
+
+function signPayload(timestamp, nonce, route, rawBody, secret = WEBHOOK_SECRET) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${route}.${rawBody}`).digest('hex');
+}
+
+function verifySignature(req) {
+    const timestamp = req.get('X-Webhook-Timestamp');
+    const nonce = req.get('X-Webhook-Nonce');
+    const header = req.get('X-Webhook-Signature') || '';
+    const signature = header.startsWith('sha256=') ? header.slice(7) : header;
+
+    if (!timestamp || !/^\d+$/.test(timestamp) || !nonce || !signature) return 'Missing signature headers';
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+    if (age > SIGNATURE_TOLERANCE_SECONDS) return 'Stale timestamp';
 
-    // Security Check
-    if (secret !== WEBHOOK_SECRET) {
-        console.warn(`[LISTENER] Unauthorized request attempt from ${req.ip}`);
+    const expected = signPayload(timestamp, nonce, req.originalUrl, req.rawBody || '');
+    const a = Buffer.from(signature, 'hex');
+    const b = Buffer.from(expected, 'hex');
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return 'Bad signature';
+
+    const now = Date.now();
+    _seenSignatures.forEach((expiry, sig) => { if (expiry < now) _seenSignatures.delete(sig); });
+    if (_seenSignatures.has(expected)) return 'Replayed request';
+    _seenSignatures.set(expected, now + SIGNATURE_TOLERANCE_SECONDS * 2000);
+
+    return null;
+}
+
+function requireSignature(req, res, next) {
+    const failure = verifySignature(req);
+    if (failure) {
+        console.warn(`[LISTENER] Unauthorized request from ${req.ip}: ${failure}`);
         return res.status(401).json({ error: 'Unauthorized' });
     }
+    next();
+}
+
+/**
+ * WEBHOOK LISTENER - Phase 3.3
+ * Receives lifter_id from Postgres and queues an individual JSON update.
+ * Responds immediately with a job id; the shard is written by the queue workers.
+ */
+app.post('/refresh-athlete', requireSignature, (req, res) => {
+    const { usaw_id, iwf_id } = req.body;
 
     if (!usaw_id && !iwf_id) {
         return res.status(400).json({ error: 'Missing athlete identifiers' });
     }
 
-    console.log(`[LISTENER] Received refresh request - USAW: ${usaw_id}, IWF: ${iwf_id}`);
+    const { job, merged } = queue.enqueue({ usaw_id, iwf_id });
+    console.log(`[LISTENER] ${merged ? 'Merged' : 'Queued'} refresh - USAW: ${usaw_id}, IWF: ${iwf_id} (job ${job.id})`);
+
+    return res.status(202).json({ success: true, job_id: job.id, merged });
+});
+
+/**
+ * Batch refresh: { usaw_ids: [...], iwf_ids: [...] }
+ * Every id becomes (or merges into) a queued job; the returned batch id tracks all of them.
+ */
+app.post('/refresh-batch', requireSignature, (req, res) => {
+    const usawIds = Array.isArray(req.body.usaw_ids) ? req.body.usaw_ids.filter(Boolean) : [];
+    const iwfIds = Array.isArray(req.body.iwf_ids) ? req.body.iwf_ids.filter(Boolean) : [];
+    const total = usawIds.length + iwfIds.length;
+
+    if (total === 0) {
+        return res.status(400).json({ error: 'Missing athlete identifiers' });
+    }
+    if (total > MAX_BATCH_SIZE) {
+        return res.status(413).json({ error: `Batch too large (${total} > ${MAX_BATCH_SIZE})` });
+    }
+
+    const batch = queue.enqueueBatch([
+        ...usawIds.map(id => ({ usaw_id: id })),
+        ...iwfIds.map(id => ({ iwf_id: id }))
+    ], 'batch');
+
+    console.log(`[LISTENER] Queued batch ${batch.id} - ${usawIds.length} USAW, ${iwfIds.length} IWF (${batch.total} jobs)`);
+    return res.status(202).json({ success: true, job_id: batch.id, jobs: batch.total });
+});
+
+/**
+ * Meet refresh: every athlete with a result at the meet.
+ * USAW meets by usaw_meets.meet_id (default) or IWF meets by iwf_meets.db_meet_id with ?source=iwf.
+ */
+app.post('/refresh-meet/:meetId', requireSignature, async (req, res) => {
+    const { meetId } = req.params;
+    const source = (req.query.source || req.body.source || 'usaw').toString().toLowerCase();
+
+    if (!/^\d+$/.test(meetId)) {
+        return res.status(400).json({ error: 'Invalid meet id' });
+    }
+    if (source !== 'usaw' && source !== 'iwf') {
+        return res.status(400).json({ error: `Unknown source '${source}'` });
+    }
+
+    try {
+        const { rows } = source === 'usaw'
+            ? await queue.pool.query('SELECT DISTINCT lifter_id AS id FROM usaw_meet_results WHERE meet_id = $1', [meetId])
+            : await queue.pool.query('SELECT DISTINCT db_lifter_id AS id FROM iwf_meet_results WHERE db_meet_id = $1', [meetId]);
 
-    // Trigger the real-time refresh
-    const result = await generateAthlete({ usaw_id, iwf_id });
+        if (rows.length === 0) {
+            return res.status(404).json({ error: `No results found for ${source} meet ${meetId}` });
+        }
 
-    if (result.success) {
-        console.log(`[LISTENER] Success: Shards updated for USAW:${usaw_id}, IWF:${iwf_id}`);
-        return res.json({ success: true, shards_written: result.shards_written });
-    } else {
-        console.error(`[LISTENER] Failed: ${result.error}`);
-        return res.status(500).json({ success: false, error: result.error });
+        const batch = queue.enqueueBatch(rows.map(r => ({ [`${source}_id`]: r.id })), `meet:${source}:${meetId}`);
+        console.log(`[LISTENER] Queued meet ${source}:${meetId} as batch ${batch.id} (${batch.total} athletes)`);
+
+        // The meet shard only links to athlete shards by key, so it can be rebuilt right away
+        generateMeet({ [`${source}_meet_id`]: meetId }, queue.pool).then(result => {
+            if (!result.success) console.error(`[LISTENER] Meet shard ${source}:${meetId} failed: ${result.error || result.message}`);
+        });
+
+        return res.status(202).json({ success: true, job_id: batch.id, jobs: batch.total });
+    } catch (err) {
+        console.error(`[LISTENER] Failed to load athletes for ${source} meet ${meetId}:`, err.message);
+        return res.status(500).json({ success: false, error: err.message });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`[LISTENER] Data Factory Webhook Listener active on port ${PORT}`);
-    console.log(`[LISTENER] Target: ${process.env.OUTPUT_DIR || '/var/www/athlete-data'}`);
+// Job ids are random UUIDs handed out only to signed callers, so status lookups are unsigned.
+app.get('/jobs/:id', (req, res) => {
+    const job = queue.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    return res.json(job);
 });
+
+app.get('/health', async (req, res) => {
+    let db = 'ok';
+    try {
+        await queue.pool.query('SELECT 1');
+    } catch (err) {
+        db = `error: ${err.message}`;
+    }
+
+    return res.status(db === 'ok' ? 200 : 503).json({
+        status: db === 'ok' ? 'ok' : 'degraded',
+        started_at: STARTED_AT,
+        uptime_seconds: Math.round(process.uptime()),
+        db,
+        queue: queue.stats()
+    });
+});
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`[LISTENER] Data Factory Webhook Listener active on port ${PORT}`);
+        console.log(`[LISTENER] Target: ${getStorage().describe()}`);
+        console.log(`[LISTENER] Workers: ${queue.options.concurrency}, debounce: ${queue.options.debounceMs}ms`);
+    });
+}
+
+module.exports = { app, queue, signPayload };
@@ -16,6 +16,8 @@ require('dotenv').config();
 const puppeteer = require('puppeteer');
 const { createClient } = require('@supabase/supabase-js');
 const { findOrCreateLifterEnhanced } = require('./findOrCreateLifter-enhanced');
+const { normalizeCategory } = require('../shared/categories');
+const { withOptionalColumns } = require('../shared/optional-columns');
 const minimist = require('minimist');
 const fs = require('fs');
 const path = require('path');
@@ -1064,6 +1066,12 @@ async function processEntries(meetId, meetName, entries, eventDate, meetDetails
                     gender: entry.gender,
                     division: entry.division,
                     weight_class: entry.weight_class,
+                    ...normalizeCategory({
+                        division: entry.division,
+                        weight_class: entry.weight_class,
+                        gender: entry.gender,
+                        date: eventDate
+                    }),
                     entry_total: entry.entry_total,
                     athlete_match_status: matchStatus,
                     updated_at: new Date().toISOString()
@@ -1099,10 +1107,13 @@ async function processEntries(meetId, meetName, entries, eventDate, meetDetails
                     const fieldsToCheck = [
                         'first_name', 'last_name', 'state', 'wso', 'birth_year',
                         'weightlifting_age', 'club', 'gender', 'division',
-                        'weight_class', 'entry_total', 'athlete_match_status'
+                        'weight_class', 'entry_total', 'athlete_match_status',
+                        'age_group', 'weight_class_limit_kg', 'weight_class_is_plus', 'weight_class_era'
                     ];
 
                     hasChanges = fieldsToCheck.some(field => {
+                        // Category columns are only compared once their migration is applied
+                        if (existingFull && !(field in existingFull)) return false;
                         const oldVal = existingFull?.[field];
                         const newVal = entryRecord[field];
                         // Handle null/undefined equivalence
@@ -1116,12 +1127,12 @@ async function processEntries(meetId, meetName, entries, eventDate, meetDetails
                             log(`    [DRY RUN] Would update entry for ${fullName}`);
                             upsertData = { created_at: '2000-01-01', updated_at: new Date().toISOString() };
                         } else {
-                            const { data: updateData, error: updateError } = await supabase
+                            const { data: updateData, error: updateError } = await withOptionalColumns('usaw_meet_entries', entryRecord, row => supabase
                                 .from('usaw_meet_entries')
-                                .update(entryRecord)
+                                .update(row)
                                 .eq('id', existingRecord.id)
                                 .select('created_at, updated_at')
-                                .single();
+                                .single());
                             upsertData = updateData;
                             error = updateError;
                         }
@@ -1135,11 +1146,11 @@ async function processEntries(meetId, meetName, entries, eventDate, meetDetails
                         log(`    [DRY RUN] Would insert entry for ${fullName}`);
                         upsertData = { created_at: new Date().toISOString(), updated_at: new Date().toISOString() };
                     } else {
-                        const { data: insertData, error: insertError } = await supabase
+                        const { data: insertData, error: insertError } = await withOptionalColumns('usaw_meet_entries', entryRecord, row => supabase
                             .from('usaw_meet_entries')
-                            .insert(entryRecord)
+                            .insert(row)
                             .select('created_at, updated_at')
-                            .single();
+                            .single());
                         upsertData = insertData;
                         error = insertError;
                     }
@@ -1,6 +1,7 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { splitCategory } = require('../shared/categories');
 
 // =================================================================
 // BATCH DIVISION SCRAPER - Processes specific range of divisions
@@ -232,18 +233,7 @@ function getDivisionsForBatch(divisions) {
 }
 
 function splitAgeCategoryAndWeightClass(combinedString) {
-    if (!combinedString) return { ageCategory: '', weightClass: '' };
-
-    const weightClassPattern = /(\+?\d+\+?\s*kg)$/i;
-    const match = combinedString.match(weightClassPattern);
-
-    if (match) {
-        const weightClass = match[1].trim();
-        const ageCategory = combinedString.replace(weightClassPattern, '').trim();
-        return { ageCategory, weightClass };
-    }
-
-    return { ageCategory: combinedString, weightClass: '' };
+    return splitCategory(combinedString);
 }
 
 function isAthleteAlreadyProcessed(membershipId) {
@@ -0,0 +1,160 @@
+const { Client } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const { groupStandards, evaluateAthlete } = require('../shared/qualification');
+const { parseCategory, parseGender } = require('../shared/categories');
+const { shardKey, slugify } = require('./shard-manifest');
+require('dotenv').config();
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+};
+
+/**
+ * QUALIFICATION ENGINE
+ *
+ * Evaluates every athlete's USAW results against the qualifying totals in
+ * usaw_qualifying_standards (rules: shared/qualification.js) and writes, per event,
+ * the qualified and near-miss lists to output/qualification/<event>.json and .csv.
+ * Athlete shards carry the same statuses (assembler.js).
+ *
+ * Usage: node qualification-engine.js [--event "<event name>"] [--all] [--out <dir>]
+ *        (default: every event on or after today; --all includes past events)
+ */
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../../output/qualification');
+
+/**
+ * Standards of the selected events.
+ * @param {import('pg').Client} client
+ * @param {Object} [options]
+ * @param {string} [options.event] - One event by name
+ * @param {boolean} [options.all] - Include events already held
+ * @returns {Promise<Array<Object>>} usaw_qualifying_standards rows
+ */
+async function loadStandards(client, { event, all } = {}) {
+    const res = await client.query(`
+        SELECT event, event_date::TEXT AS event_date, gender, age_group, weight_class, qualifying_total,
+            window_start::TEXT AS window_start, window_end::TEXT AS window_end, min_meet_level, near_miss_kg
+        FROM public.usaw_qualifying_standards
+        WHERE ($1::TEXT IS NULL OR event = $1)
+            AND ($2 OR $1::TEXT IS NOT NULL OR event_date >= CURRENT_DATE)
+        ORDER BY event_date, event`, [event || null, Boolean(all)]);
+    return res.rows;
+}
+
+// Results made inside any of the windows, with the meet level and the lifter's public ids
+async function loadResults(client, from, to) {
+    const res = await client.query(`
+        SELECT r.result_id, r.lifter_id, r.meet_name, r.date, r.weight_class, r.body_weight_kg, r.total,
+            r.gender, r.birth_year, r.wso, r.club_name, m."Level" AS level,
+            l.athlete_name, l.membership_number
+        FROM public.usaw_meet_results r
+        JOIN public.usaw_meets m ON m.meet_id = r.meet_id
+        LEFT JOIN public.usaw_lifters l ON l.lifter_id = r.lifter_id
+        WHERE r.date >= $1 AND r.date <= $2
+        ORDER BY r.lifter_id, r.date DESC`, [from, to]);
+    return res.rows;
+}
+
+/**
+ * Qualified and near-miss lists per event.
+ * @param {Array<Object>} standards - usaw_qualifying_standards rows
+ * @param {Array<Object>} results - loadResults() rows (any order)
+ * @returns {Array<{event: string, event_date: string, qualified: Array<Object>, near_miss: Array<Object>}>}
+ */
+function buildLists(standards, results) {
+    const events = groupStandards(standards);
+    const lists = new Map(events.map(e => [e.event, { event: e.event, event_date: e.event_date, qualified: [], near_miss: [] }]));
+
+    const byLifter = new Map();
+    results.forEach(r => {
+        if (!byLifter.has(r.lifter_id)) byLifter.set(r.lifter_id, []);
+        byLifter.get(r.lifter_id).push(r);
+    });
+
+    byLifter.forEach((lifterResults, lifterId) => {
+        // Latest known gender and birth year, as the assembler does
+        const sorted = [...lifterResults].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+        const gender = sorted.find(r => r.gender)?.gender;
+        const birthYear = sorted.find(r => r.birth_year)?.birth_year;
+        const latest = sorted[0];
+
+        evaluateAthlete(lifterResults, events, { gender, birthYear }).forEach(({ event, standards: entries }) => {
+            entries.forEach(s => lists.get(event)[s.status].push({
+                lifter_id: lifterId,
+                membership_number: latest.membership_number || null,
+                athlete_name: latest.athlete_name || null,
+                gender: parseGender(gender),
+                wso: latest.wso || null,
+                club_name: latest.club_name || null,
+                athlete_shard: latest.membership_number ? shardKey('usaw', latest.membership_number) : shardKey('internal', lifterId),
+                ...s
+            }));
+        });
+    });
+
+    // "+87kg" sorts after "87kg"
+    const classOrder = (label) => {
+        const { limit_kg, is_plus } = parseCategory(label);
+        return limit_kg + (is_plus ? 0.5 : 0);
+    };
+    const byDivision = (a, b) => a.gender.localeCompare(b.gender)
+        || a.age_group.localeCompare(b.age_group)
+        || classOrder(a.weight_class) - classOrder(b.weight_class)
+        || b.best_total - a.best_total;
+    return [...lists.values()].map(l => ({ ...l, qualified: l.qualified.sort(byDivision), near_miss: l.near_miss.sort(byDivision) }));
+}
+
+function writeLists(list, outputDir) {
+    const csv = (v) => (v === null || v === undefined ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+    const columns = ['status', 'gender', 'age_group', 'weight_class', 'athlete_name', 'membership_number', 'wso', 'club_name',
+        'best_total', 'qualifying_total', 'margin', 'meet_name', 'date', 'level'];
+    const rows = [...list.qualified, ...list.near_miss].map(e => columns.map(c => csv(e[c])).join(','));
+
+    const base = path.join(outputDir, slugify(list.event));
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(`${base}.json`, JSON.stringify({ ...list, generated_at: new Date().toISOString() }, null, 2));
+    fs.writeFileSync(`${base}.csv`, [columns.join(','), ...rows].join('\n') + '\n');
+    return base;
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { string: ['event', 'out'], boolean: ['all'] });
+    const outputDir = args.out || DEFAULT_OUTPUT_DIR;
+
+    const client = new Client(clientConfig);
+    try {
+        await client.connect();
+        const standards = await loadStandards(client, { event: args.event, all: args.all });
+        if (standards.length === 0) {
+            console.log(`[QUALIFICATION] No standards found${args.event ? ` for "${args.event}"` : ' for upcoming events (use --all for past events)'}.`);
+            return;
+        }
+
+        const from = standards.reduce((min, s) => (s.window_start < min ? s.window_start : min), standards[0].window_start);
+        const to = standards.reduce((max, s) => (s.window_end > max ? s.window_end : max), standards[0].window_end);
+        const results = await loadResults(client, from, to);
+        console.log(`[QUALIFICATION] ${standards.length} standards, ${results.length} results between ${from} and ${to}`);
+
+        buildLists(standards, results).forEach(list => {
+            const base = writeLists(list, outputDir);
+            console.log(`[QUALIFICATION] ${list.event} (${list.event_date}): ${list.qualified.length} qualified, ${list.near_miss.length} near misses -> ${base}.csv`);
+        });
+    } finally {
+        await client.end();
+    }
+}
+
+if (require.main === module) {
+    run().catch(err => {
+        console.error('[QUALIFICATION] FATAL ERROR:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = { loadStandards, buildLists };
@@ -1,6 +1,9 @@
 const { createClient } = require('@supabase/supabase-js');
-const { calculateCompetitionAge, getEligibleDivisions } = require('../shared/division-logic');
-const args = require('minimist')(process.argv.slice(2));
+const { calculateCompetitionAge, getEligibleDivisionDetails } = require('../shared/division-logic');
+const { rankCohort } = require('../shared/placings');
+const { BEST_LIFTER_FORMULAS, scoreTeams, rankBestLifters } = require('../shared/meet-awards');
+const { ensureYouthFactors } = require('../shared/scoring');
+const { loadGamxFactors } = require('../shared/scoring/gamx');
 require('dotenv').config();
 
 // Initialize Supabase client using working .env credentials
@@ -9,86 +12,103 @@ const supabase = createClient(
     process.env.SUPABASE_SECRET_KEY
 );
 
-const DRY_RUN = args['dry-run'] || args.d;
-const LIMIT = args.limit || args.l;
+const PAGE_SIZE = 1000;
 
 /**
- * Generates and persists division rankings for a specific meet.
+ * Run options, taken by every exported function; the CLI sets them from its flags (see run()).
+ *   dryRun     - Log what would be saved, write nothing
+ *   full       - Store every placing instead of podium places only
+ *   bestLifter - Best-lifter formula (BEST_LIFTER_FORMULAS)
+ */
+const DEFAULT_OPTIONS = {
+    dryRun: false,
+    full: process.env.FULL_RANKINGS === 'true',
+    bestLifter: process.env.BEST_LIFTER_FORMULA || 'qpoints'
+};
+
+let _gamxFactors;
+
+/**
+ * Loads what the best-lifter formula scores with, once per process: the youth table for Q-youth
+ * (public.youth_factors when youth-factors.json is not bundled) or the GAMX factors.
+ * @returns {Promise<{gamxFactors?: Object}>} Options for rankBestLifters()
+ */
+async function bestLifterOptions(formula) {
+    if (formula === 'qpoints') await ensureYouthFactors(supabase);
+    if (formula === 'gamx' && !_gamxFactors) _gamxFactors = await loadGamxFactors();
+    return { gamxFactors: _gamxFactors };
+}
+
+/**
+ * Generates and persists division rankings for a specific meet, and the meet's team standings and
+ * best lifters (see saveMeetAwards).
+ * Placings use the official tie-break order (see shared/placings.js); bomb-outs are unranked.
  * @param {number} meetId - The ID of the meet to process
+ * @param {Object} [options] - Run options (DEFAULT_OPTIONS)
+ * @returns {Promise<number>} Ranking entries saved (or that would be saved in a dry run)
  */
-async function generateDivisionRankings(meetId) {
-    console.log(`[RANKING ENGINE] Processing Meet ID: ${meetId}`);
+async function generateDivisionRankings(meetId, options = {}) {
+    const { dryRun, full, bestLifter } = { ...DEFAULT_OPTIONS, ...options };
+    console.log(`[RANKING ENGINE] Processing Meet ID: ${meetId}${full ? ' (all placings)' : ''}`);
     
     // 1. Fetch results for this meet
     const { data: results, error: fetchError } = await supabase
         .from('usaw_meet_results')
-        .select('result_id, lifter_id, best_snatch, best_cj, total, body_weight_kg, gender, birth_year, date, weight_class')
+        .select('result_id, lifter_id, lifter_name, best_snatch, best_cj, total, body_weight_kg, gender, birth_year, date, age_category, weight_class, competition_age, club_name, wso, snatch_lift_1, snatch_lift_2, snatch_lift_3, cj_lift_1, cj_lift_2, cj_lift_3, gamx_total, gamx_u, gamx_masters')
         .eq('meet_id', meetId);
     
     if (fetchError) throw fetchError;
     
     if (!results || results.length === 0) {
         console.log(`[RANKING ENGINE] No results found for meet ${meetId}. Skipping.`);
-        return;
+        return 0;
     }
 
     const allRankings = [];
+    const allPlacings = [];
 
-    // 2. Map results to divisions
+    // 2. Map results to divisions (age groups and weight classes in force on the meet date)
     const resultsByDivision = {};
+    const ageGroupByDivision = {};
 
     results.forEach(r => {
         const age = calculateCompetitionAge(r.date, r.birth_year);
-        const eligibleDivisions = getEligibleDivisions(r.gender, age, r.weight_class);
+        const eligibleDivisions = getEligibleDivisionDetails(r.gender, age, r.weight_class, { date: r.date, bodyWeight: r.body_weight_kg });
         
-        eligibleDivisions.forEach(div => {
-            if (!resultsByDivision[div]) resultsByDivision[div] = {};
-            const wc = r.weight_class || 'Unknown';
-            if (!resultsByDivision[div][wc]) resultsByDivision[div][wc] = [];
-            resultsByDivision[div][wc].push(r);
+        eligibleDivisions.forEach(({ name: div, ageGroup }) => {
+            if (!resultsByDivision[div]) resultsByDivision[div] = [];
+            resultsByDivision[div].push(r);
+            ageGroupByDivision[div] = ageGroup;
         });
     });
 
-    // 3. Perform triple-sort ranking for each cohort
-    for (const [divName, weightClasses] of Object.entries(resultsByDivision)) {
-        for (const [wcName, cohort] of Object.entries(weightClasses)) {
-            
-            const sortByLift = (liftKey) => {
-                return [...cohort].sort((a, b) => {
-                    const valA = parseFloat(a[liftKey]) || 0;
-                    const valB = parseFloat(b[liftKey]) || 0;
-                    if (valB !== valA) return valB - valA;
-                    return (parseFloat(a.body_weight_kg) || 999) - (parseFloat(b.body_weight_kg) || 999);
-                });
-            };
-
-            const snatchSorted = sortByLift('best_snatch');
-            const cjSorted = sortByLift('best_cj');
-            const totalSorted = sortByLift('total');
-
-            cohort.forEach(r => {
-                const sRank = snatchSorted.findIndex(s => s.result_id === r.result_id) + 1;
-                const cRank = cjSorted.findIndex(c => c.result_id === r.result_id) + 1;
-                const tRank = totalSorted.findIndex(t => t.result_id === r.result_id) + 1;
-
-                // Podium-Only Persistence: Only save if at least one category is Rank 1, 2, or 3
-                if (sRank <= 3 || cRank <= 3 || tRank <= 3) {
-                    allRankings.push({
-                        result_id: r.result_id,
-                        athlete_id: r.lifter_id,
-                        division_name: divName,
-                        snatch_rank: sRank,
-                        cj_rank: cRank,
-                        total_rank: tRank
-                    });
-                }
+    // 3. Place each cohort (snatch, C&J, total) with the official tie-breaks
+    const isPodium = (rank) => rank !== null && rank <= 3;
+    for (const [divName, cohort] of Object.entries(resultsByDivision)) {
+        rankCohort(cohort).forEach(({ result: r, snatch_rank, cj_rank, total_rank }) => {
+            allPlacings.push({ result: r, division_name: divName, age_group: ageGroupByDivision[divName], total_rank });
+            // Podium-only persistence unless full: save if at least one category is rank 1, 2 or 3
+            if (!full && !isPodium(snatch_rank) && !isPodium(cj_rank) && !isPodium(total_rank)) return;
+            allRankings.push({
+                result_id: r.result_id,
+                athlete_id: r.lifter_id,
+                division_name: divName,
+                snatch_rank,
+                cj_rank,
+                total_rank
             });
-        }
+        });
     }
 
-    // 4. Persistence
+    // 4. Team standings and best lifters from every placing
+    const awards = {
+        teams: scoreTeams(allPlacings),
+        bestLifters: rankBestLifters(allPlacings, bestLifter, await bestLifterOptions(bestLifter))
+    };
+
+    // 5. Persistence
     if (allRankings.length > 0) {
-        if (DRY_RUN) {
+        if (dryRun) {
             console.log(`[DRY RUN] Would save ${allRankings.length} ranking entries for meet ${meetId}`);
             if (allRankings.length > 0) {
                 console.log('    Sample Entries:');
@@ -96,7 +116,11 @@ async function generateDivisionRankings(meetId) {
                     console.log(`      • Division: ${rank.division_name} (Total Rank: ${rank.total_rank})`);
                 });
             }
-            return;
+            console.log(`[DRY RUN] Would save ${awards.teams.length} team standings and ${awards.bestLifters.length} best-lifter places (${bestLifter})`);
+            awards.teams.filter(t => t.place === 1).forEach(t => {
+                console.log(`      • Top ${t.scope} team (${t.gender}): ${t.team} - ${t.points} pts`);
+            });
+            return allRankings.length;
         }
 
         // Clear existing rankings for this meet in chunks to avoid "URI too long" errors
@@ -122,49 +146,267 @@ async function generateDivisionRankings(meetId) {
         }
         
         console.log(`[RANKING ENGINE] Saved ${allRankings.length} ranking entries for meet ${meetId}`);
+        await saveMeetAwards(meetId, awards, bestLifter);
+    }
+    return allRankings.length;
+}
+
+/**
+ * Replaces a meet's rows in usaw_meet_team_scores and usaw_meet_best_lifters (this formula's only).
+ * Failures are logged, not thrown, so rankings still run before migrations/create_usaw_meet_awards.sql is applied.
+ * @param {number} meetId
+ * @param {{teams: Object[], bestLifters: Object[]}} awards - From scoreTeams() and rankBestLifters()
+ * @param {string} formula - Best-lifter formula the places were ranked by
+ */
+async function saveMeetAwards(meetId, { teams, bestLifters }, formula) {
+    try {
+        const { error: teamDeleteError } = await supabase
+            .from('usaw_meet_team_scores')
+            .delete()
+            .eq('meet_id', meetId);
+        if (teamDeleteError) throw teamDeleteError;
+
+        const { error: bestDeleteError } = await supabase
+            .from('usaw_meet_best_lifters')
+            .delete()
+            .eq('meet_id', meetId)
+            .eq('formula', formula);
+        if (bestDeleteError) throw bestDeleteError;
+
+        if (teams.length > 0) {
+            const { error } = await supabase
+                .from('usaw_meet_team_scores')
+                .insert(teams.map(t => ({ meet_id: meetId, ...t })));
+            if (error) throw error;
+        }
+
+        if (bestLifters.length > 0) {
+            const { error } = await supabase
+                .from('usaw_meet_best_lifters')
+                .insert(bestLifters.map(({ result: r, ...b }) => ({
+                    meet_id: meetId,
+                    ...b,
+                    result_id: r.result_id,
+                    lifter_id: r.lifter_id,
+                    lifter_name: r.lifter_name,
+                    weight_class: r.weight_class,
+                    body_weight_kg: r.body_weight_kg,
+                    total: r.total
+                })));
+            if (error) throw error;
+        }
+    } catch (err) {
+        console.warn(`[RANKING ENGINE] ⚠️ Could not save team standings / best lifters for meet ${meetId} (${err.message}). Is migrations/create_usaw_meet_awards.sql applied?`);
+    }
+}
+
+/**
+ * Records the start of a run in usaw_ranking_runs (nothing in a dry run).
+ * @returns {Promise<Object|null>} The run row, with the database's started_at
+ */
+async function startRun(mode, triggeredBy, since, dryRun) {
+    if (dryRun) return null;
+    const { data, error } = await supabase
+        .from('usaw_ranking_runs')
+        .insert({ mode, triggered_by: triggeredBy, since })
+        .select('run_id, started_at')
+        .single();
+    if (error) throw error;
+    return data;
+}
+
+async function finishRun(run, status, stats, errorMessage = null) {
+    if (!run) return;
+    const { error } = await supabase
+        .from('usaw_ranking_runs')
+        .update({
+            status,
+            finished_at: new Date().toISOString(),
+            meets_processed: stats.processed,
+            meets_failed: stats.failed,
+            rankings_saved: stats.saved,
+            error: errorMessage
+        })
+        .eq('run_id', run.run_id);
+    if (error) console.error(`[RANKING ENGINE] Failed to record run ${run.run_id}:`, error.message);
+}
+
+/**
+ * High-water mark for incremental runs: start of the latest completed run.
+ * @returns {Promise<string|null>}
+ */
+async function getHighWaterMark() {
+    const { data, error } = await supabase
+        .from('usaw_ranking_runs')
+        .select('started_at')
+        .eq('status', 'completed')
+        .order('started_at', { ascending: false })
+        .limit(1);
+    if (error) throw error;
+    return data.length > 0 ? data[0].started_at : null;
+}
+
+/**
+ * Meets with at least one result inserted or changed since the given timestamp.
+ * @returns {Promise<number[]>}
+ */
+async function getChangedMeetIds(since) {
+    const meetIds = new Set();
+    let lastId = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('usaw_meet_results')
+            .select('result_id, meet_id')
+            .gt('updated_at', since)
+            .gt('result_id', lastId)
+            .order('result_id', { ascending: true })
+            .limit(PAGE_SIZE);
+        if (error) throw error;
+
+        data.forEach(r => { if (r.meet_id) meetIds.add(r.meet_id); });
+        if (data.length < PAGE_SIZE) break;
+        lastId = data[data.length - 1].result_id;
+    }
+
+    return [...meetIds];
+}
+
+/**
+ * Ranks each meet in turn; a failing meet is logged and counted, not fatal.
+ * @returns {Promise<{processed: number, failed: number, saved: number}>}
+ */
+async function rankMeets(meets, options) {
+    const stats = { processed: 0, failed: 0, saved: 0 };
+
+    for (let i = 0; i < meets.length; i++) {
+        const meet = meets[i];
+        try {
+            process.stdout.write(`[${i+1}/${meets.length}] `);
+            stats.saved += await generateDivisionRankings(meet.meet_id, options);
+            stats.processed++;
+        } catch (err) {
+            stats.failed++;
+            console.error(`\n[RANKING ENGINE] Error processing meet ${meet.meet_id}${meet.Meet ? ` (${meet.Meet})` : ''}:`, err.message);
+        }
     }
+
+    return stats;
 }
 
 /**
  * Iterates through all meets and runs the ranking engine.
+ * A full run without a limit and without failures becomes the high-water mark for incremental runs.
+ * @param {Object} [options] - Run options (DEFAULT_OPTIONS), and:
+ * @param {string} [options.triggeredBy] - Recorded on the run (cli, database-importer, re-import, ...)
+ * @param {number} [options.limit] - Only the most recent meets
  */
-async function processAllMeets() {
+async function processAllMeets({ triggeredBy = 'cli', limit = null, ...options } = {}) {
+    const { dryRun, full } = { ...DEFAULT_OPTIONS, ...options };
     console.log('[RANKING ENGINE] Starting ranking engine (Supabase Mode)...');
-    if (DRY_RUN) console.log('🔍 DRY RUN MODE ENABLED - No database changes will be made.');
+    if (dryRun) console.log('🔍 DRY RUN MODE ENABLED - No database changes will be made.');
+    if (full) console.log('📋 FULL MODE - Storing every placing, not just podiums.');
 
+    let run = null;
     try {
-        let query = supabase
-            .from('usaw_meets')
-            .select('meet_id, Meet')
-            .order('Date', { ascending: false });
+        run = await startRun('full', triggeredBy, null, dryRun);
+    } catch (err) {
+        console.warn(`[RANKING ENGINE] ⚠️ Could not record run state (${err.message}). Is migrations/create_usaw_ranking_runs.sql applied?`);
+    }
 
-        if (LIMIT) {
-            query = query.limit(LIMIT);
-        }
+    const stats = { processed: 0, failed: 0, saved: 0 };
+    try {
+        const meets = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const to = limit ? Math.min(from + PAGE_SIZE, limit) - 1 : from + PAGE_SIZE - 1;
+            const { data, error: fetchError } = await supabase
+                .from('usaw_meets')
+                .select('meet_id, Meet')
+                .order('Date', { ascending: false })
+                .order('meet_id', { ascending: true })
+                .range(from, to);
+            if (fetchError) throw fetchError;
 
-        const { data: meets, error: fetchError } = await query;
-        if (fetchError) throw fetchError;
-        
-        console.log(`[RANKING ENGINE] Processing ${meets.length} meets...`);
-        
-        for (let i = 0; i < meets.length; i++) {
-            const meet = meets[i];
-            try {
-                process.stdout.write(`[${i+1}/${meets.length}] `);
-                await generateDivisionRankings(meet.meet_id);
-            } catch (err) {
-                console.error(`\n[RANKING ENGINE] Error processing meet ${meet.meet_id} (${meet.Meet}):`, err.message);
-            }
+            meets.push(...data);
+            if (data.length < to - from + 1 || (limit && meets.length >= limit)) break;
         }
         
+        console.log(`[RANKING ENGINE] Processing ${meets.length} meets...`);
+        Object.assign(stats, await rankMeets(meets, options));
+
+        await finishRun(run, limit || stats.failed > 0 ? 'partial' : 'completed', stats);
         console.log(`\n[RANKING ENGINE] PROCESSING COMPLETE.`);
     } catch (err) {
+        await finishRun(run, 'failed', stats, err.message);
         console.error('[RANKING ENGINE] FATAL ERROR:', err);
     }
+    return stats;
+}
+
+/**
+ * Re-ranks only the meets whose results were inserted or changed since the last completed run.
+ * Each run is recorded in usaw_ranking_runs; it only moves the high-water mark when every meet
+ * succeeded, so failed meets are picked up again next time.
+ * @param {Object} [options] - Run options (DEFAULT_OPTIONS), and:
+ * @param {string} [options.triggeredBy] - Recorded on the run (cli, database-importer, re-import, ...)
+ * @param {number[]} [options.meetIds] - Meets the caller just imported; ranked even without a high-water mark
+ * @param {string} [options.since] - Override the high-water mark (ISO timestamp)
+ * @returns {Promise<{processed: number, failed: number, saved: number}>}
+ */
+async function runIncrementalRankings({ triggeredBy = 'cli', meetIds = [], since = null, ...options } = {}) {
+    const { dryRun } = { ...DEFAULT_OPTIONS, ...options };
+    console.log('[RANKING ENGINE] Starting incremental ranking run...');
+    if (dryRun) console.log('🔍 DRY RUN MODE ENABLED - No database changes will be made.');
+
+    const mark = await getHighWaterMark();
+    const from = since || mark;
+    // Only a scan from the mark (or earlier) covers every change, so only such a run may become the new mark
+    const covering = Boolean(mark) && (!since || new Date(since) <= new Date(mark));
+
+    if (!from && meetIds.length === 0) {
+        console.log('[RANKING ENGINE] No completed ranking run found. Run a full sweep first or pass --since.');
+        return { processed: 0, failed: 0, saved: 0 };
+    }
+
+    const run = await startRun('incremental', triggeredBy, from, dryRun);
+    const stats = { processed: 0, failed: 0, saved: 0 };
+    try {
+        const changed = from ? await getChangedMeetIds(from) : [];
+        const toRank = [...new Set([...meetIds.map(Number), ...changed])];
+        console.log(`[RANKING ENGINE] ${toRank.length} meets changed${from ? ` since ${from}` : ' (no high-water mark: imported meets only)'}.`);
+
+        Object.assign(stats, await rankMeets(toRank.map(meet_id => ({ meet_id })), options));
+
+        await finishRun(run, covering && stats.failed === 0 ? 'completed' : 'partial', stats);
+        console.log(`\n[RANKING ENGINE] Incremental run complete: ${stats.processed} meets, ${stats.saved} ranking entries, ${stats.failed} failed.`);
+    } catch (err) {
+        await finishRun(run, 'failed', stats, err.message);
+        throw err;
+    }
+    return stats;
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2));
+    const options = {
+        dryRun: Boolean(args['dry-run'] || args.d),
+        full: Boolean(args.full) || DEFAULT_OPTIONS.full,
+        bestLifter: args['best-lifter'] || DEFAULT_OPTIONS.bestLifter
+    };
+    if (!BEST_LIFTER_FORMULAS[options.bestLifter]) {
+        console.error(`[RANKING ENGINE] Unknown best-lifter formula "${options.bestLifter}" (${Object.keys(BEST_LIFTER_FORMULAS).join(', ')})`);
+        process.exit(1);
+    }
+
+    if (args.incremental || args.i) {
+        await runIncrementalRankings({ ...options, since: args.since || null });
+    } else {
+        await processAllMeets({ ...options, limit: args.limit || args.l || null });
+    }
 }
 
 if (require.main === module) {
-    processAllMeets().catch(console.error);
+    run().catch(console.error);
 }
 
-module.exports = { generateDivisionRankings, processAllMeets };
+module.exports = { generateDivisionRankings, processAllMeets, runIncrementalRankings };
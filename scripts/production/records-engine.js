@@ -0,0 +1,232 @@
+const { createClient } = require('@supabase/supabase-js');
+const fs = require('fs');
+const path = require('path');
+const { LIFTS, KEY_FIELDS, recordKey, recordKeysOf, deriveRecordHistory, diffRecordHistory, groupRecordHistory } = require('../shared/records');
+require('dotenv').config();
+
+// Initialize Supabase client using working .env credentials
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SECRET_KEY
+);
+
+const PAGE_SIZE = 1000;
+const DEFAULT_EXPORT_PATH = path.join(__dirname, '../../output/records/current-records.csv');
+
+const RESULT_COLUMNS = 'result_id, lifter_id, lifter_name, meet_id, meet_name, date, gender, birth_year, competition_age, weight_class, body_weight_kg, best_snatch, best_cj, total, wso';
+const HISTORY_COLUMNS = [...KEY_FIELDS, 'division_name', 'value', 'previous_value', 'result_id', 'lifter_id', 'lifter_name', 'meet_id', 'meet_name', 'date'];
+// Rewritten in place on a stored row; the record key, result_id and value identify the row
+const DETAIL_COLUMNS = ['division_name', 'previous_value', 'lifter_id', 'lifter_name', 'meet_id', 'meet_name', 'date'];
+const STORED_COLUMNS = `record_history_id, ${HISTORY_COLUMNS.join(', ')}`;
+const LIFT_LABELS = { snatch: 'Snatch', cj: 'C&J', total: 'Total' };
+
+/**
+ * Reads a whole table (or the rows a filter keeps) in result_id / record_history_id order.
+ * @param {Function} [filter] - Adds conditions to the query, e.g. q => q.in('meet_id', ids)
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchAll(table, columns, idCol, filter = q => q) {
+    const rows = [];
+    let lastId = 0;
+
+    while (true) {
+        const { data, error } = await filter(supabase
+            .from(table)
+            .select(columns))
+            .gt(idCol, lastId)
+            .order(idCol, { ascending: true })
+            .limit(PAGE_SIZE);
+        if (error) throw error;
+
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) break;
+        lastId = data[data.length - 1][idCol];
+    }
+
+    return rows;
+}
+
+// fetchAll() over values of one column, in chunks to avoid "URI too long" errors
+async function fetchIn(table, columns, idCol, column, values) {
+    const rows = [];
+    const unique = [...new Set(values)];
+    for (let i = 0; i < unique.length; i += 100) {
+        rows.push(...await fetchAll(table, columns, idCol, q => q.in(column, unique.slice(i, i + 100))));
+    }
+    return rows;
+}
+
+/**
+ * The results and stored rows of every record the given meets count towards. The candidates are the
+ * meets' results plus every stored holder of those records: a result that never set a record still
+ * cannot once more results are added. When a stored holder's lift no longer stands (result corrected
+ * down or dropped from the history chain), a result outside the scope may now hold the record, so
+ * null is returned and the caller re-derives everything, as it does before the first build.
+ * @returns {Promise<{results: Object[], stored: Object[], keys: Map<string, Object>}|null>}
+ */
+async function loadMeetScope(meetIds) {
+    const { count, error } = await supabase
+        .from('usaw_record_history')
+        .select('record_history_id', { count: 'exact', head: true });
+    if (error) throw error;
+    if (!count) return null;
+
+    const meetResults = await fetchIn('usaw_meet_results', RESULT_COLUMNS, 'result_id', 'meet_id', meetIds);
+    const meetHistory = await fetchIn('usaw_record_history', STORED_COLUMNS, 'record_history_id', 'meet_id', meetIds);
+
+    // Also the records the meets held before re-import, in case a result moved division
+    const keys = recordKeysOf(meetResults);
+    meetHistory.forEach(h => keys.set(recordKey(h), h));
+
+    const weightClasses = [...keys.values()].map(k => k.weight_class);
+    const stored = (await fetchIn('usaw_record_history', STORED_COLUMNS, 'record_history_id', 'weight_class', weightClasses))
+        .filter(h => keys.has(recordKey(h)));
+
+    const inMeets = new Set(meetResults.map(r => r.result_id));
+    const holders = await fetchIn('usaw_meet_results', RESULT_COLUMNS, 'result_id', 'result_id',
+        stored.map(h => h.result_id).filter(id => !inMeets.has(id)));
+    const results = [...meetResults, ...holders];
+
+    const byId = new Map(results.map(r => [r.result_id, r]));
+    const column = Object.fromEntries(LIFTS.map(l => [l.lift, l.column]));
+    const standing = h => parseFloat(byId.get(h.result_id)?.[column[h.lift]]) >= Number(h.value);
+    const unbroken = [...groupRecordHistory(stored).values()].every(holders =>
+        holders.every((h, i) => standing(h) && (i === 0 ? h.previous_value === null : Number(h.previous_value) === Number(holders[i - 1].value))));
+
+    return unbroken ? { results, stored, keys } : null;
+}
+
+function describeRecord(h) {
+    const scope = h.scope === 'national' ? 'American' : `${h.wso} WSO`;
+    const previous = h.previous_value === null ? 'first record' : `was ${Number(h.previous_value)}kg`;
+    return `${scope} record: ${h.division_name} ${LIFT_LABELS[h.lift]} ${h.value}kg - ${h.lifter_name} at ${h.meet_name} (${h.date}, ${previous})`;
+}
+
+/**
+ * Writes the standing records (one row per record) to a CSV, WSO records grouped by WSO.
+ */
+function exportCurrentRecords(history, filePath) {
+    const csv = (v) => (v === null || v === undefined ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+    const current = [...groupRecordHistory(history).values()]
+        .map(holders => ({ ...holders[holders.length - 1], holders: holders.length }))
+        .sort((a, b) => (a.scope + a.wso + a.division_name + a.lift).localeCompare(b.scope + b.wso + b.division_name + b.lift));
+
+    const header = ['scope', 'wso', 'division', 'weight_class_era', 'lift', 'record_kg', 'lifter_name', 'meet_name', 'date', 'times_broken'];
+    const lines = current.map(r => [
+        r.scope, r.wso, r.division_name, r.weight_class_era, LIFT_LABELS[r.lift], r.value, r.lifter_name, r.meet_name, r.date, r.holders - 1
+    ].map(csv).join(','));
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [header.join(','), ...lines].join('\n') + '\n');
+    console.log(`[RECORDS] Exported ${current.length} standing records to ${filePath}`);
+}
+
+/**
+ * Re-derives the record history and brings usaw_record_history in line: new record-setting lifts are
+ * inserted, rows whose previous holder changed are updated in place, lifts that no longer set a record
+ * (corrected or deleted results) are removed.
+ * With meetIds only the records those meets count towards are re-derived (see loadMeetScope), and the
+ * newly inserted lifts from those meets that now stand as the record are reported. Without, every
+ * record is re-derived from every result and every newly inserted standing record is reported.
+ * @param {Object} [options]
+ * @param {number[]} [options.meetIds] - Meets the caller just imported
+ * @param {string|boolean} [options.exportPath] - Also write the standing records to a CSV (true: default path)
+ * @param {boolean} [options.dryRun] - Report what would change, write nothing
+ * @returns {Promise<{records: number, inserted: number, updated: number, deleted: number, newRecords: Array<Object>}>}
+ */
+async function updateRecords({ meetIds = [], exportPath = null, dryRun = false } = {}) {
+    console.log('[RECORDS] Deriving American and WSO records...');
+    if (dryRun) console.log('🔍 DRY RUN MODE ENABLED - No database changes will be made.');
+
+    // The export lists every record, so it needs the full history
+    const scope = meetIds.length > 0 && !exportPath ? await loadMeetScope(meetIds) : null;
+    if (meetIds.length > 0 && !exportPath && !scope) {
+        console.log('[RECORDS] No stored history, or a stored record holder no longer stands; re-deriving every record.');
+    }
+
+    let results, stored, derived;
+    if (scope) {
+        ({ results, stored } = scope);
+        derived = deriveRecordHistory(results).filter(h => scope.keys.has(recordKey(h)));
+        console.log(`[RECORDS] ${meetIds.length} meets: ${scope.keys.size} records, ${results.length} candidate results, ${derived.length} record-setting lifts (${stored.length} stored)`);
+    } else {
+        results = await fetchAll('usaw_meet_results', RESULT_COLUMNS, 'result_id');
+        derived = deriveRecordHistory(results);
+        stored = await fetchAll('usaw_record_history', STORED_COLUMNS, 'record_history_id');
+        console.log(`[RECORDS] ${results.length} results, ${derived.length} record-setting lifts (${stored.length} stored)`);
+    }
+
+    const { toInsert, toUpdate, toDelete } = diffRecordHistory(stored, derived, DETAIL_COLUMNS);
+
+    // On the first build every record is "new": only report once there is a history to compare with
+    const initialBuild = stored.length === 0 && !scope;
+    const imported = new Set(meetIds.map(Number));
+    const standing = new Set([...groupRecordHistory(derived).values()].map(holders => holders[holders.length - 1]).map(h => `${recordKey(h)}|${h.result_id}`));
+    const newRecords = initialBuild ? [] : toInsert.filter(h =>
+        standing.has(`${recordKey(h)}|${h.result_id}`) && (imported.size === 0 || imported.has(Number(h.meet_id))));
+
+    if (initialBuild) {
+        console.log(`[RECORDS] Initial build: ${toInsert.length} record-setting lifts`);
+    } else if (newRecords.length === 0) {
+        console.log('[RECORDS] No new records.');
+    } else {
+        console.log(`[RECORDS] 🏆 ${newRecords.length} new records:`);
+        [...newRecords]
+            .sort((a, b) => a.scope.localeCompare(b.scope) || a.wso.localeCompare(b.wso) || a.date.localeCompare(b.date))
+            .forEach(h => console.log(`    • ${describeRecord(h)}`));
+    }
+    if (toDelete.length > 0) console.log(`[RECORDS] ${toDelete.length} stored record lifts no longer hold (results corrected or removed)`);
+
+    if (!dryRun) {
+        // Delete first: a corrected lift keeps its (record, result_id) unique key. In chunks to avoid "URI too long" errors
+        for (let i = 0; i < toDelete.length; i += 100) {
+            const { error } = await supabase
+                .from('usaw_record_history')
+                .delete()
+                .in('record_history_id', toDelete.slice(i, i + 100));
+            if (error) throw error;
+        }
+
+        for (const { record_history_id, changes } of toUpdate) {
+            const { error } = await supabase
+                .from('usaw_record_history')
+                .update(changes)
+                .eq('record_history_id', record_history_id);
+            if (error) throw error;
+        }
+
+        const CHUNK_SIZE = 500;
+        for (let i = 0; i < toInsert.length; i += CHUNK_SIZE) {
+            const chunk = toInsert.slice(i, i + CHUNK_SIZE).map(h => Object.fromEntries(HISTORY_COLUMNS.map(c => [c, h[c]])));
+            const { error } = await supabase
+                .from('usaw_record_history')
+                .insert(chunk);
+            if (error) throw error;
+        }
+        console.log(`[RECORDS] Saved: ${toInsert.length} inserted, ${toUpdate.length} updated, ${toDelete.length} deleted`);
+    }
+
+    if (exportPath) exportCurrentRecords(derived, exportPath === true ? DEFAULT_EXPORT_PATH : exportPath);
+
+    return {
+        records: groupRecordHistory(derived).size,
+        inserted: toInsert.length,
+        updated: toUpdate.length,
+        deleted: toDelete.length,
+        newRecords
+    };
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2));
+    await updateRecords({ exportPath: args.export || null, dryRun: Boolean(args['dry-run'] || args.d) });
+}
+
+if (require.main === module) {
+    run().catch(err => {
+        console.error('[RECORDS] FATAL ERROR:', err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { updateRecords, exportCurrentRecords };
@@ -0,0 +1,188 @@
+/**
+ * REFRESH QUEUE
+ *
+ * In-process job queue for the Data Factory listener. Requests for the same
+ * athlete that arrive while an earlier one is still waiting are merged into a
+ * single job, and a fixed number of workers drain the queue on a bounded
+ * pg.Pool so trigger storms during imports cannot exhaust DB connections.
+ */
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { generateAthlete } = require('./assembler');
+
+class RefreshQueue {
+    /**
+     * @param {Object} poolConfig - pg connection settings
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=2] - Parallel workers (and pool size)
+     * @param {number} [options.debounceMs=5000] - How long a job waits for duplicate requests
+     * @param {number} [options.jobTtlMs=3600000] - How long finished jobs stay queryable
+     */
+    constructor(poolConfig, options = {}) {
+        this.options = {
+            concurrency: 2,
+            debounceMs: 5000,
+            jobTtlMs: 60 * 60 * 1000,
+            ...options
+        };
+
+        this.pool = new Pool({ ...poolConfig, max: this.options.concurrency });
+        this.pool.on('error', err => console.error('[QUEUE] Idle pool client error:', err.message));
+
+        this.jobs = new Map();      // job id -> job
+        this.batches = new Map();   // batch id -> { id, label, job_ids, created_at }
+        this.pending = new Map();   // athlete key -> job id (waiting, not yet started)
+        this.ready = [];            // job ids whose debounce window has elapsed
+        this.running = 0;
+    }
+
+    static athleteKey({ usaw_id, iwf_id }) {
+        return usaw_id ? `usaw:${usaw_id}` : `iwf:${iwf_id}`;
+    }
+
+    /**
+     * Queues an athlete refresh, merging it into a waiting job for the same athlete if one exists.
+     * @param {{usaw_id?: string|number, iwf_id?: string|number}} params
+     * @returns {{job: Object, merged: boolean}}
+     */
+    enqueue(params) {
+        const key = RefreshQueue.athleteKey(params);
+        const existingId = this.pending.get(key);
+        if (existingId) {
+            const job = this.jobs.get(existingId);
+            job.requests++;
+            return { job, merged: true };
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            key,
+            params: { usaw_id: params.usaw_id || null, iwf_id: params.iwf_id || null },
+            status: 'queued',
+            requests: 1,
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null,
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.set(key, job.id);
+
+        setTimeout(() => {
+            this.ready.push(job.id);
+            this._drain();
+        }, this.options.debounceMs).unref();
+
+        this._prune();
+        return { job, merged: false };
+    }
+
+    /**
+     * Queues many athlete refreshes under one batch id that can be polled like a job.
+     * @param {Array<{usaw_id?: string|number, iwf_id?: string|number}>} paramsList
+     * @param {string} label - Human-readable origin, e.g. 'meet:2357'
+     * @returns {Object} The batch summary
+     */
+    enqueueBatch(paramsList, label) {
+        const jobIds = new Set(paramsList.map(p => this.enqueue(p).job.id));
+        const batch = {
+            id: crypto.randomUUID(),
+            type: 'batch',
+            label,
+            job_ids: [...jobIds],
+            created_at: new Date().toISOString()
+        };
+        this.batches.set(batch.id, batch);
+        return this.getJob(batch.id);
+    }
+
+    getJob(id) {
+        if (this.jobs.has(id)) return this.jobs.get(id);
+
+        const batch = this.batches.get(id);
+        if (!batch) return null;
+
+        const counts = { queued: 0, running: 0, done: 0, failed: 0, expired: 0 };
+        const failures = [];
+        batch.job_ids.forEach(jobId => {
+            const job = this.jobs.get(jobId);
+            if (!job) { counts.expired++; return; }
+            counts[job.status]++;
+            if (job.status === 'failed') failures.push({ job_id: job.id, key: job.key, error: job.error });
+        });
+
+        const finished = counts.done + counts.failed + counts.expired === batch.job_ids.length;
+        return {
+            ...batch,
+            status: !finished ? (counts.queued === batch.job_ids.length ? 'queued' : 'running') : (counts.failed > 0 ? 'failed' : 'done'),
+            total: batch.job_ids.length,
+            counts,
+            failures
+        };
+    }
+
+    stats() {
+        const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+        this.jobs.forEach(j => { counts[j.status]++; });
+        return { ...counts, workers: this.options.concurrency };
+    }
+
+    _drain() {
+        while (this.running < this.options.concurrency && this.ready.length > 0) {
+            const job = this.jobs.get(this.ready.shift());
+            if (!job) continue;
+            this.running++;
+            this._run(job).finally(() => {
+                this.running--;
+                this._drain();
+            });
+        }
+    }
+
+    async _run(job) {
+        // Requests arriving from here on start a fresh job: the data may change mid-run
+        this.pending.delete(job.key);
+        job.status = 'running';
+        job.started_at = new Date().toISOString();
+
+        let client;
+        try {
+            client = await this.pool.connect();
+            const result = await generateAthlete(job.params, client);
+            job.result = result;
+            job.status = result.success ? 'done' : 'failed';
+            if (!result.success) job.error = result.error || result.message || 'Unknown error';
+        } catch (err) {
+            job.status = 'failed';
+            job.error = err.message;
+        } finally {
+            if (client) client.release();
+            job.finished_at = new Date().toISOString();
+        }
+
+        if (job.status === 'done') {
+            console.log(`[QUEUE] Job ${job.id} done (${job.key}, ${job.requests} request(s), ${job.result.shards_written} shards written)`);
+        } else {
+            console.error(`[QUEUE] Job ${job.id} failed (${job.key}): ${job.error}`);
+        }
+    }
+
+    _prune() {
+        const cutoff = Date.now() - this.options.jobTtlMs;
+        this.jobs.forEach((job, id) => {
+            if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) this.jobs.delete(id);
+        });
+        this.batches.forEach((batch, id) => {
+            if (new Date(batch.created_at).getTime() < cutoff && batch.job_ids.every(j => !this.jobs.has(j))) this.batches.delete(id);
+        });
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = { RefreshQueue };
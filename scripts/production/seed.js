@@ -1,5 +1,9 @@
-const { Client } = require('pg');
-const { generateAthlete } = require('./assembler');
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const { generateAthlete, generateMeet, generateClub, generateWso } = require('./assembler');
+const { flushManifests } = require('./shard-manifest');
+const args = require('minimist')(process.argv.slice(2));
 require('dotenv').config();
 
 const clientConfigs = {
@@ -11,73 +15,471 @@ const clientConfigs = {
 };
 
 const BATCH_SIZE = 1000;
+const OUTPUT_DIR = process.env.OUTPUT_DIR || '/var/www/athlete-data';
+const STATE_FILE = args['state-file'] || path.join(OUTPUT_DIR, 'seed_state.json');
+const FAILURES_FILE = args['failures-file'] || path.join(OUTPUT_DIR, 'seed_failures.json');
 
-async function run() {
-    const client = new Client(clientConfigs);
+const INCREMENTAL = args.incremental || args.i;
+const SINCE = args.since;
+const RETRY_FAILED = args['retry-failed'];
+// Shard families: --only meets,clubs runs a subset, --no-meets / --no-clubs skips one.
+// --meets-only is kept as shorthand for --only meets.
+const ALL_SECTIONS = ['athletes', 'meets', 'clubs'];
+const SECTIONS = new Set(
+    (args.only ? args.only.split(',') : args['meets-only'] ? ['meets'] : ALL_SECTIONS)
+        .map(s => s.trim())
+        .filter(s => args[s] !== false)
+);
+const WORKERS = Math.max(1, parseInt(args.workers || args.w || process.env.SEED_WORKERS || 1, 10));
+const PROGRESS_INTERVAL_MS = 10000;
+
+// ── High-Water Mark ──────────────────────────────────────────────────────────
+function loadSeedState() {
+    if (!fs.existsSync(STATE_FILE)) return {};
     try {
-        await client.connect();
-        console.log(`[DATA FACTORY] Starting Universal Bulk Re-Seed (Phase 4.3)...`);
-
-        // --- PASS 1: DOMESTIC & LINKED POPULATION ---
-        // This covers every athlete in usaw_lifters (including those with IWF links)
-        console.log(`\n[PASS 1] Generating shards for USAW Lifters...`);
-        let offset = 0;
-        let totalUsaw = 0;
-
-        while (true) {
-            const res = await client.query(
-                `SELECT lifter_id FROM usaw_lifters ORDER BY lifter_id LIMIT $1 OFFSET $2`,
-                [BATCH_SIZE, offset]
-            );
-
-            if (res.rows.length === 0) break;
-
-            for (let row of res.rows) {
-                // v4.3 Assembler creates shards for the USAW ID and any linked IWF IDs automatically
-                await generateAthlete({ usaw_id: row.lifter_id }, client);
-            }
+        return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    } catch (e) {
+        console.error(`[DATA FACTORY] Failed to parse seed state at ${STATE_FILE}:`, e.message);
+        return {};
+    }
+}
 
-            totalUsaw += res.rows.length;
-            offset += BATCH_SIZE;
-            console.log(`[PASS 1] Progress: ${totalUsaw} USAW athletes processed.`);
-        }
+function saveSeedState(state) {
+    const dir = path.dirname(STATE_FILE);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+}
 
-        // --- PASS 2: INTERNATIONAL-ONLY POPULATION ---
-        // This covers international athletes with no domestic record.
-        console.log(`\n[PASS 2] Generating shards for IWF-Only Lifters (unlinked)...`);
-        offset = 0;
-        let totalIwf = 0;
-
-        while (true) {
-            const res = await client.query(
-                `SELECT il.db_lifter_id 
-                 FROM iwf_lifters il 
-                 LEFT JOIN athlete_aliases aa ON il.db_lifter_id = aa.iwf_db_lifter_id 
-                 WHERE aa.usaw_lifter_id IS NULL
-                 ORDER BY il.db_lifter_id 
-                 LIMIT $1 OFFSET $2`,
-                [BATCH_SIZE, offset]
-            );
-
-            if (res.rows.length === 0) break;
-
-            for (let row of res.rows) {
-                await generateAthlete({ iwf_id: row.db_lifter_id }, client);
-            }
+/**
+ * Collects every athlete touched since the given high-water mark.
+ * IWF changes on athletes linked to a USAW lifter are folded into the USAW set,
+ * since the assembler writes linked IWF shards from the USAW side anyway.
+ * @param {Pool} pool - pg pool
+ * @param {string} since - ISO timestamp of the previous run
+ * @returns {Promise<{usawIds: string[], iwfIds: string[]}>}
+ */
+async function getChangedAthletes(pool, since) {
+    const usawRes = await pool.query(
+        `SELECT lifter_id FROM usaw_meet_results WHERE updated_at > $1
+         UNION
+         SELECT lifter_id FROM usaw_lifters WHERE updated_at > $1
+         UNION
+         SELECT athlete_id FROM usaw_division_rankings WHERE updated_at > $1
+         UNION
+         SELECT usaw_lifter_id FROM athlete_aliases WHERE updated_at > $1 AND usaw_lifter_id IS NOT NULL`,
+        [since]
+    );
+
+    const iwfRes = await pool.query(
+        `WITH changed AS (
+            SELECT db_lifter_id AS id FROM iwf_meet_results WHERE updated_at > $1
+            UNION
+            SELECT db_lifter_id FROM iwf_lifters WHERE updated_at > $1
+            UNION
+            SELECT iwf_db_lifter_id FROM athlete_aliases WHERE updated_at > $1
+            UNION
+            SELECT iwf_db_lifter_id_2 FROM athlete_aliases WHERE updated_at > $1 AND iwf_db_lifter_id_2 IS NOT NULL
+         )
+         SELECT c.id AS db_lifter_id, MIN(aa.usaw_lifter_id) AS usaw_lifter_id
+         FROM changed c
+         LEFT JOIN athlete_aliases aa ON aa.iwf_db_lifter_id = c.id AND aa.usaw_lifter_id IS NOT NULL
+         GROUP BY c.id`,
+        [since]
+    );
+
+    const usawIds = new Set(usawRes.rows.map(r => r.lifter_id.toString()));
+    const iwfIds = new Set();
+    iwfRes.rows.forEach(r => {
+        if (r.usaw_lifter_id) usawIds.add(r.usaw_lifter_id.toString());
+        else iwfIds.add(r.db_lifter_id.toString());
+    });
+
+    return { usawIds: [...usawIds], iwfIds: [...iwfIds] };
+}
 
-            totalIwf += res.rows.length;
-            offset += BATCH_SIZE;
-            console.log(`[PASS 2] Progress: ${totalIwf} IWF-only profiles processed.`);
+/**
+ * Collects every meet whose results or podium changed since the high-water mark.
+ * @returns {Promise<{usawMeetIds: string[], iwfMeetIds: string[]}>}
+ */
+async function getChangedMeets(pool, since) {
+    const usawRes = await pool.query(
+        `SELECT meet_id FROM usaw_meet_results WHERE updated_at > $1
+         UNION
+         SELECT r.meet_id FROM usaw_division_rankings dr
+         JOIN usaw_meet_results r ON r.result_id = dr.result_id
+         WHERE dr.updated_at > $1`,
+        [since]
+    );
+    const iwfRes = await pool.query(
+        `SELECT db_meet_id FROM iwf_meet_results WHERE updated_at > $1 AND db_meet_id IS NOT NULL
+         UNION
+         SELECT db_meet_id FROM iwf_meets WHERE updated_at > $1`,
+        [since]
+    );
+    return {
+        usawMeetIds: usawRes.rows.map(r => r.meet_id.toString()),
+        iwfMeetIds: iwfRes.rows.map(r => r.db_meet_id.toString())
+    };
+}
+
+/**
+ * Collects clubs and WSOs whose profile, results, podiums or analytics changed.
+ * A changed club also refreshes its WSO, whose shard lists the club.
+ * @returns {Promise<{clubNames: string[], wsoNames: string[]}>}
+ */
+async function getChangedClubs(pool, since) {
+    const clubRes = await pool.query(
+        `SELECT club_name FROM usaw_clubs WHERE updated_at > $1 OR analytics_updated_at > $1
+         UNION
+         SELECT club_name FROM usaw_club_rolling_metrics WHERE calculated_at > $1
+         UNION
+         SELECT r.club_name FROM usaw_meet_results r
+         WHERE r.updated_at > $1 AND r.club_name IS NOT NULL
+         UNION
+         SELECT r.club_name FROM usaw_division_rankings dr
+         JOIN usaw_meet_results r ON r.result_id = dr.result_id
+         WHERE dr.updated_at > $1 AND r.club_name IS NOT NULL`,
+        [since]
+    );
+    const clubNames = clubRes.rows.map(r => r.club_name);
+
+    const wsoRes = await pool.query(
+        `SELECT name FROM usaw_wso_information WHERE updated_at > $1 OR analytics_updated_at > $1
+         UNION
+         SELECT wso_geography FROM usaw_clubs WHERE club_name = ANY($2) AND wso_geography IS NOT NULL`,
+        [since, clubNames]
+    );
+    return { clubNames, wsoNames: wsoRes.rows.map(r => r.name) };
+}
+
+// ── Failure List ─────────────────────────────────────────────────────────────
+function loadFailures() {
+    if (!fs.existsSync(FAILURES_FILE)) return [];
+    try {
+        return JSON.parse(fs.readFileSync(FAILURES_FILE, 'utf8'));
+    } catch (e) {
+        console.error(`[DATA FACTORY] Failed to parse failure list at ${FAILURES_FILE}:`, e.message);
+        return [];
+    }
+}
+
+function saveFailures(failures) {
+    if (failures.length === 0) {
+        if (fs.existsSync(FAILURES_FILE)) fs.unlinkSync(FAILURES_FILE);
+        return;
+    }
+    const dir = path.dirname(FAILURES_FILE);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(FAILURES_FILE, JSON.stringify(failures, null, 2));
+}
+
+// ── Athlete Sources ──────────────────────────────────────────────────────────
+/**
+ * Keyset-paginated stream of athlete ids. Each page starts after the last id
+ * of the previous one, so late pages cost the same as early ones.
+ * @param {Pool} pool - pg pool
+ * @param {string} sql - Query taking ($1 = last id, $2 = page size) and returning an `id` column
+ */
+async function* keysetIds(pool, sql) {
+    let lastId = null;
+    while (true) {
+        const res = await pool.query(sql, [lastId, BATCH_SIZE]);
+        if (res.rows.length === 0) return;
+        for (const row of res.rows) yield row.id;
+        lastId = res.rows[res.rows.length - 1].id;
+    }
+}
+
+const USAW_KEYSET_SQL = `
+    SELECT lifter_id AS id FROM usaw_lifters
+    WHERE ($1::bigint IS NULL OR lifter_id > $1)
+    ORDER BY lifter_id
+    LIMIT $2`;
+
+const IWF_ONLY_KEYSET_SQL = `
+    SELECT il.db_lifter_id AS id
+    FROM iwf_lifters il
+    LEFT JOIN athlete_aliases aa ON il.db_lifter_id = aa.iwf_db_lifter_id
+    WHERE aa.usaw_lifter_id IS NULL
+      AND ($1::bigint IS NULL OR il.db_lifter_id > $1)
+    ORDER BY il.db_lifter_id
+    LIMIT $2`;
+
+const USAW_MEET_KEYSET_SQL = `
+    SELECT meet_id AS id FROM usaw_meets
+    WHERE ($1::bigint IS NULL OR meet_id > $1)
+    ORDER BY meet_id
+    LIMIT $2`;
+
+const CLUB_KEYSET_SQL = `
+    SELECT club_name AS id FROM usaw_clubs
+    WHERE ($1::text IS NULL OR club_name > $1)
+    ORDER BY club_name
+    LIMIT $2`;
+
+const IWF_MEET_KEYSET_SQL = `
+    SELECT db_meet_id AS id FROM iwf_meets
+    WHERE ($1::bigint IS NULL OR db_meet_id > $1)
+    ORDER BY db_meet_id
+    LIMIT $2`;
+
+// Failure-list type -> shard generator
+const GENERATORS = {
+    usaw: (id, client) => generateAthlete({ usaw_id: id }, client),
+    iwf: (id, client) => generateAthlete({ iwf_id: id }, client),
+    usaw_meet: (id, client) => generateMeet({ usaw_meet_id: id }, client),
+    iwf_meet: (id, client) => generateMeet({ iwf_meet_id: id }, client),
+    club: (id, client) => generateClub({ club_name: id }, client),
+    wso: (id, client) => generateWso({ wso_name: id }, client)
+};
+
+// ── Worker Pool ──────────────────────────────────────────────────────────────
+function formatDuration(ms) {
+    const s = Math.round(ms / 1000);
+    const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60);
+    return h > 0 ? `${h}h${String(m).padStart(2, '0')}m` : `${m}m${String(s % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Drains an id source through WORKERS concurrent workers, each holding its own
+ * pooled connection for the whole pass.
+ * @param {Pool} pool - pg pool sized to WORKERS
+ * @param {string} label - Log prefix, e.g. 'PASS 1'
+ * @param {string} type - Which kind of id the pass generates (a GENERATORS key)
+ * @param {Iterable|AsyncIterable} ids - Athlete/meet ids or club/WSO names to process
+ * @param {number|null} total - Expected count, used for the ETA
+ * @returns {Promise<{processed: number, removed: number, failures: Array}>}
+ */
+async function runPass(pool, label, type, ids, total) {
+    const iterator = (ids[Symbol.asyncIterator] || ids[Symbol.iterator]).call(ids);
+    const failures = [];
+    const startedAt = Date.now();
+    let processed = 0;
+    let unchanged = 0;
+    let removed = 0;
+    let lastReport = startedAt;
+
+    const report = () => {
+        const elapsed = Date.now() - startedAt;
+        const rate = processed / Math.max(1, elapsed / 1000);
+        const eta = total && rate > 0 ? formatDuration(((total - processed) / rate) * 1000) : '?';
+        const of = total ? `/${total}` : '';
+        console.log(`[${label}] Progress: ${processed}${of} | ${rate.toFixed(1)}/s | ETA ${eta} | unchanged: ${unchanged} | removed: ${removed} | failures: ${failures.length}`);
+    };
+
+    const worker = async () => {
+        const client = await pool.connect();
+        try {
+            while (true) {
+                const { value: id, done } = await iterator.next();
+                if (done) return;
+
+                const result = await GENERATORS[type](id, client);
+                // Deleted or merged since it was listed: a removal, not a failure that pins the mark
+                if (result.not_found) removed++;
+                else if (!result.success) failures.push({ type, id: id.toString(), error: result.error || result.message || 'Unknown error' });
+                else if (result.shards_written === 0) unchanged++;
+
+                processed++;
+                if (Date.now() - lastReport >= PROGRESS_INTERVAL_MS) {
+                    lastReport = Date.now();
+                    report();
+                }
+            }
+        } finally {
+            client.release();
         }
+    };
+
+    await Promise.all(Array.from({ length: WORKERS }, worker));
+    report();
+    console.log(`[${label}] Finished in ${formatDuration(Date.now() - startedAt)}.`);
+    if (removed > 0) console.log(`[${label}] ${removed} no longer exist; delete their stale shards with shard-manifest.js --orphans --delete.`);
+    return { processed, removed, failures };
+}
+
+async function runIncremental(pool) {
+    const state = loadSeedState();
+    const since = SINCE || state.last_run_at;
+
+    if (!since) {
+        console.log(`[DATA FACTORY] No high-water mark found at ${STATE_FILE}. Run a full re-seed first or pass --since.`);
+        return null;
+    }
+
+    console.log(`[DATA FACTORY] Starting Incremental Re-Seed (changes since ${since})...`);
+    const failures = [];
+
+    if (SECTIONS.has('athletes')) {
+        const { usawIds, iwfIds } = await getChangedAthletes(pool, since);
+        console.log(`[DATA FACTORY] ${usawIds.length} USAW and ${iwfIds.length} IWF-only athletes changed.`);
+
+        const pass1 = await runPass(pool, 'PASS 1', 'usaw', usawIds, usawIds.length);
+        const pass2 = await runPass(pool, 'PASS 2', 'iwf', iwfIds, iwfIds.length);
+        failures.push(...pass1.failures, ...pass2.failures);
+        console.log(`- Domestic/Linked: ${pass1.processed}`);
+        console.log(`- International-Only: ${pass2.processed}`);
+    }
+
+    if (SECTIONS.has('meets')) {
+        const { usawMeetIds, iwfMeetIds } = await getChangedMeets(pool, since);
+        console.log(`[DATA FACTORY] ${usawMeetIds.length} USAW and ${iwfMeetIds.length} IWF meets changed.`);
+
+        const pass3 = await runPass(pool, 'PASS 3', 'usaw_meet', usawMeetIds, usawMeetIds.length);
+        const pass4 = await runPass(pool, 'PASS 4', 'iwf_meet', iwfMeetIds, iwfMeetIds.length);
+        failures.push(...pass3.failures, ...pass4.failures);
+        console.log(`- USAW Meets: ${pass3.processed}`);
+        console.log(`- IWF Meets: ${pass4.processed}`);
+    }
+
+    if (SECTIONS.has('clubs')) {
+        const { clubNames, wsoNames } = await getChangedClubs(pool, since);
+        console.log(`[DATA FACTORY] ${clubNames.length} clubs and ${wsoNames.length} WSOs changed.`);
+
+        const pass5 = await runPass(pool, 'PASS 5', 'club', clubNames, clubNames.length);
+        const pass6 = await runPass(pool, 'PASS 6', 'wso', wsoNames, wsoNames.length);
+        failures.push(...pass5.failures, ...pass6.failures);
+        console.log(`- Clubs: ${pass5.processed}`);
+        console.log(`- WSOs: ${pass6.processed}`);
+    }
+
+    console.log(`\n[DATA FACTORY] INCREMENTAL RE-SEED COMPLETE.`);
+    return failures;
+}
+
+async function runFull(pool) {
+    console.log(`[DATA FACTORY] Starting Universal Bulk Re-Seed (Phase 4.3)...`);
+    const failures = [];
+
+    if (SECTIONS.has('athletes')) failures.push(...await runAthletePasses(pool));
+    if (SECTIONS.has('meets')) failures.push(...await runMeetPasses(pool));
+    if (SECTIONS.has('clubs')) failures.push(...await runClubPasses(pool));
+
+    console.log(`\n[DATA FACTORY] UNIVERSAL BULK RE-SEED COMPLETE.`);
+    return failures;
+}
+
+async function runAthletePasses(pool) {
+    // --- PASS 1: DOMESTIC & LINKED POPULATION ---
+    // This covers every athlete in usaw_lifters (including those with IWF links).
+    // v4.3 Assembler creates shards for the USAW ID and any linked IWF IDs automatically.
+    console.log(`\n[PASS 1] Generating shards for USAW Lifters...`);
+    const usawCount = await pool.query('SELECT count(*)::int AS n FROM usaw_lifters');
+    const pass1 = await runPass(pool, 'PASS 1', 'usaw', keysetIds(pool, USAW_KEYSET_SQL), usawCount.rows[0].n);
+
+    // --- PASS 2: INTERNATIONAL-ONLY POPULATION ---
+    // This covers international athletes with no domestic record.
+    console.log(`\n[PASS 2] Generating shards for IWF-Only Lifters (unlinked)...`);
+    const iwfCount = await pool.query(
+        `SELECT count(*)::int AS n
+         FROM iwf_lifters il
+         LEFT JOIN athlete_aliases aa ON il.db_lifter_id = aa.iwf_db_lifter_id
+         WHERE aa.usaw_lifter_id IS NULL`
+    );
+    const pass2 = await runPass(pool, 'PASS 2', 'iwf', keysetIds(pool, IWF_ONLY_KEYSET_SQL), iwfCount.rows[0].n);
+
+    console.log(`- Batch 1 (Domestic/Linked): ${pass1.processed}`);
+    console.log(`- Batch 2 (International-Only): ${pass2.processed}`);
+    return [...pass1.failures, ...pass2.failures];
+}
+
+async function runMeetPasses(pool) {
+    // --- PASS 3 & 4: MEET SHARDS ---
+    // Runs after the athlete passes so every athlete_shard link points at a fresh shard.
+    console.log(`\n[PASS 3] Generating meet shards for USAW Meets...`);
+    const usawCount = await pool.query('SELECT count(*)::int AS n FROM usaw_meets');
+    const pass3 = await runPass(pool, 'PASS 3', 'usaw_meet', keysetIds(pool, USAW_MEET_KEYSET_SQL), usawCount.rows[0].n);
+
+    console.log(`\n[PASS 4] Generating meet shards for IWF Meets...`);
+    const iwfCount = await pool.query('SELECT count(*)::int AS n FROM iwf_meets');
+    const pass4 = await runPass(pool, 'PASS 4', 'iwf_meet', keysetIds(pool, IWF_MEET_KEYSET_SQL), iwfCount.rows[0].n);
 
-        console.log(`\n[DATA FACTORY] UNIVERSAL BULK RE-SEED COMPLETE.`);
-        console.log(`- Batch 1 (Domestic/Linked): ${totalUsaw}`);
-        console.log(`- Batch 2 (International-Only): ${totalIwf}`);
+    console.log(`- Batch 3 (USAW Meets): ${pass3.processed}`);
+    console.log(`- Batch 4 (IWF Meets): ${pass4.processed}`);
+    return [...pass3.failures, ...pass4.failures];
+}
+
+async function runClubPasses(pool) {
+    // --- PASS 5 & 6: CLUB AND WSO SHARDS ---
+    console.log(`\n[PASS 5] Generating club shards...`);
+    const clubCount = await pool.query('SELECT count(*)::int AS n FROM usaw_clubs');
+    const pass5 = await runPass(pool, 'PASS 5', 'club', keysetIds(pool, CLUB_KEYSET_SQL), clubCount.rows[0].n);
+
+    // Only ~30 WSOs, no need to page
+    console.log(`\n[PASS 6] Generating WSO shards...`);
+    const wsos = await pool.query('SELECT name FROM usaw_wso_information ORDER BY name');
+    const pass6 = await runPass(pool, 'PASS 6', 'wso', wsos.rows.map(r => r.name), wsos.rows.length);
+
+    console.log(`- Batch 5 (Clubs): ${pass5.processed}`);
+    console.log(`- Batch 6 (WSOs): ${pass6.processed}`);
+    return [...pass5.failures, ...pass6.failures];
+}
+
+async function runRetry(pool) {
+    const previous = loadFailures();
+    if (previous.length === 0) {
+        console.log(`[DATA FACTORY] No failures recorded at ${FAILURES_FILE}. Nothing to retry.`);
+        return [];
+    }
+
+    console.log(`[DATA FACTORY] Retrying ${previous.length} failed shards from ${FAILURES_FILE}...`);
+    const failures = [];
+    for (const type of Object.keys(GENERATORS)) {
+        const ids = previous.filter(f => f.type === type).map(f => f.id);
+        if (ids.length === 0) continue;
+        const pass = await runPass(pool, `RETRY ${type.toUpperCase()}`, type, ids, ids.length);
+        failures.push(...pass.failures);
+    }
+    return failures;
+}
+
+function printFailures(failures) {
+    if (failures.length === 0) {
+        console.log(`- Failures: 0`);
+        return;
+    }
+    console.log(`- Failures: ${failures.length} (saved to ${FAILURES_FILE}, re-run with --retry-failed)`);
+    failures.slice(0, 50).forEach(f => console.log(`    • ${f.type.toUpperCase()} ${f.id}: ${f.error}`));
+    if (failures.length > 50) console.log(`    … and ${failures.length - 50} more`);
+}
+
+async function run() {
+    // One connection per worker plus one for the keyset page queries
+    const pool = new Pool({ ...clientConfigs, max: WORKERS + 1 });
+    pool.on('error', err => console.error('[DATA FACTORY] Idle pool client error:', err.message));
+    try {
+        const unknown = [...SECTIONS].filter(s => !ALL_SECTIONS.includes(s));
+        if (unknown.length > 0) throw new Error(`Unknown section(s) ${unknown.join(', ')} (expected ${ALL_SECTIONS.join(', ')})`);
+        console.log(`[DATA FACTORY] Workers: ${WORKERS} | Shards: ${[...SECTIONS].join(', ')}`);
+
+        // Take the mark from the DB clock before reading anything, so rows written
+        // while this run is in progress are picked up again next time.
+        const { rows } = await pool.query('SELECT now() AS run_started_at');
+        const runStartedAt = rows[0].run_started_at.toISOString();
+
+        let failures;
+        if (RETRY_FAILED) failures = await runRetry(pool);
+        else if (INCREMENTAL) failures = await runIncremental(pool);
+        else failures = await runFull(pool);
+
+        if (failures === null) return;
+
+        await flushManifests();
+        printFailures(failures);
+        saveFailures(failures);
+
+        // Keep the old mark when anything failed so the next incremental run retries those athletes.
+        // Partial runs (--only / --no-<section>) never move it either.
+        const coveredEverything = ALL_SECTIONS.every(s => SECTIONS.has(s));
+        if (!RETRY_FAILED && coveredEverything && failures.length === 0) {
+            saveSeedState({ ...loadSeedState(), last_run_at: runStartedAt, mode: INCREMENTAL ? 'incremental' : 'full' });
+            console.log(`[DATA FACTORY] High-water mark saved: ${runStartedAt}`);
+        }
 
     } catch (err) {
         console.error('[DATA FACTORY] CRITICAL ERROR:', err);
     } finally {
-        await client.end();
+        await pool.end();
     }
 }
 
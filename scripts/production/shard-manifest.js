@@ -0,0 +1,303 @@
+const { Client } = require('pg');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { getStorage } = require('./shard-storage');
+require('dotenv').config();
+
+const clientConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+};
+
+const MANIFEST_FILE = 'manifest.json';
+const SHARD_TYPES = ['usaw', 'iwf', 'internal', 'meets/usaw', 'meets/iwf', 'clubs', 'wsos'];
+const FLUSH_DELAY_MS = 2000;
+
+/**
+ * SHARD MANIFEST
+ *
+ * Every shard directory (e.g. usaw/42/) carries a manifest.json keyed by shard id:
+ *   { "123442": { "id": "123442", "hash": "<sha256 of JSON>", "size": 1834, "generated_at": "..." } }
+ * The hash is taken over the uncompressed JSON payload so gzip settings never
+ * invalidate it. Manifests are cached in memory and flushed in batches; a flush
+ * re-reads the stored manifest and applies only this process's changes to it, so
+ * the listener and a seed run writing the same directory keep each other's entries.
+ * Directories are storage key prefixes, so this works the same on every backend.
+ */
+
+const _manifests = new Map();   // dir -> manifest
+const _loading = new Map();     // dir -> in-flight load promise
+const _pending = new Map();     // dir -> Map of id -> entry (null when removed) not yet flushed
+let _flushTimer = null;
+
+// Numeric ids are spread over <type>/<last two digits>/; named shards (clubs, WSOs) sit flat under <type>/
+function shardKey(type, id) {
+    const idStr = id.toString();
+    return `${type}/${idStr.slice(-2).padStart(2, '0')}/${idStr}.json.gz`;
+}
+
+/**
+ * URL-safe shard id for a name: "Team Díaz Barbell, LLC" -> "team-diaz-barbell-llc".
+ * The frontend applies the same rule to find a club or WSO shard from its name,
+ * except for names that share a slug with another (see namedShardId).
+ */
+function slugify(name) {
+    return name.toString()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Slugs shared by more than one of the names, e.g. "A&B Barbell" and "A and B Barbell".
+ * @param {Array<string>} names - Every club (or WSO) name
+ * @returns {Set<string>}
+ */
+function slugCollisions(names) {
+    const seen = new Set();
+    const collisions = new Set();
+    names.forEach(name => {
+        const slug = slugify(name);
+        if (seen.has(slug)) collisions.add(slug);
+        seen.add(slug);
+    });
+    return collisions;
+}
+
+/**
+ * Shard id for a club or WSO name. A slug in `collisions` is suffixed with a hash of the
+ * exact name, so names sharing it get a shard each instead of overwriting one another.
+ * @param {string} name
+ * @param {Set<string>} [collisions] - From slugCollisions() over every name of the type
+ */
+function namedShardId(name, collisions = new Set()) {
+    const slug = slugify(name);
+    return collisions.has(slug) ? `${slug}-${hashPayload(name.toString()).slice(0, 8)}` : slug;
+}
+
+function namedShardKey(type, name, collisions = new Set()) {
+    return `${type}/${namedShardId(name, collisions)}.json.gz`;
+}
+
+function hashPayload(jsonStr) {
+    return crypto.createHash('sha256').update(jsonStr).digest('hex');
+}
+
+async function readManifest(dir) {
+    const raw = await getStorage().read(`${dir}/${MANIFEST_FILE}`);
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw.toString('utf8'));
+    } catch (e) {
+        console.error(`[MANIFEST] Failed to parse ${dir}/${MANIFEST_FILE}, starting a fresh manifest:`, e.message);
+        return {};
+    }
+}
+
+function applyChanges(manifest, changes) {
+    changes.forEach((entry, id) => {
+        if (entry) manifest[id] = entry;
+        else delete manifest[id];
+    });
+    return manifest;
+}
+
+function recordChange(dir, id, entry) {
+    if (!_pending.has(dir)) _pending.set(dir, new Map());
+    _pending.get(dir).set(id, entry);
+    scheduleFlush();
+}
+
+async function loadManifest(dir) {
+    if (_manifests.has(dir)) return _manifests.get(dir);
+    // Concurrent workers share one read per directory
+    if (!_loading.has(dir)) {
+        _loading.set(dir, (async () => {
+            const manifest = await readManifest(dir);
+            _manifests.set(dir, manifest);
+            _loading.delete(dir);
+            return manifest;
+        })());
+    }
+    return _loading.get(dir);
+}
+
+async function flushManifests() {
+    if (_flushTimer) {
+        clearTimeout(_flushTimer);
+        _flushTimer = null;
+    }
+    const pending = [..._pending];
+    _pending.clear();
+    for (const [dir, changes] of pending) {
+        // Other writers may have flushed since this directory was loaded
+        const merged = applyChanges(await readManifest(dir), changes);
+        await getStorage().write(`${dir}/${MANIFEST_FILE}`, JSON.stringify(merged));
+        // Changes recorded during the write are still pending and stay on top
+        _manifests.set(dir, applyChanges({ ...merged }, _pending.get(dir) || new Map()));
+    }
+}
+
+function scheduleFlush() {
+    if (_flushTimer) return;
+    _flushTimer = setTimeout(() => {
+        flushManifests().catch(err => console.error('[MANIFEST] Flush failed:', err.message));
+    }, FLUSH_DELAY_MS);
+    _flushTimer.unref();
+}
+
+// Bulk runs finish without waiting on the timer; catch whatever is still pending.
+process.on('beforeExit', () => {
+    if (_pending.size > 0) flushManifests().catch(err => console.error('[MANIFEST] Flush failed:', err.message));
+});
+
+/**
+ * Returns true when the stored shard already holds this exact payload.
+ * @param {string} dir - Shard directory key, e.g. 'usaw/42'
+ * @param {string} id - Shard id (file name without extension)
+ * @param {string} hash - sha256 of the JSON payload
+ */
+async function isUnchanged(dir, id, hash) {
+    const entry = (await loadManifest(dir))[id];
+    return !!entry && entry.hash === hash && await getStorage().exists(`${dir}/${id}.json.gz`);
+}
+
+async function recordShard(dir, id, hash, size) {
+    await loadManifest(dir);
+    const entry = { id, hash, size, generated_at: new Date().toISOString() };
+    _manifests.get(dir)[id] = entry;
+    recordChange(dir, id, entry);
+}
+
+async function removeShard(dir, id) {
+    await loadManifest(dir);
+    if (!_manifests.get(dir)[id]) return;
+    delete _manifests.get(dir)[id];
+    recordChange(dir, id, null);
+}
+
+/**
+ * Groups every stored shard key by directory: { 'usaw/42': ['123442', ...] }
+ */
+async function listShards(type) {
+    const byDir = {};
+    (await getStorage().list(`${type}/`)).forEach(key => {
+        if (!key.endsWith('.json.gz')) return;
+        const slash = key.lastIndexOf('/');
+        const dir = key.slice(0, slash);
+        if (!byDir[dir]) byDir[dir] = [];
+        byDir[dir].push(key.slice(slash + 1, -'.json.gz'.length));
+    });
+    return byDir;
+}
+
+/**
+ * Rebuilds every manifest from the stored shard files. Used once when adopting
+ * manifests on an existing tree, or after shards were copied in by hand. The
+ * rebuilt manifests replace the stored ones rather than being merged into them.
+ */
+async function rebuildManifests() {
+    const storage = getStorage();
+    let count = 0;
+    for (const type of SHARD_TYPES) {
+        const byDir = await listShards(type);
+        for (const [dir, ids] of Object.entries(byDir)) {
+            const manifest = {};
+            for (const id of ids) {
+                const compressed = await storage.read(`${dir}/${id}.json.gz`);
+                const jsonStr = zlib.gunzipSync(compressed).toString('utf8');
+                manifest[id] = { id, hash: hashPayload(jsonStr), size: compressed.length, generated_at: new Date().toISOString() };
+                count++;
+            }
+            await storage.write(`${dir}/${MANIFEST_FILE}`, JSON.stringify(manifest));
+            _manifests.set(dir, manifest);
+            _pending.delete(dir);
+        }
+    }
+    console.log(`[MANIFEST] Rebuilt manifests for ${count} shards in ${storage.describe()}.`);
+}
+
+/**
+ * Lists shards whose id no longer resolves to a lifter, meet, club or WSO, typically athletes
+ * that were merged into another profile after their shard was written.
+ * @param {Client} client - Connected pg client
+ * @returns {Promise<Array<{type: string, id: string, dir: string}>>}
+ */
+async function findOrphans(client) {
+    const lookups = {
+        usaw: 'SELECT membership_number::text AS id FROM usaw_lifters WHERE membership_number::text = ANY($1)',
+        iwf: 'SELECT iwf_lifter_id::text AS id FROM iwf_lifters WHERE iwf_lifter_id::text = ANY($1)',
+        internal: 'SELECT lifter_id::text AS id FROM usaw_lifters WHERE lifter_id::text = ANY($1)',
+        'meets/usaw': 'SELECT meet_id::text AS id FROM usaw_meets WHERE meet_id::text = ANY($1)',
+        'meets/iwf': 'SELECT db_meet_id::text AS id FROM iwf_meets WHERE db_meet_id::text = ANY($1)'
+    };
+    // Named shards are keyed by slug, so compare against every name's shard id
+    const namedLookups = {
+        clubs: 'SELECT club_name AS name FROM usaw_clubs',
+        wsos: 'SELECT name FROM usaw_wso_information'
+    };
+
+    const orphans = [];
+    for (const type of SHARD_TYPES) {
+        const byDir = await listShards(type);
+        let liveNames = null;
+        if (namedLookups[type]) {
+            const names = (await client.query(namedLookups[type])).rows.map(r => r.name);
+            const collisions = slugCollisions(names);
+            liveNames = new Set(names.map(name => namedShardId(name, collisions)));
+        }
+        for (const [dir, ids] of Object.entries(byDir)) {
+            const live = liveNames || new Set((await client.query(lookups[type], [ids])).rows.map(r => r.id));
+            ids.filter(id => !live.has(id)).forEach(id => orphans.push({ type, id, dir }));
+        }
+    }
+    return orphans;
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2));
+
+    if (args.rebuild) {
+        await rebuildManifests();
+        return;
+    }
+
+    if (args.orphans) {
+        const client = new Client(clientConfig);
+        try {
+            await client.connect();
+            const orphans = await findOrphans(client);
+            console.log(`[MANIFEST] Found ${orphans.length} orphaned shards.`);
+            orphans.forEach(o => console.log(`    • ${o.dir}/${o.id}.json.gz`));
+
+            if (args.delete) {
+                for (const o of orphans) {
+                    await getStorage().delete(`${o.dir}/${o.id}.json.gz`);
+                    await removeShard(o.dir, o.id);
+                }
+                await flushManifests();
+                console.log(`[MANIFEST] Deleted ${orphans.length} orphaned shards.`);
+            }
+        } finally {
+            await client.end();
+        }
+        return;
+    }
+
+    console.log('Usage: node shard-manifest.js --rebuild | --orphans [--delete]');
+}
+
+if (require.main === module) {
+    run().catch(err => {
+        console.error('[MANIFEST] FATAL ERROR:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = { shardKey, slugify, slugCollisions, namedShardId, namedShardKey, hashPayload, isUnchanged, recordShard, removeShard, flushManifests, rebuildManifests, findOrphans };
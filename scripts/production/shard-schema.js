@@ -0,0 +1,142 @@
+const zlib = require('zlib');
+const Ajv = require('ajv');
+const { getStorage } = require('./shard-storage');
+
+/**
+ * SHARD SCHEMA
+ *
+ * Every shard carries a schema_version and is validated against its schema in
+ * schemas/ (athlete, meet, club, wso) before it is written. The frontend reads
+ * schema_version to detect payloads it does not understand instead of
+ * breaking silently when a nested field changes shape.
+ *
+ * CLI: validate an existing shard tree on the configured storage backend
+ *   node scripts/production/shard-schema.js [--type usaw,meets/usaw] [--limit 500]
+ */
+
+const SCHEMA_VERSION = 1;
+const MEET_SCHEMA_VERSION = 1;
+const CLUB_SCHEMA_VERSION = 1;
+const WSO_SCHEMA_VERSION = 1;
+const MAX_REPORTED_ERRORS = 5;
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateAthlete = ajv.compile(require('./schemas/athlete-shard.schema.json'));
+const validateMeet = ajv.compile(require('./schemas/meet-shard.schema.json'));
+const validateClub = ajv.compile(require('./schemas/club-shard.schema.json'));
+const validateWso = ajv.compile(require('./schemas/wso-shard.schema.json'));
+
+// Shard type (storage prefix) -> payload validator
+const VALIDATORS = {
+    usaw: validateAthlete,
+    iwf: validateAthlete,
+    internal: validateAthlete,
+    'meets/usaw': validateMeet,
+    'meets/iwf': validateMeet,
+    clubs: validateClub,
+    wsos: validateWso
+};
+const SHARD_TYPES = Object.keys(VALIDATORS);
+
+function formatErrors(errors) {
+    return (errors || [])
+        .slice(0, MAX_REPORTED_ERRORS)
+        .map(e => `${e.instancePath || '/'} ${e.message}`)
+        .join('; ');
+}
+
+function runValidator(validate, data) {
+    const valid = validate(data);
+    return { valid, errors: valid ? null : formatErrors(validate.errors) };
+}
+
+/**
+ * @param {Object} data - Athlete payload as built by generateAthlete
+ * @returns {{ valid: boolean, errors: string|null }}
+ */
+function validateAthleteShard(data) {
+    return runValidator(validateAthlete, data);
+}
+
+/**
+ * @param {Object} data - Meet payload as built by generateMeet
+ * @returns {{ valid: boolean, errors: string|null }}
+ */
+function validateMeetShard(data) {
+    return runValidator(validateMeet, data);
+}
+
+/**
+ * @param {Object} data - Club payload as built by generateClub
+ * @returns {{ valid: boolean, errors: string|null }}
+ */
+function validateClubShard(data) {
+    return runValidator(validateClub, data);
+}
+
+/**
+ * @param {Object} data - WSO payload as built by generateWso
+ * @returns {{ valid: boolean, errors: string|null }}
+ */
+function validateWsoShard(data) {
+    return runValidator(validateWso, data);
+}
+
+/**
+ * Validates every stored shard of the given types.
+ * @returns {Promise<{checked: number, invalid: Array<{key: string, errors: string}>}>}
+ */
+async function validateShardTree(types = SHARD_TYPES, limit = Infinity) {
+    const storage = getStorage();
+    const invalid = [];
+    let checked = 0;
+
+    for (const type of types) {
+        const keys = (await storage.list(`${type}/`)).filter(k => k.endsWith('.json.gz'));
+        for (const key of keys) {
+            if (checked >= limit) break;
+            checked++;
+
+            let data;
+            try {
+                data = JSON.parse(zlib.gunzipSync(await storage.read(key)).toString('utf8'));
+            } catch (e) {
+                invalid.push({ key, errors: `unreadable: ${e.message}` });
+                continue;
+            }
+
+            const { valid, errors } = runValidator(VALIDATORS[type], data);
+            if (!valid) invalid.push({ key, errors });
+        }
+    }
+
+    return { checked, invalid };
+}
+
+async function run() {
+    const args = require('minimist')(process.argv.slice(2), { string: ['type'] });
+    const types = args.type ? args.type.split(',') : SHARD_TYPES;
+    const limit = args.limit ? parseInt(args.limit) : Infinity;
+
+    const unknown = types.filter(t => !SHARD_TYPES.includes(t));
+    if (unknown.length > 0) throw new Error(`Unknown shard type(s): ${unknown.join(', ')}`);
+
+    console.log(`[SCHEMA] Validating ${types.join(', ')} shards in ${getStorage().describe()}...`);
+    const { checked, invalid } = await validateShardTree(types, limit);
+
+    invalid.forEach(i => console.log(`    • ${i.key}: ${i.errors}`));
+    console.log(`[SCHEMA] ${checked - invalid.length}/${checked} shards valid.`);
+    if (invalid.length > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    run().catch(err => {
+        console.error('[SCHEMA] FATAL ERROR:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    SCHEMA_VERSION, MEET_SCHEMA_VERSION, CLUB_SCHEMA_VERSION, WSO_SCHEMA_VERSION,
+    validateAthleteShard, validateMeetShard, validateClubShard, validateWsoShard, validateShardTree
+};
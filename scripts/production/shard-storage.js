@@ -0,0 +1,206 @@
+/**
+ * SHARD STORAGE
+ *
+ * Where the Data Factory publishes its output: athlete shards, manifests,
+ * population_stats.json and historical_benchmarks.json. Every backend speaks
+ * in keys relative to the output root (e.g. 'usaw/42/123442.json.gz').
+ *
+ * Backend selection (env):
+ *   STORAGE_BACKEND=local (default)  -> OUTPUT_DIR on the local filesystem
+ *   STORAGE_BACKEND=s3               -> S3_BUCKET on any S3-compatible store
+ *     S3_ENDPOINT        optional, e.g. http://localhost:9000 for MinIO (enables path-style URLs)
+ *     S3_REGION          default 'us-east-1'
+ *     S3_PREFIX          optional key prefix inside the bucket
+ *     S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY   falls back to the default AWS credential chain
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+require('dotenv').config();
+
+// Shards are stored as plain .gz objects (no Content-Encoding), matching what the
+// rsync'd web root served, so the frontend keeps decompressing them itself.
+const CONTENT_TYPES = {
+    '.json': 'application/json',
+    '.gz': 'application/gzip'
+};
+
+function contentTypeFor(key) {
+    return CONTENT_TYPES[path.extname(key)] || 'application/octet-stream';
+}
+
+class LocalFileStorage {
+    constructor(rootDir) {
+        this.name = 'local';
+        this.rootDir = rootDir;
+    }
+
+    _path(key) {
+        return path.join(this.rootDir, ...key.split('/'));
+    }
+
+    async write(key, body) {
+        const file = this._path(key);
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file, body);
+        fs.chmodSync(file, 0o644);
+    }
+
+    async read(key) {
+        const file = this._path(key);
+        return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    }
+
+    async exists(key) {
+        return fs.existsSync(this._path(key));
+    }
+
+    async delete(key) {
+        const file = this._path(key);
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+
+    /**
+     * Lists keys under a prefix, recursively.
+     * @param {string} prefix - e.g. 'usaw/42/'
+     * @returns {Promise<string[]>}
+     */
+    async list(prefix = '') {
+        const base = this._path(prefix);
+        if (!fs.existsSync(base)) return [];
+        const keys = [];
+        const walk = (dir, rel) => {
+            fs.readdirSync(dir, { withFileTypes: true }).forEach(d => {
+                const relKey = rel ? `${rel}/${d.name}` : d.name;
+                if (d.isDirectory()) walk(path.join(dir, d.name), relKey);
+                else keys.push(relKey);
+            });
+        };
+        walk(base, prefix.replace(/\/+$/, ''));
+        return keys;
+    }
+
+    describe() {
+        return this.rootDir;
+    }
+}
+
+class S3ObjectStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.bucket
+     * @param {string} [options.endpoint] - Custom endpoint for MinIO and other S3-compatible stores
+     * @param {string} [options.region]
+     * @param {string} [options.prefix] - Key prefix inside the bucket
+     * @param {Object} [options.credentials] - { accessKeyId, secretAccessKey }
+     */
+    constructor(options) {
+        if (!options.bucket) throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+
+        this.name = 's3';
+        this.bucket = options.bucket;
+        this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+        this.client = new S3Client({
+            region: options.region || 'us-east-1',
+            endpoint: options.endpoint,
+            forcePathStyle: !!options.endpoint,
+            credentials: options.credentials
+        });
+    }
+
+    _key(key) {
+        return this.prefix ? `${this.prefix}/${key}` : key;
+    }
+
+    async write(key, body) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this._key(key),
+            Body: body,
+            ContentType: contentTypeFor(key)
+        }));
+    }
+
+    async read(key) {
+        try {
+            const res = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this._key(key) }));
+            return Buffer.from(await res.Body.transformToByteArray());
+        } catch (err) {
+            if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+            throw err;
+        }
+    }
+
+    async exists(key) {
+        try {
+            await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this._key(key) }));
+            return true;
+        } catch (err) {
+            if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+            throw err;
+        }
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this._key(key) }));
+    }
+
+    async list(prefix = '') {
+        const fullPrefix = this._key(prefix);
+        const strip = this.prefix ? this.prefix.length + 1 : 0;
+        const keys = [];
+        let token;
+        do {
+            const res = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: fullPrefix,
+                ContinuationToken: token
+            }));
+            (res.Contents || []).forEach(o => keys.push(o.Key.slice(strip)));
+            token = res.IsTruncated ? res.NextContinuationToken : undefined;
+        } while (token);
+        return keys;
+    }
+
+    describe() {
+        return `s3://${this.bucket}${this.prefix ? `/${this.prefix}` : ''}`;
+    }
+}
+
+/**
+ * Builds a backend from explicit options or the environment.
+ * @param {Object} [env=process.env]
+ */
+function createStorage(env = process.env) {
+    const backend = (env.STORAGE_BACKEND || 'local').toLowerCase();
+
+    if (backend === 'local') {
+        return new LocalFileStorage(env.OUTPUT_DIR || '/var/www/athlete-data');
+    }
+
+    if (backend === 's3') {
+        return new S3ObjectStorage({
+            bucket: env.S3_BUCKET,
+            endpoint: env.S3_ENDPOINT,
+            region: env.S3_REGION,
+            prefix: env.S3_PREFIX,
+            credentials: env.S3_ACCESS_KEY_ID
+                ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY }
+                : undefined
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND '${backend}' (expected 'local' or 's3')`);
+}
+
+let _storage = null;
+function getStorage() {
+    if (!_storage) _storage = createStorage();
+    return _storage;
+}
+
+module.exports = { LocalFileStorage, S3ObjectStorage, createStorage, getStorage };
@@ -0,0 +1,142 @@
+/**
+ * CATEGORIES
+ *
+ * One parser for the free-text age categories and weight classes stored on USAW results,
+ * IWF results and USAW meet entries:
+ *   "+109", "109+ kg", "+75 Kg", "60 kg Men", "Open Men's 89", "Junior Women's",
+ *   "Men's 13 Under Age Group 49kg", "Women's Masters (75+)", "Women's Youth (17) 49kg", "Senior"
+ *
+ * parseCategory() returns { gender, age_group, limit_kg, is_plus, era, weight_class }:
+ *   age_group    - division-logic names: "Open", "Junior", "Youth", "13 Under Age Group",
+ *                  "14-15 Age Group", "Masters (35-39)", ... (IWF "Senior" is "Open")
+ *   weight_class - canonical label: the division-rules.js label of the era, so "81kg", "+109kg",
+ *                  "110+kg" from 2025 ("+Nkg" when the era is unknown)
+ *   era          - weight-class era of division-rules.js: the era in force on the date, or the
+ *                  only era whose classes include the class when no date is known
+ * Anything that cannot be read is null; is_plus is null without a weight class.
+ * Stored weight class text is compared through parseCategory(), never as written.
+ * The corpus test (tests/categories.test.js) holds every distinct value found in the DB.
+ */
+
+const { WEIGHT_CLASS_ERAS, getWeightClassEra, weightClassLabel } = require('./division-rules');
+
+// Weight class at the end of the text ("Open Men's 89", "109+ kg"), else anywhere with a kg unit ("60 kg Men")
+const TRAILING_CLASS = /(?:^|\s)(\+)?\s*(\d+(?:\.\d+)?)\s*(\+)?\s*(?:kgs?)?\s*(\+)?\s*$/i;
+const CLASS_WITH_UNIT = /(?:^|\s)(\+)?\s*(\d+(?:\.\d+)?)\s*(\+)?\s*kgs?\b\s*(\+)?/i;
+
+const AGE_GROUP_PATTERNS = [
+    [/masters?\s*\(?\s*(\d+)\s*(?:-\s*(\d+)|\+)\s*\)?/i, m => (m[2] ? `Masters (${m[1]}-${m[2]})` : `Masters (${m[1]}+)`)],
+    [/\b(\d+)\s*(?:&\s*)?under\b|\bu\s?(\d+)\b/i, m => `${m[1] || m[2]} Under Age Group`],
+    [/\b(1\d)\s*-\s*(1\d)\b/, m => `${m[1]}-${m[2]} Age Group`],
+    [/\byouth\b/i, () => 'Youth'],
+    [/\bjunior\b/i, () => 'Junior'],
+    [/\b(?:open|senior)\b/i, () => 'Open']
+];
+
+function parseGender(text) {
+    if (!text) return null;
+    const t = text.toString().trim();
+    if (/^(f|w)$/i.test(t) || /\b(women|woman|female|ladies)\b/i.test(t)) return 'F';
+    if (/^m$/i.test(t) || /\b(men|man|male)\b/i.test(t)) return 'M';
+    return null;
+}
+
+// Does an era have this class for the gender (either gender when unknown)?
+function eraHasClass(era, limit, isPlus, gender) {
+    return Object.values(era.sets).some(set => (gender ? [gender] : ['M', 'F']).some(g => {
+        const limits = set[g];
+        return isPlus ? limits[limits.length - 1] === limit : limits.includes(limit);
+    }));
+}
+
+function resolveEra(limit, isPlus, gender, date) {
+    const eras = [...new Set(WEIGHT_CLASS_ERAS.filter(e => eraHasClass(e, limit, isPlus, gender)).map(e => e.era))];
+    if (!date) return eras.length === 1 ? eras[0] : null;
+
+    const inForce = getWeightClassEra(date).era;
+    // A meet in the changeover week may still use the classes of the other era
+    if (eras.includes(inForce) || eras.length !== 1) return inForce;
+    return eras[0];
+}
+
+/**
+ * Splits combined text into its age category and weight class parts, as written.
+ * "Men's Masters (35-39) 110+kg" -> { ageCategory: "Men's Masters (35-39)", weightClass: "110+kg" }
+ * @param {string} text - Combined category text
+ * @returns {{ageCategory: string, weightClass: string}} weightClass '' when there is none
+ */
+function splitCategory(text) {
+    if (!text) return { ageCategory: '', weightClass: '' };
+    const str = text.toString().trim();
+    const match = str.match(TRAILING_CLASS) || str.match(CLASS_WITH_UNIT);
+    if (!match) return { ageCategory: str, weightClass: '' };
+    return {
+        ageCategory: (str.slice(0, match.index) + str.slice(match.index + match[0].length)).replace(/\s+/g, ' ').trim(),
+        weightClass: match[0].trim()
+    };
+}
+
+/**
+ * Parses any age category / weight class text.
+ * @param {string} text - Age category, weight class or both combined
+ * @param {Object} [options]
+ * @param {string} [options.gender] - Gender to use when the text has none ('M', 'Female', ...)
+ * @param {string|Date} [options.date] - Meet date, selects the weight-class era
+ * @returns {{gender: string|null, age_group: string|null, limit_kg: number|null, is_plus: boolean|null,
+ *   era: string|null, weight_class: string|null}}
+ */
+function parseCategory(text, { gender, date } = {}) {
+    const { ageCategory, weightClass } = splitCategory(text);
+
+    const parsed = {
+        gender: parseGender(ageCategory) || parseGender(gender),
+        age_group: null,
+        limit_kg: null,
+        is_plus: null,
+        era: null,
+        weight_class: null
+    };
+
+    for (const [pattern, name] of AGE_GROUP_PATTERNS) {
+        const m = ageCategory.match(pattern);
+        if (m) {
+            parsed.age_group = name(m);
+            break;
+        }
+    }
+
+    const wc = weightClass.match(/(\+)?\s*(\d+(?:\.\d+)?)\s*(\+)?\s*(?:kgs?)?\s*(\+)?/i);
+    const limit = wc ? parseFloat(wc[2]) : NaN;
+    if (limit > 0) {
+        parsed.limit_kg = limit;
+        parsed.is_plus = Boolean(wc[1] || wc[3] || wc[4]);
+        parsed.era = resolveEra(limit, parsed.is_plus, parsed.gender, date);
+        parsed.weight_class = weightClassLabel(limit, parsed.is_plus, parsed.era);
+    }
+
+    return parsed;
+}
+
+/**
+ * Normalized category columns for a result or entry row.
+ * @param {Object} row - { age_category | division, weight_class, gender, date }
+ * @returns {{age_group: string|null, weight_class_limit_kg: number|null, weight_class_is_plus: boolean|null,
+ *   weight_class_era: string|null}}
+ */
+function normalizeCategory({ age_category, division, weight_class, gender, date }) {
+    const text = [age_category ?? division, weight_class].filter(Boolean).join(' ');
+    const parsed = parseCategory(text, { gender, date });
+    return {
+        age_group: parsed.age_group,
+        weight_class_limit_kg: parsed.limit_kg,
+        weight_class_is_plus: parsed.is_plus,
+        weight_class_era: parsed.era
+    };
+}
+
+module.exports = {
+    parseGender,
+    splitCategory,
+    parseCategory,
+    normalizeCategory
+};
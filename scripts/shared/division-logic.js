@@ -2,8 +2,12 @@
  * DIVISION LOGIC
  * 
  * Centralized logic for competition age calculation and division eligibility.
+ * Age groups and weight classes follow the rules in force on the meet date (division-rules.js).
  */
 
+const { MASTERS_MIN_AGE, getWeightClassEra, weightClassLabel, getMastersBracket, getAgeGroups } = require('./division-rules');
+const { parseCategory } = require('./categories');
+
 /**
  * Calculates competition age based on meet year and birth year.
  * Rule: Competition Age = Year of Meet - Year of Birth.
@@ -20,61 +24,121 @@ function calculateCompetitionAge(meetDate, birthYear) {
 }
 
 /**
- * Returns a list of all divisions a lifter is eligible for based on USAW and IWF rules.
- * @param {string} gender - 'Male' or 'Female' (or variants)
- * @param {number} age - Competition age
- * @param {string} weightClass - e.g., '81kg'
- * @returns {string[]} List of full three-element division names
+ * Reads a weight class as recorded on a result.
+ * "81kg", "85 kg", "+105 Kg", "110+kg", "Women's Open 71kg" -> { limit, superHeavy }
+ * @param {string} weightClass - Weight class text
+ * @returns {{limit: number, superHeavy: boolean}|null} null if no class can be read
  */
-function getEligibleDivisions(gender, age, weightClass) {
-    if (age === null || age === undefined || !gender) return [];
-    
+function parseWeightClass(weightClass) {
+    const { limit_kg: limit, is_plus: superHeavy } = parseCategory(weightClass);
+    return limit ? { limit, superHeavy } : null;
+}
+
+function genderKey(gender) {
+    if (!gender) return null;
     const g = gender.toString().toLowerCase();
-    const isFemale = g.startsWith('f') || g.includes('women');
-    const genderPrefix = isFemale ? "Women's" : "Men's";
-    const wc = weightClass || 'Unknown';
-    
-    const ageGroups = [];
-
-    // --- USAW Specific Age Groups ---
-    if (age <= 11) ageGroups.push("11 Under Age Group");
-    if (age <= 13) ageGroups.push("13 Under Age Group");
-    if (age >= 14 && age <= 15) ageGroups.push("14-15 Age Group");
-    if (age >= 16 && age <= 17) ageGroups.push("16-17 Age Group");
-
-    // --- IWF Age Groups ---
-    if (age >= 13 && age <= 17) ageGroups.push("Youth");
-    if (age >= 15 && age <= 20) ageGroups.push("Junior");
-    
-    // --- Open / Senior ---
-    if (age >= 15) ageGroups.push("Open");
+    return g.startsWith('f') || g.includes('women') ? 'F' : 'M';
+}
+
+/**
+ * Canonical weight class of a result under the rules in force on its date.
+ * A recorded class that exists in the set is kept; otherwise the class is derived from the
+ * bodyweight (e.g. a youth "+102kg" lifter weighing 104.5 is "109kg" in the senior set).
+ * Without a usable bodyweight the recorded class is returned with official: false.
+ * @param {string} weightClass - Weight class as recorded on the result
+ * @param {Object} options
+ * @param {string} options.gender - 'Male' / 'Female' (or variants)
+ * @param {string|Date} [options.date] - Meet date (missing: current rules)
+ * @param {string} [options.set] - Class set: senior, youth, u13, u15, u17 (default senior)
+ * @param {string|number} [options.bodyWeight] - Bodyweight in kg
+ * @returns {{label: string, limit: number, superHeavy: boolean, era: string, set: string, official: boolean}|null}
+ *   null when neither the class nor the bodyweight can be read
+ */
+function getWeightClass(weightClass, { gender, date, set = 'senior', bodyWeight } = {}) {
+    const g = genderKey(gender);
+    const { era, sets } = getWeightClassEra(date);
+    const limits = g && sets[set] ? sets[set][g] : null;
+    const heaviest = limits ? limits[limits.length - 1] : null;
+    const canonical = (limit, superHeavy, official) => ({
+        label: weightClassLabel(limit, superHeavy, era), limit, superHeavy, era, set, official
+    });
+
+    const recorded = parseWeightClass(weightClass);
+    if (recorded && limits) {
+        const official = recorded.superHeavy ? recorded.limit === heaviest : limits.includes(recorded.limit);
+        if (official) return canonical(recorded.limit, recorded.superHeavy, true);
+    }
+
+    const bw = parseFloat(bodyWeight);
+    if (limits && bw > 0) {
+        const limit = limits.find(l => bw <= l);
+        return limit ? canonical(limit, false, true) : canonical(heaviest, true, true);
+    }
+
+    return recorded ? canonical(recorded.limit, recorded.superHeavy, false) : null;
+}
+
+/**
+ * Age groups (with their class set) a lifter belongs to on a date.
+ * @returns {Array<{name: string, classes: string}>}
+ */
+function getEligibleAgeGroups(gender, age, date) {
+    if (age === null || age === undefined || !gender) return [];
+
+    const ageGroups = getAgeGroups(date)
+        .filter(g => (g.min === undefined || age >= g.min) && (g.max === undefined || age <= g.max))
+        .map(({ name, classes }) => ({ name, classes }));
 
     // --- Masters Brackets ---
-    if (age >= 35) {
-        if (isFemale) {
-            if (age >= 75) {
-                ageGroups.push("Masters (75+)");
-            } else {
-                const bracketStart = Math.floor(age / 5) * 5;
-                ageGroups.push(`Masters (${bracketStart}-${bracketStart + 4})`);
-            }
-        } else {
-            if (age >= 80) {
-                ageGroups.push("Masters (80+)");
-            } else if (age >= 75) {
-                ageGroups.push("Masters (75-79)");
-            } else {
-                const bracketStart = Math.floor(age / 5) * 5;
-                ageGroups.push(`Masters (${bracketStart}-${bracketStart + 4})`);
-            }
-        }
+    if (age >= MASTERS_MIN_AGE) {
+        ageGroups.push({ name: getMastersBracket(genderKey(gender), age, date), classes: 'senior' });
     }
 
+    return ageGroups;
+}
+
+/**
+ * Every division a result counts towards, with the weight class that applies in each.
+ * @param {string} gender - 'Male' or 'Female' (or variants)
+ * @param {number} age - Competition age
+ * @param {string} weightClass - Weight class as recorded, e.g. '81kg'
+ * @param {Object} [options]
+ * @param {string|Date} [options.date] - Meet date; selects the age groups and classes in force (missing: current rules)
+ * @param {string|number} [options.bodyWeight] - Bodyweight, to place the lifter in age groups with a different class set
+ * @returns {Array<{name: string, ageGroup: string, weightClass: Object|null}>}
+ */
+function getEligibleDivisionDetails(gender, age, weightClass, { date, bodyWeight } = {}) {
+    const genderPrefix = genderKey(gender) === 'F' ? "Women's" : "Men's";
+
     // Compose the full three-element name: [Gender] [Age Range] [Weight Class]
-    return ageGroups.map(ageGroup => `${genderPrefix} ${ageGroup} ${wc}`);
+    return getEligibleAgeGroups(gender, age, date).map(({ name, classes }) => {
+        const wc = getWeightClass(weightClass, { gender, date, set: classes, bodyWeight });
+        return {
+            name: `${genderPrefix} ${name} ${wc ? wc.label : 'Unknown'}`,
+            ageGroup: name,
+            weightClass: wc
+        };
+    });
+}
+
+/**
+ * Returns a list of all divisions a lifter is eligible for based on USAW and IWF rules
+ * in force on the meet date.
+ * @param {string} gender - 'Male' or 'Female' (or variants)
+ * @param {number} age - Competition age
+ * @param {string} weightClass - e.g., '81kg'
+ * @param {Object} [options] - { date, bodyWeight }, see getEligibleDivisionDetails
+ * @returns {string[]} List of full three-element division names
+ */
+function getEligibleDivisions(gender, age, weightClass, options = {}) {
+    return getEligibleDivisionDetails(gender, age, weightClass, options).map(d => d.name);
 }
 
 module.exports = {
     calculateCompetitionAge,
+    parseWeightClass,
+    getWeightClass,
+    getEligibleAgeGroups,
+    getEligibleDivisionDetails,
     getEligibleDivisions
 };
@@ -0,0 +1,165 @@
+/**
+ * DIVISION RULES
+ *
+ * Age groups and weight classes by the date they were in force, so a result is
+ * placed under the rules it was lifted under.
+ *
+ * Weight-class eras (each in force from valid_from until the next era starts):
+ *   1998 - IWF 1998 classes (women's +75 split into 90/+90 from 2017)
+ *   2018 - IWF 2018 classes; USAW switched on 2018-08-01 (IWF on 2018-11-01)
+ *   2025 - IWF 2025 classes; USAW and IWF from 2025-06-01
+ * Class sets per era: senior (Junior, Open, Masters), youth (IWF 13-17) and the USAW
+ * age-group sets. Each list holds the class limits in kg; the last limit also opens
+ * the super-heavy class, labelled as Sport80 does in each era: "+109kg" until 2025,
+ * "110+kg" from 2025 (plus_suffix). weightClassLabel() is the one place that label is built;
+ * categories.js and division-logic.js both use it.
+ * The USAW age-group sets before 2025 are reconstructed from the classes found on
+ * USAW results; the 2025 sets follow data/current/active divisions.csv.
+ *
+ * Division names built from these rules are stored (usaw_division_rankings.division_name,
+ * usaw_record_history.weight_class), so a change here needs a full ranking-engine.js run and a
+ * full records-engine.js run to re-label what is already stored.
+ */
+
+const SETS_1998 = {
+    senior: { M: [56, 62, 69, 77, 85, 94, 105], F: [48, 53, 58, 63, 69, 75] },
+    youth: { M: [50, 56, 62, 69, 77, 85, 94], F: [44, 48, 53, 58, 63, 69] },
+    u13: { M: [31, 35, 39, 44, 50, 56, 62, 69], F: [31, 35, 39, 44, 48, 53, 58] },
+    u15: { M: [44, 50, 56, 62, 69, 77, 85], F: [44, 48, 53, 58, 63, 69] },
+    u17: { M: [50, 56, 62, 69, 77, 85, 94], F: [44, 48, 53, 58, 63, 69, 75] }
+};
+
+const WEIGHT_CLASS_ERAS = [
+    { era: '1998', valid_from: '1998-01-01', sets: SETS_1998 },
+    {
+        era: '1998',
+        valid_from: '2017-01-01',
+        sets: { ...SETS_1998, senior: { ...SETS_1998.senior, F: [48, 53, 58, 63, 69, 75, 90] } }
+    },
+    {
+        era: '2018',
+        valid_from: '2018-08-01',
+        sets: {
+            senior: { M: [55, 61, 67, 73, 81, 89, 96, 102, 109], F: [45, 49, 55, 59, 64, 71, 76, 81, 87] },
+            youth: { M: [49, 55, 61, 67, 73, 81, 89, 96, 102], F: [40, 45, 49, 55, 59, 64, 71, 76, 81] },
+            u13: { M: [32, 36, 39, 44, 49, 55, 61, 67, 73], F: [30, 33, 36, 40, 45, 49, 55, 59, 64] },
+            u15: { M: [44, 49, 55, 61, 67, 73, 81, 89], F: [40, 45, 49, 55, 59, 64, 71, 76] },
+            u17: { M: [49, 55, 61, 67, 73, 81, 89, 96, 102], F: [40, 45, 49, 55, 59, 64, 71, 76, 81] }
+        }
+    },
+    {
+        era: '2025',
+        valid_from: '2025-06-01',
+        plus_suffix: true,
+        sets: {
+            senior: { M: [60, 65, 71, 79, 88, 94, 110], F: [48, 53, 58, 63, 69, 77, 86] },
+            youth: { M: [56, 60, 65, 71, 79, 88, 94], F: [44, 48, 53, 58, 63, 69, 77] },
+            u13: { M: [32, 36, 40, 44, 48, 52, 56, 60, 65], F: [30, 33, 36, 40, 44, 48, 53, 58, 63] },
+            u15: { M: [48, 52, 56, 60, 65, 71, 79], F: [40, 44, 48, 53, 58, 63, 69] },
+            u17: { M: [56, 60, 65, 71, 79, 88, 94], F: [44, 48, 53, 58, 63, 69, 77] }
+        }
+    }
+];
+
+/**
+ * Age groups in the order divisions are listed. Bounds are competition ages, inclusive.
+ * valid_from / valid_to limit a group to the meets it existed for.
+ */
+const AGE_GROUPS = [
+    // Only found from the 2025 USAW divisions list on
+    { name: '11 Under Age Group', max: 11, classes: 'u13', valid_from: '2025-06-01' },
+    { name: '13 Under Age Group', max: 13, classes: 'u13' },
+    { name: '14-15 Age Group', min: 14, max: 15, classes: 'u15' },
+    { name: '16-17 Age Group', min: 16, max: 17, classes: 'u17' },
+    // IWF Youth: first Youth World Championships 2009
+    { name: 'Youth', min: 13, max: 17, classes: 'youth', valid_from: '2009-01-01' },
+    { name: 'Junior', min: 15, max: 20, classes: 'senior' },
+    { name: 'Open', min: 15, classes: 'senior' }
+];
+
+const MASTERS_MIN_AGE = 35;
+
+/**
+ * Masters brackets: five-year brackets from MASTERS_MIN_AGE up to an open-ended top bracket per gender,
+ * in force from valid_from until the next entry. The 2025 brackets (women to 90+, men to 95+) were
+ * created on Sport80 with the 2025 division list: their codes fall between the 2025 Open and
+ * 11 Under codes in division_base64_codes.json.
+ */
+const MASTERS_BRACKETS = [
+    { valid_from: '1998-01-01', top: { F: 75, M: 80 } },
+    { valid_from: '2025-06-01', top: { F: 90, M: 95 } }
+];
+
+// 'YYYY-MM-DD...' or any Date-parsable value -> 'YYYY-MM-DD', null if missing or unreadable
+function isoDate(date) {
+    if (!date) return null;
+    const str = date instanceof Date ? null : date.toString();
+    if (str && /^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+    const d = str ? new Date(str) : date;
+    if (isNaN(d.getTime())) return null;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Weight-class rules in force on a date. Missing or unreadable dates get the current rules.
+ * @param {string|Date} date - Meet date
+ * @returns {Object} { era, valid_from, sets }
+ */
+function getWeightClassEra(date) {
+    const day = isoDate(date);
+    if (!day) return WEIGHT_CLASS_ERAS[WEIGHT_CLASS_ERAS.length - 1];
+    let current = WEIGHT_CLASS_ERAS[0];
+    for (const era of WEIGHT_CLASS_ERAS) {
+        if (era.valid_from <= day) current = era;
+    }
+    return current;
+}
+
+/**
+ * Weight class label as Sport80 writes it in an era: "81kg", "+109kg", or "110+kg" from 2025.
+ * @param {number} limit - Class limit in kg
+ * @param {boolean} isPlus - Super-heavy class
+ * @param {string} [era] - WEIGHT_CLASS_ERAS era name (unknown: "+Nkg")
+ * @returns {string}
+ */
+function weightClassLabel(limit, isPlus, era) {
+    if (!isPlus) return `${limit}kg`;
+    return WEIGHT_CLASS_ERAS.some(e => e.era === era && e.plus_suffix) ? `${limit}+kg` : `+${limit}kg`;
+}
+
+/**
+ * Masters bracket of a competition age on a date, e.g. 'Masters (45-49)', 'Masters (75+)'.
+ * @param {string} gender - 'M' or 'F'
+ * @param {number} age - Competition age, at least MASTERS_MIN_AGE
+ * @param {string|Date} [date] - Meet date (missing: current brackets)
+ * @returns {string}
+ */
+function getMastersBracket(gender, age, date) {
+    const day = isoDate(date) || '9999-12-31';
+    const { top } = MASTERS_BRACKETS.filter(b => b.valid_from <= day).pop() || MASTERS_BRACKETS[0];
+    if (age >= top[gender]) return `Masters (${top[gender]}+)`;
+    const start = Math.floor(age / 5) * 5;
+    return `Masters (${start}-${start + 4})`;
+}
+
+/**
+ * Age groups that existed on a date.
+ * @param {string|Date} date - Meet date (missing: current groups)
+ */
+function getAgeGroups(date) {
+    const day = isoDate(date) || '9999-12-31';
+    return AGE_GROUPS.filter(g => (!g.valid_from || g.valid_from <= day) && (!g.valid_to || day <= g.valid_to));
+}
+
+module.exports = {
+    WEIGHT_CLASS_ERAS,
+    AGE_GROUPS,
+    MASTERS_MIN_AGE,
+    MASTERS_BRACKETS,
+    isoDate,
+    getWeightClassEra,
+    weightClassLabel,
+    getMastersBracket,
+    getAgeGroups
+};
@@ -0,0 +1,233 @@
+/**
+ * MEET AWARDS
+ *
+ * Team standings and best-lifter places for one meet, from the division placings of
+ * ranking-engine.js (shared/placings.js).
+ *
+ * Team scoring: every lifter scores once, in the division of the age category they entered
+ * (usaw_meet_results.age_category; Open, or their first division, when that is unknown or not one of
+ * their divisions), with TEAM_POINTS for their total placing. Bomb-outs and places beyond the table
+ * score 0. Teams are the lifters' club_name and wso, scored separately per gender; ties go to the team
+ * with more first places, then more second places, and so on, and are otherwise shared.
+ *
+ * Best lifter: per gender and age group (every age group a result is placed in, as in the division
+ * rankings), ranked by the chosen formula (BEST_LIFTER_FORMULAS), then lower bodyweight. Scores are
+ * computed with the shared scoring module rather than read from the stored columns, which the results
+ * trigger only fills for some ages, so every lifter of an age group is scored the same way: senior age
+ * groups with the unadjusted score whatever the lifter's age, youth and masters age groups with the
+ * score adjusted for the lifter's competition age.
+ */
+
+const { AGE_GROUPS } = require('./division-rules');
+const { parseCategory, parseGender } = require('./categories');
+const { calculateCompetitionAge } = require('./division-logic');
+const scoring = require('./scoring');
+const { scoreSinclair } = require('./scoring/sinclair');
+const { gamxScore } = require('./scoring/gamx');
+
+// Points for places 1-25
+const TEAM_POINTS = [28, 25, 23, 22, 21, 20, 19, 18, 17, 16, 15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1];
+
+// Scope -> result column naming the team
+const TEAM_SCOPES = { club: 'club_name', wso: 'wso' };
+
+// Q-youth, or unadjusted Q-points for everyone while the youth table is not loaded (scoring.ensureYouthFactors)
+function youthQpoints(r, age) {
+    const factor = scoring.getYouthFactor(age, r.body_weight_kg, r.gender);
+    if (factor === null) return scoring.calculateQpoints(r.total, r.body_weight_kg, r.gender);
+    return scoring.roundTo(toNumber(r.total) * factor, 2);
+}
+
+// GAMX of one type from the factor tables, or the stored column when the tables lack that type.
+// ignoreAge scores the senior table for any age (it is only published for ages 15-40).
+function gamx(type, column, { ignoreAge = false } = {}) {
+    return (r, age, factors) => {
+        const byGender = factors[type] || {};
+        if (!Object.values(byGender).some(Boolean)) return toNumber(r[column]);
+        return gamxScore(factors, type, { gender: r.gender, age: ignoreAge ? null : age, bodyWeight: r.body_weight_kg, result: r.total });
+    };
+}
+
+// Scorer per formula and age-group kind: (result, competition age, GAMX factors) -> score
+const BEST_LIFTER_FORMULAS = {
+    qpoints: {
+        senior: r => scoring.calculateQpoints(r.total, r.body_weight_kg, r.gender),
+        youth: youthQpoints,
+        masters: (r, age) => scoring.roundTo(scoring.calculateQpoints(r.total, r.body_weight_kg, r.gender) * scoring.getAgeFactor(age, r.gender), 2)
+    },
+    gamx: {
+        senior: gamx('total', 'gamx_total', { ignoreAge: true }),
+        youth: gamx('u', 'gamx_u'),
+        masters: gamx('masters', 'gamx_masters')
+    },
+    sinclair: {
+        senior: r => scoreSinclair(r).sinclair,
+        youth: r => scoreSinclair(r).sinclair,
+        masters: (r, age) => scoreSinclair({ ...r, competition_age: age }).sinclair_masters
+    }
+};
+
+const BEST_LIFTER_PLACES = 3;
+
+const YOUTH_AGE_GROUPS = new Set(AGE_GROUPS.filter(g => g.max !== undefined && g.max <= 17).map(g => g.name));
+
+function toNumber(value) {
+    const n = parseFloat(value);
+    return isNaN(n) ? null : n;
+}
+
+/**
+ * Team points for a total placing.
+ * @param {number|null} rank - total_rank, null for a bomb-out
+ * @returns {number}
+ */
+function teamPoints(rank) {
+    return rank ? TEAM_POINTS[rank - 1] || 0 : 0;
+}
+
+/**
+ * Score of a result for a best-lifter formula in an age group, null if it has none.
+ * @param {Object} result - usaw_meet_results row (total, body_weight_kg, gender, date and
+ *   competition_age or birth_year; the stored gamx_* columns for GAMX types missing from gamxFactors)
+ * @param {string} formula - Key of BEST_LIFTER_FORMULAS
+ * @param {string} ageGroup - Age group name, e.g. 'Open', 'Masters (35-39)'
+ * @param {Object} [gamxFactors] - From scoring/gamx.js loadGamxFactors(), required for 'gamx'
+ * @returns {number|null}
+ */
+function bestLifterScore(result, formula, ageGroup, gamxFactors) {
+    const scorers = BEST_LIFTER_FORMULAS[formula];
+    if (!scorers) throw new Error(`Unknown best-lifter formula "${formula}" (${Object.keys(BEST_LIFTER_FORMULAS).join(', ')})`);
+    if (formula === 'gamx' && !gamxFactors) throw new Error('GAMX best lifters need the GAMX factors (loadGamxFactors)');
+    if (!(toNumber(result.total) > 0)) return null;
+
+    const kind = ageGroup.startsWith('Masters') ? 'masters' : YOUTH_AGE_GROUPS.has(ageGroup) ? 'youth' : 'senior';
+    const age = toNumber(result.competition_age) ?? calculateCompetitionAge(result.date, result.birth_year);
+    if (kind !== 'senior' && age === null) return null;
+
+    const score = scorers[kind](result, age, gamxFactors);
+    return score > 0 ? score : null;
+}
+
+// Shares a place when compare() returns 0 against the previous entry ("1, 1, 3")
+function assignPlaces(sorted, compare) {
+    sorted.forEach((e, i) => {
+        e.place = i > 0 && compare(sorted[i - 1], e) === 0 ? sorted[i - 1].place : i + 1;
+    });
+    return sorted;
+}
+
+/**
+ * The placing each result scores its team points with.
+ * @param {Array<{result: Object, age_group: string, total_rank: number|null}>} placings
+ * @returns {Map<Object, Object>} result -> placing
+ */
+function scoringPlacings(placings) {
+    const byResult = new Map();
+    placings.forEach(p => {
+        if (!byResult.has(p.result)) byResult.set(p.result, []);
+        byResult.get(p.result).push(p);
+    });
+
+    const scoring = new Map();
+    byResult.forEach((own, result) => {
+        const entered = result.age_group || parseCategory(result.age_category).age_group;
+        scoring.set(result, own.find(p => p.age_group === entered) || own.find(p => p.age_group === 'Open') || own[0]);
+    });
+    return scoring;
+}
+
+/**
+ * Team standings of a meet.
+ * @param {Array<{result: Object, age_group: string, total_rank: number|null}>} placings - Every division
+ *   placing of the meet's results (result rows with gender, age_group/age_category, club_name, wso)
+ * @returns {Array<{scope: string, team: string, gender: string, place: number, points: number,
+ *   lifters: number, first_places: number, second_places: number, third_places: number}>}
+ *   By scope and gender, then place
+ */
+function scoreTeams(placings) {
+    const teams = new Map();
+    scoringPlacings(placings).forEach(({ total_rank }, result) => {
+        const gender = parseGender(result.gender);
+        if (!gender) return;
+
+        Object.entries(TEAM_SCOPES).forEach(([scope, column]) => {
+            const team = result[column]?.toString().trim();
+            if (!team) return;
+            const key = `${scope}|${gender}|${team}`;
+            if (!teams.has(key)) teams.set(key, { scope, team, gender, points: 0, lifters: 0, placeCounts: TEAM_POINTS.map(() => 0) });
+            const t = teams.get(key);
+            t.points += teamPoints(total_rank);
+            t.lifters++;
+            if (total_rank && total_rank <= TEAM_POINTS.length) t.placeCounts[total_rank - 1]++;
+        });
+    });
+
+    const compare = (a, b) => {
+        if (a.points !== b.points) return b.points - a.points;
+        const i = a.placeCounts.findIndex((n, idx) => n !== b.placeCounts[idx]);
+        return i === -1 ? 0 : b.placeCounts[i] - a.placeCounts[i];
+    };
+
+    const groups = new Map();
+    teams.forEach(t => {
+        const key = `${t.scope}|${t.gender}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+    });
+
+    return [...groups.keys()].sort().flatMap(key => {
+        const sorted = groups.get(key).sort((a, b) => compare(a, b) || a.team.localeCompare(b.team));
+        return assignPlaces(sorted, compare).map(({ placeCounts, ...t }) => ({
+            scope: t.scope,
+            team: t.team,
+            gender: t.gender,
+            place: t.place,
+            points: t.points,
+            lifters: t.lifters,
+            first_places: placeCounts[0],
+            second_places: placeCounts[1],
+            third_places: placeCounts[2]
+        }));
+    });
+}
+
+/**
+ * Best-lifter places of a meet per gender and age group.
+ * @param {Array<{result: Object, age_group: string}>} placings - Every division placing of the meet's results
+ * @param {string} formula - Key of BEST_LIFTER_FORMULAS
+ * @param {Object} [options]
+ * @param {number} [options.places] - Places kept per age group (ties at the last place are all kept)
+ * @param {Object} [options.gamxFactors] - From loadGamxFactors(), required for 'gamx'
+ * @returns {Array<{gender: string, age_group: string, formula: string, place: number, score: number, result: Object}>}
+ *   By gender and age group, then place
+ */
+function rankBestLifters(placings, formula, { places = BEST_LIFTER_PLACES, gamxFactors } = {}) {
+    const groups = new Map();
+    placings.forEach(({ result, age_group }) => {
+        const gender = parseGender(result.gender);
+        const score = bestLifterScore(result, formula, age_group, gamxFactors);
+        if (!gender || score === null) return;
+
+        const key = `${gender}|${age_group}`;
+        if (!groups.has(key)) groups.set(key, new Map());
+        // A result is placed once per age group, in one weight class
+        groups.get(key).set(result, { gender, age_group, formula, score, result });
+    });
+
+    const compare = (a, b) => b.score - a.score || (toNumber(a.result.body_weight_kg) ?? Infinity) - (toNumber(b.result.body_weight_kg) ?? Infinity);
+
+    return [...groups.keys()].sort().flatMap(key => {
+        const sorted = [...groups.get(key).values()].sort((a, b) => compare(a, b) || 0);
+        return assignPlaces(sorted, (a, b) => compare(a, b) || 0).filter(e => e.place <= places);
+    });
+}
+
+module.exports = {
+    TEAM_POINTS,
+    TEAM_SCOPES,
+    BEST_LIFTER_FORMULAS,
+    teamPoints,
+    bestLifterScore,
+    scoreTeams,
+    rankBestLifters
+};
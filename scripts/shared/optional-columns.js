@@ -0,0 +1,73 @@
+/**
+ * OPTIONAL COLUMNS
+ *
+ * Result and entry columns whose migration may not be applied yet where an importer runs.
+ * A write rejected because the table lacks one of them is retried without that migration's
+ * columns, and later writes to the table leave them out, so imports keep running until the
+ * migration lands; its backfill then fills the rows written in between.
+ */
+
+const OPTIONAL_COLUMNS = [
+    {
+        migration: 'migrations/add_sinclair_columns.sql',
+        backfill: 'scripts/maintenance/backfill-sinclair.js',
+        columns: ['sinclair', 'sinclair_masters']
+    },
+    {
+        migration: 'migrations/add_category_columns.sql',
+        backfill: 'scripts/maintenance/backfill-categories.js',
+        columns: ['age_group', 'weight_class_limit_kg', 'weight_class_is_plus', 'weight_class_era']
+    }
+];
+
+// table -> Set of OPTIONAL_COLUMNS entries the table is known to lack
+const _missing = new Map();
+
+/**
+ * Column named by an unknown-column error: PostgREST PGRST204 on insert / update,
+ * Postgres 42703 otherwise.
+ * @returns {string|null}
+ */
+function unknownColumn(error) {
+    if (!error) return null;
+    if (error.code === 'PGRST204') return error.message?.match(/'([^']+)' column/)?.[1] ?? null;
+    if (error.code === '42703') return error.message?.match(/column "(?:[^"]+\.)?([^"]+)"/)?.[1] ?? null;
+    return null;
+}
+
+function omitMissing(table, row) {
+    const missing = _missing.get(table);
+    if (!missing || missing.size === 0) return row;
+    const omit = row => {
+        const kept = { ...row };
+        missing.forEach(({ columns }) => columns.forEach(c => delete kept[c]));
+        return kept;
+    };
+    return Array.isArray(row) ? row.map(omit) : omit(row);
+}
+
+/**
+ * Runs a Supabase insert / update / upsert of `row` (one record or an array), leaving out
+ * optional columns the table does not have yet.
+ * @param {string} table - Table written to
+ * @param {Object|Array<Object>} row - Full record(s), optional columns included
+ * @param {function(Object|Array<Object>): Promise<{data, error}>} write - Builds and awaits the query for the record(s) it is given
+ * @returns {Promise<{data, error}>} The write's own response
+ */
+async function withOptionalColumns(table, row, write) {
+    while (true) {
+        const response = await write(omitMissing(table, row));
+        const column = unknownColumn(response.error);
+        const optional = column && OPTIONAL_COLUMNS.find(o => o.columns.includes(column));
+        if (!optional || _missing.get(table)?.has(optional)) return response;
+
+        if (!_missing.has(table)) _missing.set(table, new Set());
+        _missing.get(table).add(optional);
+        console.warn(`[IMPORT] ⚠️ ${table}.${column} does not exist; writing without ${optional.columns.join(', ')} until ${optional.migration} is applied (then run ${optional.backfill}).`);
+    }
+}
+
+module.exports = {
+    OPTIONAL_COLUMNS,
+    withOptionalColumns
+};
@@ -0,0 +1,93 @@
+/**
+ * PLACINGS
+ *
+ * Ranks one division cohort (the lifters of one meet, division and weight class) by snatch, clean & jerk
+ * and total with the IWF/USAW tie-break order:
+ *   1. higher result
+ *   2. lower bodyweight
+ *   3. reached the result first
+ * "Reached first" follows the lifting order. The bar only goes up, so for a tied snatch or C&J the
+ * lifter who made the weight on the earlier attempt lifted it first. For a tied total, the lifter whose
+ * total-completing C&J was lighter lifted first, then the earlier attempt.
+ * Lifters without a successful snatch, C&J or total (bomb-outs) are unranked (null) in that lift.
+ * Lifters still level after every tie-break share the place ("1, 1, 3").
+ */
+
+function liftNumber(value) {
+    const n = parseFloat(value);
+    return isNaN(n) ? null : n;
+}
+
+/**
+ * Attempt number (1-3) on which the best lift was made, null if no attempt matches.
+ * @param {Array<string|number>} attempts - Attempts in order; misses are negative
+ * @param {number} best - Best successful lift
+ */
+function bestAttemptNumber(attempts, best) {
+    const index = attempts.findIndex(a => liftNumber(a) === best);
+    return index === -1 ? null : index + 1;
+}
+
+// Missing values sort after any real value
+const ascending = (a, b) => (a ?? Infinity) - (b ?? Infinity);
+
+function placingKeys(r) {
+    const snatch = liftNumber(r.best_snatch);
+    const cj = liftNumber(r.best_cj);
+    const total = liftNumber(r.total);
+    const bodyWeight = liftNumber(r.body_weight_kg);
+    const snatchAttempt = snatch > 0 ? bestAttemptNumber([r.snatch_lift_1, r.snatch_lift_2, r.snatch_lift_3], snatch) : null;
+    const cjAttempt = cj > 0 ? bestAttemptNumber([r.cj_lift_1, r.cj_lift_2, r.cj_lift_3], cj) : null;
+
+    return {
+        snatch: snatch > 0 ? [snatch, bodyWeight, snatchAttempt] : null,
+        cj: cj > 0 ? [cj, bodyWeight, cjAttempt] : null,
+        total: total > 0 ? [total, bodyWeight, cj > 0 ? cj : null, cjAttempt] : null
+    };
+}
+
+// Result descending, then every tie-break ascending
+function compareKeys(a, b) {
+    if (a[0] !== b[0]) return b[0] - a[0];
+    for (let i = 1; i < a.length; i++) {
+        const diff = ascending(a[i], b[i]);
+        if (diff !== 0 && !isNaN(diff)) return diff;
+    }
+    return 0;
+}
+
+function rankBy(entries, lift) {
+    const ranked = entries.filter(e => e.keys[lift]).sort((a, b) => compareKeys(a.keys[lift], b.keys[lift]));
+    const ranks = new Map();
+    ranked.forEach((e, i) => {
+        const prev = ranked[i - 1];
+        const rank = prev && compareKeys(prev.keys[lift], e.keys[lift]) === 0 ? ranks.get(prev.result) : i + 1;
+        ranks.set(e.result, rank);
+    });
+    return ranks;
+}
+
+/**
+ * Places every lifter of a cohort.
+ * @param {Object[]} cohort - Result rows with best_snatch, best_cj, total, body_weight_kg and the six attempts
+ * @returns {Array<{result: Object, snatch_rank: number|null, cj_rank: number|null, total_rank: number|null}>}
+ *   In the cohort's order
+ */
+function rankCohort(cohort) {
+    const entries = cohort.map(result => ({ result, keys: placingKeys(result) }));
+    const snatchRanks = rankBy(entries, 'snatch');
+    const cjRanks = rankBy(entries, 'cj');
+    const totalRanks = rankBy(entries, 'total');
+
+    return cohort.map(result => ({
+        result,
+        snatch_rank: snatchRanks.get(result) ?? null,
+        cj_rank: cjRanks.get(result) ?? null,
+        total_rank: totalRanks.get(result) ?? null
+    }));
+}
+
+module.exports = {
+    bestAttemptNumber,
+    rankCohort
+};
@@ -0,0 +1,89 @@
+/**
+ * POPULATION BUCKETS
+ *
+ * Weight-class and bodyweight-band refinements of the population percentile
+ * buckets. Shared by generate-population-stats.js (which fills the buckets) and
+ * assembler.js (which looks athletes up in them) so both sides build identical keys.
+ *
+ * Key format: <age bucket>_wc<class>  e.g. usaw_F_Junior_wc71, usaw_M_all_wc109p (+109kg)
+ *             <age bucket>_bw<band>   e.g. usaw_F_Junior_bw70  (70-74.9kg bodyweight)
+ */
+
+const { parseCategory } = require('./categories');
+
+const BODYWEIGHT_BAND_KG = 5;
+
+// Weight-class and bodyweight buckets thinner than this are not published
+const MIN_REFINED_BUCKET_SIZE = 30;
+
+/**
+ * Normalizes a weight class to its bucket suffix.
+ * "71kg" -> "wc71", "+87kg" / "87+kg" / "+87" -> "wc87p", "Women's Open 71kg" -> "wc71"
+ * @param {string} weightClass - Weight class as stored on the result
+ * @returns {string|null} Suffix, or null if no class can be read
+ */
+function weightClassSuffix(weightClass) {
+    const { limit_kg: limit, is_plus: superHeavy } = parseCategory(weightClass);
+    if (!limit) return null;
+    return `wc${Math.floor(limit)}${superHeavy ? 'p' : ''}`;
+}
+
+/**
+ * Bucket suffix for a bodyweight: 72.4 -> "bw70"
+ * @param {string|number} bodyWeight - Bodyweight in kg
+ * @returns {string|null} Suffix, or null if the bodyweight is missing or implausible
+ */
+function bodyweightBandSuffix(bodyWeight) {
+    const bw = parseFloat(bodyWeight);
+    if (isNaN(bw) || bw < 20 || bw > 250) return null;
+    return `bw${Math.floor(bw / BODYWEIGHT_BAND_KG) * BODYWEIGHT_BAND_KG}`;
+}
+
+/**
+ * Adds the weight-class and bodyweight-band variant of every age bucket.
+ * @param {string[]} buckets - Age buckets from getQualifyingBuckets()
+ * @param {string} weightClass - Athlete's latest weight class
+ * @param {string|number} bodyWeight - Athlete's latest bodyweight
+ * @returns {string[]} The age buckets followed by their refinements
+ */
+function withWeightBuckets(buckets, weightClass, bodyWeight) {
+    const suffixes = [weightClassSuffix(weightClass), bodyweightBandSuffix(bodyWeight)].filter(Boolean);
+    return [...buckets, ...suffixes.flatMap(s => buckets.map(b => `${b}_${s}`))];
+}
+
+/**
+ * Human readable label for any bucket key.
+ * "usaw_F_Junior" -> "USAW Female Junior", "usaw_F_Junior_wc71" -> "USAW Female Junior 71kg",
+ * "usaw_M_all_wc109p" -> "USAW Male all +109kg", "iwf_F_Senior_bw70" -> "IWF Female Senior 70-75kg bodyweight"
+ */
+function getBucketLabel(key) {
+    const [source, gender, category, refinement] = key.split('_');
+    const label = `${source.toUpperCase()} ${gender === 'F' ? 'Female' : 'Male'} ${category}`;
+    if (!refinement) return label;
+
+    if (refinement.startsWith('wc')) {
+        const superHeavy = refinement.endsWith('p');
+        return `${label} ${superHeavy ? '+' : ''}${parseInt(refinement.slice(2))}kg`;
+    }
+    const band = parseInt(refinement.slice(2));
+    return `${label} ${band}-${band + BODYWEIGHT_BAND_KG}kg bodyweight`;
+}
+
+/**
+ * Which split a bucket key belongs to: "age", "weight_class" or "bodyweight"
+ */
+function getBucketDimension(key) {
+    const refinement = key.split('_')[3];
+    if (!refinement) return 'age';
+    return refinement.startsWith('wc') ? 'weight_class' : 'bodyweight';
+}
+
+module.exports = {
+    BODYWEIGHT_BAND_KG,
+    MIN_REFINED_BUCKET_SIZE,
+    weightClassSuffix,
+    bodyweightBandSuffix,
+    withWeightBuckets,
+    getBucketLabel,
+    getBucketDimension
+};
@@ -0,0 +1,147 @@
+/**
+ * QUALIFICATION
+ *
+ * Evaluates an athlete's results against the qualifying totals of national events
+ * (usaw_qualifying_standards: one row per event, gender, age group and weight class).
+ *
+ * A result counts towards an event when it was made inside the event's qualification window, at a
+ * meet of at least the standard's minimum level (MEET_LEVELS), with a positive total. It is placed
+ * in the division the athlete enters at the event: age groups by competition age in the event year,
+ * weight class under the rules in force on the event date (recorded class if it still exists there,
+ * otherwise the class of the bodyweight). Moving up to a heavier class is not evaluated.
+ *
+ * Status per standard: qualified (best total >= qualifying total), near_miss (within near_miss_kg)
+ * or nothing. An athlete's status for an event is their best status over its standards.
+ */
+
+const { calculateCompetitionAge, getEligibleAgeGroups, getWeightClass } = require('./division-logic');
+const { isoDate } = require('./division-rules');
+const { parseGender, parseCategory } = require('./categories');
+
+// Sport80 meet levels, lowest first. A standard's min_meet_level admits its level and every level above.
+// Meets without a known level cannot be shown to be sanctioned and never count.
+const MEET_LEVELS = [
+    ['Local'],
+    ['National', 'North American Open Series'],
+    ['International']
+];
+
+const STATUS_ORDER = { qualified: 2, near_miss: 1 };
+
+/**
+ * Position of a meet level in MEET_LEVELS (case-insensitive), -1 if unknown.
+ * @param {string} level - usaw_meets."Level"
+ * @returns {number}
+ */
+function meetLevelRank(level) {
+    if (!level) return -1;
+    const l = level.toString().trim().toLowerCase();
+    return MEET_LEVELS.findIndex(names => names.some(n => n.toLowerCase() === l));
+}
+
+/**
+ * Whether a result's meet satisfies a standard's meet-level rule.
+ * @param {string} level - Level of the meet the result was made at
+ * @param {string} minLevel - Standard's min_meet_level
+ */
+function meetLevelAllowed(level, minLevel) {
+    const rank = meetLevelRank(level);
+    return rank >= 0 && rank >= Math.max(meetLevelRank(minLevel), 0);
+}
+
+function standardKey(gender, ageGroup, weightClass) {
+    return `${gender}|${ageGroup}|${weightClass}`;
+}
+
+/**
+ * Groups standard rows by event.
+ * @param {Array<Object>} standards - usaw_qualifying_standards rows
+ * @returns {Array<{event: string, event_date: string, standards: Map<string, Object>}>}
+ */
+function groupStandards(standards) {
+    const events = new Map();
+    standards.forEach(s => {
+        if (!events.has(s.event)) events.set(s.event, { event: s.event, event_date: isoDate(s.event_date), standards: new Map() });
+        // Rows imported before labels followed the era store "+86kg" for 2025's "86+kg"
+        const gender = parseGender(s.gender);
+        const { weight_class } = parseCategory(s.weight_class, { gender, date: s.event_date });
+        events.get(s.event).standards.set(standardKey(gender, s.age_group, weight_class), s);
+    });
+    return [...events.values()];
+}
+
+/**
+ * Qualification status of one athlete for every event.
+ * @param {Array<Object>} results - The athlete's USAW results: result_id (or id), meet_name, date, level
+ *   (or meets.Level), weight_class, body_weight_kg, total
+ * @param {Array<Object>} events - groupStandards() of the usaw_qualifying_standards rows
+ * @param {Object} athlete
+ * @param {string} athlete.gender - Athlete's gender
+ * @param {number} athlete.birthYear - Athlete's birth year
+ * @returns {Array<Object>} One entry per event the athlete qualified for or nearly did, best status first:
+ *   { event, event_date, status, standards: [{ age_group, weight_class, qualifying_total, best_total,
+ *   margin, status, result_id, meet_name, date, level }] }
+ */
+function evaluateAthlete(results, events, { gender, birthYear }) {
+    const g = parseGender(gender);
+    if (!g || !birthYear) return [];
+
+    const evaluated = events.map(({ event, event_date, standards: byKey }) => {
+        const age = calculateCompetitionAge(event_date, birthYear);
+        const ageGroups = getEligibleAgeGroups(g, age, event_date);
+        const best = new Map();
+
+        (results || []).forEach(r => {
+            const date = isoDate(r.date);
+            const total = parseFloat(r.total);
+            const level = r.level ?? r.meets?.Level;
+            if (!date || !(total > 0)) return;
+
+            ageGroups.forEach(({ name, classes }) => {
+                const wc = getWeightClass(r.weight_class, { gender: g, date: event_date, set: classes, bodyWeight: r.body_weight_kg });
+                if (!wc || !wc.official) return;
+                const standard = byKey.get(standardKey(g, name, wc.label));
+                if (!standard) return;
+                if (date < isoDate(standard.window_start) || date > isoDate(standard.window_end)) return;
+                if (!meetLevelAllowed(level, standard.min_meet_level)) return;
+
+                const key = standardKey(g, name, wc.label);
+                if (best.has(key) && best.get(key).best_total >= total) return;
+                best.set(key, {
+                    age_group: name,
+                    weight_class: wc.label,
+                    qualifying_total: Number(standard.qualifying_total),
+                    best_total: total,
+                    margin: total - Number(standard.qualifying_total),
+                    near_miss_kg: Number(standard.near_miss_kg ?? 0),
+                    result_id: r.result_id ?? r.id,
+                    meet_name: r.meet_name ?? null,
+                    date,
+                    level: level ?? null
+                });
+            });
+        });
+
+        const entries = [...best.values()]
+            .map(({ near_miss_kg, ...s }) => ({
+                ...s,
+                status: s.margin >= 0 ? 'qualified' : -s.margin <= near_miss_kg ? 'near_miss' : null
+            }))
+            .filter(s => s.status)
+            .sort((a, b) => STATUS_ORDER[b.status] - STATUS_ORDER[a.status] || b.margin - a.margin);
+
+        return entries.length > 0 ? { event, event_date, status: entries[0].status, standards: entries } : null;
+    });
+
+    return evaluated
+        .filter(Boolean)
+        .sort((a, b) => STATUS_ORDER[b.status] - STATUS_ORDER[a.status] || (a.event_date || '').localeCompare(b.event_date || ''));
+}
+
+module.exports = {
+    MEET_LEVELS,
+    meetLevelRank,
+    meetLevelAllowed,
+    groupStandards,
+    evaluateAthlete
+};
@@ -0,0 +1,192 @@
+/**
+ * RECORDS
+ *
+ * Derives American (national) and WSO records from meet results: the best snatch, clean & jerk
+ * and total per gender, age group, weight class and weight-class era, with every lift that set
+ * a record along the way (the record history).
+ *
+ * A result counts towards every division it is eligible for (division-logic.js, rules in force on
+ * the meet date), in its official weight class only, nationally and in the result's WSO.
+ * A record is set by a lift strictly heavier than the standing record; of equal lifts the earlier
+ * one keeps it (meet date, then result_id). Bomb-outs and results without a known age, gender or
+ * official weight class set no records.
+ */
+
+const { calculateCompetitionAge, getEligibleDivisionDetails } = require('./division-logic');
+const { isoDate } = require('./division-rules');
+const { parseGender } = require('./categories');
+
+const LIFTS = [
+    { lift: 'snatch', column: 'best_snatch' },
+    { lift: 'cj', column: 'best_cj' },
+    { lift: 'total', column: 'total' }
+];
+
+const KEY_FIELDS = ['scope', 'wso', 'gender', 'age_group', 'weight_class', 'weight_class_era', 'lift'];
+
+/**
+ * Identifies one record: "national||F|Open|+87kg|2018|total", "wso|Carolina|M|Junior|89kg|2018|snatch"
+ * @param {Object} record - Any object with the record key fields
+ * @returns {string}
+ */
+function recordKey(record) {
+    return KEY_FIELDS.map(f => record[f] ?? '').join('|');
+}
+
+function liftValue(value) {
+    const n = parseFloat(value);
+    return n > 0 ? n : null;
+}
+
+// Records a result is eligible for: one per division, lift and scope
+function recordSlots(r) {
+    const gender = parseGender(r.gender);
+    const date = isoDate(r.date);
+    const age = r.competition_age ?? calculateCompetitionAge(r.date, r.birth_year);
+    if (!gender || !date || age === null || age === undefined) return [];
+
+    const wso = r.wso ? r.wso.toString().trim() : '';
+    const scopes = wso ? [['national', ''], ['wso', wso]] : [['national', '']];
+
+    const slots = [];
+    getEligibleDivisionDetails(gender, age, r.weight_class, { date, bodyWeight: r.body_weight_kg })
+        .filter(d => d.weightClass && d.weightClass.official)
+        .forEach(d => scopes.forEach(([scope, scopeWso]) => slots.push({
+            scope,
+            wso: scopeWso,
+            gender,
+            age_group: d.ageGroup,
+            weight_class: d.weightClass.label,
+            weight_class_era: d.weightClass.era,
+            division_name: d.name
+        })));
+    return slots;
+}
+
+/**
+ * Full record history from a set of results.
+ * @param {Array<Object>} results - usaw_meet_results rows: result_id, lifter_id, lifter_name, meet_id,
+ *   meet_name, date, gender, birth_year, competition_age, weight_class, body_weight_kg, best_snatch,
+ *   best_cj, total, wso
+ * @returns {Array<Object>} Record-setting lifts in the order they were made, each with the record key
+ *   fields, division_name, value, previous_value (null for the first) and the result's
+ *   result_id, lifter_id, lifter_name, meet_id, meet_name and date
+ */
+function deriveRecordHistory(results) {
+    const ordered = results
+        .map(r => ({ r, date: isoDate(r.date) }))
+        .filter(({ date }) => date)
+        .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.r.result_id - b.r.result_id));
+
+    const standing = new Map();
+    const history = [];
+
+    ordered.forEach(({ r, date }) => {
+        const values = LIFTS.map(({ lift, column }) => ({ lift, value: liftValue(r[column]) })).filter(l => l.value);
+        if (values.length === 0) return;
+
+        recordSlots(r).forEach(slot => values.forEach(({ lift, value }) => {
+            const record = { ...slot, lift };
+            const key = recordKey(record);
+            const previous = standing.get(key);
+            if (previous !== undefined && value <= previous) return;
+
+            standing.set(key, value);
+            history.push({
+                ...record,
+                value,
+                previous_value: previous ?? null,
+                result_id: r.result_id,
+                lifter_id: r.lifter_id ?? null,
+                lifter_name: r.lifter_name ?? null,
+                meet_id: r.meet_id ?? null,
+                meet_name: r.meet_name ?? null,
+                date
+            });
+        }));
+    });
+
+    return history;
+}
+
+/**
+ * Records a set of results counts towards, whether or not they set them.
+ * @param {Array<Object>} results - usaw_meet_results rows, as for deriveRecordHistory()
+ * @returns {Map<string, Object>} recordKey() -> the record's key fields
+ */
+function recordKeysOf(results) {
+    const keys = new Map();
+    results.forEach(r => {
+        const lifts = LIFTS.filter(({ column }) => liftValue(r[column]));
+        recordSlots(r).forEach(slot => lifts.forEach(({ lift }) => {
+            const record = Object.fromEntries(KEY_FIELDS.map(f => [f, f === 'lift' ? lift : slot[f]]));
+            keys.set(recordKey(record), record);
+        }));
+    });
+    return keys;
+}
+
+// One record-setting lift: the record, the result and the weight. previous_value is not part of it,
+// as an earlier record inserted into the history changes the previous value of the next holder.
+function historyId(h) {
+    return `${recordKey(h)}|${h.result_id}|${Number(h.value)}`;
+}
+
+/**
+ * Brings stored history rows in line with a derived history.
+ * @param {Array<Object>} stored - usaw_record_history rows (with record_history_id)
+ * @param {Array<Object>} derived - deriveRecordHistory() output for the same records
+ * @param {string[]} detailFields - Columns rewritten in place when they differ (e.g. previous_value)
+ * @returns {{toInsert: Object[], toUpdate: Array<{record_history_id, changes: Object}>, toDelete: Array}}
+ *   toDelete holds record_history_ids
+ */
+function diffRecordHistory(stored, derived, detailFields) {
+    // NUMERIC columns come back as strings ("102.0"), so values compare as numbers
+    const normalize = (field, v) => (v === null || v === undefined ? null : field === 'previous_value' ? Number(v) : String(v));
+    const storedById = new Map(stored.map(h => [historyId(h), h]));
+    const derivedIds = new Set(derived.map(historyId));
+
+    const toInsert = [], toUpdate = [];
+    derived.forEach(h => {
+        const row = storedById.get(historyId(h));
+        if (!row) return toInsert.push(h);
+        const changes = {};
+        detailFields.forEach(f => {
+            if (normalize(f, row[f]) !== normalize(f, h[f])) changes[f] = h[f];
+        });
+        if (Object.keys(changes).length > 0) toUpdate.push({ record_history_id: row.record_history_id, changes });
+    });
+    const toDelete = stored.filter(h => !derivedIds.has(historyId(h))).map(h => h.record_history_id);
+
+    return { toInsert, toUpdate, toDelete };
+}
+
+/**
+ * Standing records with the date each was set and, for past holders, the date it was broken.
+ * @param {Array<Object>} history - deriveRecordHistory() output (or stored history rows)
+ * @returns {Map<string, Array<Object>>} record key -> holders, oldest first; the last one holds the record.
+ *   Each holder gets held_until (date of the next holder, null for the current one).
+ */
+function groupRecordHistory(history) {
+    const byKey = new Map();
+    history.forEach(h => {
+        const key = recordKey(h);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(h);
+    });
+    byKey.forEach((holders, key) => {
+        holders.sort((a, b) => a.value - b.value);
+        byKey.set(key, holders.map((h, i) => ({ ...h, held_until: holders[i + 1] ? holders[i + 1].date : null })));
+    });
+    return byKey;
+}
+
+module.exports = {
+    LIFTS,
+    KEY_FIELDS,
+    recordKey,
+    recordKeysOf,
+    deriveRecordHistory,
+    diffRecordHistory,
+    groupRecordHistory
+};
@@ -0,0 +1,352 @@
+/**
+ * GAMX
+ *
+ * JavaScript GAMX calculator. It uses the mu/sigma/nu factors behind the gamx_*
+ * trigger columns, so any total can be scored offline (what-if tools, checking
+ * trigger output).
+ *
+ * Score types match get_gamx_score() and the update_gamx_scores() trigger:
+ *   u        GAMX-U       total, by age and bodyweight        (gamx_u_factors)
+ *   a        GAMX-A       total, by age and bodyweight        (gamx_a_factors)
+ *   masters  GAMX-Masters total, by age and bodyweight        (gamx_masters_factors)
+ *   total    GAMX points  total, by bodyweight, ages 15-40    (gamx_points_factors)
+ *   s        GAMX-S       best snatch, by bodyweight, 15-40   (gamx_s_factors)
+ *   j        GAMX-J       best C&J, by bodyweight, 15-40      (gamx_j_factors)
+ *
+ * Factors come from a JSON export (scripts/maintenance/export-gamx-factors.js) or
+ * straight from the "GAMX files v2.0" workbooks. Both load into the same shape:
+ *   { total: { m: [[bw, mu, sigma, nu], ...], f: [...] }, s, j,
+ *     u: { m: { <age>: [[bw, mu, sigma, nu], ...] }, f: {...} }, a, masters }
+ * Rows are sorted by bodyweight (0.1kg steps).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { roundTo } = require('./index');
+
+const GAMX_DIR = path.join(__dirname, '../../../GAMX files v2.0');
+const DEFAULT_JSON_FILE = path.join(__dirname, 'gamx-factors.json');
+
+const AGE_TYPES = ['u', 'a', 'masters'];
+const WEIGHT_TYPES = ['total', 's', 'j'];
+const SENIOR_MIN_AGE = 15;
+const SENIOR_MAX_AGE = 40;
+
+// Trigger column for each score type
+const GAMX_COLUMNS = { u: 'gamx_u', a: 'gamx_a', masters: 'gamx_masters', total: 'gamx_total', s: 'gamx_s', j: 'gamx_j' };
+
+// Workbook sheets -> score type. Both spellings of the senior women's sheet occur across workbook versions.
+const SHEET_MAP = {
+    params_U_men: { type: 'u', gender: 'm' },
+    params_U_wom: { type: 'u', gender: 'f' },
+    params_iwf_men: { type: 'a', gender: 'm' },
+    params_iwf_wom: { type: 'a', gender: 'f' },
+    params_mas_men: { type: 'masters', gender: 'm' },
+    params_mas_wom: { type: 'masters', gender: 'f' },
+    params_sen_men: { type: 'total', gender: 'm' },
+    params_sen_wom: { type: 'total', gender: 'f' },
+    params_sen_women: { type: 'total', gender: 'f' },
+    snatch_sen_men: { type: 's', gender: 'm' },
+    snatch_sen_wom: { type: 's', gender: 'f' },
+    cj_sen_men: { type: 'j', gender: 'm' },
+    cj_sen_wom: { type: 'j', gender: 'f' }
+};
+
+// ============================================================================
+// NORMAL DISTRIBUTION
+// ============================================================================
+
+const SQRT2 = Math.SQRT2;
+
+// erfc(x) for x >= 0: Taylor series for erf below 2, continued fraction above (as gamx_erf_series / gamx_erfc_cf)
+function erfc(x) {
+    if (x < 2) {
+        const x2 = x * x;
+        let term = x, sum = x;
+        for (let n = 1; n <= 150; n++) {
+            term = -term * x2 * (2 * n - 1) / (n * (2 * n + 1));
+            sum += term;
+            if (Math.abs(term) < 1e-17) break;
+        }
+        return 1 - sum * 2 / Math.sqrt(Math.PI);
+    }
+    let fraction = 0;
+    for (let n = 200; n >= 1; n--) fraction = (n * 0.5) / (x + fraction);
+    return Math.exp(-x * x) / Math.sqrt(Math.PI) / (x + fraction);
+}
+
+/**
+ * Standard normal CDF (gamx_norm_cdf / NORM.S.DIST(x, TRUE)).
+ * The lower tail is computed through erfc so tiny probabilities keep their precision.
+ */
+function normCdf(x) {
+    if (x < 0) return 0.5 * erfc(-x / SQRT2);
+    return 1 - 0.5 * erfc(x / SQRT2);
+}
+
+/**
+ * Inverse standard normal CDF (gamx_norm_inv / NORM.S.INV), Acklam's rational approximation.
+ */
+function normInv(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const pLow = 0.02425;
+
+    const tail = (t) => (((((c[0] * t + c[1]) * t + c[2]) * t + c[3]) * t + c[4]) * t + c[5]) /
+        ((((d[0] * t + d[1]) * t + d[2]) * t + d[3]) * t + 1);
+
+    if (p < pLow) return tail(Math.sqrt(-2 * Math.log(p)));
+    if (p > 1 - pLow) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+
+    const q = p - 0.5, t = q * q;
+    return (((((a[0] * t + a[1]) * t + a[2]) * t + a[3]) * t + a[4]) * t + a[5]) * q /
+        (((((b[0] * t + b[1]) * t + b[2]) * t + b[3]) * t + b[4]) * t + 1);
+}
+
+/**
+ * calculate_gamx_raw(q, mu, sigma, nu): Box-Cox-t score on the 1000 + 100·z scale.
+ * @returns {number|null} Unrounded score, null for a missing or non-positive result or factor
+ */
+function calculateGamxRaw(value, mu, sigma, nu) {
+    if (!(value > 0) || !(mu > 0) || !(sigma > 0) || nu === null || nu === undefined) return null;
+
+    const ratio = value / mu;
+    const z = nu !== 0 ? (Math.pow(ratio, nu) - 1) / (nu * sigma) : Math.log(ratio) / sigma;
+
+    let correction = 0, scale = 1;
+    if (nu !== 0) {
+        const inverse = 1 / (sigma * Math.abs(nu));
+        if (nu > 0) correction = normCdf(-inverse);
+        scale = normCdf(inverse);
+    }
+    if (scale === 0) return null;
+
+    // Same clamp as the SQL function: keeps NormInv finite for off-the-chart results
+    let p = (normCdf(z) - correction) / scale;
+    if (p < 1e-20) p = 1e-20;
+    if (p > 1 - 1e-15) p = 1 - 1e-15;
+
+    return 1000 + 100 * normInv(p);
+}
+
+// ============================================================================
+// FACTOR LOOKUP
+// ============================================================================
+
+function normalizeGender(gender) {
+    if (!gender) return null;
+    const g = gender.toString().toLowerCase();
+    if (g.startsWith('m')) return 'm';
+    if (g.startsWith('f') || g.startsWith('w')) return 'f';
+    return null;
+}
+
+/**
+ * mu/sigma/nu at a bodyweight, linearly interpolated between the two neighbouring rows
+ * (the workbook's LET(MATCH/INDEX) formula). With exact, the bodyweight is rounded to
+ * 0.1kg and must match a row, as get_gamx_score() does.
+ * @param {Array<number[]>} rows - [bw, mu, sigma, nu] sorted by bw
+ * @returns {{mu: number, sigma: number, nu: number}|null} null outside the table
+ */
+function interpolateByBodyweight(rows, bodyWeight, exact = false) {
+    if (!rows || rows.length === 0) return null;
+    const bw = exact ? roundTo(bodyWeight, 1) : bodyWeight;
+    if (bw < rows[0][0] || bw > rows[rows.length - 1][0]) return null;
+
+    // Last row with row bw <= bw
+    let lo = 0, hi = rows.length - 1;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (rows[mid][0] <= bw) lo = mid; else hi = mid - 1;
+    }
+    const low = rows[lo];
+    if (Math.abs(low[0] - bw) < 1e-9) return { mu: low[1], sigma: low[2], nu: low[3] };
+    if (exact) return null;
+
+    const high = rows[lo + 1];
+    const w = (bw - low[0]) / (high[0] - low[0]);
+    return {
+        mu: low[1] + w * (high[1] - low[1]),
+        sigma: low[2] + w * (high[2] - low[2]),
+        nu: low[3] + w * (high[3] - low[3])
+    };
+}
+
+/**
+ * Factors for one score type. Age tables interpolate between whole-year rows for a
+ * fractional age; with exact the age is rounded to a whole year (p_age::INT).
+ * @returns {{mu, sigma, nu}|null}
+ */
+function getGamxFactors(factors, type, { gender, age, bodyWeight }, { exact = false } = {}) {
+    const g = normalizeGender(gender);
+    const bw = Number(bodyWeight);
+    if (!g || !(bw > 0) || !factors[type]) return null;
+
+    if (WEIGHT_TYPES.includes(type)) {
+        return interpolateByBodyweight(factors[type][g], bw, exact);
+    }
+
+    if (age === null || age === undefined || isNaN(Number(age))) return null;
+    const byAge = factors[type][g] || {};
+    const a = Number(age);
+    const lowAge = exact ? roundTo(a, 0) : Math.floor(a);
+
+    const low = interpolateByBodyweight(byAge[lowAge], bw, exact);
+    if (exact || lowAge === a) return low;
+
+    const high = interpolateByBodyweight(byAge[lowAge + 1], bw, exact);
+    if (!low || !high) return null;
+    const w = a - lowAge;
+    return {
+        mu: low.mu + w * (high.mu - low.mu),
+        sigma: low.sigma + w * (high.sigma - low.sigma),
+        nu: low.nu + w * (high.nu - low.nu)
+    };
+}
+
+/**
+ * Scores one lift or total.
+ * @param {Object} factors - From loadGamxFactors()
+ * @param {string} type - 'u' | 'a' | 'masters' | 'total' | 's' | 'j'
+ * @param {{gender, age, bodyWeight, result}} input - result is the total, or the best snatch / C&J for 's' / 'j'
+ * @param {{exact?: boolean}} [options] - exact mirrors get_gamx_score(): 0.1kg / whole-year rows, no interpolation
+ * @returns {number|null} Unrounded score, null when the lifter is outside the factor tables
+ */
+function gamxScore(factors, type, input, options = {}) {
+    const result = Number(input.result);
+    if (!(result > 0)) return null;
+
+    // Senior tables are only published for ages 15-40; an unknown age is still scored
+    const age = input.age === null || input.age === undefined ? null : Number(input.age);
+    if (WEIGHT_TYPES.includes(type) && age !== null && (age < SENIOR_MIN_AGE || age > SENIOR_MAX_AGE)) return null;
+
+    const f = getGamxFactors(factors, type, input, options);
+    if (!f) return null;
+    return calculateGamxRaw(result, f.mu, f.sigma, f.nu);
+}
+
+/**
+ * Every GAMX column the update_gamx_scores() trigger fills, for one result row.
+ * @param {Object} factors - From loadGamxFactors()
+ * @param {{total, best_snatch, best_cj, body_weight_kg, gender, competition_age}} row
+ * @returns {{gamx_u, gamx_a, gamx_masters, gamx_total, gamx_s, gamx_j}}
+ */
+function scoreGamx(factors, row, options = {}) {
+    const input = { gender: row.gender, age: row.competition_age, bodyWeight: row.body_weight_kg };
+    const liftFor = { s: row.best_snatch, j: row.best_cj };
+
+    const scores = {};
+    for (const [type, column] of Object.entries(GAMX_COLUMNS)) {
+        const result = type in liftFor ? liftFor[type] : row.total;
+        scores[column] = gamxScore(factors, type, { ...input, result }, options);
+    }
+    return scores;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+function cellNumber(cell) {
+    const v = cell.value;
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(typeof v === 'object' ? v.result : v);
+    return isNaN(n) ? null : n;
+}
+
+function emptyFactors(source) {
+    const factors = { source };
+    [...AGE_TYPES, ...WEIGHT_TYPES].forEach(type => { factors[type] = { m: null, f: null }; });
+    return factors;
+}
+
+function sortFactors(factors) {
+    for (const type of WEIGHT_TYPES) {
+        for (const g of ['m', 'f']) factors[type][g]?.sort((x, y) => x[0] - y[0]);
+    }
+    for (const type of AGE_TYPES) {
+        for (const g of ['m', 'f']) Object.values(factors[type][g] || {}).forEach(rows => rows.sort((x, y) => x[0] - y[0]));
+    }
+    return factors;
+}
+
+/**
+ * Reads the params sheets of GAMX workbooks. Age sheets are (age, bmass, mu, sigma, nu),
+ * weight sheets (bmass, mu, sigma, nu); formula cells use their cached result.
+ * @param {string[]} files - .xlsx paths
+ */
+async function loadGamxWorkbooks(files) {
+    const ExcelJS = require('exceljs');
+    const factors = emptyFactors(files.map(f => path.basename(f)).join(', '));
+
+    for (const file of files) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(file);
+
+        workbook.worksheets.forEach(sheet => {
+            const config = SHEET_MAP[sheet.name];
+            if (!config) return;
+            const isAgeSheet = AGE_TYPES.includes(config.type);
+            const offset = isAgeSheet ? 1 : 0;
+            let count = 0;
+
+            sheet.eachRow((row, rowNumber) => {
+                if (rowNumber === 1) return;
+                const bw = cellNumber(row.getCell(1 + offset));
+                const values = [2, 3, 4].map(c => cellNumber(row.getCell(c + offset)));
+                if (bw === null || values.includes(null)) return;
+
+                if (isAgeSheet) {
+                    const age = cellNumber(row.getCell(1));
+                    if (age === null) return;
+                    const byAge = factors[config.type][config.gender] ??= {};
+                    (byAge[age] ??= []).push([roundTo(bw, 1), ...values]);
+                } else {
+                    (factors[config.type][config.gender] ??= []).push([roundTo(bw, 1), ...values]);
+                }
+                count++;
+            });
+            console.log(`[GAMX] ${path.basename(file)} ${sheet.name}: ${count} rows -> ${config.type}/${config.gender}`);
+        });
+    }
+
+    return sortFactors(factors);
+}
+
+/**
+ * Loads GAMX factors.
+ * @param {string|string[]} [source] - A JSON export, one or more workbooks, or a directory of
+ *   workbooks. Defaults to gamx-factors.json next to this file, then the "GAMX files v2.0" workbooks.
+ * @returns {Promise<Object>} Factor tables; types missing from the source are null per gender
+ */
+async function loadGamxFactors(source) {
+    if (!source) source = fs.existsSync(DEFAULT_JSON_FILE) ? DEFAULT_JSON_FILE : GAMX_DIR;
+
+    const paths = Array.isArray(source) ? source : [source];
+    if (paths.length === 1 && paths[0].endsWith('.json')) {
+        return sortFactors({ ...emptyFactors(paths[0]), ...JSON.parse(fs.readFileSync(paths[0], 'utf8')) });
+    }
+
+    const files = paths.flatMap(p => fs.statSync(p).isDirectory()
+        ? fs.readdirSync(p).filter(f => f.endsWith('.xlsx') && !f.startsWith('~$')).map(f => path.join(p, f))
+        : [p]);
+    if (files.length === 0) throw new Error(`No GAMX workbooks found in ${paths.join(', ')}`);
+    return loadGamxWorkbooks(files);
+}
+
+module.exports = {
+    GAMX_COLUMNS,
+    normCdf,
+    normInv,
+    calculateGamxRaw,
+    interpolateByBodyweight,
+    getGamxFactors,
+    gamxScore,
+    scoreGamx,
+    loadGamxFactors
+};
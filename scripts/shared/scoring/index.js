@@ -0,0 +1,214 @@
+/**
+ * SCORING
+ *
+ * Single JavaScript implementation of Q-points, Q-youth and Q-masters. It mirrors the
+ * Postgres functions the USAW results trigger uses (calculate_qpoints_from_row,
+ * get_age_factor, get_youth_age_factor_interpolated), so importers, backfills and
+ * shards score a result exactly as the database does.
+ *
+ * Factor tables are bundled next to this file:
+ *   age-factors.json   - get_age_factor() CASE table (masters, ages 30+)
+ *   youth-factors.json - public.youth_factors rows (ages 8-20, bodyweight 30-115kg)
+ * Both are written by scripts/maintenance/export-scoring-factors.js, which also
+ * exports the SQL parity fixtures checked by tests/scoring-parity.test.js. Until
+ * youth-factors.json is bundled, callers that score youth results run ensureYouthFactors()
+ * first, which reads public.youth_factors at runtime; without either, q_youth is null.
+ *
+ * GAMX scores live in gamx.js and Sinclair / SMF in sinclair.js, next to this file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AGE_FACTORS = require('./age-factors.json');
+const YOUTH_FACTORS_FILE = path.join(__dirname, 'youth-factors.json');
+
+const QPOINTS_FORMULA = {
+    M: { numerator: 463.26, a: 416.7, b: 47.87, c: 18.93 },
+    F: { numerator: 306.54, a: 266.5, b: 19.44, c: 18.61 }
+};
+
+const YOUTH_MIN_BODYWEIGHT = 30;
+const YOUTH_MAX_BODYWEIGHT = 115;
+
+let _youthFactors;
+let _youthFactorsQuery;
+let _warnedUnscoredYouth = false;
+
+// Postgres ROUND(numeric, n): half away from zero on the decimal value
+function roundTo(value, places) {
+    const rounded = Math.round(Number(`${Math.abs(value)}e${places}`));
+    return Math.sign(value) * Number(`${rounded}e-${places}`);
+}
+
+// 'M' / 'Male' / 'F' / 'Female' (any case) -> 'M' | 'F' | null, as the SQL functions accept them
+function genderCode(gender) {
+    if (!gender) return null;
+    const g = gender.toString().toUpperCase();
+    if (g === 'M' || g === 'MALE') return 'M';
+    if (g === 'F' || g === 'FEMALE') return 'F';
+    return null;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return isNaN(n) ? null : n;
+}
+
+function loadYouthFactors() {
+    if (_youthFactors !== undefined) return _youthFactors;
+    if (!fs.existsSync(YOUTH_FACTORS_FILE)) {
+        _youthFactors = null;
+    } else {
+        _youthFactors = JSON.parse(fs.readFileSync(YOUTH_FACTORS_FILE, 'utf8'));
+    }
+    return _youthFactors;
+}
+
+/**
+ * public.youth_factors rows -> the youth-factors.json table: { [gender]: { [age]: { [bodyweight_kg]: factor } } }
+ * @param {Array<{gender: string, age: number, bodyweight_kg: number, factor: number|string}>} rows
+ */
+function buildYouthFactorTable(rows) {
+    const table = { source: 'public.youth_factors' };
+    rows.forEach(r => {
+        if (!table[r.gender]) table[r.gender] = {};
+        if (!table[r.gender][r.age]) table[r.gender][r.age] = {};
+        table[r.gender][r.age][r.bodyweight_kg] = r.factor === null ? null : Number(r.factor);
+    });
+    return table;
+}
+
+/**
+ * Makes the youth table available when youth-factors.json is not bundled, by reading
+ * public.youth_factors through a Supabase client (once per process; retried after a failure).
+ * Importers without a database scoring trigger (IWF) call this before scoreResult().
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<boolean>} Whether q_youth can be scored
+ */
+async function ensureYouthFactors(supabase) {
+    if (loadYouthFactors()) return true;
+    if (!_youthFactorsQuery) {
+        _youthFactorsQuery = (async () => {
+            const rows = [];
+            for (let from = 0; ; from += 1000) {
+                const { data, error } = await supabase
+                    .from('youth_factors')
+                    .select('gender, age, bodyweight_kg, factor')
+                    .order('gender').order('age').order('bodyweight_kg')
+                    .range(from, from + 999);
+                if (error) throw error;
+                rows.push(...data);
+                if (data.length < 1000) break;
+            }
+            if (rows.length > 0) _youthFactors = buildYouthFactorTable(rows);
+        })().catch(err => {
+            // Not cached: the next call retries
+            _youthFactorsQuery = null;
+            console.warn(`[SCORING] Could not read public.youth_factors (${err.message}); q_youth not scored.`);
+        });
+    }
+    await _youthFactorsQuery;
+    return Boolean(_youthFactors);
+}
+
+/**
+ * calculate_qpoints_from_row(total, bodyweight, gender): Huebner Q-points, 2 decimals.
+ * Returns 0 for a missing total, bodyweight or gender, like the SQL function.
+ */
+function calculateQpoints(total, bodyWeight, gender) {
+    const t = toNumber(total), bw = toNumber(bodyWeight);
+    const formula = QPOINTS_FORMULA[genderCode(gender)];
+    if (!t || !bw || !formula) return 0;
+
+    const ratio = bw / 100;
+    const coefficient = formula.numerator / (formula.a - formula.b * Math.pow(ratio, -2) + formula.c * Math.pow(ratio, 2));
+    return roundTo(t * coefficient, 2);
+}
+
+/**
+ * get_age_factor(age, gender): masters multiplier, 1.000 under 30 or for unknown gender.
+ */
+function getAgeFactor(age, gender) {
+    if (age === null || age === undefined) return 1;
+    if (age < AGE_FACTORS.min_age) return 1;
+    const table = AGE_FACTORS[genderCode(gender)];
+    if (!table) return 1;
+    if (age >= table.cap_age) return table.cap_factor;
+    return table.factors[age] ?? 1;
+}
+
+/**
+ * get_youth_factor_exact(age, bodyweight, gender): one row of public.youth_factors, 1.000 if absent.
+ * @returns {number|null} null only when the youth table is not bundled
+ */
+function getYouthFactorExact(age, bodyWeight, gender) {
+    const factors = loadYouthFactors();
+    if (!factors) return null;
+    const bw = Math.min(YOUTH_MAX_BODYWEIGHT, Math.max(YOUTH_MIN_BODYWEIGHT, bodyWeight));
+    const g = gender ? gender.toString().charAt(0).toUpperCase() : null;
+    return factors[g]?.[age]?.[bw] ?? 1;
+}
+
+/**
+ * get_youth_age_factor_interpolated(age, bodyweight, gender): youth coefficient with
+ * linear interpolation between whole-kilogram rows, 4 decimals.
+ * @returns {number|null} null only when the youth table is not bundled
+ */
+function getYouthFactor(age, bodyWeight, gender) {
+    if (age < 8 || age > 20) return 1;
+    const bw = Math.min(YOUTH_MAX_BODYWEIGHT, Math.max(YOUTH_MIN_BODYWEIGHT, toNumber(bodyWeight)));
+
+    const floorWeight = Math.floor(bw), ceilingWeight = Math.ceil(bw);
+    const floorFactor = getYouthFactorExact(age, floorWeight, gender);
+    if (floorFactor === null) return null;
+    if (floorWeight === ceilingWeight) return roundTo(floorFactor, 4);
+
+    const ceilingFactor = getYouthFactorExact(age, ceilingWeight, gender);
+    if (floorFactor === ceilingFactor) return roundTo(floorFactor, 4);
+    return roundTo(floorFactor + (bw - floorWeight) * (ceilingFactor - floorFactor) / (ceilingWeight - floorWeight), 4);
+}
+
+/**
+ * Scores one result the way the USAW results trigger does:
+ *   qpoints   ages 21-30   calculate_qpoints_from_row
+ *   q_masters ages 31+     qpoints x get_age_factor
+ *   q_youth   ages 10-20   total x get_youth_age_factor_interpolated
+ * @param {{total, body_weight_kg, gender, competition_age}} result
+ * @returns {{qpoints: number|null, q_youth: number|null, q_masters: number|null}}
+ */
+function scoreResult({ total, body_weight_kg, gender, competition_age }) {
+    const scores = { qpoints: null, q_youth: null, q_masters: null };
+
+    const t = toNumber(total), bw = toNumber(body_weight_kg);
+    const age = toNumber(competition_age);
+    if (!(t > 0) || !(bw > 0) || !gender || age === null) return scores;
+
+    const base = calculateQpoints(t, bw, gender);
+    if (age >= 21 && age <= 30) scores.qpoints = base;
+    if (base > 0 && age >= 31) scores.q_masters = roundTo(base * getAgeFactor(age, gender), 2);
+    if (age >= 10 && age <= 20) {
+        const youthFactor = getYouthFactor(age, bw, gender);
+        if (youthFactor !== null) {
+            scores.q_youth = roundTo(t * youthFactor, 2);
+        } else if (!_warnedUnscoredYouth) {
+            _warnedUnscoredYouth = true;
+            console.warn('[SCORING] q_youth not scored: youth-factors.json is not bundled and ensureYouthFactors() has not loaded public.youth_factors.');
+        }
+    }
+
+    return scores;
+}
+
+module.exports = {
+    calculateQpoints,
+    getAgeFactor,
+    getYouthFactorExact,
+    getYouthFactor,
+    scoreResult,
+    buildYouthFactorTable,
+    ensureYouthFactors,
+    roundTo,
+    genderCode
+};
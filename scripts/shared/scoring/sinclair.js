@@ -0,0 +1,92 @@
+/**
+ * SINCLAIR
+ *
+ * Sinclair totals scored with the coefficient set in force on the result's date, and
+ * Sinclair-Meltzer-Faber (SMF) for masters: the Sinclair total times the masters age
+ * factor of get_age_factor() (age-factors.json).
+ *
+ * Coefficient sets live in sinclair-coefficients.json, one per Olympic cycle, each in
+ * force from its valid_from date until the next set starts. Results older than the first
+ * set have no Sinclair (add the earlier cycle's set to score them); results after the last
+ * set use the last set until the next cycle's set is added there.
+ *
+ *   coefficient = 10 ^ (A · log10(bodyweight / b)²)   for bodyweight < b, otherwise 1
+ */
+
+const COEFFICIENTS = require('./sinclair-coefficients.json');
+const { getAgeFactor, roundTo, genderCode } = require('./index');
+
+const MASTERS_MIN_AGE = 30;
+
+const CYCLES = [...COEFFICIENTS.cycles].sort((x, y) => x.valid_from.localeCompare(y.valid_from));
+
+// 'YYYY-MM-DD...' or any Date-parsable string -> 'YYYY-MM-DD', null if unreadable
+function isoDate(date) {
+    if (!date) return null;
+    const str = date instanceof Date ? null : date.toString();
+    if (str && /^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+    const d = str ? new Date(str) : date;
+    if (isNaN(d.getTime())) return null;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Coefficient set in force on a date.
+ * @param {string|Date} date - Result date
+ * @returns {Object|null} { cycle, valid_from, M: {a, b}, F: {a, b} }, null for an unreadable date
+ *   or one before the first set
+ */
+function getSinclairCycle(date) {
+    const day = isoDate(date);
+    if (!day) return null;
+    let current = null;
+    for (const cycle of CYCLES) {
+        if (cycle.valid_from <= day) current = cycle;
+    }
+    return current;
+}
+
+/**
+ * Sinclair coefficient for a bodyweight on a date.
+ * @returns {number|null} null for a missing bodyweight, gender or date
+ */
+function getSinclairCoefficient(bodyWeight, gender, date) {
+    const bw = Number(bodyWeight);
+    const g = genderCode(gender);
+    const cycle = getSinclairCycle(date);
+    if (!(bw > 0) || !g || !cycle) return null;
+
+    const { a, b } = cycle[g];
+    if (bw >= b) return 1;
+    return Math.pow(10, a * Math.pow(Math.log10(bw / b), 2));
+}
+
+/**
+ * Sinclair and SMF for one result, 3 decimals.
+ * @param {{total, body_weight_kg, gender, competition_age, date}} result
+ * @returns {{sinclair: number|null, sinclair_masters: number|null}} sinclair_masters only from age 30
+ */
+function scoreSinclair({ total, body_weight_kg, gender, competition_age, date }) {
+    const scores = { sinclair: null, sinclair_masters: null };
+
+    const t = Number(total);
+    const coefficient = getSinclairCoefficient(body_weight_kg, gender, date);
+    if (!(t > 0) || coefficient === null) return scores;
+
+    const sinclair = t * coefficient;
+    scores.sinclair = roundTo(sinclair, 3);
+
+    const age = Number(competition_age);
+    if (competition_age !== null && competition_age !== undefined && age >= MASTERS_MIN_AGE) {
+        scores.sinclair_masters = roundTo(sinclair * getAgeFactor(age, gender), 3);
+    }
+
+    return scores;
+}
+
+module.exports = {
+    getSinclairCycle,
+    getSinclairCoefficient,
+    scoreSinclair
+};
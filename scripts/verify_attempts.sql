@@ -0,0 +1,71 @@
+-- Verification Script for usaw_meet_attempts / iwf_meet_attempts (read-only)
+-- Run after migrations/create_meet_attempts.sql and scripts/maintenance/backfill-attempts.js --apply.
+-- 1. Tables, views and triggers exist (expect 4 rows, then 2 rows)
+SELECT table_name,
+    table_type
+FROM information_schema.tables
+WHERE table_schema = 'public'
+    AND table_name IN ('usaw_meet_attempts', 'iwf_meet_attempts', 'usaw_lifter_attempt_stats', 'iwf_lifter_attempt_stats');
+SELECT event_object_table,
+    trigger_name
+FROM information_schema.triggers
+WHERE trigger_name IN ('usaw_meet_results_attempts_sync', 'iwf_meet_results_attempts_sync')
+GROUP BY event_object_table,
+    trigger_name;
+-- 2. Parser spot checks (expect 100, -102.5, NULL, NULL, NULL)
+SELECT public.parse_attempt_weight('100') AS made,
+    public.parse_attempt_weight(' -102.5 ') AS missed,
+    public.parse_attempt_weight('---') AS not_taken,
+    public.parse_attempt_weight('0') AS zero,
+    public.parse_attempt_weight('') AS empty;
+-- 3. Coverage: results with attempt cells but no attempt rows (expect 0 and 0)
+SELECT 'usaw' AS source,
+    COUNT(*) AS results_missing_attempts
+FROM public.usaw_meet_results r
+WHERE EXISTS (SELECT 1 FROM public.meet_attempt_rows(r.snatch_lift_1, r.snatch_lift_2, r.snatch_lift_3, r.cj_lift_1, r.cj_lift_2, r.cj_lift_3))
+    AND NOT EXISTS (SELECT 1 FROM public.usaw_meet_attempts a WHERE a.result_id = r.result_id)
+UNION ALL
+SELECT 'iwf',
+    COUNT(*)
+FROM public.iwf_meet_results r
+WHERE EXISTS (SELECT 1 FROM public.meet_attempt_rows(r.snatch_lift_1, r.snatch_lift_2, r.snatch_lift_3, r.cj_lift_1, r.cj_lift_2, r.cj_lift_3))
+    AND NOT EXISTS (SELECT 1 FROM public.iwf_meet_attempts a WHERE a.db_result_id = r.db_result_id);
+-- 4. Made attempts agree with the analytics trigger's successful-attempt counts (expect 0 rows)
+SELECT r.result_id,
+    r.total_successful_attempts,
+    COUNT(*) FILTER (WHERE a.made) AS made_attempts
+FROM public.usaw_meet_results r
+    JOIN public.usaw_meet_attempts a ON a.result_id = r.result_id
+WHERE r.total_successful_attempts IS NOT NULL
+GROUP BY r.result_id,
+    r.total_successful_attempts
+HAVING COUNT(*) FILTER (WHERE a.made) <> r.total_successful_attempts
+LIMIT 20;
+-- 5. Make rates and jumps by attempt number
+SELECT lift,
+    attempt_number,
+    COUNT(*) AS attempts,
+    ROUND(100.0 * COUNT(*) FILTER (WHERE made) / COUNT(*), 1) AS make_pct,
+    ROUND(AVG(jump), 2) AS avg_jump
+FROM public.usaw_meet_attempts
+GROUP BY lift,
+    attempt_number
+ORDER BY lift DESC,
+    attempt_number;
+-- 6. Bounce-back rate after a missed opener, by lift (the *_lifter_attempt_stats definition)
+SELECT a.lift,
+    COUNT(*) AS chances,
+    ROUND(100.0 * COUNT(*) FILTER (WHERE a.made) / COUNT(*), 1) AS bounce_back_pct
+FROM public.usaw_meet_attempts a
+    JOIN public.usaw_meet_attempts p ON p.result_id = a.result_id
+    AND p.lift = a.lift
+    AND p.attempt_number = a.attempt_number - 1
+WHERE a.attempt_number = 2
+    AND NOT p.made
+GROUP BY a.lift;
+-- 7. Functions run with an empty search_path (expect 4 rows, each with search_path="")
+SELECT proname,
+    proconfig
+FROM pg_proc
+WHERE pronamespace = 'public'::regnamespace
+    AND proname IN ('parse_attempt_weight', 'meet_attempt_rows', 'sync_usaw_meet_attempts', 'sync_iwf_meet_attempts');
@@ -0,0 +1,53 @@
+-- Verification Script for normalized category columns (read-only)
+-- Run after migrations/add_category_columns.sql and scripts/maintenance/backfill-categories.js.
+-- 1. Columns exist on all three tables (expect 12 rows)
+SELECT table_name,
+    column_name,
+    data_type
+FROM information_schema.columns
+WHERE table_schema = 'public'
+    AND table_name IN ('usaw_meet_results', 'iwf_meet_results', 'usaw_meet_entries')
+    AND column_name IN ('age_group', 'weight_class_limit_kg', 'weight_class_is_plus', 'weight_class_era')
+ORDER BY table_name,
+    column_name;
+-- 2. Coverage: rows with a weight class but no parsed limit (expect 0 after the backfill)
+SELECT 'usaw_meet_results' AS source,
+    COUNT(*) FILTER (WHERE weight_class_limit_kg IS NULL) AS unparsed,
+    COUNT(*) FILTER (WHERE weight_class_era IS NULL) AS no_era,
+    COUNT(*) AS with_weight_class
+FROM usaw_meet_results
+WHERE weight_class ~ '[0-9]'
+UNION ALL
+SELECT 'iwf_meet_results',
+    COUNT(*) FILTER (WHERE weight_class_limit_kg IS NULL),
+    COUNT(*) FILTER (WHERE weight_class_era IS NULL),
+    COUNT(*)
+FROM iwf_meet_results
+WHERE weight_class ~ '[0-9]'
+UNION ALL
+SELECT 'usaw_meet_entries',
+    COUNT(*) FILTER (WHERE weight_class_limit_kg IS NULL),
+    COUNT(*) FILTER (WHERE weight_class_era IS NULL),
+    COUNT(*)
+FROM usaw_meet_entries
+WHERE weight_class ~ '[0-9]';
+-- 3. Age categories that did not map to an age group (review: new wording on Sport80?)
+SELECT age_category,
+    COUNT(*) AS results
+FROM usaw_meet_results
+WHERE age_group IS NULL
+    AND age_category IS NOT NULL
+    AND age_category NOT IN ('', '-')
+GROUP BY age_category
+ORDER BY results DESC
+LIMIT 50;
+-- 4. Distribution: age groups and classes per era (USAW results)
+SELECT weight_class_era,
+    age_group,
+    COUNT(DISTINCT weight_class_limit_kg) AS classes,
+    COUNT(*) AS results
+FROM usaw_meet_results
+GROUP BY weight_class_era,
+    age_group
+ORDER BY weight_class_era NULLS LAST,
+    age_group;
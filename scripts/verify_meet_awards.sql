@@ -0,0 +1,62 @@
+-- Verification Script for usaw_meet_team_scores / usaw_meet_best_lifters (read-only)
+-- Run after migrations/create_usaw_meet_awards.sql and a ranking run (node scripts/production/ranking-engine.js).
+-- 1. Tables exist (expect 2 rows)
+SELECT table_name
+FROM information_schema.tables
+WHERE table_schema = 'public'
+    AND table_name IN ('usaw_meet_team_scores', 'usaw_meet_best_lifters');
+-- 2. Meets with awards
+SELECT 'team_scores' AS awards,
+    COUNT(DISTINCT meet_id) AS meets,
+    COUNT(*) AS rows
+FROM public.usaw_meet_team_scores
+UNION ALL
+SELECT 'best_lifters (' || formula || ')',
+    COUNT(DISTINCT meet_id),
+    COUNT(*)
+FROM public.usaw_meet_best_lifters
+GROUP BY formula;
+-- 3. Every team standing starts at place 1 (expect 0 rows)
+SELECT meet_id,
+    scope,
+    gender,
+    MIN(place) AS first_place
+FROM public.usaw_meet_team_scores
+GROUP BY meet_id,
+    scope,
+    gender
+HAVING MIN(place) <> 1;
+-- 4. Team points never exceed 28 per lifter (expect 0 rows)
+SELECT team_score_id,
+    meet_id,
+    team,
+    points,
+    lifters
+FROM public.usaw_meet_team_scores
+WHERE points > 28 * lifters;
+-- 5. Latest meet's winning teams and best lifters
+SELECT t.meet_id,
+    m."Meet",
+    t.scope,
+    t.gender,
+    t.team,
+    t.points
+FROM public.usaw_meet_team_scores t
+    JOIN public.usaw_meets m ON m.meet_id = t.meet_id
+WHERE t.place = 1
+    AND t.meet_id = (SELECT MAX(meet_id) FROM public.usaw_meet_team_scores)
+ORDER BY t.scope,
+    t.gender;
+SELECT meet_id,
+    formula,
+    gender,
+    age_group,
+    place,
+    lifter_name,
+    score
+FROM public.usaw_meet_best_lifters
+WHERE meet_id = (SELECT MAX(meet_id) FROM public.usaw_meet_best_lifters)
+ORDER BY formula,
+    gender,
+    age_group,
+    place;
@@ -0,0 +1,33 @@
+-- Verification Script for usaw_qualifying_standards (read-only)
+-- Run after migrations/create_usaw_qualifying_standards.sql and import-qualifying-standards.js.
+-- 1. Standards per event (expect one row per loaded event)
+SELECT event,
+    event_date,
+    MIN(window_start) AS window_start,
+    MAX(window_end) AS window_end,
+    COUNT(*) AS standards,
+    COUNT(DISTINCT age_group) AS age_groups,
+    STRING_AGG(DISTINCT min_meet_level, ', ') AS min_meet_levels
+FROM public.usaw_qualifying_standards
+GROUP BY event,
+    event_date
+ORDER BY event_date DESC;
+-- 2. Windows that end after the event (expect 0 rows)
+SELECT event,
+    gender,
+    age_group,
+    weight_class,
+    window_end,
+    event_date
+FROM public.usaw_qualifying_standards
+WHERE window_end > event_date;
+-- 3. Meet levels found on results inside the windows (levels outside Local / National /
+--    North American Open Series / International never count towards a standard)
+SELECT m."Level" AS level,
+    COUNT(*) AS results
+FROM public.usaw_meet_results r
+JOIN public.usaw_meets m ON m.meet_id = r.meet_id
+WHERE r.date >= (SELECT MIN(window_start)::TEXT FROM public.usaw_qualifying_standards)
+    AND r.date <= (SELECT MAX(window_end)::TEXT FROM public.usaw_qualifying_standards)
+GROUP BY m."Level"
+ORDER BY results DESC;
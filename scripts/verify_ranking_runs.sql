@@ -0,0 +1,47 @@
+-- Verification Script for usaw_ranking_runs (read-only)
+-- Run after migrations/create_usaw_ranking_runs.sql and a first `node scripts/production/ranking-engine.js`.
+-- 1. Table and updated_at trigger exist (expect 1 row each)
+SELECT table_name
+FROM information_schema.tables
+WHERE table_schema = 'public'
+    AND table_name = 'usaw_ranking_runs';
+SELECT trigger_name,
+    action_timing,
+    event_manipulation
+FROM information_schema.triggers
+WHERE event_object_table = 'usaw_meet_results'
+    AND trigger_name = 'update_usaw_meet_results_updated_at';
+-- 2. Recent runs
+SELECT run_id,
+    mode,
+    triggered_by,
+    status,
+    since,
+    started_at,
+    finished_at - started_at AS duration,
+    meets_processed,
+    meets_failed,
+    rankings_saved,
+    error
+FROM public.usaw_ranking_runs
+ORDER BY started_at DESC
+LIMIT 20;
+-- 3. Current high-water mark and the meets the next incremental run would re-rank
+WITH mark AS (
+    SELECT max(started_at) AS since
+    FROM public.usaw_ranking_runs
+    WHERE status = 'completed'
+)
+SELECT (SELECT since FROM mark) AS since,
+    count(DISTINCT r.meet_id) AS meets_pending,
+    count(*) AS results_pending
+FROM public.usaw_meet_results r
+WHERE r.updated_at > (SELECT since FROM mark);
+-- 4. Runs left 'running' (crashed or still in progress)
+SELECT run_id,
+    mode,
+    triggered_by,
+    started_at
+FROM public.usaw_ranking_runs
+WHERE status = 'running'
+    AND started_at < now() - INTERVAL '6 hours';
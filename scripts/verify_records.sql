@@ -0,0 +1,60 @@
+-- Verification Script for usaw_record_history / usaw_records (read-only)
+-- Run after migrations/create_usaw_record_history.sql and a first `node scripts/production/records-engine.js`.
+-- 1. Table and view exist (expect 2 rows)
+SELECT table_name,
+    table_type
+FROM information_schema.tables
+WHERE table_schema = 'public'
+    AND table_name IN ('usaw_record_history', 'usaw_records');
+-- 2. Standing records per scope (national, then one row per WSO)
+SELECT scope,
+    wso,
+    COUNT(*) AS records,
+    MAX(date) AS latest_record
+FROM public.usaw_records
+WHERE is_current
+GROUP BY scope,
+    wso
+ORDER BY scope,
+    wso;
+-- 3. Every record has exactly one current holder (expect 0 rows)
+SELECT scope,
+    wso,
+    gender,
+    age_group,
+    weight_class,
+    weight_class_era,
+    lift,
+    COUNT(*) FILTER (WHERE is_current) AS current_holders
+FROM public.usaw_records
+GROUP BY scope,
+    wso,
+    gender,
+    age_group,
+    weight_class,
+    weight_class_era,
+    lift
+HAVING COUNT(*) FILTER (WHERE is_current) <> 1;
+-- 4. Each lift beats the one before it (expect 0 rows)
+SELECT record_history_id,
+    division_name,
+    lift,
+    value,
+    previous_value
+FROM public.usaw_record_history
+WHERE previous_value IS NOT NULL
+    AND value <= previous_value;
+-- 5. Records broken by the imports of the last 7 days (everything, right after the initial build)
+SELECT scope,
+    wso,
+    division_name,
+    lift,
+    value,
+    previous_value,
+    lifter_name,
+    meet_name,
+    date
+FROM public.usaw_record_history
+WHERE detected_at > now() - INTERVAL '7 days'
+ORDER BY detected_at DESC
+LIMIT 100;
@@ -0,0 +1,77 @@
+-- Verification Script for Sinclair columns (read-only)
+-- Run after migrations/add_sinclair_columns.sql and scripts/maintenance/backfill-sinclair.js.
+-- 1. Columns exist on both tables (expect 4 rows)
+SELECT table_name,
+    column_name,
+    data_type
+FROM information_schema.columns
+WHERE table_schema = 'public'
+    AND table_name IN ('usaw_meet_results', 'iwf_meet_results')
+    AND column_name IN ('sinclair', 'sinclair_masters')
+ORDER BY table_name,
+    column_name;
+-- 2. Coverage: scoreable results (positive total and bodyweight, known gender, dated from the first
+--    coefficient set on) still missing a Sinclair
+WITH scoreable AS (
+    SELECT 'usaw' AS source,
+        sinclair,
+        sinclair_masters,
+        competition_age,
+        CASE WHEN total ~ '^[0-9]+(\.[0-9]+)?$' THEN total::NUMERIC END AS total_num,
+        CASE WHEN body_weight_kg ~ '^[0-9]+(\.[0-9]+)?$' THEN body_weight_kg::NUMERIC END AS bw_num,
+        gender,
+        NULLIF(date, '')::DATE AS result_date
+    FROM usaw_meet_results
+    UNION ALL
+    SELECT 'iwf',
+        sinclair,
+        sinclair_masters,
+        competition_age,
+        CASE WHEN total ~ '^[0-9]+(\.[0-9]+)?$' THEN total::NUMERIC END,
+        CASE WHEN body_weight_kg ~ '^[0-9]+(\.[0-9]+)?$' THEN body_weight_kg::NUMERIC END,
+        gender,
+        NULLIF(date, '')::DATE
+    FROM iwf_meet_results
+)
+SELECT source,
+    COUNT(*) FILTER (WHERE sinclair IS NULL) AS missing_sinclair,
+    COUNT(*) FILTER (WHERE sinclair_masters IS NULL AND competition_age >= 30) AS missing_smf,
+    COUNT(*) AS scoreable
+FROM scoreable
+WHERE total_num > 0
+    AND bw_num > 0
+    AND gender IS NOT NULL
+    AND result_date >= DATE '2009-01-01'
+GROUP BY source;
+-- 3. Sanity: a Sinclair total is never below the total, SMF never below the Sinclair (expect 0 rows)
+SELECT *
+FROM (
+        SELECT 'usaw' AS source,
+            result_id AS id,
+            CASE WHEN total ~ '^[0-9]+(\.[0-9]+)?$' THEN total::NUMERIC END AS total_num,
+            sinclair,
+            sinclair_masters
+        FROM usaw_meet_results
+        UNION ALL
+        SELECT 'iwf',
+            db_result_id,
+            CASE WHEN total ~ '^[0-9]+(\.[0-9]+)?$' THEN total::NUMERIC END,
+            sinclair,
+            sinclair_masters
+        FROM iwf_meet_results
+    ) r
+WHERE r.sinclair < r.total_num
+    OR r.sinclair_masters < r.sinclair
+LIMIT 50;
+-- 4. No Sinclair before the first coefficient set (2009-01-01) (expect 0 and 0; clear with backfill-sinclair.js --recompute --apply)
+SELECT 'usaw' AS source,
+    COUNT(*) AS scored_before_2009
+FROM usaw_meet_results
+WHERE sinclair IS NOT NULL
+    AND NULLIF(date, '')::DATE < DATE '2009-01-01'
+UNION ALL
+SELECT 'iwf',
+    COUNT(*)
+FROM iwf_meet_results
+WHERE sinclair IS NOT NULL
+    AND NULLIF(date, '')::DATE < DATE '2009-01-01';
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Client } = require('pg');
+
+/**
+ * Assembler SQL tests
+ *
+ * Runs the shard queries against a real Postgres, on TEMP tables that shadow the
+ * production ones for this session only. Point TEST_DB_HOST / TEST_DB_PORT / TEST_DB_USER /
+ * TEST_DB_NAME / TEST_DB_PASSWORD at any scratch database to run them (npm run test:sql);
+ * they are skipped otherwise.
+ */
+
+const dbConfig = {
+    host: process.env.TEST_DB_HOST,
+    port: process.env.TEST_DB_PORT,
+    user: process.env.TEST_DB_USER,
+    database: process.env.TEST_DB_NAME,
+    password: process.env.TEST_DB_PASSWORD
+};
+
+const TABLES = `
+    CREATE TEMP TABLE usaw_clubs (
+        club_name TEXT, wso_geography TEXT, state TEXT, address TEXT, phone TEXT, email TEXT,
+        latitude NUMERIC, longitude NUMERIC, elevation_meters NUMERIC, elevation_source TEXT,
+        geocode_display_name TEXT, geocode_precision_score NUMERIC, geocode_success BOOLEAN,
+        recent_meets_count INT, active_lifters_count INT, total_participations INT,
+        activity_factor NUMERIC, analytics_updated_at TIMESTAMPTZ);
+    CREATE TEMP TABLE usaw_wso_information (name TEXT);
+    CREATE TEMP TABLE usaw_club_rolling_metrics (
+        club_name TEXT, snapshot_month DATE, active_members_12mo INT, total_competitions_12mo INT,
+        unique_lifters_12mo INT, activity_factor NUMERIC);
+    CREATE TEMP TABLE usaw_lifters (lifter_id BIGINT, membership_number TEXT, athlete_name TEXT);
+    CREATE TEMP TABLE usaw_meets (meet_id BIGINT, "Meet" TEXT, "Date" TEXT, "Level" TEXT);
+    CREATE TEMP TABLE usaw_meet_results (
+        result_id BIGINT, meet_id BIGINT, meet_name TEXT, date TEXT, lifter_id BIGINT, lifter_name TEXT,
+        club_name TEXT, gender TEXT, age_category TEXT, weight_class TEXT,
+        best_snatch TEXT, best_cj TEXT, total TEXT);
+    CREATE TEMP TABLE usaw_division_rankings (
+        result_id BIGINT, division_name TEXT, snatch_rank INT, cj_rank INT, total_rank INT);`;
+
+(dbConfig.host ? describe : describe.skip)('generateClub', () => {
+    let client, outputDir, generateClub;
+
+    beforeAll(async () => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'club-shards-'));
+        process.env.STORAGE_BACKEND = 'local';
+        process.env.OUTPUT_DIR = outputDir;
+        ({ generateClub } = require('../scripts/production/assembler'));
+
+        client = new Client(dbConfig);
+        await client.connect();
+        await client.query(TABLES);
+    });
+
+    afterAll(async () => {
+        await client.end();
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    test('results with an empty date are kept out of the roster and listed last', async () => {
+        const recent = new Date(Date.now() - 30 * 86400000).toISOString().slice(0, 10);
+        await client.query(`
+            INSERT INTO usaw_clubs (club_name, wso_geography, state) VALUES ('Iron Club', 'Carolina', 'NC');
+            INSERT INTO usaw_lifters VALUES (1, '100001', 'Jane Doe'), (2, '100002', 'Ann Roe');
+            INSERT INTO usaw_meets VALUES (10, 'Fall Open', '${recent}', 'Local'), (11, 'Old Open', '', 'Local');
+            INSERT INTO usaw_meet_results VALUES
+                (100, 10, 'Fall Open', '${recent}', 1, 'Jane Doe', 'Iron Club', 'F', 'Open Women''s', '71kg', '80', '100', '180'),
+                (101, 11, 'Old Open', '', 2, 'Ann Roe', 'Iron Club', 'F', 'Open Women''s', '64kg', '70', '90', '160');`);
+
+        expect(await generateClub({ club_name: 'Iron Club' }, client)).toMatchObject({ success: true, shards_written: 1 });
+
+        const shard = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(outputDir, 'clubs', 'iron-club.json.gz'))));
+        expect(shard.roster.map(r => [r.athlete_name, r.last_competed])).toEqual([['Jane Doe', recent]]);
+        expect(shard.recent_results.map(r => [r.result_id, r.date])).toEqual([[100, recent], [101, null]]);
+    });
+});
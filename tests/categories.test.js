@@ -0,0 +1,90 @@
+const { parseCategory, splitCategory, normalizeCategory } = require('../scripts/shared/categories');
+const { AGE_GROUPS } = require('../scripts/shared/division-rules');
+const corpus = require('./fixtures/category-corpus.json');
+
+/**
+ * Category parser tests
+ *
+ * Every age category, weight class and division found in the DB
+ * (fixtures/category-corpus.json, refreshed by export-category-corpus.js) must parse.
+ */
+
+const AGE_GROUP_NAMES = new Set(AGE_GROUPS.map(g => g.name));
+const isKnownAgeGroup = (name) => AGE_GROUP_NAMES.has(name) || /^Masters \(\d+(-\d+|\+)\)$/.test(name);
+
+describe('corpus', () => {
+    test.each(corpus.weight_class)('weight class %p', (value) => {
+        const parsed = parseCategory(value);
+        expect(parsed.limit_kg).toBeGreaterThan(0);
+        expect(parseCategory(parsed.weight_class)).toMatchObject({ limit_kg: parsed.limit_kg, is_plus: parsed.is_plus });
+    });
+
+    test.each(corpus.age_category.filter(v => v.trim() !== '-'))('age category %p', (value) => {
+        const parsed = parseCategory(value);
+        expect(isKnownAgeGroup(parsed.age_group)).toBe(true);
+        expect(parsed.limit_kg).toBeNull();
+    });
+
+    test.each(corpus.division)('division %p', (value) => {
+        const parsed = parseCategory(value);
+        expect(parsed.gender).toMatch(/^[MF]$/);
+        expect(isKnownAgeGroup(parsed.age_group)).toBe(true);
+        expect(parsed.limit_kg).toBeGreaterThan(0);
+    });
+});
+
+describe('parseCategory', () => {
+    test.each([
+        ['+109', { gender: null, age_group: null, limit_kg: 109, is_plus: true, era: '2018', weight_class: '+109kg' }],
+        ['109+ kg', { limit_kg: 109, is_plus: true, weight_class: '+109kg' }],
+        ['+110', { limit_kg: 110, is_plus: true, era: '2025', weight_class: '110+kg' }],
+        ['+105 Kg', { limit_kg: 105, is_plus: true, era: '1998' }],
+        ["Open Men's 89", { gender: 'M', age_group: 'Open', limit_kg: 89, is_plus: false, era: '2018' }],
+        ["Men's 13 Under Age Group 49kg", { gender: 'M', age_group: '13 Under Age Group', limit_kg: 49 }],
+        ["Women's Masters (75+)", { gender: 'F', age_group: 'Masters (75+)', limit_kg: null, is_plus: null }],
+        ["Men's 16-17 Age Group", { gender: 'M', age_group: '16-17 Age Group', limit_kg: null }],
+        ["Women's Youth (17) 49kg", { gender: 'F', age_group: 'Youth', limit_kg: 49 }],
+        ['60 kg Men', { gender: 'M', limit_kg: 60, is_plus: false, weight_class: '60kg' }],
+        ['Senior', { age_group: 'Open', limit_kg: null }],
+        ['-', { gender: null, age_group: null, limit_kg: null, is_plus: null, era: null, weight_class: null }],
+        ['', { gender: null, age_group: null, limit_kg: null }]
+    ])('%p', (text, expected) => {
+        expect(parseCategory(text)).toMatchObject(expected);
+    });
+
+    test('the meet date picks the era; the changeover week keeps the recorded era', () => {
+        expect(parseCategory('+102kg', { gender: 'M', date: '2022-06-01' }).era).toBe('2018');
+        expect(parseCategory('56kg', { gender: 'M' }).era).toBeNull();
+        expect(parseCategory('56kg', { gender: 'M', date: '2015-06-01' }).era).toBe('1998');
+        expect(parseCategory('+105 kg', { gender: 'Male', date: '2018-08-04' }).era).toBe('1998');
+    });
+
+    test('super-heavy labels follow the era, like division-rules.js', () => {
+        expect(parseCategory('+86kg', { gender: 'F', date: '2025-07-01' }).weight_class).toBe('86+kg');
+        expect(parseCategory('86+kg', { gender: 'F', date: '2025-07-01' }).weight_class).toBe('86+kg');
+        expect(parseCategory('87+kg', { gender: 'F', date: '2024-07-01' }).weight_class).toBe('+87kg');
+        // No era without a date when the class exists in several
+        expect(parseCategory('+94kg').weight_class).toBe('+94kg');
+    });
+
+    test('gender falls back to the option when the text has none', () => {
+        expect(parseCategory('64kg', { gender: 'Female' }).gender).toBe('F');
+        expect(parseCategory("Men's 64kg", { gender: 'F' }).gender).toBe('M');
+    });
+});
+
+describe('splitCategory and normalizeCategory', () => {
+    test('split keeps both parts as written', () => {
+        expect(splitCategory("Men's Masters (35-39) 110+kg")).toEqual({ ageCategory: "Men's Masters (35-39)", weightClass: '110+kg' });
+        expect(splitCategory("Men's 14-15 Age Group")).toEqual({ ageCategory: "Men's 14-15 Age Group", weightClass: '' });
+    });
+
+    test('normalized columns for results and entries', () => {
+        expect(normalizeCategory({ age_category: "Junior Women's", weight_class: '+87kg', date: '2023-03-01' })).toEqual({
+            age_group: 'Junior', weight_class_limit_kg: 87, weight_class_is_plus: true, weight_class_era: '2018'
+        });
+        expect(normalizeCategory({ division: "Women's 14-15 Age Group 44kg", weight_class: null, gender: 'F' })).toMatchObject({
+            age_group: '14-15 Age Group', weight_class_limit_kg: 44
+        });
+    });
+});
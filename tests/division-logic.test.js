@@ -0,0 +1,75 @@
+const { parseWeightClass, getWeightClass, getEligibleDivisions } = require('../scripts/shared/division-logic');
+const { getWeightClassEra } = require('../scripts/shared/division-rules');
+
+/**
+ * Division logic tests
+ *
+ * Age groups and weight classes follow the rules in force on the meet date.
+ */
+
+describe('weight classes by date', () => {
+    test('eras switch on their USAW adoption dates', () => {
+        expect(getWeightClassEra('2015-06-01').sets.senior.M).toContain(105);
+        expect(getWeightClassEra('2018-07-29').era).toBe('1998');
+        expect(getWeightClassEra('2018-08-04').era).toBe('2018');
+        expect(getWeightClassEra('2025-06-07').era).toBe('2025');
+        expect(getWeightClassEra(null).era).toBe('2025');
+    });
+
+    test('recorded classes are read in every stored format', () => {
+        expect(parseWeightClass('85 kg')).toEqual({ limit: 85, superHeavy: false });
+        expect(parseWeightClass('+75 Kg')).toEqual({ limit: 75, superHeavy: true });
+        expect(parseWeightClass('110+kg')).toEqual({ limit: 110, superHeavy: true });
+        expect(parseWeightClass('')).toBeNull();
+    });
+
+    test('a class from the set in force is canonical and official', () => {
+        expect(getWeightClass('+105 kg', { gender: 'Male', date: '2016-03-01' }))
+            .toEqual({ label: '+105kg', limit: 105, superHeavy: true, era: '1998', set: 'senior', official: true });
+        expect(getWeightClass('90 kg', { gender: 'Female', date: '2016-03-01' }).official).toBe(false);
+        expect(getWeightClass('90 kg', { gender: 'Female', date: '2017-03-01' }).official).toBe(true);
+    });
+
+    test('a class from another set is re-derived from the bodyweight', () => {
+        const wc = getWeightClass('+102kg', { gender: 'M', date: '2022-06-01', set: 'senior', bodyWeight: '104.5' });
+        expect(wc.label).toBe('109kg');
+        expect(getWeightClass('49kg', { gender: 'M', date: '2022-06-01', bodyWeight: 120 }).label).toBe('+109kg');
+        expect(getWeightClass('', { gender: 'M', date: '2022-06-01' })).toBeNull();
+    });
+});
+
+describe('getEligibleDivisions', () => {
+    test('a 2015 result is placed under the 2015 rules', () => {
+        expect(getEligibleDivisions('Female', 16, '+75 Kg', { date: '2015-06-01', bodyWeight: '80' })).toEqual([
+            "Women's 16-17 Age Group +75kg",
+            "Women's Youth +69kg",
+            "Women's Junior +75kg",
+            "Women's Open +75kg"
+        ]);
+    });
+
+    test('age groups only exist from their introduction', () => {
+        expect(getEligibleDivisions('Male', 10, '32kg', { date: '2020-01-01' })).toEqual(["Men's 13 Under Age Group 32kg"]);
+        expect(getEligibleDivisions('Male', 10, '32kg', { date: '2025-09-01' })).toEqual([
+            "Men's 11 Under Age Group 32kg",
+            "Men's 13 Under Age Group 32kg"
+        ]);
+        expect(getEligibleDivisions('Female', 15, '63kg', { date: '2005-01-01' })).not.toContain("Women's Youth 63kg");
+    });
+
+    test('masters brackets top out at 75+ / 80+ until 2025, then 90+ / 95+', () => {
+        expect(getEligibleDivisions('F', 77, '58kg', { date: '2024-09-01' })).toContain("Women's Masters (75+) 58kg");
+        expect(getEligibleDivisions('M', 82, '89kg', { date: '2024-09-01' })).toContain("Men's Masters (80+) 89kg");
+        expect(getEligibleDivisions('F', 77, '58kg', { date: '2025-09-01' })).toContain("Women's Masters (75-79) 58kg");
+        expect(getEligibleDivisions('F', 86, '58kg', { date: '2025-09-01' })).toContain("Women's Masters (85-89) 58kg");
+        expect(getEligibleDivisions('F', 91, '58kg', { date: '2025-09-01' })).toContain("Women's Masters (90+) 58kg");
+        expect(getEligibleDivisions('M', 96, '79kg', { date: '2025-09-01' })).toContain("Men's Masters (95+) 79kg");
+        expect(getEligibleDivisions('M', 36, '', {})).toEqual(["Men's Open Unknown", "Men's Masters (35-39) Unknown"]);
+    });
+
+    test('super-heavy classes are labelled as Sport80 does in each era', () => {
+        expect(getEligibleDivisions('F', 25, '+87kg', { date: '2024-09-01' })).toEqual(["Women's Open +87kg"]);
+        expect(getEligibleDivisions('F', 25, '+86 kg', { date: '2025-09-01' })).toEqual(["Women's Open 86+kg"]);
+        expect(getEligibleDivisions('M', 16, '', { date: '2025-09-01', bodyWeight: '120' })).toContain("Men's 16-17 Age Group 94+kg");
+    });
+});
@@ -0,0 +1,116 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const {
+    normCdf, normInv, calculateGamxRaw, interpolateByBodyweight, gamxScore, scoreGamx, loadGamxFactors
+} = require('../scripts/shared/scoring/gamx');
+
+/**
+ * GAMX calculator tests
+ *
+ * The reference values are the cached results of the GAMX sheet in the
+ * "GAMX files v2.0" senior workbooks (mu/sigma/nu lookup plus the GAMX formula).
+ */
+
+const GAMX_DIR = path.join(__dirname, '../GAMX files v2.0');
+const WORKBOOKS = ['GAMX_seniors_total.xlsx', 'GAMX_seniors_snatch_cj.xlsx'];
+const TYPE_BY_HEADER = { 'Total': 'total', 'Snatch': 's', 'Clean & Jerk': 'j' };
+
+jest.setTimeout(60000);
+
+let factors;
+let referenceRows;
+
+async function readReferenceRows() {
+    const rows = [];
+    for (const file of WORKBOOKS) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(path.join(GAMX_DIR, file));
+        let type = null;
+        workbook.getWorksheet('GAMX').eachRow(row => {
+            const [, category, sex, bodyWeight, result, mu, sigma, nu, score] = row.values;
+            if (category === 'Category') {
+                type = TYPE_BY_HEADER[result];
+                return;
+            }
+            rows.push({ file, type, sex, bodyWeight, result, mu: mu.result, sigma: sigma.result, nu: nu.result, score: score.result });
+        });
+    }
+    return rows;
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    factors = await loadGamxFactors(WORKBOOKS.map(f => path.join(GAMX_DIR, f)));
+    referenceRows = await readReferenceRows();
+    console.log.mockRestore();
+});
+
+describe('normal distribution', () => {
+    test('matches known quantiles', () => {
+        expect(normCdf(0)).toBeCloseTo(0.5, 15);
+        expect(normCdf(1.96)).toBeCloseTo(0.9750021048517795, 12);
+        expect(normCdf(-10) / 7.619853024160527e-24).toBeCloseTo(1, 10);
+        expect(normInv(0.975)).toBeCloseTo(1.959963984540054, 8);
+        expect(normInv(1e-20)).toBeCloseTo(-9.262340089798408, 6);
+    });
+});
+
+describe('workbook parity', () => {
+    test('reference rows were read', () => {
+        expect(referenceRows.map(r => r.type).sort()).toEqual(['j', 'j', 's', 's', 'total', 'total']);
+    });
+
+    test('interpolated mu and sigma match the workbook lookup', () => {
+        referenceRows.forEach(r => {
+            const f = interpolateByBodyweight(factors[r.type][r.sex], r.bodyWeight);
+            expect(f.mu).toBeCloseTo(r.mu, 9);
+            expect(f.sigma).toBeCloseTo(r.sigma, 12);
+        });
+    });
+
+    test('scores match the workbook GAMX column', () => {
+        // The workbook's snatch/women nu lookup weights its two neighbouring rows the wrong way round;
+        // that row is compared with the workbook's own nu instead of the interpolated one.
+        referenceRows.forEach(r => {
+            const swappedNu = r.file === 'GAMX_seniors_snatch_cj.xlsx' && r.type === 's' && r.sex === 'f';
+            const score = swappedNu
+                ? calculateGamxRaw(r.result, r.mu, r.sigma, r.nu)
+                : gamxScore(factors, r.type, { gender: r.sex, bodyWeight: r.bodyWeight, result: r.result });
+            expect(score).toBeCloseTo(r.score, 5);
+        });
+    });
+});
+
+describe('factor lookup', () => {
+    test('a row bodyweight uses that row exactly', () => {
+        const row = factors.total.m.find(r => r[0] === 85.2);
+        expect(interpolateByBodyweight(factors.total.m, 85.2)).toEqual({ mu: row[1], sigma: row[2], nu: row[3] });
+    });
+
+    test('exact mode rounds to 0.1kg like get_gamx_score()', () => {
+        const input = { gender: 'Male', bodyWeight: 85.23, result: 350 };
+        expect(gamxScore(factors, 'total', input, { exact: true }))
+            .toBe(gamxScore(factors, 'total', { ...input, bodyWeight: 85.2 }));
+    });
+
+    test('outside the tables or the senior age range there is no score', () => {
+        const input = { gender: 'f', bodyWeight: 64, result: 200 };
+        expect(gamxScore(factors, 'total', { ...input, bodyWeight: 30 })).toBeNull();
+        expect(gamxScore(factors, 'total', { ...input, age: 14 })).toBeNull();
+        expect(gamxScore(factors, 'total', { ...input, age: 41 })).toBeNull();
+        expect(gamxScore(factors, 'total', { ...input, age: 40 })).not.toBeNull();
+        expect(gamxScore(factors, 'total', { ...input, result: 0 })).toBeNull();
+    });
+
+    test('scoreGamx fills every trigger column', () => {
+        const scores = scoreGamx(factors, {
+            total: '350', best_snatch: '150', best_cj: '200', body_weight_kg: '85.23', gender: 'M', competition_age: 28
+        });
+        expect(Object.keys(scores)).toEqual(['gamx_u', 'gamx_a', 'gamx_masters', 'gamx_total', 'gamx_s', 'gamx_j']);
+        // Age tables are not in the senior workbooks
+        expect(scores.gamx_u).toBeNull();
+        expect(scores.gamx_total).toBeCloseTo(1032.7961566591143, 5);
+        expect(scores.gamx_s).toBeCloseTo(970.1296830973457, 5);
+        expect(scores.gamx_j).toBeCloseTo(1091.628280232451, 5);
+    });
+});
@@ -0,0 +1,138 @@
+const { teamPoints, bestLifterScore, scoreTeams, rankBestLifters } = require('../scripts/shared/meet-awards');
+const { calculateQpoints, getAgeFactor, getYouthFactor, roundTo } = require('../scripts/shared/scoring');
+const { scoreSinclair } = require('../scripts/shared/scoring/sinclair');
+const { gamxScore } = require('../scripts/shared/scoring/gamx');
+
+/**
+ * Meet awards tests
+ *
+ * Team points from total placings (one scoring division per lifter) and best lifter per age group.
+ */
+
+let nextId = 1;
+const result = (overrides) => ({
+    result_id: nextId++,
+    gender: 'Female',
+    age_category: "Open Women's",
+    club_name: 'Iron Club',
+    wso: 'Carolina',
+    body_weight_kg: '70.5',
+    ...overrides
+});
+
+const placing = (result, total_rank, age_group = 'Open') => ({ result, age_group, total_rank });
+
+test('team points follow the 28/25/23/22 table; bomb-outs and places beyond 25 score 0', () => {
+    expect([1, 2, 3, 4, 5, 25].map(teamPoints)).toEqual([28, 25, 23, 22, 21, 1]);
+    expect(teamPoints(26)).toBe(0);
+    expect(teamPoints(null)).toBe(0);
+});
+
+describe('scoreTeams', () => {
+    test('clubs and WSOs are scored per gender from each lifter\'s total placing', () => {
+        const teams = scoreTeams([
+            placing(result({ club_name: 'Iron Club' }), 1),
+            placing(result({ club_name: 'Iron Club' }), 3),
+            placing(result({ club_name: 'Barbell Co', wso: 'Texas-Oklahoma' }), 2),
+            placing(result({ club_name: 'Barbell Co', gender: 'Male', age_category: "Open Men's" }), 1)
+        ]);
+        expect(teams.filter(t => t.scope === 'club' && t.gender === 'F').map(t => [t.team, t.place, t.points, t.lifters]))
+            .toEqual([['Iron Club', 1, 51, 2], ['Barbell Co', 2, 25, 1]]);
+        expect(teams.filter(t => t.scope === 'wso' && t.gender === 'F').map(t => [t.team, t.points]))
+            .toEqual([['Carolina', 51], ['Texas-Oklahoma', 25]]);
+        expect(teams.filter(t => t.gender === 'M').map(t => [t.scope, t.team, t.points])).toEqual([['club', 'Barbell Co', 28], ['wso', 'Carolina', 28]]);
+    });
+
+    test('a lifter scores once, in the division they entered', () => {
+        const junior = result({ age_category: "Junior Women's" });
+        const teams = scoreTeams([placing(junior, 1, 'Junior'), placing(junior, 4, 'Open')]);
+        expect(teams.find(t => t.scope === 'club')).toMatchObject({ points: 28, lifters: 1, first_places: 1 });
+
+        const unknownEntry = result({ age_category: null });
+        expect(scoreTeams([placing(unknownEntry, 1, 'Junior'), placing(unknownEntry, 4, 'Open')])
+            .find(t => t.scope === 'club')).toMatchObject({ points: 22 });
+    });
+
+    test('tied points go to the team with more first places, then are shared', () => {
+        // 28 + 22 = 50 against 25 + 25
+        const teams = scoreTeams([
+            placing(result({ club_name: 'A' }), 1),
+            placing(result({ club_name: 'A' }), 4),
+            placing(result({ club_name: 'B' }), 2),
+            placing(result({ club_name: 'B', age_category: "Junior Women's" }), 2, 'Junior'),
+            placing(result({ club_name: 'C' }), 6),
+            placing(result({ club_name: 'D' }), 6)
+        ]).filter(t => t.scope === 'club');
+        expect(teams.map(t => [t.team, t.points, t.place])).toEqual([['A', 50, 1], ['B', 50, 2], ['C', 20, 3], ['D', 20, 3]]);
+    });
+
+    test('lifters without a club or WSO score for no team in that scope', () => {
+        const teams = scoreTeams([placing(result({ club_name: null, wso: ' ' }), 1)]);
+        expect(teams).toEqual([]);
+    });
+});
+
+describe('best lifter', () => {
+    const F = { gender: 'Female', total: '180', body_weight_kg: '64', date: '2024-06-01' };
+    const qpoints = calculateQpoints(180, 64, 'F');
+
+    test('senior age groups score everyone unadjusted, masters adjust for the competition age', () => {
+        const master = result({ ...F, birth_year: 1979, qpoints: null, q_masters: '999', sinclair_masters: '999' });
+        expect(bestLifterScore(master, 'qpoints', 'Open')).toBe(qpoints);
+        expect(bestLifterScore(master, 'qpoints', 'Masters (45-49)')).toBe(roundTo(qpoints * getAgeFactor(45, 'F'), 2));
+        const { sinclair, sinclair_masters } = scoreSinclair({ ...F, competition_age: 45 });
+        expect(bestLifterScore(master, 'sinclair', 'Open')).toBe(sinclair);
+        expect(bestLifterScore(master, 'sinclair', 'Masters (45-49)')).toBe(sinclair_masters);
+        // Masters and youth need an age
+        expect(bestLifterScore(result({ ...F }), 'qpoints', 'Masters (45-49)')).toBeNull();
+        expect(bestLifterScore(result({ ...F, total: '0', birth_year: 1979 }), 'qpoints', 'Open')).toBeNull();
+        expect(() => bestLifterScore(master, 'wilks', 'Open')).toThrow(/Unknown best-lifter formula/);
+    });
+
+    test('youth age groups use Q-youth, or unadjusted Q-points for everyone without the youth table', () => {
+        const youth = result({ ...F, competition_age: 14, q_youth: null });
+        const factor = getYouthFactor(14, 64, 'F');
+        expect(bestLifterScore(youth, 'qpoints', '14-15 Age Group')).toBe(factor === null ? qpoints : roundTo(180 * factor, 2));
+    });
+
+    test('GAMX scores the senior table at any age and needs the factors', () => {
+        const factors = {
+            total: { f: [[60, 150, 0.1, 1], [70, 170, 0.1, 1]], m: null },
+            u: { f: null, m: null },
+            masters: { f: null, m: null }
+        };
+        const master = result({ ...F, competition_age: 45, gamx_total: null, gamx_masters: '950' });
+        expect(bestLifterScore(master, 'gamx', 'Open', factors)).toBeCloseTo(gamxScore(factors, 'total', { gender: 'F', bodyWeight: 64, result: 180 }), 6);
+        // Types missing from the factors fall back to the stored column
+        expect(bestLifterScore(master, 'gamx', 'Masters (45-49)', factors)).toBe(950);
+        expect(() => bestLifterScore(master, 'gamx', 'Open')).toThrow(/GAMX factors/);
+    });
+
+    test('a mixed-age Open group is ranked on one score', () => {
+        // The 45-year-old's age-adjusted score would win; unadjusted the 25-year-old's heavier total does
+        const senior = result({ ...F, lifter_name: 'Senior', total: '190', competition_age: 25 });
+        const master = result({ ...F, lifter_name: 'Master', competition_age: 45 });
+        const junior = result({ ...F, lifter_name: 'Junior', total: '170', competition_age: 17 });
+        expect(roundTo(qpoints * getAgeFactor(45, 'F'), 2)).toBeGreaterThan(calculateQpoints(190, 64, 'F'));
+
+        const best = rankBestLifters([senior, master, junior].map(r => placing(r, 1)), 'qpoints');
+        expect(best.map(b => [b.result.lifter_name, b.place, b.score])).toEqual([
+            ['Senior', 1, calculateQpoints(190, 64, 'F')],
+            ['Master', 2, qpoints],
+            ['Junior', 3, calculateQpoints(170, 64, 'F')]
+        ]);
+    });
+
+    test('top places per gender and age group; identical scores share a place', () => {
+        const lifters = [
+            result({ lifter_name: 'A', total: '200' }),
+            result({ lifter_name: 'B', total: '210' }),
+            result({ lifter_name: 'C', total: '200' }),
+            result({ lifter_name: 'D', total: '150' }),
+            result({ lifter_name: 'E', total: null })
+        ];
+        const best = rankBestLifters(lifters.map(r => placing(r, 1)), 'qpoints');
+        expect(best.map(b => [b.result.lifter_name, b.place])).toEqual([['B', 1], ['A', 2], ['C', 2]]);
+        expect(best.every(b => b.gender === 'F' && b.age_group === 'Open' && b.formula === 'qpoints')).toBe(true);
+    });
+});
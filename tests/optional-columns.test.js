@@ -0,0 +1,69 @@
+const { withOptionalColumns } = require('../scripts/shared/optional-columns');
+
+/**
+ * Optional columns tests
+ *
+ * Writes keep going, without the new columns, against a table whose migration is not applied.
+ */
+
+// A table without the listed columns, answering the way PostgREST does
+const fakeTable = (table, lacks) => {
+    const writes = [];
+    const write = async (row) => {
+        writes.push(row);
+        const column = [].concat(row).flatMap(Object.keys).find(c => lacks.includes(c));
+        if (column) {
+            return { data: null, error: { code: 'PGRST204', message: `Could not find the '${column}' column of '${table}' in the schema cache` } };
+        }
+        return { data: row, error: null };
+    };
+    return { writes, write };
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.warn.mockRestore();
+});
+
+test('a missing migration\'s columns are dropped, once per table', async () => {
+    const { writes, write } = fakeTable('t_sinclair', ['sinclair_masters']);
+    const row = { total: '200', sinclair: 250.1, sinclair_masters: 260.2, age_group: 'Open' };
+
+    expect(await withOptionalColumns('t_sinclair', row, write)).toEqual({ data: { total: '200', age_group: 'Open' }, error: null });
+    expect(writes).toHaveLength(2);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn.mock.calls[0][0]).toMatch(/add_sinclair_columns\.sql.*backfill-sinclair\.js/);
+
+    // Later writes leave them out up front
+    await withOptionalColumns('t_sinclair', [row, row], write);
+    expect(writes).toHaveLength(3);
+    expect(writes[2]).toEqual([{ total: '200', age_group: 'Open' }, { total: '200', age_group: 'Open' }]);
+    // The caller's record is not modified
+    expect(row).toHaveProperty('sinclair', 250.1);
+});
+
+test('both migrations can be missing; other tables are unaffected', async () => {
+    const { writes, write } = fakeTable('t_both', ['sinclair', 'sinclair_masters', 'age_group', 'weight_class_era']);
+    const row = { total: '200', sinclair: 1, sinclair_masters: 2, age_group: 'Open', weight_class_limit_kg: 87, weight_class_is_plus: false, weight_class_era: 'current' };
+
+    expect((await withOptionalColumns('t_both', row, write)).data).toEqual({ total: '200' });
+    expect(writes).toHaveLength(3);
+
+    const other = fakeTable('t_other', []);
+    expect((await withOptionalColumns('t_other', row, other.write)).data).toEqual(row);
+});
+
+test('other errors are returned as they are', async () => {
+    const duplicate = { code: '23505', message: 'duplicate key value violates unique constraint' };
+    const write = jest.fn(async () => ({ data: null, error: duplicate }));
+    expect(await withOptionalColumns('t_errors', { total: '1' }, write)).toEqual({ data: null, error: duplicate });
+
+    // An unknown column that is not optional is not retried
+    const { writes, write: lacking } = fakeTable('t_errors', ['lifter_nmae']);
+    expect((await withOptionalColumns('t_errors', { lifter_nmae: 'x' }, lacking)).error.code).toBe('PGRST204');
+    expect(writes).toHaveLength(1);
+    expect(console.warn).not.toHaveBeenCalled();
+});
@@ -0,0 +1,64 @@
+const { rankCohort, bestAttemptNumber } = require('../scripts/shared/placings');
+
+/**
+ * Placings tests
+ *
+ * Tie-break order: result, lower bodyweight, reached first (attempt order); bomb-outs unranked.
+ */
+
+function result(id, bodyWeight, snatches, cjs) {
+    const best = (attempts) => Math.max(0, ...attempts.map(Number));
+    const snatch = best(snatches), cj = best(cjs);
+    return {
+        result_id: id,
+        body_weight_kg: String(bodyWeight),
+        snatch_lift_1: snatches[0], snatch_lift_2: snatches[1], snatch_lift_3: snatches[2],
+        cj_lift_1: cjs[0], cj_lift_2: cjs[1], cj_lift_3: cjs[2],
+        best_snatch: String(snatch),
+        best_cj: String(cj),
+        total: String(snatch > 0 && cj > 0 ? snatch + cj : 0)
+    };
+}
+
+const places = (cohort) => Object.fromEntries(rankCohort(cohort).map(p => [p.result.result_id, [p.snatch_rank, p.cj_rank, p.total_rank]]));
+
+test('bestAttemptNumber finds the attempt that made the best lift', () => {
+    expect(bestAttemptNumber(['80', '-85', '85'], 85)).toBe(3);
+    expect(bestAttemptNumber(['-80', '80', '-85'], 80)).toBe(2);
+    expect(bestAttemptNumber(['-80', '-80', '-80'], 0)).toBeNull();
+});
+
+test('ties go to the lighter lifter, then to the earlier attempt', () => {
+    const p = places([
+        result(1, 70.5, ['80', '-85', '85'], ['100', '105', '-110']),
+        result(2, 70.1, ['85', '-88', '-88'], ['100', '-105', '105']),
+        result(3, 70.1, ['-85', '85', '-90'], ['100', '105', '-108'])
+    ]);
+    expect(p[2][0]).toBe(1); // 85 on attempt 1
+    expect(p[3][0]).toBe(2); // 85 on attempt 2
+    expect(p[1][0]).toBe(3); // heavier
+    expect(p[3][1]).toBe(1); // 105 on attempt 2 beats attempt 3
+    expect(p[2][1]).toBe(2);
+});
+
+test('a tied total goes to the lifter whose total was completed first', () => {
+    const p = places([
+        result(1, 70.1, ['90', '-95', '-95'], ['100', '-105', '-105']), // 190, completed with a 100 C&J
+        result(2, 70.1, ['85', '-88', '-88'], ['100', '-105', '105']) // 190, completed with a 105 C&J
+    ]);
+    expect(p[1][2]).toBe(1);
+    expect(p[2][2]).toBe(2);
+});
+
+test('bomb-outs are unranked and identical performances share a place', () => {
+    const p = places([
+        result(1, 69, ['-80', '-80', '-80'], ['120', '-125', '-125']),
+        result(2, 71, ['70', '75', '-78'], ['90', '95', '98']),
+        result(3, 71, ['70', '75', '-78'], ['90', '95', '98']),
+        result(4, 72, ['60', '-65', '-65'], ['80', '-85', '-85'])
+    ]);
+    expect(p[1]).toEqual([null, 1, null]);
+    expect(p[2]).toEqual([1, 2, 1]);
+    expect(p[3]).toEqual([1, 2, 1]);
+    expect(p[4]).toEqual([3, 4, 3]);
+});
@@ -0,0 +1,102 @@
+const { meetLevelAllowed, groupStandards, evaluateAthlete } = require('../scripts/shared/qualification');
+const { buildLists } = require('../scripts/production/qualification-engine');
+
+/**
+ * Qualification tests
+ *
+ * Results against qualifying totals: window, meet level, division at the event and near misses.
+ */
+
+const standard = (overrides) => ({
+    event: '2026 Nationals',
+    event_date: '2026-06-20',
+    gender: 'F',
+    age_group: 'Open',
+    weight_class: '69kg',
+    qualifying_total: 180,
+    window_start: '2025-06-01',
+    window_end: '2026-05-31',
+    min_meet_level: 'Local',
+    near_miss_kg: 5,
+    ...overrides
+});
+
+const result = (overrides) => ({
+    result_id: 1,
+    meet_name: 'Local Open',
+    date: '2025-10-01',
+    level: 'Local',
+    weight_class: '69kg',
+    body_weight_kg: '68.2',
+    total: '182',
+    ...overrides
+});
+
+const athlete = { gender: 'Female', birthYear: 1998 };
+const events = (...rows) => groupStandards(rows.length > 0 ? rows : [standard()]);
+
+describe('meet levels', () => {
+    test('a minimum level admits itself and every level above; unknown levels never count', () => {
+        expect(meetLevelAllowed('Local', 'Local')).toBe(true);
+        expect(meetLevelAllowed('North American Open Series', 'National')).toBe(true);
+        expect(meetLevelAllowed('Local', 'National')).toBe(false);
+        expect(meetLevelAllowed('Unknown', 'Local')).toBe(false);
+        expect(meetLevelAllowed(null, 'Local')).toBe(false);
+    });
+});
+
+describe('evaluateAthlete', () => {
+    test('the best total inside the window qualifies', () => {
+        const [status] = evaluateAthlete([
+            result({ result_id: 1, total: '170' }),
+            result({ result_id: 2, total: '182' }),
+            result({ result_id: 3, total: '200', date: '2025-05-30' })
+        ], events(), athlete);
+        expect(status).toMatchObject({ event: '2026 Nationals', status: 'qualified' });
+        expect(status.standards).toEqual([expect.objectContaining({ age_group: 'Open', weight_class: '69kg', best_total: 182, margin: 2, result_id: 2 })]);
+    });
+
+    test('super-heavy standards match the Sport80 label of the era, however they were stored', () => {
+        ['86+kg', '+86kg'].forEach(stored => {
+            const [status] = evaluateAthlete([result({ weight_class: '86+kg', body_weight_kg: '95' })],
+                events(standard({ weight_class: stored })), athlete);
+            expect(status.standards).toEqual([expect.objectContaining({ weight_class: '86+kg', status: 'qualified' })]);
+        });
+    });
+
+    test('totals within near_miss_kg are near misses, lower totals are not listed', () => {
+        expect(evaluateAthlete([result({ total: '176' })], events(), athlete)[0]).toMatchObject({ status: 'near_miss' });
+        expect(evaluateAthlete([result({ total: '170' })], events(), athlete)).toEqual([]);
+    });
+
+    test('meet-level rules exclude lower meets', () => {
+        const national = events(standard({ min_meet_level: 'National' }));
+        expect(evaluateAthlete([result()], national, athlete)).toEqual([]);
+        expect(evaluateAthlete([result({ level: 'National' })], national, athlete)[0].status).toBe('qualified');
+    });
+
+    test('results are placed in the weight class in force on the event date', () => {
+        // 2025 women's classes: 69kg, 77kg; a 2024 result recorded as 71kg at 70.4kg bodyweight is 77kg
+        const byClass = events(standard({ weight_class: '77kg', window_start: '2024-01-01' }));
+        const [status] = evaluateAthlete([result({ date: '2024-12-01', weight_class: '71kg', body_weight_kg: '70.4', total: '181' })], byClass, athlete);
+        expect(status.standards[0].weight_class).toBe('77kg');
+    });
+
+    test('age groups follow the competition age in the event year', () => {
+        const junior = events(standard({ age_group: 'Junior', qualifying_total: 160 }));
+        expect(evaluateAthlete([result()], junior, { gender: 'F', birthYear: 2006 })[0].status).toBe('qualified');
+        expect(evaluateAthlete([result()], junior, { gender: 'F', birthYear: 2005 })).toEqual([]);
+        expect(evaluateAthlete([result()], junior, { gender: 'F', birthYear: null })).toEqual([]);
+    });
+});
+
+describe('buildLists', () => {
+    test('qualified and near-miss lists per event', () => {
+        const [list] = buildLists([standard()], [
+            { ...result({ result_id: 1, total: '190' }), lifter_id: 1, gender: 'Female', birth_year: 1998, athlete_name: 'A', membership_number: '100' },
+            { ...result({ result_id: 2, total: '177' }), lifter_id: 2, gender: 'Female', birth_year: 1998, athlete_name: 'B', membership_number: null }
+        ]);
+        expect(list.qualified.map(e => [e.athlete_name, e.best_total, e.athlete_shard])).toEqual([['A', 190, 'usaw/00/100.json.gz']]);
+        expect(list.near_miss.map(e => [e.athlete_name, e.margin, e.athlete_shard])).toEqual([['B', -3, 'internal/02/2.json.gz']]);
+    });
+});
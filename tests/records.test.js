@@ -0,0 +1,142 @@
+const { recordKey, recordKeysOf, deriveRecordHistory, diffRecordHistory, groupRecordHistory } = require('../scripts/shared/records');
+
+/**
+ * Records tests
+ *
+ * Record history per scope, division, era and lift, derived from results in date order.
+ */
+
+let nextId = 1;
+const result = (overrides) => ({
+    result_id: nextId++,
+    lifter_id: 1,
+    lifter_name: 'A Lifter',
+    meet_id: 1,
+    meet_name: 'Meet',
+    date: '2023-03-01',
+    gender: 'Female',
+    competition_age: 25,
+    weight_class: '71kg',
+    body_weight_kg: '70.5',
+    best_snatch: '90',
+    best_cj: '110',
+    total: '200',
+    wso: 'Carolina',
+    ...overrides
+});
+
+const find = (history, fields) => history.filter(h => Object.entries(fields).every(([k, v]) => h[k] === v));
+
+describe('deriveRecordHistory', () => {
+    test('a result sets national and WSO records in every division it belongs to', () => {
+        const history = deriveRecordHistory([result({ competition_age: 19 })]);
+        expect(find(history, { lift: 'total', scope: 'national' }).map(h => h.division_name))
+            .toEqual(["Women's Junior 71kg", "Women's Open 71kg"]);
+        expect(find(history, { lift: 'total', scope: 'wso', wso: 'Carolina' })).toHaveLength(2);
+        expect(history).toHaveLength(2 * 2 * 3);
+    });
+
+    test('only a heavier lift breaks a record; results are taken in date order', () => {
+        const history = deriveRecordHistory([
+            result({ lifter_name: 'Third', date: '2023-09-01', best_snatch: '95', total: '205' }),
+            result({ lifter_name: 'First', date: '2023-01-01', best_snatch: '90', total: '200' }),
+            result({ lifter_name: 'Tie', date: '2023-05-01', best_snatch: '90', total: '200', wso: 'Texas-Oklahoma' })
+        ]);
+        const openTotal = find(history, { scope: 'national', age_group: 'Open', lift: 'total' });
+        expect(openTotal.map(h => [h.lifter_name, h.value, h.previous_value])).toEqual([
+            ['First', 200, null],
+            ['Third', 205, 200]
+        ]);
+        // The tie still sets the first record of its own WSO
+        expect(find(history, { wso: 'Texas-Oklahoma', age_group: 'Open', lift: 'total' })).toHaveLength(1);
+    });
+
+    test('records are kept apart by weight-class era', () => {
+        const history = deriveRecordHistory([
+            result({ date: '2017-05-01', weight_class: '69kg', body_weight_kg: '68.9', total: '210' }),
+            result({ date: '2019-05-01', weight_class: '71kg', total: '200' })
+        ]);
+        expect(find(history, { scope: 'national', age_group: 'Open', lift: 'total' })
+            .map(h => [h.weight_class, h.weight_class_era, h.previous_value])).toEqual([
+            ['69kg', '1998', null],
+            ['71kg', '2018', null]
+        ]);
+    });
+
+    test('bomb-outs, unknown ages and unofficial classes set no records', () => {
+        expect(deriveRecordHistory([result({ best_cj: '-115', total: '0' })]).filter(h => h.lift !== 'snatch')).toEqual([]);
+        expect(deriveRecordHistory([result({ competition_age: null, birth_year: null })])).toEqual([]);
+        expect(deriveRecordHistory([result({ weight_class: '70kg', body_weight_kg: null })])).toEqual([]);
+    });
+});
+
+describe('groupRecordHistory', () => {
+    test('holders in order with the date each lost the record', () => {
+        const history = deriveRecordHistory([
+            result({ lifter_name: 'First', date: '2023-01-01', total: '200', wso: null }),
+            result({ lifter_name: 'Second', date: '2023-06-01', total: '204', wso: null })
+        ]);
+        const key = recordKey({ scope: 'national', wso: '', gender: 'F', age_group: 'Open', weight_class: '71kg', weight_class_era: '2018', lift: 'total' });
+        expect(groupRecordHistory(history).get(key).map(h => [h.lifter_name, h.date, h.held_until])).toEqual([
+            ['First', '2023-01-01', '2023-06-01'],
+            ['Second', '2023-06-01', null]
+        ]);
+    });
+});
+
+describe('recordKeysOf', () => {
+    test('every record a result counts towards, set or not', () => {
+        const keys = recordKeysOf([result({ competition_age: 19, best_cj: '-115', total: '0' })]);
+        // Junior and Open, national and WSO, snatch only
+        expect(keys.size).toBe(4);
+        expect([...keys.values()].every(k => k.lift === 'snatch' && k.weight_class === '71kg')).toBe(true);
+        expect(keys.has(recordKey({ scope: 'wso', wso: 'Carolina', gender: 'F', age_group: 'Junior', weight_class: '71kg', weight_class_era: '2018', lift: 'snatch' }))).toBe(true);
+    });
+});
+
+describe('diffRecordHistory', () => {
+    const DETAILS = ['previous_value', 'lifter_name'];
+    const store = (history) => history.map((h, i) => ({
+        ...h, record_history_id: i + 1, value: String(h.value), previous_value: h.previous_value === null ? null : String(h.previous_value)
+    }));
+    const first = result({ lifter_name: 'First', date: '2023-01-01', total: '200', wso: null });
+    const later = result({ lifter_name: 'Later', date: '2023-09-01', total: '210', wso: null });
+    const openTotal = (history) => find(history, { scope: 'national', age_group: 'Open', lift: 'total' });
+
+    test('an unchanged history is left alone', () => {
+        const history = deriveRecordHistory([first, later]);
+        expect(diffRecordHistory(store(history), history, DETAILS)).toEqual({ toInsert: [], toUpdate: [], toDelete: [] });
+    });
+
+    test('a record inserted into the history updates the next holder in place', () => {
+        const stored = store(openTotal(deriveRecordHistory([first, later])));
+        const middle = result({ lifter_name: 'Middle', date: '2023-05-01', total: '205', wso: null });
+        const { toInsert, toUpdate, toDelete } = diffRecordHistory(stored, openTotal(deriveRecordHistory([first, later, middle])), DETAILS);
+
+        expect(toInsert.map(h => [h.lifter_name, h.value, h.previous_value])).toEqual([['Middle', 205, 200]]);
+        expect(toUpdate).toEqual([{ record_history_id: stored.find(h => h.lifter_name === 'Later').record_history_id, changes: { previous_value: 205 } }]);
+        expect(toDelete).toEqual([]);
+    });
+
+    test('a corrected lift replaces its row', () => {
+        const stored = store(openTotal(deriveRecordHistory([first, later])));
+        const { toInsert, toDelete } = diffRecordHistory(stored, openTotal(deriveRecordHistory([first, { ...later, total: '208' }])), DETAILS);
+        expect(toInsert.map(h => h.value)).toEqual([208]);
+        expect(toDelete).toEqual([stored.find(h => h.lifter_name === 'Later').record_history_id]);
+    });
+
+    test('deriving from the stored holders and the new results matches a full derivation', () => {
+        const everyone = [
+            first,
+            result({ lifter_name: 'Non-record', date: '2023-03-01', total: '195', wso: null }),
+            later
+        ];
+        const imported = [result({ lifter_name: 'New', date: '2023-04-01', total: '207', wso: null })];
+        const keys = recordKeysOf(imported);
+        const inScope = (history) => history.filter(h => keys.has(recordKey(h)));
+
+        const holders = inScope(deriveRecordHistory(everyone)).map(h => everyone.find(r => r.result_id === h.result_id));
+        expect(inScope(deriveRecordHistory([...new Set(holders), ...imported])))
+            .toEqual(inScope(deriveRecordHistory([...everyone, ...imported])));
+    });
+});
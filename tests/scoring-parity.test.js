@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    calculateQpoints, getAgeFactor, getYouthFactor, scoreResult, roundTo
+} = require('../scripts/shared/scoring');
+
+/**
+ * Scoring parity tests
+ *
+ * The JS scoring module must return exactly what the Postgres functions return.
+ * Fixtures are exported from the database by scripts/maintenance/export-scoring-factors.js;
+ * the age factor table is also checked directly against the SQL source of get_age_factor().
+ */
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures/scoring-sql-parity.json');
+const SQL_SOURCE = path.join(__dirname, '../migrations/secure_functions_v2.sql');
+
+function sqlAgeFactorCases(genderCode) {
+    const sql = fs.readFileSync(SQL_SOURCE, 'utf8');
+    const fn = sql.slice(sql.indexOf('FUNCTION public.get_age_factor'), sql.indexOf('FUNCTION public.get_youth_age_factor_interpolated'));
+    const start = fn.indexOf(`UPPER(gender) = '${genderCode}'`);
+    const body = fn.slice(start, fn.indexOf('END;', start));
+    const cases = [...body.matchAll(/WHEN age = (\d+) THEN ([\d.]+)/g)].map(m => [Number(m[1]), Number(m[2])]);
+    const cap = body.match(/WHEN age >= (\d+) THEN ([\d.]+)/);
+    return { cases, capAge: Number(cap[1]), capFactor: Number(cap[2]) };
+}
+
+describe('get_age_factor source parity', () => {
+    test.each(['M', 'F'])('every CASE branch for %s', (g) => {
+        const { cases, capAge, capFactor } = sqlAgeFactorCases(g);
+        expect(cases.length).toBeGreaterThan(50);
+        cases.forEach(([age, factor]) => expect(getAgeFactor(age, g)).toBe(factor));
+        expect(getAgeFactor(capAge, g)).toBe(capFactor);
+        expect(getAgeFactor(capAge + 7, g)).toBe(capFactor);
+    });
+
+    test('under 30 and unknown gender are unadjusted', () => {
+        expect(getAgeFactor(29, 'M')).toBe(1);
+        expect(getAgeFactor(45, 'X')).toBe(1);
+        expect(getAgeFactor(45, null)).toBe(1);
+    });
+});
+
+describe('scoreResult brackets', () => {
+    const result = { total: 200, body_weight_kg: 73.2, gender: 'M' };
+
+    test('ages 21-30 get qpoints only', () => {
+        const scores = scoreResult({ ...result, competition_age: 25 });
+        expect(scores.qpoints).toBe(calculateQpoints(200, 73.2, 'M'));
+        expect(scores.q_masters).toBeNull();
+        expect(scores.q_youth).toBeNull();
+    });
+
+    test('ages 31+ get qpoints x age factor as q_masters', () => {
+        const scores = scoreResult({ ...result, competition_age: 47 });
+        expect(scores.qpoints).toBeNull();
+        expect(scores.q_masters).toBe(roundTo(calculateQpoints(200, 73.2, 'M') * 1.201, 2));
+    });
+
+    test('no score for a bomb-out, a missing bodyweight or age 9 and under', () => {
+        expect(scoreResult({ ...result, total: '0', competition_age: 25 })).toEqual({ qpoints: null, q_youth: null, q_masters: null });
+        expect(scoreResult({ ...result, body_weight_kg: null, competition_age: 25 })).toEqual({ qpoints: null, q_youth: null, q_masters: null });
+        expect(scoreResult({ ...result, competition_age: 9 })).toEqual({ qpoints: null, q_youth: null, q_masters: null });
+    });
+
+    test('rounds half away from zero like ROUND(numeric, 2)', () => {
+        expect(roundTo(1.005, 2)).toBe(1.01);
+        expect(roundTo(2.675, 2)).toBe(2.68);
+        expect(roundTo(0.12345, 4)).toBe(0.1235);
+    });
+});
+
+// Supabase stand-in serving public.youth_factors one page at a time
+const supabaseWith = (rows, error = null) => ({
+    from: () => {
+        let range = [0, rows.length];
+        const query = {
+            select: () => query,
+            order: () => query,
+            range: (from, to) => { range = [from, to + 1]; return query; },
+            then: (resolve) => resolve(error ? { data: null, error } : { data: rows.slice(...range), error: null })
+        };
+        return query;
+    }
+});
+
+const fixtures = fs.existsSync(FIXTURE_FILE) ? JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8')) : null;
+const describeWithFixtures = fixtures ? describe : describe.skip;
+
+describeWithFixtures('SQL fixture parity (scripts/maintenance/export-scoring-factors.js)', () => {
+    test('calculate_qpoints_from_row', () => {
+        fixtures.calculate_qpoints_from_row.forEach(([total, bw, gender, expected]) => {
+            expect([total, bw, gender, calculateQpoints(total, bw, gender)]).toEqual([total, bw, gender, expected]);
+        });
+    });
+
+    test('get_age_factor', () => {
+        fixtures.get_age_factor.forEach(([age, gender, expected]) => {
+            expect([age, gender, getAgeFactor(age, gender)]).toEqual([age, gender, expected]);
+        });
+    });
+
+    // Scored from the youth_factors rows exported with the cases, whether or not youth-factors.json is bundled
+    test('get_youth_age_factor_interpolated', async () => {
+        expect(fixtures.get_youth_age_factor_interpolated.length).toBeGreaterThan(0);
+        const rows = fixtures.youth_factors.map(([gender, age, bodyweight_kg, factor]) => ({ gender, age, bodyweight_kg, factor }));
+        await jest.isolateModulesAsync(async () => {
+            jest.doMock('fs', () => ({ ...jest.requireActual('fs'), existsSync: () => false }));
+            const scoring = require('../scripts/shared/scoring');
+            expect(await scoring.ensureYouthFactors(supabaseWith(rows))).toBe(true);
+            fixtures.get_youth_age_factor_interpolated.forEach(([age, bw, gender, expected]) => {
+                expect([age, bw, gender, scoring.getYouthFactor(age, bw, gender)]).toEqual([age, bw, gender, expected]);
+            });
+        });
+        jest.dontMock('fs');
+    });
+});
+
+describe('ensureYouthFactors', () => {
+    test('reads public.youth_factors when youth-factors.json is not bundled; failures are retried', async () => {
+        const rows = [
+            { gender: 'F', age: 15, bodyweight_kg: 55, factor: '1.2000' },
+            { gender: 'F', age: 15, bodyweight_kg: 56, factor: '1.1000' }
+        ];
+        await jest.isolateModulesAsync(async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.doMock('fs', () => ({ ...jest.requireActual('fs'), existsSync: () => false }));
+            const scoring = require('../scripts/shared/scoring');
+
+            expect(await scoring.ensureYouthFactors(supabaseWith([], { message: 'timeout' }))).toBe(false);
+            expect(scoring.getYouthFactor(15, 55.5, 'F')).toBeNull();
+
+            expect(await scoring.ensureYouthFactors(supabaseWith(rows))).toBe(true);
+            expect(scoring.getYouthFactor(15, 55.5, 'Female')).toBe(1.15);
+            expect(scoring.scoreResult({ total: 150, body_weight_kg: 55, gender: 'F', competition_age: 15 }).q_youth).toBe(180);
+        });
+        jest.dontMock('fs');
+        console.warn.mockRestore();
+    });
+});
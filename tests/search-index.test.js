@@ -0,0 +1,56 @@
+const { foldName, searchKeys, buildPrefixFiles } = require('../scripts/production/generate-search-index');
+
+/**
+ * Search index tests
+ *
+ * Name folding and key rotation must match what the frontend does with a query.
+ */
+
+describe('foldName', () => {
+    test('lowercases and strips accents and punctuation', () => {
+        expect(foldName('José  Núñez-Smith')).toBe('jose nunez smith');
+        expect(foldName("D'Angelo O'Neil Jr.")).toBe('d angelo o neil jr');
+        expect(foldName('  MARÍA  ')).toBe('maria');
+    });
+
+    test('folds letters NFKD does not decompose', () => {
+        expect(foldName('Ødegård')).toBe('odegard');
+        expect(foldName('Łukasz Straße')).toBe('lukasz strasse');
+        expect(foldName('Æsa Þórsdóttir')).toBe('aesa thorsdottir');
+        expect(foldName('Yıldız Đorđević')).toBe('yildiz dordevic');
+    });
+
+    test('empty and missing names fold to an empty string', () => {
+        expect(foldName(null)).toBe('');
+        expect(foldName(undefined)).toBe('');
+        expect(foldName('---')).toBe('');
+    });
+});
+
+describe('searchKeys', () => {
+    test('one key per rotation of the tokens', () => {
+        expect(searchKeys('Jane Mary Doe')).toEqual(['jane mary doe', 'mary doe jane', 'doe jane mary']);
+        expect(searchKeys('DOE Jane')).toEqual(['doe jane', 'jane doe']);
+    });
+
+    test('rotations never start on a token shorter than the prefix', () => {
+        expect(searchKeys('Jane A. Doe')).toEqual(['jane a doe', 'doe jane a']);
+        expect(searchKeys('X')).toEqual([]);
+    });
+
+    test('accented names produce folded keys and repeated rotations are listed once', () => {
+        expect(searchKeys('Núñez Núñez')).toEqual(['nunez nunez']);
+        expect(searchKeys('Ødegård Åse')).toEqual(['odegard ase', 'ase odegard']);
+    });
+});
+
+test('an entry is listed once per prefix file and reached from every rotation', () => {
+    const jane = { n: 'Jane Doe', s: 'usaw/1', a: ['DOE Jane', 'Janet Doe'] };
+    const files = buildPrefixFiles([jane, { n: 'Jan Dobbs', s: 'usaw/2' }]);
+
+    expect([...files.keys()].sort()).toEqual(['do', 'ja']);
+    const ja = files.get('ja');
+    expect(ja.entries.map(e => e.s)).toEqual(['usaw/1', 'usaw/2']);
+    expect(ja.keys).toEqual([['jan dobbs', 1], ['jane doe', 0], ['janet doe', 0]]);
+    expect(files.get('do').keys).toEqual([['dobbs jan', 1], ['doe jane', 0], ['doe janet', 0]]);
+});
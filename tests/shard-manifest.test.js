@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Shard manifest tests
+ *
+ * Manifests are shared by every writer of a shard directory (the listener, seed runs),
+ * and named shards must not overwrite each other when two names slugify alike.
+ */
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shard-manifest-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.OUTPUT_DIR = outputDir;
+
+const {
+    slugify, slugCollisions, namedShardId, namedShardKey, isUnchanged, recordShard, removeShard, flushManifests
+} = require('../scripts/production/shard-manifest');
+
+const manifestPath = dir => path.join(outputDir, dir, 'manifest.json');
+const readStored = dir => JSON.parse(fs.readFileSync(manifestPath(dir), 'utf8'));
+const writeStored = (dir, manifest) => {
+    fs.mkdirSync(path.join(outputDir, dir), { recursive: true });
+    fs.writeFileSync(manifestPath(dir), JSON.stringify(manifest));
+};
+
+afterAll(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+describe('flushManifests', () => {
+    test('entries flushed by another writer since the load are kept', async () => {
+        writeStored('usaw/42', { 100042: { id: '100042', hash: 'a', size: 1 }, 200042: { id: '200042', hash: 'b', size: 1 } });
+        await recordShard('usaw/42', '300042', 'c', 1);
+
+        // Another process records one shard and removes one after this one loaded the directory
+        writeStored('usaw/42', { 100042: { id: '100042', hash: 'a2', size: 2 }, 400042: { id: '400042', hash: 'd', size: 1 } });
+        await flushManifests();
+
+        const stored = readStored('usaw/42');
+        expect(Object.keys(stored).sort()).toEqual(['100042', '300042', '400042']);
+        expect(stored['100042'].hash).toBe('a2');
+        expect(stored['300042'].hash).toBe('c');
+    });
+
+    test('removals are applied to the stored manifest and the cache follows it', async () => {
+        writeStored('usaw/07', { 107: { id: '107', hash: 'a', size: 1 }, 207: { id: '207', hash: 'b', size: 1 } });
+        await removeShard('usaw/07', '107');
+
+        writeStored('usaw/07', { 107: { id: '107', hash: 'a', size: 1 }, 207: { id: '207', hash: 'b2', size: 1 } });
+        await flushManifests();
+        expect(Object.keys(readStored('usaw/07'))).toEqual(['207']);
+
+        // The other writer's hash is what an unchanged payload is now compared against
+        fs.writeFileSync(path.join(outputDir, 'usaw/07', '207.json.gz'), '');
+        expect(await isUnchanged('usaw/07', '207', 'b')).toBe(false);
+        expect(await isUnchanged('usaw/07', '207', 'b2')).toBe(true);
+    });
+});
+
+describe('named shard ids', () => {
+    test('names with distinct slugs keep the plain slug', () => {
+        expect(slugify('Team Díaz Barbell, LLC')).toBe('team-diaz-barbell-llc');
+        const collisions = slugCollisions(['Iron Club', 'Steel Club']);
+        expect(collisions.size).toBe(0);
+        expect(namedShardKey('clubs', 'Iron Club', collisions)).toBe('clubs/iron-club.json.gz');
+        expect(namedShardKey('clubs', 'Iron Club')).toBe('clubs/iron-club.json.gz');
+    });
+
+    test('names sharing a slug get one shard each', () => {
+        const names = ['A&B Barbell', 'A and B Barbell', 'Iron Club'];
+        const collisions = slugCollisions(names);
+        expect([...collisions]).toEqual(['a-and-b-barbell']);
+
+        const ids = names.map(name => namedShardId(name, collisions));
+        expect(ids[0]).toMatch(/^a-and-b-barbell-[0-9a-f]{8}$/);
+        expect(ids[1]).toMatch(/^a-and-b-barbell-[0-9a-f]{8}$/);
+        expect(ids[0]).not.toBe(ids[1]);
+        expect(ids[2]).toBe('iron-club');
+
+        // The suffix depends on the name alone, not on the order or the other names
+        expect(namedShardId('A and B Barbell', slugCollisions(['A and B Barbell', 'a-and-b barbell']))).toBe(ids[1]);
+    });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { LocalFileStorage, S3ObjectStorage, createStorage } = require('../scripts/production/shard-storage');
+
+/**
+ * Storage backend contract tests
+ *
+ * Both backends must behave identically for the keys the Data Factory writes.
+ * The S3 backend runs against a minimal in-process stand-in for MinIO that
+ * implements the path-style PUT/GET/HEAD/DELETE/ListObjectsV2 calls we use.
+ */
+
+function startS3StandIn() {
+    const objects = new Map(); // "bucket/key" -> { body, contentType }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [, bucket, ...rest] = url.pathname.split('/');
+        const key = decodeURIComponent(rest.join('/'));
+        const id = `${bucket}/${key}`;
+
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+            if (req.method === 'PUT') {
+                objects.set(id, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+                res.writeHead(200, { ETag: '"stand-in"' });
+                return res.end();
+            }
+
+            if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+                const prefix = url.searchParams.get('prefix') || '';
+                const keys = [...objects.keys()]
+                    .filter(k => k.startsWith(`${bucket}/${prefix}`))
+                    .map(k => k.slice(bucket.length + 1));
+                const contents = keys.map(k => `<Contents><Key>${k}</Key><Size>${objects.get(`${bucket}/${k}`).body.length}</Size></Contents>`).join('');
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                return res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name><Prefix>${prefix}</Prefix><KeyCount>${keys.length}</KeyCount><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`);
+            }
+
+            const obj = objects.get(id);
+            if (req.method === 'DELETE') {
+                objects.delete(id);
+                res.writeHead(204);
+                return res.end();
+            }
+            if (!obj) {
+                res.writeHead(404, { 'Content-Type': 'application/xml' });
+                return res.end(req.method === 'HEAD' ? undefined : '<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+            }
+            res.writeHead(200, { 'Content-Type': obj.contentType, 'Content-Length': obj.body.length });
+            return res.end(req.method === 'HEAD' ? undefined : obj.body);
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, objects })));
+}
+
+const backends = [
+    ['local', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shard-storage-'));
+        return { storage: new LocalFileStorage(dir), cleanup: async () => fs.rmSync(dir, { recursive: true, force: true }) };
+    }],
+    ['s3', async () => {
+        const { server, objects } = await startS3StandIn();
+        const storage = new S3ObjectStorage({
+            bucket: 'athlete-data',
+            prefix: 'v1',
+            endpoint: `http://127.0.0.1:${server.address().port}`,
+            credentials: { accessKeyId: 'minio', secretAccessKey: 'minio123' }
+        });
+        storage.objects = objects;
+        return { storage, cleanup: () => new Promise(r => server.close(r)) };
+    }]
+];
+
+describe.each(backends)('%s storage backend', (name, setup) => {
+    let ctx;
+    beforeEach(async () => { ctx = await setup(); });
+    afterEach(async () => { await ctx.cleanup(); });
+
+    test('round-trips shard bytes and reports existence', async () => {
+        const body = Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0xff]);
+        expect(await ctx.storage.exists('usaw/42/123442.json.gz')).toBe(false);
+
+        await ctx.storage.write('usaw/42/123442.json.gz', body);
+
+        expect(await ctx.storage.exists('usaw/42/123442.json.gz')).toBe(true);
+        expect(Buffer.compare(await ctx.storage.read('usaw/42/123442.json.gz'), body)).toBe(0);
+    });
+
+    test('returns null for missing keys and deletes idempotently', async () => {
+        expect(await ctx.storage.read('population_stats.json')).toBeNull();
+
+        await ctx.storage.write('population_stats.json', JSON.stringify({ usaw_F_all: {} }));
+        await ctx.storage.delete('population_stats.json');
+        await ctx.storage.delete('population_stats.json');
+
+        expect(await ctx.storage.read('population_stats.json')).toBeNull();
+    });
+
+    test('lists keys under a prefix relative to the output root', async () => {
+        await ctx.storage.write('usaw/42/123442.json.gz', 'a');
+        await ctx.storage.write('usaw/42/manifest.json', '{}');
+        await ctx.storage.write('usaw/07/98207.json.gz', 'b');
+        await ctx.storage.write('iwf/42/55242.json.gz', 'c');
+
+        expect((await ctx.storage.list('usaw/42/')).sort()).toEqual(['usaw/42/123442.json.gz', 'usaw/42/manifest.json']);
+        expect((await ctx.storage.list('usaw/')).length).toBe(3);
+    });
+
+    if (name === 's3') {
+        test('applies the bucket prefix and content types', async () => {
+            await ctx.storage.write('usaw/42/123442.json.gz', 'a');
+            await ctx.storage.write('historical_benchmarks.json', '{}');
+
+            expect(ctx.storage.objects.get('athlete-data/v1/usaw/42/123442.json.gz').contentType).toBe('application/gzip');
+            expect(ctx.storage.objects.get('athlete-data/v1/historical_benchmarks.json').contentType).toBe('application/json');
+        });
+    }
+});
+
+describe('createStorage', () => {
+    test('defaults to the local backend rooted at OUTPUT_DIR', () => {
+        const storage = createStorage({ OUTPUT_DIR: '/tmp/athlete-data' });
+        expect(storage.name).toBe('local');
+        expect(storage.describe()).toBe('/tmp/athlete-data');
+    });
+
+    test('builds an S3 backend and requires a bucket', () => {
+        expect(createStorage({ STORAGE_BACKEND: 's3', S3_BUCKET: 'b', S3_ENDPOINT: 'http://localhost:9000' }).describe()).toBe('s3://b');
+        expect(() => createStorage({ STORAGE_BACKEND: 's3' })).toThrow(/bucket/);
+        expect(() => createStorage({ STORAGE_BACKEND: 'ftp' })).toThrow(/Unknown STORAGE_BACKEND/);
+    });
+});
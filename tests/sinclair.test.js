@@ -0,0 +1,54 @@
+const { getSinclairCycle, getSinclairCoefficient, scoreSinclair } = require('../scripts/shared/scoring/sinclair');
+const { getAgeFactor } = require('../scripts/shared/scoring');
+
+/**
+ * Sinclair tests
+ *
+ * Coefficient set selection by result date, the coefficient formula and SMF for masters.
+ */
+
+describe('coefficient set by date', () => {
+    test('each set starts on its valid_from date', () => {
+        expect(getSinclairCycle('2016-12-31').cycle).toBe('2013-2016');
+        expect(getSinclairCycle('2017-01-01').cycle).toBe('2017-2020');
+        expect(getSinclairCycle('2024-08-10').cycle).toBe('2021-2024');
+    });
+
+    test('dates before the first set and unreadable dates have none; later dates use the last set', () => {
+        expect(getSinclairCycle('1998-05-01')).toBeNull();
+        expect(getSinclairCycle('2008-12-31')).toBeNull();
+        expect(getSinclairCycle('2009-01-01').cycle).toBe('2009-2012');
+        expect(getSinclairCycle('Mar 15, 2026').cycle).toBe('2021-2024');
+        expect(getSinclairCycle('---')).toBeNull();
+        expect(getSinclairCycle(null)).toBeNull();
+    });
+});
+
+describe('scoreSinclair', () => {
+    test('coefficient is 1 at or above b', () => {
+        expect(getSinclairCoefficient(193.609, 'M', '2022-01-01')).toBe(1);
+        expect(getSinclairCoefficient(175, 'M', '2022-01-01')).toBeGreaterThan(1);
+        expect(getSinclairCoefficient(176, 'M', '2018-01-01')).toBe(1);
+    });
+
+    test('the same lift scores differently across cycles', () => {
+        const result = { total: 350, body_weight_kg: 85.23, gender: 'M', competition_age: 28 };
+        expect(scoreSinclair({ ...result, date: '2023-06-01' }).sinclair).toBe(432.354);
+        expect(scoreSinclair({ ...result, date: '2019-06-01' }).sinclair).toBe(415.018);
+    });
+
+    test('SMF applies the masters age factor from 30', () => {
+        const result = { total: '150', body_weight_kg: '63.4', gender: 'Female', date: '2023-06-01' };
+        const { sinclair, sinclair_masters } = scoreSinclair({ ...result, competition_age: 52 });
+        expect(sinclair_masters).toBeCloseTo(sinclair * getAgeFactor(52, 'F'), 2);
+        expect(scoreSinclair({ ...result, competition_age: 29 }).sinclair_masters).toBeNull();
+    });
+
+    test('bomb-outs, missing bodyweights and pre-2009 results are not scored', () => {
+        const result = { total: 200, body_weight_kg: 70, gender: 'F', competition_age: 25, date: '2023-06-01' };
+        expect(scoreSinclair({ ...result, total: '0' })).toEqual({ sinclair: null, sinclair_masters: null });
+        expect(scoreSinclair({ ...result, body_weight_kg: '' })).toEqual({ sinclair: null, sinclair_masters: null });
+        // No coefficient set before 2009
+        expect(scoreSinclair({ ...result, date: '2004-08-20', competition_age: 45 })).toEqual({ sinclair: null, sinclair_masters: null });
+    });
+});